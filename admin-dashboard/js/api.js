@@ -6,6 +6,8 @@
 const API = {
     baseUrl: localStorage.getItem('apiUrl') || 'http://localhost:3000',
     token: localStorage.getItem('apiToken') || '',
+    // Facebook Page the dashboard is limited to ('' = all Pages)
+    fbPageId: localStorage.getItem('fbPageId') || '',
 
     async request(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
@@ -30,19 +32,31 @@ const API = {
         }
     },
 
+    /**
+     * Add the selected Facebook Page to an endpoint's query string
+     */
+    withPage(endpoint) {
+        if (!this.fbPageId) return endpoint;
+        const separator = endpoint.includes('?') ? '&' : '?';
+        return `${endpoint}${separator}pageId=${encodeURIComponent(this.fbPageId)}`;
+    },
+
+    // Facebook Pages
+    getFbPages: () => API.request('/api/admin/pages'),
+
     // Dashboard
-    getDashboard: () => API.request('/api/admin/dashboard'),
+    getDashboard: () => API.request(API.withPage('/api/admin/dashboard')),
 
     // Analytics
     getTrends: (period = '7d') => API.request(`/api/admin/analytics/trends?period=${period}`),
-    getIntents: (period = '7d') => API.request(`/api/admin/analytics/intents?period=${period}`),
-    getHourly: (period = '7d') => API.request(`/api/admin/analytics/hourly?period=${period}`),
-    getDaily: (days = 30) => API.request(`/api/admin/analytics/daily?days=${days}`),
+    getIntents: (period = '7d') => API.request(API.withPage(`/api/admin/analytics/intents?period=${period}`)),
+    getHourly: (period = '7d') => API.request(API.withPage(`/api/admin/analytics/hourly?period=${period}`)),
+    getDaily: (days = 30) => API.request(API.withPage(`/api/admin/analytics/daily?days=${days}`)),
 
     // Customers
     getCustomers: (params = {}) => {
         const query = new URLSearchParams(params).toString();
-        return API.request(`/api/customers?${query}`);
+        return API.request(API.withPage(`/api/customers?${query}`));
     },
     getCustomer: (id) => API.request(`/api/customers/${id}`),
     updateCustomer: (id, data) => API.request(`/api/customers/${id}`, {
@@ -53,16 +67,24 @@ const API = {
     // Chats
     getChats: (params = {}) => {
         const query = new URLSearchParams(params).toString();
-        return API.request(`/api/chats?${query}`);
+        return API.request(API.withPage(`/api/chats?${query}`));
     },
     getChatHistory: (senderId) => API.request(`/api/chats/${senderId}`),
     sendReply: (senderId, text, staffId) => API.request(`/api/chats/${senderId}/reply`, {
         method: 'POST',
         body: JSON.stringify({ text, staffId })
     }),
+    getTakeover: (senderId) => API.request(`/api/chats/${senderId}/takeover`),
+    takeOverChat: (senderId, staffId) => API.request(`/api/chats/${senderId}/takeover`, {
+        method: 'POST',
+        body: JSON.stringify({ staffId })
+    }),
+    releaseChat: (senderId) => API.request(`/api/chats/${senderId}/takeover`, {
+        method: 'DELETE'
+    }),
 
     // Menu Options
-    getMenuOptions: () => API.request('/api/admin/menu'),
+    getMenuOptions: () => API.request(API.withPage('/api/admin/menu')),
     createMenuOption: (data) => API.request('/api/admin/menu', {
         method: 'POST',
         body: JSON.stringify(data)
@@ -74,6 +96,22 @@ const API = {
     deleteMenuOption: (id) => API.request(`/api/admin/menu/${id}`, {
         method: 'DELETE'
     }),
+    getProfileDiff: () => API.request(API.withPage('/api/admin/messenger-profile/diff')),
+    syncProfile: () => API.request(API.withPage('/api/admin/messenger-profile/sync'), { method: 'POST' }),
+
+    // Intents
+    getIntents: () => API.request('/api/admin/intents?all=true'),
+    createIntent: (data) => API.request('/api/admin/intents', {
+        method: 'POST',
+        body: JSON.stringify(data)
+    }),
+    updateIntent: (id, data) => API.request(`/api/admin/intents/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+    }),
+    deleteIntent: (id) => API.request(`/api/admin/intents/${id}`, {
+        method: 'DELETE'
+    }),
 
     // Reports
     getReports: (limit = 7) => API.request(`/api/reports?limit=${limit}`),
@@ -87,12 +125,15 @@ const API = {
     getSettings: () => API.request('/api/admin/settings'),
 
     // Pending Messages (Test Mode)
-    getPending: (status = 'pending') => API.request(`/api/pending?status=${status}`),
-    getPendingStats: () => API.request('/api/pending/stats'),
+    getPending: (status = 'pending') => API.request(API.withPage(`/api/pending?status=${status}`)),
+    getPendingStats: () => API.request(API.withPage('/api/pending/stats')),
     approvePending: (id) => API.request(`/api/pending/${id}/approve`, { method: 'POST' }),
     rejectPending: (id) => API.request(`/api/pending/${id}/reject`, { method: 'POST' }),
     sendPending: (id) => API.request(`/api/pending/${id}/send`, { method: 'POST' }),
-    sendAllPending: () => API.request('/api/pending/send-all', { method: 'POST' }),
+    sendAllPending: () => API.request(API.withPage('/api/pending/send-all'), { method: 'POST' }),
+    getFailedSends: () => API.request(API.withPage('/api/admin/outbound/failed')),
+    retryFailedSend: (id) => API.request(`/api/admin/outbound/failed/${id}/retry`, { method: 'POST' }),
+    dismissFailedSend: (id) => API.request(`/api/admin/outbound/failed/${id}/dismiss`, { method: 'POST' }),
     getTestMode: () => API.request('/api/pending/test-mode'),
     setTestMode: (enabled) => API.request('/api/pending/test-mode', {
         method: 'POST',
@@ -108,6 +149,11 @@ function setApiConfig(url, token) {
     localStorage.setItem('apiToken', token);
 }
 
+function setFbPage(pageId) {
+    API.fbPageId = pageId;
+    localStorage.setItem('fbPageId', pageId);
+}
+
 function showConfigModal() {
     const modal = document.getElementById('modal-overlay');
     const title = document.getElementById('modal-title');
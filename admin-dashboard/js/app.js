@@ -8,12 +8,22 @@ let currentPage = 'dashboard';
 let selectedChat = null;
 let charts = {};
 let liveChats = [];
+let fbPages = [];
+
+// Channels customers message us on
+const CHANNEL_LABELS = {
+    messenger: 'Messenger',
+    instagram: 'Instagram',
+    line: 'LINE',
+    web: 'Website'
+};
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     initSocket();
     initNavigation();
     initEventListeners();
+    loadFbPages();
     loadDashboard();
     startClock();
 
@@ -38,6 +48,11 @@ function initSocket() {
             showToast(`New message from customer`, 'info');
         });
 
+        socket.on('attachment-received', (data) => {
+            addLiveChat({ ...data, messageText: data.text });
+            refreshSelectedChat(data.senderId);
+        });
+
         socket.on('staff-required', (data) => {
             addLiveChat(data);
             updateNotificationCount(1);
@@ -54,6 +69,35 @@ function initSocket() {
             updateChatWithAI(data);
         });
 
+        socket.on('staff-replied', (data) => {
+            // Replies sent from Meta Business Suite arrive as Page echoes
+            if (data.source === 'page') {
+                refreshSelectedChat(data.senderId);
+            }
+            updateTakeover(data.senderId, data.takeover);
+        });
+
+        socket.on('takeover-changed', (data) => {
+            updateTakeover(data.senderId, data.takeover);
+        });
+
+        socket.on('thread-control-changed', (data) => {
+            const owner = data.ownerAppId ? `inbox app ${data.ownerAppId}` : 'the bot';
+            showToast(`Chat now handled by ${owner}`, 'info');
+        });
+
+        socket.on('optin-changed', () => {
+            if (currentPage === 'customers') loadCustomers();
+        });
+
+        socket.on('messages-delivered', (data) => {
+            refreshSelectedChat(data.senderId);
+        });
+
+        socket.on('messages-read', (data) => {
+            refreshSelectedChat(data.senderId);
+        });
+
         socket.on('daily-report-generated', (data) => {
             showToast('Daily report generated!', 'success');
         });
@@ -96,6 +140,7 @@ function navigateTo(page) {
         'analytics': 'Analytics',
         'reports': 'Reports',
         'menu-editor': 'Menu Editor',
+        'intents': 'Intents',
         'campaigns': 'Campaigns'
     };
     document.getElementById('page-title').textContent = titles[page] || page;
@@ -113,10 +158,48 @@ async function loadPageData(page) {
         case 'analytics': loadAnalytics(); break;
         case 'reports': loadReports(); break;
         case 'menu-editor': loadMenuEditor(); break;
+        case 'intents': loadIntents(); break;
         case 'campaigns': loadCampaigns(); break;
     }
 }
 
+// Facebook Pages - the selector limits every view to one Page
+async function loadFbPages() {
+    try {
+        const { data } = await API.getFbPages();
+        fbPages = data;
+
+        // A Page removed since the last visit falls back to all Pages
+        if (API.fbPageId && !fbPages.some(p => p.id === API.fbPageId)) {
+            setFbPage('');
+        }
+
+        const select = document.getElementById('fb-page-select');
+        select.innerHTML = '<option value="">All Pages</option>' + fbPages.map(p => `
+      <option value="${p.id}" ${p.id === API.fbPageId ? 'selected' : ''}>${escapeHtml(p.name)}${p.enabled ? '' : ' (disabled)'}</option>
+    `).join('');
+        select.hidden = fbPages.length === 0;
+    } catch (error) {
+        console.error('Failed to load Facebook Pages:', error);
+    }
+}
+
+function selectFbPage(pageId) {
+    setFbPage(pageId);
+    liveChats = [];
+    loadPageData(currentPage);
+}
+
+function getFbPageName(pageId) {
+    if (!pageId) return 'All Pages';
+    return fbPages.find(p => p.id === pageId)?.name || pageId;
+}
+
+function renderChannelBadge(channel) {
+    if (!channel) return '';
+    return `<span class="channel-badge ${escapeHtml(channel)}">${escapeHtml(CHANNEL_LABELS[channel] || channel)}</span>`;
+}
+
 // Dashboard
 async function loadDashboard() {
     try {
@@ -215,6 +298,7 @@ function addLiveChat(data) {
     if (existing) {
         existing.lastMessage = data.messageText;
         existing.timestamp = data.timestamp;
+        existing.channel = existing.channel || data.channel;
     } else {
         liveChats.unshift(data);
     }
@@ -236,10 +320,10 @@ function renderLiveChats() {
     <div class="chat-item ${selectedChat === chat.senderId ? 'active' : ''}" 
          onclick="selectChat('${chat.senderId}')">
       <div class="chat-item-header">
-        <span class="chat-name">${chat.customerInfo?.name || 'Customer'}</span>
+        <span class="chat-name">${escapeHtml(chat.customerInfo?.name || 'Customer')}${chat.takeover ? ' 🙋' : ''} ${renderChannelBadge(chat.channel)}</span>
         <span class="chat-time">${formatTime(chat.timestamp)}</span>
       </div>
-      <div class="chat-preview">${chat.messageText || chat.lastMessage || ''}</div>
+      <div class="chat-preview">${escapeHtml(chat.messageText || chat.lastMessage || '')}</div>
     </div>
   `).join('');
 }
@@ -250,8 +334,8 @@ async function selectChat(senderId) {
 
     // Update header
     const chat = liveChats.find(c => c.senderId === senderId);
-    const header = document.getElementById('chat-header');
-    header.innerHTML = `<span>${chat?.customerInfo?.name || 'Customer'}</span>`;
+    renderChatHeader(chat);
+    loadTakeover(senderId);
 
     // Show loading
     const container = document.getElementById('chat-messages');
@@ -277,16 +361,142 @@ async function selectChat(senderId) {
     }
 }
 
+function renderChatHeader(chat) {
+    const header = document.getElementById('chat-header');
+    const takeover = chat?.takeover;
+
+    const owner = takeover
+        ? `<span class="takeover-owner" title="Until ${formatTime(takeover.expiresAt)}">🙋 Handled by ${escapeHtml(takeover.staffId)}</span>
+           <button class="btn-secondary btn-sm" onclick="releaseChat()">Release to bot</button>`
+        : `<span class="takeover-owner bot">🤖 Bot</span>
+           <button class="btn-secondary btn-sm" onclick="takeOverChat()">Take over</button>`;
+
+    header.innerHTML = `
+    <span>${escapeHtml(chat?.customerInfo?.name || 'Customer')} ${chat?.channel ? `<span title="Replies are sent on ${escapeHtml(CHANNEL_LABELS[chat.channel] || chat.channel)}">${renderChannelBadge(chat.channel)}</span>` : ''}</span>
+    <div class="takeover-status">${owner}</div>
+  `;
+}
+
+async function loadTakeover(senderId) {
+    try {
+        const { data } = await API.getTakeover(senderId);
+        updateTakeover(senderId, data);
+    } catch (error) {
+        console.error('Failed to load takeover state:', error);
+    }
+}
+
+function updateTakeover(senderId, takeover) {
+    let chat = liveChats.find(c => c.senderId === senderId);
+    if (!chat) {
+        if (selectedChat !== senderId) return;
+        chat = { senderId };
+    }
+    chat.takeover = takeover || null;
+
+    renderLiveChats();
+    if (selectedChat === senderId) {
+        renderChatHeader(chat);
+    }
+}
+
+async function takeOverChat() {
+    if (!selectedChat) return;
+
+    try {
+        const { data } = await API.takeOverChat(selectedChat, 'admin');
+        updateTakeover(selectedChat, data);
+        showToast('Bot paused for this customer', 'success');
+    } catch (error) {
+        showToast('Failed to take over chat', 'error');
+    }
+}
+
+async function releaseChat() {
+    if (!selectedChat) return;
+
+    try {
+        await API.releaseChat(selectedChat);
+        updateTakeover(selectedChat, null);
+        showToast('Chat released to bot', 'success');
+    } catch (error) {
+        showToast('Failed to release chat', 'error');
+    }
+}
+
 function renderChatMessages(messages) {
     const container = document.getElementById('chat-messages');
     container.innerHTML = messages.map(msg => `
     <div class="message ${msg.sender}">
-      ${msg.text}
+      ${escapeHtml(msg.text || '')}
+      ${renderAttachments(msg)}
+      ${renderMessageStatus(msg)}
     </div>
   `).join('');
     container.scrollTop = container.scrollHeight;
 }
 
+function renderAttachments(msg) {
+    if (!msg.attachments) return '';
+
+    const attachments = typeof msg.attachments === 'string' ? JSON.parse(msg.attachments) : msg.attachments;
+
+    return attachments.map(att => {
+        // Attachment URLs come from customer payloads - only http(s) links, escaped for the attribute
+        const url = safeUrl(att.url);
+
+        switch (att.type) {
+            case 'image':
+                return url ? `<a href="${url}" target="_blank"><img class="message-image" src="${url}" alt="image"></a>` : '';
+            case 'location':
+                return `<a class="message-attachment" href="https://maps.google.com/?q=${Number(att.lat)},${Number(att.long)}" target="_blank">📍 Open map</a>`;
+            case 'audio':
+                return `
+                  <div class="message-audio">
+                    <span class="message-audio-label">🎤 ${att.transcript ? 'Voice message (transcribed)' : 'Voice message'}</span>
+                    ${url ? `<audio controls preload="none" src="${url}"></audio>
+                    <a class="message-attachment" href="${url}" target="_blank">Open audio</a>` : ''}
+                  </div>`;
+            case 'story_reply':
+            case 'story_mention':
+                return url
+                    ? `<a class="message-attachment" href="${url}" target="_blank">📖 ${att.type === 'story_reply' ? 'Replied to story' : 'Mentioned in story'}</a>`
+                    : '';
+            case 'sticker':
+                return '';
+            default:
+                return url
+                    ? `<a class="message-attachment" href="${url}" target="_blank">📎 ${escapeHtml(att.fileName || att.type)}</a>`
+                    : '';
+        }
+    }).join('');
+}
+
+function renderMessageStatus(msg) {
+    if (msg.sender === 'customer') return '';
+
+    if (msg.read_at) {
+        return `<span class="message-status read" title="Read ${formatTime(msg.read_at)}">✓✓</span>`;
+    }
+    if (msg.delivered_at) {
+        return `<span class="message-status" title="Delivered ${formatTime(msg.delivered_at)}">✓</span>`;
+    }
+    return '';
+}
+
+async function refreshSelectedChat(senderId) {
+    if (selectedChat !== senderId) return;
+
+    try {
+        const { data } = await API.getChatHistory(senderId);
+        if (data && data.length > 0) {
+            renderChatMessages(data);
+        }
+    } catch (error) {
+        console.error('Failed to refresh chat:', error);
+    }
+}
+
 function renderQuickReplies(replies) {
     const container = document.getElementById('quick-replies');
     container.innerHTML = replies.map(reply => `
@@ -312,12 +522,12 @@ async function sendReply() {
 
         // Add to chat
         const container = document.getElementById('chat-messages');
-        container.innerHTML += `<div class="message staff">${text}</div>`;
+        container.innerHTML += `<div class="message staff">${escapeHtml(text)}</div>`;
         container.scrollTop = container.scrollHeight;
 
         showToast('Reply sent', 'success');
     } catch (error) {
-        showToast('Failed to send reply', 'error');
+        showToast(error.message || 'Failed to send reply', 'error');
     }
 }
 
@@ -334,14 +544,16 @@ async function loadCustomers() {
         <div>Last Contact</div>
         <div>Conversations</div>
         <div>Intents</div>
+        <div>Notifications</div>
         <div>Actions</div>
       </div>
       ${data.map(c => `
         <div class="table-row">
-          <div>${c.name || c.fb_user_id}</div>
+          <div>${escapeHtml(c.name || c.fb_user_id)} ${renderChannelBadge(c.channel)}${c.unreachable_at ? ' <span class="optin-badge" title="Messenger reports this person as unavailable">Unreachable</span>' : ''}${fbPages.length > 0 && !API.fbPageId && c.page_id ? ` <span class="optin-badge">${escapeHtml(getFbPageName(c.page_id))}</span>` : ''}</div>
           <div>${formatDate(c.last_contact)}</div>
           <div>${c.total_conversations || 0}</div>
           <div>${(c.detectedIntents || []).slice(0, 2).join(', ')}</div>
+          <div>${renderOptinStatus(c)}</div>
           <div><button onclick="viewCustomer('${c.fb_user_id}')" class="btn-primary" style="padding: 6px 12px; font-size: 12px;">View</button></div>
         </div>
       `).join('')}
@@ -351,6 +563,16 @@ async function loadCustomers() {
     }
 }
 
+function renderOptinStatus(customer) {
+    if (!customer.optin_status) return '<span class="optin-badge">—</span>';
+    if (customer.optin_status === 'stopped') return '<span class="optin-badge">Opted out</span>';
+
+    const expired = customer.optin_expires_at && new Date(customer.optin_expires_at) < new Date();
+    if (expired) return '<span class="optin-badge">Expired</span>';
+
+    return `<span class="optin-badge active">${customer.optin_frequency.toLowerCase()}</span>`;
+}
+
 // Analytics
 async function loadAnalytics() {
     try {
@@ -511,6 +733,12 @@ async function loadMenuEditor() {
         <div class="menu-info">
           <div class="menu-text">${opt.text}</div>
           <div class="menu-keywords">Keywords: ${opt.keywords.join(', ') || 'None'}</div>
+          ${fbPages.length > 0 ? `<div class="menu-keywords">📄 ${opt.page_id ? escapeHtml(getFbPageName(opt.page_id)) : 'Shared by all Pages'}</div>` : ''}
+          ${opt.image_url || opt.link || opt.file_url ? `<div class="menu-keywords">${[
+              opt.image_url ? '🖼️ Image' : '',
+              opt.link ? '🔗 Link' : '',
+              opt.file_url ? '📎 File' : ''
+          ].filter(Boolean).join(' · ')}</div>` : ''}
         </div>
         <button onclick="editMenuOption(${opt.id})" style="background: none; border: none; color: var(--accent-primary); cursor: pointer;">Edit</button>
       </div>
@@ -520,6 +748,127 @@ async function loadMenuEditor() {
     }
 }
 
+// Intents - the classifier prompt and escalation rules are built from these
+let intents = [];
+
+// Fallback intents of the classifier, cannot be deleted or disabled
+const FALLBACK_INTENTS = ['GENERAL_INQUIRY', 'OTHER'];
+
+async function loadIntents() {
+    try {
+        const { data } = await API.getIntents();
+        intents = data;
+
+        const container = document.getElementById('intents-list');
+        container.innerHTML = data.map(intent => `
+      <div class="menu-option-card${intent.enabled ? '' : ' disabled'}">
+        <div class="menu-info">
+          <div class="menu-text">${escapeHtml(intent.name)}${intent.escalation_policy === 'escalate' ? ` <span class="intent-badge ${intent.escalation_priority}">Escalate · ${intent.escalation_priority}</span>` : ''}${intent.enabled ? '' : ' <span class="intent-badge">Disabled</span>'}</div>
+          <div class="menu-keywords">${escapeHtml(intent.description || '-')}</div>
+          <div class="menu-keywords">Examples: ${intent.examples.map(e => escapeHtml(e)).join(' · ') || 'None'}</div>
+          <div class="menu-keywords">🏢 ${escapeHtml(intent.department || '-')}${intent.menu_option_text ? ` · ⚙️ ${escapeHtml(intent.menu_option_text)}` : ''}</div>
+        </div>
+        <button onclick="editIntent(${intent.id})" style="background: none; border: none; color: var(--accent-primary); cursor: pointer;">Edit</button>
+      </div>
+    `).join('') || '<div class="empty-state">No intents</div>';
+    } catch (error) {
+        showToast('Failed to load intents', 'error');
+    }
+}
+
+async function editIntent(id) {
+    const intent = intents.find(i => i.id === id) || {};
+    const isNew = !intent.id;
+
+    let menuOptions = [];
+    try {
+        menuOptions = (await API.getMenuOptions()).data;
+    } catch (error) {
+        // The menu option can be linked later
+    }
+
+    document.getElementById('modal-title').textContent = isNew ? 'Add Intent' : `Edit ${intent.name}`;
+    document.getElementById('modal-body').innerHTML = `
+      <div class="intent-form">
+        <label class="form-group">Name
+          <input id="intent-name" value="${escapeHtml(intent.name || '')}" placeholder="ACCOUNT_CLOSE" ${isNew ? '' : 'disabled'}>
+        </label>
+        <label class="form-group">Description
+          <textarea id="intent-description" rows="2">${escapeHtml(intent.description || '')}</textarea>
+        </label>
+        <label class="form-group">Example utterances (one per line)
+          <textarea id="intent-examples" rows="3">${escapeHtml((intent.examples || []).join('\n'))}</textarea>
+        </label>
+        <label class="form-group">Department
+          <input id="intent-department" value="${escapeHtml(intent.department || '')}">
+        </label>
+        <label class="form-group">Menu option
+          <select id="intent-menu-option">
+            <option value="">None</option>
+            ${menuOptions.map(opt => `<option value="${opt.id}" ${opt.id === intent.menu_option_id ? 'selected' : ''}>${opt.emoji} ${escapeHtml(opt.text)}</option>`).join('')}
+          </select>
+        </label>
+        <label class="form-group">Escalation
+          <select id="intent-escalation-policy">
+            <option value="none">Bot answers</option>
+            <option value="escalate" ${intent.escalation_policy === 'escalate' ? 'selected' : ''}>Escalate to staff</option>
+          </select>
+        </label>
+        <label class="form-group">Escalation priority
+          <select id="intent-escalation-priority">
+            ${['low', 'medium', 'high'].map(p => `<option value="${p}" ${(intent.escalation_priority || 'medium') === p ? 'selected' : ''}>${p}</option>`).join('')}
+          </select>
+        </label>
+        <label class="form-check">
+          <input type="checkbox" id="intent-enabled" ${isNew || intent.enabled ? 'checked' : ''} ${FALLBACK_INTENTS.includes(intent.name) ? 'disabled' : ''}> Enabled
+        </label>
+      </div>
+    `;
+    document.getElementById('modal-footer').innerHTML = `
+      ${isNew || FALLBACK_INTENTS.includes(intent.name) ? '' : `<button class="btn-secondary" onclick="removeIntent(${intent.id})">Delete</button>`}
+      <button class="btn-primary" onclick="saveIntent(${intent.id || 'null'})">Save</button>
+    `;
+    document.getElementById('modal-overlay').classList.add('active');
+}
+
+async function saveIntent(id) {
+    const data = {
+        description: document.getElementById('intent-description').value.trim(),
+        examples: document.getElementById('intent-examples').value.split('\n').map(e => e.trim()).filter(Boolean),
+        department: document.getElementById('intent-department').value.trim(),
+        menuOptionId: parseInt(document.getElementById('intent-menu-option').value) || null,
+        escalationPolicy: document.getElementById('intent-escalation-policy').value,
+        escalationPriority: document.getElementById('intent-escalation-priority').value,
+        enabled: document.getElementById('intent-enabled').checked
+    };
+
+    try {
+        if (id) {
+            await API.updateIntent(id, data);
+        } else {
+            await API.createIntent({ ...data, name: document.getElementById('intent-name').value.trim().toUpperCase() });
+        }
+        document.getElementById('modal-overlay').classList.remove('active');
+        showToast('Intent saved', 'success');
+        loadIntents();
+    } catch (error) {
+        showToast(error.message || 'Failed to save intent', 'error');
+    }
+}
+
+async function removeIntent(id) {
+    if (!confirm('Delete this intent? Messages already tagged with it keep the name.')) return;
+
+    try {
+        await API.deleteIntent(id);
+        document.getElementById('modal-overlay').classList.remove('active');
+        showToast('Intent deleted', 'success');
+        loadIntents();
+    } catch (error) {
+        showToast(error.message || 'Failed to delete intent', 'error');
+    }
+}
+
 // Campaigns
 async function loadCampaigns() {
     // Placeholder - would load from API
@@ -535,6 +884,8 @@ async function loadPending() {
         document.getElementById('stat-pending').textContent = stats.pending || 0;
         document.getElementById('stat-approved').textContent = stats.approved || 0;
         document.getElementById('stat-sent').textContent = stats.sent || 0;
+        document.getElementById('stat-expired').textContent = stats.expired || 0;
+        document.getElementById('stat-failed').textContent = stats.failed || 0;
         document.getElementById('pending-count').textContent = stats.pending || 0;
 
         // Update test mode banner
@@ -548,6 +899,8 @@ async function loadPending() {
             toggleBtn.textContent = 'Enable Test Mode';
         }
 
+        loadFailedSends();
+
         // Render pending messages
         const container = document.getElementById('pending-list');
         if (data.length === 0) {
@@ -558,11 +911,11 @@ async function loadPending() {
         container.innerHTML = data.map(msg => `
             <div class="pending-card" data-id="${msg.id}">
                 <div class="pending-header">
-                    <span class="pending-recipient">${msg.customer_name || msg.recipient_id}</span>
+                    <span class="pending-recipient">${escapeHtml(msg.customer_name || msg.recipient_id)}</span>
                     <span class="pending-source ${msg.source}">${msg.source}</span>
                     <span class="pending-time">${formatTime(msg.created_at)}</span>
                 </div>
-                <div class="pending-message">${msg.message}</div>
+                <div class="pending-message">${escapeHtml(msg.message)}${renderPendingPayload(msg)}</div>
                 <div class="pending-actions">
                     <button class="btn-approve" onclick="approvePendingMsg('${msg.id}')">✓ Approve</button>
                     <button class="btn-reject" onclick="rejectPendingMsg('${msg.id}')">✗ Reject</button>
@@ -578,6 +931,72 @@ async function loadPending() {
     }
 }
 
+// Failed sends (dead-letter list)
+async function loadFailedSends() {
+    try {
+        const { data } = await API.getFailedSends();
+        const container = document.getElementById('failed-sends-list');
+
+        if (data.failed.length === 0) {
+            container.innerHTML = '<div class="empty-state">No failed sends</div>';
+            return;
+        }
+
+        container.innerHTML = data.failed.map(f => `
+            <div class="pending-card" data-id="${f.id}">
+                <div class="pending-header">
+                    <span class="pending-recipient">${f.customer_name || f.recipient_id}</span>
+                    <span class="pending-source">${f.error_category}</span>
+                    <span class="pending-time">${formatTime(f.created_at)}</span>
+                </div>
+                <div class="failed-error">${escapeHtml(f.error_message || '')}</div>
+                <div class="pending-message">${escapeHtml(f.payload.message?.text || `[${f.payload.message?.attachment?.type || 'message'}]`)}</div>
+                <div class="pending-actions">
+                    <button class="btn-send" onclick="retryFailedSend(${f.id})">↻ Retry</button>
+                    <button class="btn-reject" onclick="dismissFailedSend(${f.id})">✗ Dismiss</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to load failed sends:', error);
+    }
+}
+
+async function retryFailedSend(id) {
+    try {
+        await API.retryFailedSend(id);
+        showToast('Message sent!', 'success');
+    } catch (error) {
+        showToast(error.message || 'Retry failed', 'error');
+    }
+    loadFailedSends();
+}
+
+async function dismissFailedSend(id) {
+    try {
+        await API.dismissFailedSend(id);
+        loadFailedSends();
+    } catch (error) {
+        showToast('Failed to dismiss', 'error');
+    }
+}
+
+function renderPendingPayload(msg) {
+    if (!msg.payload) return '';
+
+    const message = JSON.parse(msg.payload).message || {};
+    const options = message.quick_replies?.map(qr => qr.title)
+        || message.attachment?.payload?.buttons?.map(btn => btn.title)
+        || message.attachment?.payload?.elements?.map(el => el.title)
+        || [];
+
+    if (options.length === 0) return '';
+
+    // Single line - .pending-message keeps whitespace
+    const chips = options.map(title => `<span class="pending-option">${escapeHtml(title)}</span>`).join('');
+    return `<div class="pending-options">${chips}</div>`;
+}
+
 async function approvePendingMsg(id) {
     try {
         await API.approvePending(id);
@@ -604,7 +1023,9 @@ async function sendPendingMsg(id) {
         showToast('Message sent!', 'success');
         loadPending();
     } catch (error) {
-        showToast('Failed to send message', 'error');
+        // Expired messages (outside the 24-hour window) come back with the reason
+        showToast(error.message || 'Failed to send message', 'error');
+        loadPending();
     }
 }
 
@@ -658,6 +1079,13 @@ function initEventListeners() {
     // Pending page buttons
     document.getElementById('toggle-test-mode')?.addEventListener('click', toggleTestMode);
     document.getElementById('send-approved-btn')?.addEventListener('click', sendAllApproved);
+    document.getElementById('profile-sync-btn')?.addEventListener('click', previewProfileSync);
+
+    // Intents page
+    document.getElementById('add-intent-btn')?.addEventListener('click', () => editIntent(null));
+
+    // Facebook Page selector
+    document.getElementById('fb-page-select')?.addEventListener('change', (e) => selectFbPage(e.target.value));
 }
 
 // Utilities
@@ -674,9 +1102,21 @@ function formatDate(timestamp) {
 }
 
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    // Quotes too - the result is also used inside attribute values
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escaped URL for an href/src attribute, or '' unless it is an http(s) URL
+ * (blocks javascript: and data: links from customer-supplied attachments)
+ */
+function safeUrl(url) {
+    return /^https?:\/\//i.test(String(url || '')) ? escapeHtml(url) : '';
 }
 
 function debounce(fn, delay) {
@@ -743,6 +1183,7 @@ async function loadLiveChats() {
                 if (!chatsBySender[msg.sender_id]) {
                     chatsBySender[msg.sender_id] = {
                         senderId: msg.sender_id,
+                        channel: msg.channel,
                         messageText: msg.text,
                         timestamp: msg.created_at,
                         customerInfo: { name: msg.customer_name || 'Customer' }
@@ -773,7 +1214,7 @@ async function loadLiveChats() {
 function updateChatWithAI(data) {
     if (selectedChat === data.senderId) {
         const container = document.getElementById('chat-messages');
-        container.innerHTML += `<div class="message ai">${data.aiResponse}</div>`;
+        container.innerHTML += `<div class="message ai">${escapeHtml(data.aiResponse)}</div>`;
         container.scrollTop = container.scrollHeight;
     }
 }
@@ -783,6 +1224,43 @@ function viewCustomer(id) {
     showToast('Customer view: ' + id, 'info');
 }
 
+// Messenger Profile (Get Started, greeting, persistent menu, ice breakers)
+async function previewProfileSync() {
+    // Every Page has its own Messenger Profile
+    if (fbPages.length > 0 && !API.fbPageId) {
+        showToast('Select a Facebook Page first', 'info');
+        return;
+    }
+
+    try {
+        const { data } = await API.getProfileDiff();
+        const changes = data.filter(c => c.action !== 'unchanged');
+
+        document.getElementById('modal-title').textContent = fbPages.length > 0
+            ? `Messenger Profile Sync - ${getFbPageName(API.fbPageId)}`
+            : 'Messenger Profile Sync';
+        document.getElementById('modal-body').innerHTML = changes.length === 0
+            ? '<p>The Page profile already matches the menu options.</p>'
+            : `<ul>${changes.map(c => `<li><strong>${c.action}</strong> ${c.field}</li>`).join('')}</ul>`;
+        document.getElementById('modal-footer').innerHTML = changes.length === 0
+            ? ''
+            : '<button class="btn-primary" onclick="runProfileSync()">Sync Now</button>';
+        document.getElementById('modal-overlay').classList.add('active');
+    } catch (error) {
+        showToast(error.message || 'Failed to load Messenger Profile', 'error');
+    }
+}
+
+async function runProfileSync() {
+    try {
+        await API.syncProfile();
+        document.getElementById('modal-overlay').classList.remove('active');
+        showToast('Messenger Profile updated', 'success');
+    } catch (error) {
+        showToast(error.message || 'Messenger Profile sync failed', 'error');
+    }
+}
+
 function editMenuOption(id) {
     showToast('Edit menu option: ' + id, 'info');
 }
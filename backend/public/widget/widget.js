@@ -0,0 +1,282 @@
+/**
+ * Chatbot Copilot - Website Chat Widget
+ * Embed on any page of the website:
+ *
+ *   <script src="https://your-render-url.com/widget/widget.js" async
+ *           data-title="แชทกับเรา" data-color="#1da1f2"></script>
+ *
+ * The visitor keeps a browser id in localStorage, so the chat continues across visits.
+ * Messages go to the /widget Socket.io namespace of the backend that served this script
+ */
+
+(function () {
+    const script = document.currentScript;
+    const baseUrl = new URL(script.src).origin;
+    const options = {
+        title: script.dataset.title || 'แชทกับเรา',
+        color: script.dataset.color || '#1da1f2',
+        placeholder: script.dataset.placeholder || 'พิมพ์ข้อความ...'
+    };
+
+    const STORAGE_KEY = 'chatbot-widget-id';
+
+    let socket = null;
+    let elements = {};
+
+    /**
+     * Get the persistent browser id of this visitor
+     */
+    function getBrowserId() {
+        let id = localStorage.getItem(STORAGE_KEY);
+        if (!id) {
+            const random = window.crypto?.randomUUID
+                ? window.crypto.randomUUID()
+                : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            id = `web_${random}`;
+            localStorage.setItem(STORAGE_KEY, id);
+        }
+        return id;
+    }
+
+    /**
+     * Load the Socket.io client served by the backend
+     */
+    function loadSocketClient(callback) {
+        if (window.io) return callback();
+
+        const tag = document.createElement('script');
+        tag.src = `${baseUrl}/socket.io/socket.io.js`;
+        tag.onload = callback;
+        document.head.appendChild(tag);
+    }
+
+    function connect() {
+        // WebSocket only - no cross-origin long-polling requests
+        socket = window.io(`${baseUrl}/widget`, {
+            auth: { browserId: getBrowserId() },
+            transports: ['websocket']
+        });
+
+        socket.on('history', (messages) => {
+            elements.messages.innerHTML = '';
+            messages.forEach(msg => addBubble(msg.from, msg.text));
+        });
+
+        socket.on('message', (data) => {
+            setTyping(false);
+            renderMessage(data.message);
+        });
+
+        socket.on('typing', (data) => setTyping(data.on));
+
+        socket.on('connect_error', (error) => {
+            console.warn('Chat widget connection failed:', error.message);
+        });
+    }
+
+    // ============ UI ============
+
+    function createElement(tag, className, text) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    }
+
+    function injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+      .ccw-launcher { position: fixed; right: 20px; bottom: 20px; width: 56px; height: 56px; border-radius: 50%;
+        border: none; background: ${options.color}; color: #fff; font-size: 26px; cursor: pointer;
+        box-shadow: 0 4px 12px rgba(0,0,0,.2); z-index: 2147483000; }
+      .ccw-panel { position: fixed; right: 20px; bottom: 88px; width: 340px; max-width: calc(100vw - 40px);
+        height: 480px; max-height: calc(100vh - 120px); display: flex; flex-direction: column; background: #fff;
+        border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,.2); overflow: hidden; z-index: 2147483000;
+        font-family: -apple-system, "Segoe UI", Tahoma, sans-serif; font-size: 14px; }
+      .ccw-panel[hidden] { display: none; }
+      .ccw-header { padding: 14px 16px; background: ${options.color}; color: #fff; font-weight: 600; }
+      .ccw-messages { flex: 1; overflow-y: auto; padding: 12px; background: #f5f7fa; }
+      .ccw-bubble { max-width: 80%; margin: 4px 0; padding: 8px 12px; border-radius: 14px; white-space: pre-wrap;
+        word-wrap: break-word; clear: both; }
+      .ccw-bubble.customer { float: right; background: ${options.color}; color: #fff; }
+      .ccw-bubble.agent { float: left; background: #fff; color: #222; border: 1px solid #e3e6ea; }
+      .ccw-bubble img { max-width: 100%; border-radius: 8px; display: block; }
+      .ccw-typing { clear: both; color: #888; font-size: 12px; padding: 4px 0; }
+      .ccw-cards { clear: both; display: flex; gap: 8px; overflow-x: auto; padding: 4px 0; }
+      .ccw-card { flex: 0 0 220px; background: #fff; border: 1px solid #e3e6ea; border-radius: 10px; overflow: hidden; }
+      .ccw-card img { width: 100%; height: 120px; object-fit: cover; display: block; }
+      .ccw-card-title { padding: 8px 10px 2px; font-weight: 600; }
+      .ccw-card-subtitle { padding: 0 10px 6px; color: #666; font-size: 12px; }
+      .ccw-card button, .ccw-card a { display: block; width: 100%; padding: 8px; border: none; border-top: 1px solid #e3e6ea;
+        background: #fff; color: ${options.color}; text-align: center; text-decoration: none; cursor: pointer; font-size: 13px; }
+      .ccw-quick-replies { clear: both; display: flex; flex-wrap: wrap; gap: 6px; padding: 6px 0; }
+      .ccw-quick-replies button { padding: 6px 12px; border: 1px solid ${options.color}; border-radius: 16px;
+        background: #fff; color: ${options.color}; cursor: pointer; font-size: 13px; }
+      .ccw-form { display: flex; border-top: 1px solid #e3e6ea; }
+      .ccw-form input { flex: 1; padding: 12px; border: none; outline: none; font-size: 14px; }
+      .ccw-form button { padding: 0 16px; border: none; background: none; color: ${options.color}; font-weight: 600; cursor: pointer; }
+    `;
+        document.head.appendChild(style);
+    }
+
+    function buildUi() {
+        injectStyles();
+
+        const launcher = createElement('button', 'ccw-launcher', '💬');
+        launcher.setAttribute('aria-label', options.title);
+
+        const panel = createElement('div', 'ccw-panel');
+        panel.hidden = true;
+
+        const header = createElement('div', 'ccw-header', options.title);
+        const messages = createElement('div', 'ccw-messages');
+        const typing = createElement('div', 'ccw-typing', 'กำลังพิมพ์...');
+        typing.hidden = true;
+
+        const form = createElement('form', 'ccw-form');
+        const input = createElement('input');
+        input.placeholder = options.placeholder;
+        input.maxLength = 2000;
+        const send = createElement('button', null, 'ส่ง');
+        send.type = 'submit';
+        form.append(input, send);
+
+        panel.append(header, messages, form);
+        document.body.append(launcher, panel);
+
+        launcher.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) {
+                if (!socket) loadSocketClient(connect);
+                input.focus();
+            }
+        });
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = input.value.trim();
+            if (!text || !socket) return;
+
+            addBubble('customer', text);
+            socket.emit('message', { text });
+            input.value = '';
+        });
+
+        elements = { messages, typing, input };
+    }
+
+    function scrollToBottom() {
+        elements.messages.scrollTop = elements.messages.scrollHeight;
+    }
+
+    function addBubble(from, text) {
+        clearQuickReplies();
+        elements.messages.appendChild(createElement('div', `ccw-bubble ${from}`, text));
+        scrollToBottom();
+    }
+
+    function setTyping(on) {
+        elements.typing.hidden = !on;
+        if (on) elements.messages.appendChild(elements.typing);
+        scrollToBottom();
+    }
+
+    function clearQuickReplies() {
+        elements.messages.querySelectorAll('.ccw-quick-replies').forEach(el => el.remove());
+    }
+
+    /**
+     * Send a postback (quick reply or card button) and show the choice as the visitor's message
+     */
+    function sendPostback(payload, title) {
+        addBubble('customer', title);
+        socket.emit('postback', { payload, title });
+    }
+
+    /**
+     * Render a message in the Send API shape
+     */
+    function renderMessage(message) {
+        if (message.text) {
+            addBubble('agent', message.text);
+        }
+
+        const attachment = message.attachment;
+        if (attachment?.type === 'template') {
+            renderTemplate(attachment.payload);
+        } else if (attachment?.type === 'image') {
+            const bubble = createElement('div', 'ccw-bubble agent');
+            const img = createElement('img');
+            img.src = attachment.payload.url;
+            bubble.appendChild(img);
+            elements.messages.appendChild(bubble);
+        } else if (attachment?.payload?.url) {
+            const bubble = createElement('div', 'ccw-bubble agent');
+            const link = createElement('a', null, `📎 ${attachment.type}`);
+            link.href = attachment.payload.url;
+            link.target = '_blank';
+            bubble.appendChild(link);
+            elements.messages.appendChild(bubble);
+        }
+
+        if (message.quick_replies?.length) {
+            const container = createElement('div', 'ccw-quick-replies');
+            message.quick_replies.forEach(reply => {
+                const button = createElement('button', null, reply.title);
+                button.addEventListener('click', () => sendPostback(reply.payload, reply.title));
+                container.appendChild(button);
+            });
+            elements.messages.appendChild(container);
+        }
+
+        scrollToBottom();
+    }
+
+    /**
+     * Render button and generic templates as cards
+     */
+    function renderTemplate(payload) {
+        const cards = payload.template_type === 'button'
+            ? [{ title: payload.text, buttons: payload.buttons }]
+            : payload.elements || [];
+
+        if (!cards.length) {
+            if (payload.title || payload.text) addBubble('agent', payload.title || payload.text);
+            return;
+        }
+
+        const container = createElement('div', 'ccw-cards');
+        cards.forEach(card => {
+            const el = createElement('div', 'ccw-card');
+            if (card.image_url) {
+                const img = createElement('img');
+                img.src = card.image_url;
+                el.appendChild(img);
+            }
+            el.appendChild(createElement('div', 'ccw-card-title', card.title));
+            if (card.subtitle) el.appendChild(createElement('div', 'ccw-card-subtitle', card.subtitle));
+
+            (card.buttons || []).forEach(button => {
+                if (button.type === 'web_url') {
+                    const link = createElement('a', null, button.title);
+                    link.href = button.url;
+                    link.target = '_blank';
+                    el.appendChild(link);
+                } else {
+                    const action = createElement('button', null, button.title);
+                    action.addEventListener('click', () => sendPostback(button.payload, button.title));
+                    el.appendChild(action);
+                }
+            });
+
+            container.appendChild(el);
+        });
+        elements.messages.appendChild(container);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', buildUi);
+    } else {
+        buildUi();
+    }
+})();
@@ -8,11 +8,37 @@ const router = express.Router();
 
 const { getCustomers, getCustomerStats, updateCustomer } = require('../../models/customer');
 const { getMessageStats, getIntentDistribution, getHourlyDistribution } = require('../../models/chat');
-const { getMenuOptions, createMenuOption, updateMenuOption, deleteMenuOption, reorderMenuOptions } = require('../../models/menuOption');
+const { getMenuOptions, getMenuOption, createMenuOption, updateMenuOption, deleteMenuOption, reorderMenuOptions } = require('../../models/menuOption');
 const { analyzeTrends, getDailyStats } = require('../../services/ai/trendAnalyzer');
 const { generateDailyReport, getReport, getRecentReports } = require('../../services/reports/dailyReport');
 const { getStats: getVectorStats } = require('../../services/vector/pinecone');
+const { getQueueStats, getDeadEvents, retryDeadEvent } = require('../../models/inboundEvent');
+const { notifyEventWorker } = require('../../jobs/eventWorker');
 const { isBusinessHours, getBusinessStatus } = require('../../utils/businessHours');
+const { getBusinessHours } = require('../../utils/pageContext');
+const { getPages, getPageById, createPage, updatePage } = require('../../models/page');
+const {
+    FALLBACK_INTENTS,
+    ESCALATION_POLICIES,
+    ESCALATION_PRIORITIES,
+    getIntents,
+    getIntent,
+    getIntentByName,
+    createIntent,
+    updateIntent,
+    deleteIntent
+} = require('../../models/intent');
+const {
+    getOutboundFailures,
+    getOutboundFailureById,
+    getOutboundFailureStats,
+    resolveOutboundFailure,
+    recordRetryFailure
+} = require('../../models/outboundFailure');
+const { dispatch } = require('../../services/facebook/messenger');
+const { syncMessengerProfile, syncAfterMenuChange } = require('../../services/facebook/messengerProfile');
+const { getMetrics } = require('../../utils/metrics');
+const { getStructuredOutputStats } = require('../../services/ai/providers');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
 
@@ -35,14 +61,18 @@ router.use(authMiddleware);
 /**
  * GET /api/admin/dashboard
  * Get dashboard overview data
+ * Most list and stats endpoints accept ?pageId= to show a single Page
  */
 router.get('/dashboard', async (req, res) => {
     try {
+        const pageId = req.query.pageId || null;
+        const page = pageId ? getPageById(pageId) : null;
+
         const [customerStats, messageStats, vectorStats, businessStatus] = await Promise.all([
-            getCustomerStats(),
-            getMessageStats('7d'),
+            getCustomerStats(pageId),
+            getMessageStats('7d', pageId),
             getVectorStats(),
-            Promise.resolve(getBusinessStatus())
+            Promise.resolve(getBusinessStatus(getBusinessHours(page)))
         ]);
 
         res.json({
@@ -89,7 +119,7 @@ router.get('/analytics/trends', async (req, res) => {
 router.get('/analytics/intents', async (req, res) => {
     try {
         const period = req.query.period || '7d';
-        const intents = await getIntentDistribution(period);
+        const intents = await getIntentDistribution(period, req.query.pageId || null);
 
         res.json({
             success: true,
@@ -108,7 +138,7 @@ router.get('/analytics/intents', async (req, res) => {
 router.get('/analytics/hourly', async (req, res) => {
     try {
         const period = req.query.period || '7d';
-        const hourly = await getHourlyDistribution(period);
+        const hourly = await getHourlyDistribution(period, req.query.pageId || null);
 
         res.json({
             success: true,
@@ -127,7 +157,7 @@ router.get('/analytics/hourly', async (req, res) => {
 router.get('/analytics/daily', async (req, res) => {
     try {
         const days = parseInt(req.query.days) || 30;
-        const daily = await getDailyStats(days);
+        const daily = await getDailyStats(days, req.query.pageId || null);
 
         res.json({
             success: true,
@@ -143,12 +173,12 @@ router.get('/analytics/daily', async (req, res) => {
 
 /**
  * GET /api/admin/menu
- * Get all menu options
+ * Get all menu options (?pageId= gives one Page's menu: its own and the shared options)
  */
 router.get('/menu', async (req, res) => {
     try {
         const includeDisabled = req.query.all === 'true';
-        const options = await getMenuOptions(includeDisabled);
+        const options = await getMenuOptions(includeDisabled, req.query.pageId || null);
 
         res.json({
             success: true,
@@ -162,7 +192,8 @@ router.get('/menu', async (req, res) => {
 
 /**
  * POST /api/admin/menu
- * Create new menu option
+ * Create new menu option (body.pageId makes it a Page's own option, shared otherwise)
+ * Menu changes are synced to the Messenger Profile of the affected Pages (result in profileSync)
  */
 router.post('/menu', async (req, res) => {
     try {
@@ -170,7 +201,8 @@ router.post('/menu', async (req, res) => {
 
         res.json({
             success: true,
-            data: option
+            data: option,
+            profileSync: await syncAfterMenuChange(option.page_id)
         });
     } catch (error) {
         logger.error(`Menu create error: ${error.message}`);
@@ -186,9 +218,13 @@ router.put('/menu/:id', async (req, res) => {
     try {
         const option = await updateMenuOption(parseInt(req.params.id), req.body);
 
+        // An option moved to another Page changes the menu of both - sync all
+        const pageId = req.body.pageId !== undefined ? null : option.page_id;
+
         res.json({
             success: true,
-            data: option
+            data: option,
+            profileSync: await syncAfterMenuChange(pageId)
         });
     } catch (error) {
         logger.error(`Menu update error: ${error.message}`);
@@ -202,11 +238,13 @@ router.put('/menu/:id', async (req, res) => {
  */
 router.delete('/menu/:id', async (req, res) => {
     try {
+        const option = await getMenuOption(parseInt(req.params.id));
         await deleteMenuOption(parseInt(req.params.id));
 
         res.json({
             success: true,
-            message: 'Menu option deleted'
+            message: 'Menu option deleted',
+            profileSync: await syncAfterMenuChange(option?.page_id)
         });
     } catch (error) {
         logger.error(`Menu delete error: ${error.message}`);
@@ -224,7 +262,8 @@ router.post('/menu/reorder', async (req, res) => {
 
         res.json({
             success: true,
-            data: options
+            data: options,
+            profileSync: await syncAfterMenuChange()
         });
     } catch (error) {
         logger.error(`Menu reorder error: ${error.message}`);
@@ -232,6 +271,184 @@ router.post('/menu/reorder', async (req, res) => {
     }
 });
 
+/**
+ * Get the Page a Messenger Profile request is for
+ * With Pages registered a pageId is required; null in single-Page mode
+ * @returns {object|null|undefined} Page row, null, or undefined when the pageId is missing or unknown
+ */
+function getProfilePage(pageId) {
+    if (getPages(true).length === 0) return null;
+    return (pageId && getPageById(pageId)) || undefined;
+}
+
+/**
+ * GET /api/admin/messenger-profile/diff
+ * Dry run: what a Messenger Profile sync would change (?pageId= with several Pages)
+ */
+router.get('/messenger-profile/diff', async (req, res) => {
+    try {
+        const page = getProfilePage(req.query.pageId);
+        if (page === undefined) {
+            return res.status(400).json({ error: 'A valid pageId is required' });
+        }
+
+        const result = await syncMessengerProfile({ dryRun: true, page });
+
+        res.json({
+            success: true,
+            data: result.changes
+        });
+    } catch (error) {
+        logger.error(`Messenger Profile diff error: ${error.message}`);
+        res.status(500).json({ error: error.response?.data?.error?.message || error.message });
+    }
+});
+
+/**
+ * POST /api/admin/messenger-profile/sync
+ * Push the menu options to the Messenger Profile now (?pageId= with several Pages)
+ */
+router.post('/messenger-profile/sync', async (req, res) => {
+    try {
+        const page = getProfilePage(req.query.pageId);
+        if (page === undefined) {
+            return res.status(400).json({ error: 'A valid pageId is required' });
+        }
+
+        const result = await syncMessengerProfile({ page });
+
+        res.json({
+            success: true,
+            data: result.changes
+        });
+    } catch (error) {
+        logger.error(`Messenger Profile sync error: ${error.message}`);
+        res.status(500).json({ error: error.response?.data?.error?.message || error.message });
+    }
+});
+
+// ============ Intents ============
+
+/**
+ * GET /api/admin/intents
+ * Get the intents the AI classifies messages into (?all=true includes disabled ones)
+ */
+router.get('/intents', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: getIntents(req.query.all === 'true')
+        });
+    } catch (error) {
+        logger.error(`Intent list error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/intents
+ * Create an intent - it is offered to the classifier right away
+ * Body: { name, description, examples, department, menuOptionId,
+ *         escalationPolicy, escalationPriority, enabled }
+ */
+router.post('/intents', async (req, res) => {
+    try {
+        const invalid = await validateIntent(req.body, true);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (getIntentByName(req.body.name)) {
+            return res.status(409).json({ error: 'Intent already exists' });
+        }
+
+        res.json({
+            success: true,
+            data: createIntent(req.body)
+        });
+    } catch (error) {
+        logger.error(`Intent create error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/admin/intents/:id
+ * Update an intent (omitted fields are left unchanged, the name cannot change)
+ */
+router.put('/intents/:id', async (req, res) => {
+    try {
+        const intent = getIntent(parseInt(req.params.id));
+        if (!intent) {
+            return res.status(404).json({ error: 'Intent not found' });
+        }
+
+        const invalid = await validateIntent(req.body, false);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (req.body.enabled === false && FALLBACK_INTENTS.includes(intent.name)) {
+            return res.status(400).json({ error: `${intent.name} is a fallback intent and cannot be disabled` });
+        }
+
+        res.json({
+            success: true,
+            data: updateIntent(intent.id, req.body)
+        });
+    } catch (error) {
+        logger.error(`Intent update error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/admin/intents/:id
+ * Delete an intent (messages already tagged with it keep the name)
+ */
+router.delete('/intents/:id', (req, res) => {
+    try {
+        const intent = getIntent(parseInt(req.params.id));
+        if (!intent) {
+            return res.status(404).json({ error: 'Intent not found' });
+        }
+        if (FALLBACK_INTENTS.includes(intent.name)) {
+            return res.status(400).json({ error: `${intent.name} is a fallback intent and cannot be deleted` });
+        }
+
+        deleteIntent(intent.id);
+
+        res.json({
+            success: true,
+            message: 'Intent deleted'
+        });
+    } catch (error) {
+        logger.error(`Intent delete error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Check an intent body
+ * @returns {string|null} Error message, null when valid
+ */
+async function validateIntent(body, isNew) {
+    if (isNew && !/^[A-Z][A-Z0-9_]*$/.test(body.name || '')) {
+        return 'name is required and must be UPPER_SNAKE_CASE (e.g. ACCOUNT_CLOSE)';
+    }
+    if (body.examples !== undefined && !(Array.isArray(body.examples) && body.examples.every(e => typeof e === 'string'))) {
+        return 'examples must be an array of strings';
+    }
+    if (body.escalationPolicy !== undefined && !ESCALATION_POLICIES.includes(body.escalationPolicy)) {
+        return `escalationPolicy must be one of ${ESCALATION_POLICIES.join(', ')}`;
+    }
+    if (body.escalationPriority !== undefined && !ESCALATION_PRIORITIES.includes(body.escalationPriority)) {
+        return `escalationPriority must be one of ${ESCALATION_PRIORITIES.join(', ')}`;
+    }
+    if (body.menuOptionId && !(await getMenuOption(parseInt(body.menuOptionId)))) {
+        return 'menuOptionId does not exist';
+    }
+    return null;
+}
+
 // ============ Reports ============
 
 /**
@@ -294,6 +511,225 @@ router.post('/reports/generate', async (req, res) => {
     }
 });
 
+// ============ Inbound Queue ============
+
+/**
+ * GET /api/admin/queue
+ * Get inbound event queue stats and dead-letter events
+ */
+router.get('/queue', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                stats: getQueueStats(),
+                dead: getDeadEvents(parseInt(req.query.limit) || 100)
+            }
+        });
+    } catch (error) {
+        logger.error(`Queue stats error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/queue/:id/retry
+ * Put a dead-letter event back in the queue
+ */
+router.post('/queue/:id/retry', (req, res) => {
+    try {
+        const retried = retryDeadEvent(parseInt(req.params.id));
+
+        if (!retried) {
+            return res.status(404).json({ error: 'Dead-letter event not found' });
+        }
+
+        notifyEventWorker();
+
+        res.json({
+            success: true,
+            message: 'Event re-queued'
+        });
+    } catch (error) {
+        logger.error(`Queue retry error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ Failed Sends ============
+
+/**
+ * GET /api/admin/outbound/failed
+ * Get sends that failed permanently (dead-letter list)
+ */
+router.get('/outbound/failed', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                stats: getOutboundFailureStats(req.query.pageId || null),
+                failed: getOutboundFailures('failed', parseInt(req.query.limit) || 100, req.query.pageId || null)
+            }
+        });
+    } catch (error) {
+        logger.error(`Failed sends error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/outbound/failed/:id/retry
+ * Send a failed message again, exactly as it was sent the first time
+ */
+router.post('/outbound/failed/:id/retry', async (req, res) => {
+    try {
+        const failure = getOutboundFailureById(parseInt(req.params.id));
+
+        if (!failure || failure.status !== 'failed') {
+            return res.status(404).json({ error: 'Failed send not found' });
+        }
+
+        try {
+            await dispatch(failure.recipient_id, failure.payload, {
+                source: failure.source,
+                metadata: failure.metadata,
+                force: true,
+                deadLetter: false
+            });
+        } catch (error) {
+            if (error.code === 'SEND_FAILED') {
+                recordRetryFailure(failure.id, error);
+                return res.status(502).json({ error: error.message, category: error.category });
+            }
+            if (error.code === 'OUTSIDE_MESSAGING_WINDOW') {
+                return res.status(409).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        resolveOutboundFailure(failure.id, 'retried');
+
+        res.json({
+            success: true,
+            message: 'Message sent'
+        });
+    } catch (error) {
+        logger.error(`Failed send retry error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/outbound/failed/:id/dismiss
+ * Remove a failed send from the dead-letter list without sending it
+ */
+router.post('/outbound/failed/:id/dismiss', (req, res) => {
+    try {
+        resolveOutboundFailure(parseInt(req.params.id), 'dismissed');
+
+        res.json({
+            success: true,
+            message: 'Failed send dismissed'
+        });
+    } catch (error) {
+        logger.error(`Failed send dismiss error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============ Pages ============
+
+/**
+ * GET /api/admin/pages
+ * Get registered Facebook Pages (tokens and secrets are masked)
+ */
+router.get('/pages', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: getPages(true).map(maskPage)
+        });
+    } catch (error) {
+        logger.error(`Page list error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/pages
+ * Register a Facebook Page
+ * Body: { id, name, accessToken, appSecret, businessHoursStart, businessHoursEnd,
+ *         timezone, systemPrompt, vectorNamespace, instagramAccountId }
+ */
+router.post('/pages', (req, res) => {
+    try {
+        const { id, name, accessToken } = req.body;
+
+        if (!id || !name || !accessToken) {
+            return res.status(400).json({ error: 'id, name and accessToken are required' });
+        }
+        if (getPageById(id)) {
+            return res.status(409).json({ error: 'Page already registered' });
+        }
+
+        res.json({
+            success: true,
+            data: maskPage(createPage(req.body))
+        });
+    } catch (error) {
+        logger.error(`Page create error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/admin/pages/:id
+ * Update a Page (omitted fields are left unchanged, enabled: false stops serving it)
+ */
+router.put('/pages/:id', (req, res) => {
+    try {
+        if (!getPageById(req.params.id)) {
+            return res.status(404).json({ error: 'Page not found' });
+        }
+
+        res.json({
+            success: true,
+            data: maskPage(updatePage(req.params.id, req.body))
+        });
+    } catch (error) {
+        logger.error(`Page update error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Hide a Page's credentials, keeping the last characters to tell them apart
+ */
+function maskPage(page) {
+    const mask = value => (value ? `••••${value.slice(-4)}` : null);
+
+    return {
+        ...page,
+        access_token: mask(page.access_token),
+        app_secret: mask(page.app_secret)
+    };
+}
+
+/**
+ * GET /api/admin/metrics
+ * Get operational counters (e.g. rejected webhook signatures) and the
+ * invalid / failure rates of structured AI outputs
+ */
+router.get('/metrics', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...getMetrics(),
+            structuredOutputs: getStructuredOutputStats()
+        }
+    });
+});
+
 // ============ Settings ============
 
 /**
@@ -305,6 +741,7 @@ router.get('/settings', (req, res) => {
         success: true,
         data: {
             businessHours: config.businessHours,
+            pages: getPages(true).map(p => ({ id: p.id, name: p.name, businessHours: getBusinessHours(p) })),
             ai: {
                 confidenceThreshold: config.ai.confidenceThreshold,
                 maxContextMessages: config.ai.maxContextMessages
@@ -6,10 +6,13 @@ const express = require('express');
 const router = express.Router();
 
 const { getMessages, getRecentMessages, saveMessage, getMessageStats } = require('../../models/chat');
+const { getOrCreateCustomer, getTakeover, setTakeover, releaseTakeover } = require('../../models/customer');
+const { getPageById, getPageForCustomer } = require('../../models/page');
 const { processStaffReply } = require('../../services/chat/processor');
 const { sendMessage } = require('../../services/facebook/messenger');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
+const { runWithPage } = require('../../utils/pageContext');
 
 // Auth middleware
 const authMiddleware = (req, res, next) => {
@@ -34,7 +37,8 @@ router.get('/', async (req, res) => {
             senderId: req.query.senderId,
             sender: req.query.sender,
             intent: req.query.intent,
-            since: req.query.since
+            since: req.query.since,
+            pageId: req.query.pageId
         };
 
         const messages = await getMessages(options);
@@ -56,7 +60,7 @@ router.get('/', async (req, res) => {
 router.get('/stats', async (req, res) => {
     try {
         const period = req.query.period || '7d';
-        const stats = await getMessageStats(period);
+        const stats = await getMessageStats(period, req.query.pageId || null);
 
         res.json({
             success: true,
@@ -100,11 +104,16 @@ router.post('/:senderId/reply', async (req, res) => {
             return res.status(400).json({ error: 'Message text is required' });
         }
 
-        // Send message via Facebook
-        await sendMessage(senderId, text);
+        // Send message via Facebook (HUMAN_AGENT tag applies outside the 24-hour window)
+        try {
+            await sendMessage(senderId, text, 'staff', { staffId: staffId || 'admin' });
+        } catch (error) {
+            if (error.code !== 'OUTSIDE_MESSAGING_WINDOW') throw error;
+            return res.status(409).json({ error: 'Customer is outside the messaging window, reply cannot be sent' });
+        }
 
-        // Process and save staff reply
-        await processStaffReply(senderId, staffId || 'admin', text);
+        // Process and save staff reply (takes over the thread from the bot)
+        const { takeover } = await processStaffReply(senderId, staffId || 'admin', text);
 
         // Emit to admin dashboard
         const io = req.app.get('io');
@@ -112,6 +121,7 @@ router.post('/:senderId/reply', async (req, res) => {
             senderId,
             text,
             staffId: staffId || 'admin',
+            takeover,
             timestamp: new Date().toISOString()
         });
 
@@ -125,4 +135,69 @@ router.post('/:senderId/reply', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/chats/:senderId/takeover
+ * Get who currently owns the thread (null when the bot is in charge)
+ */
+router.get('/:senderId/takeover', async (req, res) => {
+    try {
+        const takeover = await getTakeover(req.params.senderId);
+
+        res.json({
+            success: true,
+            data: takeover
+        });
+    } catch (error) {
+        logger.error(`Takeover get error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/chats/:senderId/takeover
+ * Take over the thread from the bot
+ * A customer not seen yet is created under the Page given as pageId
+ */
+router.post('/:senderId/takeover', async (req, res) => {
+    try {
+        const { staffId, minutes, pageId } = req.body;
+        const senderId = req.params.senderId;
+
+        const page = getPageForCustomer(senderId) || (pageId ? getPageById(pageId) : null);
+        await runWithPage(page, () => getOrCreateCustomer(senderId));
+        const takeover = await setTakeover(senderId, staffId || 'admin', parseInt(minutes) || undefined);
+
+        req.app.get('io').to('admin-room').emit('takeover-changed', { senderId, takeover });
+
+        res.json({
+            success: true,
+            data: takeover
+        });
+    } catch (error) {
+        logger.error(`Takeover error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/chats/:senderId/takeover
+ * Release the thread back to the bot
+ */
+router.delete('/:senderId/takeover', async (req, res) => {
+    try {
+        const senderId = req.params.senderId;
+        const released = await releaseTakeover(senderId);
+
+        req.app.get('io').to('admin-room').emit('takeover-changed', { senderId, takeover: null });
+
+        res.json({
+            success: true,
+            released
+        });
+    } catch (error) {
+        logger.error(`Takeover release error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 module.exports = router;
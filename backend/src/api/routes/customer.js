@@ -7,6 +7,8 @@ const router = express.Router();
 
 const { getCustomers, getOrCreateCustomer, updateCustomer, addCustomerTag, getInactiveCustomers } = require('../../models/customer');
 const { getRecentMessages } = require('../../models/chat');
+const { getCustomerConversations } = require('../../models/conversation');
+const { getCustomerOptins } = require('../../models/notificationOptin');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
 
@@ -32,7 +34,8 @@ router.get('/', async (req, res) => {
             offset: parseInt(req.query.offset) || 0,
             search: req.query.search || '',
             sortBy: req.query.sortBy || 'last_contact',
-            sortOrder: req.query.sortOrder || 'DESC'
+            sortOrder: req.query.sortOrder || 'DESC',
+            pageId: req.query.pageId || null
         };
 
         const customers = await getCustomers(options);
@@ -58,7 +61,7 @@ router.get('/', async (req, res) => {
 router.get('/inactive', async (req, res) => {
     try {
         const days = parseInt(req.query.days) || config.wakeup.inactiveDays;
-        const customers = await getInactiveCustomers(days);
+        const customers = await getInactiveCustomers(days, req.query.pageId || null);
 
         res.json({
             success: true,
@@ -84,7 +87,8 @@ router.get('/:id', async (req, res) => {
             success: true,
             data: {
                 ...customer,
-                recentMessages
+                recentMessages,
+                notificationOptins: getCustomerOptins(req.params.id)
             }
         });
     } catch (error) {
@@ -93,6 +97,24 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/customers/:id/conversations
+ * Get conversation sessions of a customer, newest first
+ */
+router.get('/:id/conversations', async (req, res) => {
+    try {
+        const conversations = await getCustomerConversations(req.params.id, parseInt(req.query.limit) || 20);
+
+        res.json({
+            success: true,
+            data: conversations
+        });
+    } catch (error) {
+        logger.error(`Customer conversations error: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * PUT /api/customers/:id
  * Update customer
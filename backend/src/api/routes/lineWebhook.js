@@ -0,0 +1,109 @@
+/**
+ * LINE Webhook Handler
+ * Receives events from the LINE Messaging API and queues them for processing
+ * Events are converted to Messenger events (see lineEvents.js) and handled by the same worker
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { enqueueEvents } = require('../../models/inboundEvent');
+const { markUnreachable } = require('../../models/customer');
+const { notifyEventWorker } = require('../../jobs/eventWorker');
+const { toMessagingEvent } = require('../../services/line/lineEvents');
+const { rememberReplyToken } = require('../../services/line/lineApi');
+const { increment } = require('../../utils/metrics');
+
+/**
+ * Verify request signature from LINE (X-Line-Signature)
+ * The base64 HMAC-SHA256 of the raw body with the channel secret must match, otherwise 403
+ */
+function verifyLineSignature(req, res, next) {
+    const signature = req.headers['x-line-signature'];
+
+    if (!config.line.channelSecret) {
+        logger.error('LINE_CHANNEL_SECRET not configured - rejecting LINE webhook request');
+        return rejectRequest(res, 'no_secret');
+    }
+
+    if (!signature) {
+        logger.warn('LINE webhook request without signature rejected');
+        return rejectRequest(res, 'missing');
+    }
+
+    if (!req.rawBody) {
+        logger.warn('LINE webhook request without a JSON body rejected');
+        return rejectRequest(res, 'no_body');
+    }
+
+    const received = Buffer.from(signature, 'base64');
+    const expected = crypto.createHmac('sha256', config.line.channelSecret).update(req.rawBody).digest();
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        logger.error('Invalid LINE webhook signature');
+        return rejectRequest(res, 'mismatch');
+    }
+
+    next();
+}
+
+/**
+ * Reject a webhook request and count it
+ */
+function rejectRequest(res, reason) {
+    increment('webhook_signature_rejected', { channel: 'line', reason });
+    res.sendStatus(403);
+}
+
+/**
+ * LINE Webhook Events Handler (POST)
+ * The "Verify" button in the LINE Developers console sends an empty event list
+ */
+router.post('/', verifyLineSignature, async (req, res) => {
+    const { destination, events: lineEvents = [] } = req.body;
+
+    const events = [];
+    try {
+        for (const lineEvent of lineEvents) {
+            const userId = lineEvent.source?.userId;
+
+            // Blocked by the user - stop messaging them until they add us again
+            if (lineEvent.type === 'unfollow' && userId) {
+                await markUnreachable(userId, 'LINE: blocked by user');
+                continue;
+            }
+
+            const webhookEvent = toMessagingEvent(lineEvent, destination);
+            if (!webhookEvent) continue;
+
+            // Reply tokens of redelivered events can no longer be used
+            if (!lineEvent.deliveryContext?.isRedelivery) {
+                rememberReplyToken(userId, lineEvent.replyToken, lineEvent.timestamp);
+            }
+
+            events.push({
+                eventId: webhookEvent.message?.mid || webhookEvent.postback?.mid,
+                customerId: userId,
+                eventType: webhookEvent.message ? 'message' : 'postback',
+                channel: 'line',
+                payload: webhookEvent
+            });
+        }
+
+        const queued = enqueueEvents(events);
+        logger.debug(`Queued ${queued} of ${lineEvents.length} LINE webhook events`);
+    } catch (error) {
+        logger.error(`Failed to queue LINE webhook events: ${error.message}`);
+        return res.sendStatus(500);
+    }
+
+    res.sendStatus(200);
+
+    // Wake the worker instead of waiting for the next poll
+    notifyEventWorker();
+});
+
+module.exports = router;
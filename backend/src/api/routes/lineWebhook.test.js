@@ -0,0 +1,152 @@
+/**
+ * Tests for the LINE webhook route: signature check, queueing and unfollow
+ */
+
+const crypto = require('crypto');
+
+const { useTestDatabase } = require('../../../test/testDatabase');
+useTestDatabase('line-webhook');
+
+const axios = require('axios');
+const express = require('express');
+const config = require('../../utils/config');
+const { getDatabase } = require('../../models/database');
+const { getOrCreateCustomer } = require('../../models/customer');
+const { startLineApiStub } = require('../../services/line/lineApiStub');
+const { sendLinePayload } = require('../../services/line/lineApi');
+const lineWebhookRoutes = require('./lineWebhook');
+
+const SECRET = 'line-test-secret';
+
+let server;
+let webhookUrl;
+let stub;
+
+beforeAll(async () => {
+    config.line.channelSecret = SECRET;
+    stub = await startLineApiStub();
+    config.line.apiUrl = stub.url;
+
+    // Same body parsing as index.js - the signature is computed over the raw body
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use('/webhook/line', lineWebhookRoutes);
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    webhookUrl = `http://127.0.0.1:${server.address().port}/webhook/line`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await stub.close();
+});
+
+/**
+ * POST a webhook body, signed with the channel secret unless a signature is given
+ * @returns {number} HTTP status
+ */
+async function postWebhook(body, signature) {
+    const raw = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json' };
+    if (signature !== null) {
+        headers['X-Line-Signature'] = signature ?? crypto.createHmac('sha256', SECRET).update(raw).digest('base64');
+    }
+
+    const response = await axios.post(webhookUrl, raw, { headers, validateStatus: () => true });
+    return response.status;
+}
+
+/**
+ * A text message event from a LINE user
+ */
+function textEvent(userId, id, text) {
+    return {
+        type: 'message',
+        webhookEventId: `evt-${id}`,
+        timestamp: Date.now(),
+        replyToken: `reply-${id}`,
+        source: { type: 'user', userId },
+        deliveryContext: { isRedelivery: false },
+        message: { id, type: 'text', text }
+    };
+}
+
+function queuedEvents(customerId) {
+    return getDatabase().prepare('SELECT * FROM inbound_events WHERE customer_id = ?').all(customerId);
+}
+
+describe('X-Line-Signature', () => {
+    test('accepts a request signed with the channel secret', async () => {
+        const status = await postWebhook({ destination: 'bot', events: [textEvent('U-signed', '1', 'สวัสดี')] });
+
+        expect(status).toBe(200);
+        expect(queuedEvents('U-signed')).toHaveLength(1);
+        expect(queuedEvents('U-signed')[0]).toMatchObject({ event_id: 'line_evt-1', channel: 'line' });
+    });
+
+    test('rejects a request with a wrong signature', async () => {
+        const wrong = crypto.createHmac('sha256', 'another-secret').update('{}').digest('base64');
+
+        const status = await postWebhook({ destination: 'bot', events: [textEvent('U-forged', '2', 'hi')] }, wrong);
+
+        expect(status).toBe(403);
+        expect(queuedEvents('U-forged')).toHaveLength(0);
+    });
+
+    test('rejects a request without a signature', async () => {
+        const status = await postWebhook({ destination: 'bot', events: [textEvent('U-unsigned', '3', 'hi')] }, null);
+
+        expect(status).toBe(403);
+        expect(queuedEvents('U-unsigned')).toHaveLength(0);
+    });
+
+    test('rejects every request while no channel secret is configured', async () => {
+        config.line.channelSecret = undefined;
+        try {
+            expect(await postWebhook({ destination: 'bot', events: [] })).toBe(403);
+        } finally {
+            config.line.channelSecret = SECRET;
+        }
+    });
+});
+
+describe('reply tokens', () => {
+    beforeEach(() => stub.reset());
+
+    test('the first reply to a message uses its reply token', async () => {
+        await postWebhook({ destination: 'bot', events: [textEvent('U-token', '4', 'สอบถาม')] });
+
+        await sendLinePayload('U-token', { message: { text: 'ยินดีให้บริการครับ' } });
+
+        expect(stub.requests.map(r => r.path)).toEqual(['/v2/bot/message/reply']);
+        expect(stub.requests[0].body.replyToken).toBe('reply-4');
+    });
+
+    test('the reply token of a redelivered event is not used', async () => {
+        const event = { ...textEvent('U-redelivered', '5', 'สอบถาม'), deliveryContext: { isRedelivery: true } };
+        await postWebhook({ destination: 'bot', events: [event] });
+
+        await sendLinePayload('U-redelivered', { message: { text: 'ยินดีให้บริการครับ' } });
+
+        expect(stub.requests.map(r => r.path)).toEqual(['/v2/bot/message/push']);
+    });
+});
+
+describe('unfollow', () => {
+    test('marks the customer unreachable and queues nothing', async () => {
+        await getOrCreateCustomer('U-blocked');
+
+        const status = await postWebhook({
+            destination: 'bot',
+            events: [{ type: 'unfollow', timestamp: Date.now(), source: { type: 'user', userId: 'U-blocked' } }]
+        });
+
+        expect(status).toBe(200);
+        const customer = getDatabase()
+            .prepare('SELECT unreachable_at, unreachable_reason FROM customers WHERE fb_user_id = ?')
+            .get('U-blocked');
+        expect(customer.unreachable_at).toBeTruthy();
+        expect(customer.unreachable_reason).toBe('LINE: blocked by user');
+        expect(queuedEvents('U-blocked')).toHaveLength(0);
+    });
+});
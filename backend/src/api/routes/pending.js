@@ -11,10 +11,12 @@ const {
     approvePendingMessage,
     rejectPendingMessage,
     markMessageSent,
+    markMessageExpired,
+    markMessageFailed,
     getApprovedMessages,
     getPendingStats
 } = require('../../models/pendingMessage');
-const { forceSendMessage } = require('../../services/facebook/messenger');
+const { sendPendingMessage } = require('../../services/facebook/messenger');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
 
@@ -31,13 +33,14 @@ router.use(authMiddleware);
 
 /**
  * GET /api/pending
- * Get all pending messages
+ * Get all pending messages (?pageId= limits them to one Page)
  */
 router.get('/', async (req, res) => {
     try {
         const status = req.query.status || 'pending';
-        const messages = getPendingMessages(status);
-        const stats = getPendingStats();
+        const pageId = req.query.pageId || null;
+        const messages = getPendingMessages(status, pageId);
+        const stats = getPendingStats(pageId);
 
         res.json({
             success: true,
@@ -57,7 +60,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/stats', (req, res) => {
     try {
-        const stats = getPendingStats();
+        const stats = getPendingStats(req.query.pageId || null);
 
         res.json({
             success: true,
@@ -109,7 +112,7 @@ router.post('/:id/reject', async (req, res) => {
 
 /**
  * POST /api/pending/:id/send
- * Actually send an approved message to Facebook
+ * Actually send an approved message to Facebook, exactly as it was queued
  */
 router.post('/:id/send', async (req, res) => {
     try {
@@ -120,8 +123,20 @@ router.post('/:id/send', async (req, res) => {
             return res.status(404).json({ error: 'Approved message not found' });
         }
 
-        // Send via Facebook
-        await forceSendMessage(message.recipient_id, message.message);
+        // Send via Facebook (re-checked against the 24-hour messaging window)
+        try {
+            await sendPendingMessage(message);
+        } catch (error) {
+            if (error.code === 'OUTSIDE_MESSAGING_WINDOW') {
+                markMessageExpired(message.id);
+                return res.status(409).json({ error: 'Message expired: customer is outside the 24-hour messaging window' });
+            }
+            if (error.code === 'SEND_FAILED') {
+                markMessageFailed(message.id);
+                return res.status(502).json({ error: error.message, category: error.category });
+            }
+            throw error;
+        }
 
         // Mark as sent
         markMessageSent(message.id);
@@ -138,28 +153,51 @@ router.post('/:id/send', async (req, res) => {
 
 /**
  * POST /api/pending/send-all
- * Send all approved messages
+ * Send all approved messages (?pageId= only sends one Page's messages)
+ * Messages whose recipient has left the 24-hour messaging window are expired;
+ * messages Facebook rejects are marked failed and counted by error category
  */
 router.post('/send-all', async (req, res) => {
     try {
-        const messages = getApprovedMessages();
+        const messages = getApprovedMessages(req.query.pageId || null);
         let sent = 0;
         let failed = 0;
+        let expired = 0;
+        const failedByCategory = {};
+        // Pages whose access token was rejected - their remaining messages stay approved
+        const expiredTokenPages = new Set();
 
         for (const message of messages) {
+            if (expiredTokenPages.has(message.page_id)) continue;
+
             try {
-                await forceSendMessage(message.recipient_id, message.message);
+                await sendPendingMessage(message);
                 markMessageSent(message.id);
                 sent++;
             } catch (e) {
+                if (e.code === 'OUTSIDE_MESSAGING_WINDOW') {
+                    markMessageExpired(message.id);
+                    expired++;
+                    continue;
+                }
+
                 logger.error(`Failed to send message ${message.id}: ${e.message}`);
                 failed++;
+
+                if (e.code !== 'SEND_FAILED') continue;
+
+                markMessageFailed(message.id);
+                failedByCategory[e.category] = (failedByCategory[e.category] || 0) + 1;
+
+                // Every other send from this Page would fail the same way
+                if (e.category === 'token_expired') expiredTokenPages.add(message.page_id);
             }
         }
 
         res.json({
             success: true,
-            message: `Sent ${sent} messages, ${failed} failed`
+            message: `Sent ${sent} messages, ${failed} failed, ${expired} expired`,
+            data: { sent, failed, expired, failedByCategory }
         });
     } catch (error) {
         logger.error(`Send all error: ${error.message}`);
@@ -1,6 +1,6 @@
 /**
  * Facebook Messenger Webhook Handler
- * Receives and processes messages from Facebook Messenger
+ * Receives messages from Facebook Messenger and Instagram Direct and queues them for processing
  */
 
 const express = require('express');
@@ -9,12 +9,16 @@ const router = express.Router();
 
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
-const { isBusinessHours, getBusinessStatus } = require('../../utils/businessHours');
-const { processMessage } = require('../../services/chat/processor');
-const { sendMessage, sendQuickReplies } = require('../../services/facebook/messenger');
-const { getMenuOptions } = require('../../models/menuOption');
-const { analyzeImage, createRagDescription } = require('../../services/ai/vision');
-const { addDocuments } = require('../../services/vector/pinecone');
+const { enqueueEvents } = require('../../models/inboundEvent');
+const { getPages, getPageById, getPageByInstagramAccountId } = require('../../models/page');
+const { notifyEventWorker } = require('../../jobs/eventWorker');
+const { increment } = require('../../utils/metrics');
+
+// Webhook object -> channel of the customers it comes from
+const CHANNELS = {
+    page: 'messenger',
+    instagram: 'instagram'
+};
 
 /**
  * Webhook Verification (GET)
@@ -39,316 +43,204 @@ router.get('/', (req, res) => {
 });
 
 /**
- * Verify request signature from Facebook
+ * Verify request signature from Facebook (X-Hub-Signature-256)
+ * The HMAC of the raw body must match the app secret of a Page in the request,
+ * the current or, during a rotation, the previous app secret. Anything else is rejected with 403
+ * The matching secret is kept on the request: a Page's own secret only vouches for
+ * that Page's entries (see isEntrySigned)
  */
-function verifyRequestSignature(req, res, buf) {
+function verifyRequestSignature(req, res, next) {
     const signature = req.headers['x-hub-signature-256'];
-
-    if (!signature) {
-        logger.warn('No signature in request');
-        return;
+    const secrets = [
+        ...getEntryPageSecrets(req.body),
+        config.facebook.appSecret,
+        config.facebook.previousAppSecret
+    ].filter(Boolean);
+
+    if (secrets.length === 0) {
+        logger.error('FB_APP_SECRET not configured - rejecting webhook request');
+        return rejectRequest(res, 'no_secret');
     }
 
-    const expectedSignature = 'sha256=' + crypto
-        .createHmac('sha256', config.facebook.appSecret)
-        .update(buf)
-        .digest('hex');
-
-    if (signature !== expectedSignature) {
-        logger.error('Invalid signature');
-        throw new Error('Invalid signature');
+    if (!signature || !signature.startsWith('sha256=')) {
+        logger.warn('Webhook request without signature rejected');
+        return rejectRequest(res, 'missing');
     }
-}
-
-/**
- * Webhook Messages Handler (POST)
- * Receives incoming messages from Facebook
- */
-router.post('/', async (req, res) => {
-    const body = req.body;
 
-    // Verify this is from a Page subscription
-    if (body.object !== 'page') {
-        logger.warn('Received non-page webhook event');
-        return res.sendStatus(404);
+    if (!req.rawBody) {
+        logger.warn('Webhook request without a JSON body rejected');
+        return rejectRequest(res, 'no_body');
     }
 
-    // Return 200 immediately to prevent timeout
-    res.status(200).send('EVENT_RECEIVED');
-
-    // Process each entry
-    for (const entry of body.entry) {
-        const webhookEvent = entry.messaging?.[0];
-
-        if (!webhookEvent) continue;
+    const received = Buffer.from(signature.slice('sha256='.length), 'hex');
 
-        const senderId = webhookEvent.sender.id;
-        const io = req.app.get('io');
+    const matched = secrets.find(secret => {
+        const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
 
-        try {
-            // Handle different event types
-            if (webhookEvent.message) {
-                await handleMessage(senderId, webhookEvent.message, io);
-            } else if (webhookEvent.postback) {
-                await handlePostback(senderId, webhookEvent.postback, io);
-            }
-        } catch (error) {
-            logger.error(`Error processing webhook event: ${error.message}`, error);
-        }
+    if (!matched) {
+        logger.error('Invalid webhook signature');
+        return rejectRequest(res, 'mismatch');
     }
-});
 
-/**
- * Handle incoming messages (text and images)
- */
-async function handleMessage(senderId, message, io) {
-    const messageText = message.text;
-    const messageId = message.mid;
-    const attachments = message.attachments;
-
-    // Handle image attachments
-    if (attachments && attachments.length > 0) {
-        for (const attachment of attachments) {
-            if (attachment.type === 'image') {
-                await handleImageMessage(senderId, attachment.payload.url, io);
-            }
-        }
-        // If only image, return
-        if (!messageText) return;
+    if (matched === config.facebook.previousAppSecret) {
+        // Signed with the previous secret - the rotation is not finished yet
+        increment('webhook_signature_previous_secret');
     }
 
-    // Handle text message
-    if (!messageText) {
-        logger.debug('Received non-text message (sticker, etc.)');
-        return;
-    }
-
-    logger.info(`Received message from ${senderId}: ${messageText}`);
-
-    // Emit to admin dashboard in real-time (always, even in learning mode)
-    io.to('admin-room').emit('new-message', {
-        senderId,
-        messageText,
-        messageId,
-        timestamp: new Date().toISOString()
-    });
-
-    // LEARNING MODE: Only collect data, do NOT respond to customers
-    if (config.learningMode) {
-        logger.info(`[LEARNING MODE] Message logged but NOT responding to ${senderId}`);
+    req.signatureSecret = matched;
+    next();
+}
 
-        // Still save the message for analysis
-        const { saveMessage } = require('../../models/chat');
-        const { getOrCreateCustomer } = require('../../models/customer');
+/**
+ * Check that the request was signed with a secret allowed to speak for an entry's Page:
+ * the app secret (current or previous) covers every entry, a Page's app secret only its own
+ * @param {object|null} page - Registered Page of the entry (null in single-Page mode)
+ */
+function isEntrySigned(req, page) {
+    const appSecrets = [config.facebook.appSecret, config.facebook.previousAppSecret].filter(Boolean);
+    if (appSecrets.includes(req.signatureSecret)) return true;
 
-        await getOrCreateCustomer(senderId);
-        await saveMessage({
-            senderId,
-            text: messageText,
-            sender: 'customer',
-            intent: 'UNKNOWN',
-            intentConfidence: 0
-        });
+    return !!page?.app_secret && page.app_secret === req.signatureSecret;
+}
 
-        return; // Do not respond
-    }
+/**
+ * Get the app secrets of the registered Pages the request's entries are for
+ * (the body is only trusted once one of these secrets verifies it)
+ */
+function getEntryPageSecrets(body) {
+    const entryIds = new Set((body?.entry || []).map(entry => String(entry.id)));
+    return [...entryIds].map(id => getEntryPage(body.object, id)?.app_secret).filter(Boolean);
+}
 
-    // Check business hours (only when NOT in learning mode)
-    const businessStatus = getBusinessStatus();
+/**
+ * Get the registered Page a webhook entry is for
+ * Instagram entries carry the Instagram account id, which is linked to a Page
+ */
+function getEntryPage(object, entryId) {
+    return object === 'instagram' ? getPageByInstagramAccountId(entryId) : getPageById(entryId);
+}
 
-    if (businessStatus.isOpen) {
-        await handleDuringBusinessHours(senderId, messageText, io);
-    } else {
-        await handleOutsideBusinessHours(senderId, messageText, io);
-    }
+/**
+ * Reject a webhook request and count it
+ */
+function rejectRequest(res, reason) {
+    increment('webhook_signature_rejected', { reason });
+    res.sendStatus(403);
 }
 
 /**
- * Handle image messages - analyze with Gemini Vision
+ * Webhook Messages Handler (POST)
+ * Receives incoming messages from Facebook (object 'page') and Instagram (object 'instagram')
  */
-async function handleImageMessage(senderId, imageUrl, io) {
-    logger.info(`Received image from ${senderId}`);
-
-    // LEARNING MODE: Only log, do NOT respond
-    if (config.learningMode) {
-        logger.info(`[LEARNING MODE] Image received but NOT processing for ${senderId}`);
-
-        // Emit to admin dashboard
-        io.to('admin-room').emit('image-received', {
-            senderId,
-            imageUrl,
-            learningMode: true,
-            timestamp: new Date().toISOString()
-        });
-
-        return; // Do not respond or analyze
-    }
+router.post('/', verifyRequestSignature, async (req, res) => {
+    const body = req.body;
 
-    // Acknowledge receipt (only when NOT in learning mode)
-    await sendMessage(senderId, 'ได้รับรูปภาพแล้วครับ กำลังวิเคราะห์...');
+    // Verify this is from a Page or Instagram subscription
+    const channel = CHANNELS[body.object];
+    if (!channel) {
+        logger.warn(`Received webhook event for unsupported object ${body.object}`);
+        return res.sendStatus(404);
+    }
 
-    try {
-        // Analyze image with Gemini Vision
-        const analysis = await analyzeImage(imageUrl);
-
-        if (analysis.success) {
-            // Create description for RAG
-            const ragDescription = createRagDescription(analysis);
-
-            // Send analysis result to customer
-            let responseText = '';
-            if (analysis.type === 'slip' || analysis.type === 'สลิปโอนเงิน') {
-                responseText = `📋 ได้รับสลิปแล้วครับ\n`;
-                if (analysis.details.amount) responseText += `💰 จำนวน: ${analysis.details.amount}\n`;
-                if (analysis.details.date) responseText += `📅 วันที่: ${analysis.details.date}\n`;
-                if (analysis.details.reference) responseText += `🔖 อ้างอิง: ${analysis.details.reference}`;
-            } else {
-                responseText = `📋 วิเคราะห์รูปแล้ว:\n${analysis.summary}`;
-            }
-
-            await sendMessage(senderId, responseText);
-
-            // Store in RAG for learning
-            if (ragDescription) {
-                await addDocuments([{
-                    question: `ลูกค้าส่งรูป: ${analysis.type}`,
-                    answer: analysis.summary,
-                    conversationId: `img_${senderId}_${Date.now()}`,
-                    customerId: senderId,
-                    timestamp: new Date().toISOString()
-                }]);
-                logger.info('Image analysis stored in RAG');
-            }
-
-            // Emit to admin dashboard
-            io.to('admin-room').emit('image-received', {
-                senderId,
-                imageUrl,
-                analysis,
-                timestamp: new Date().toISOString()
+    // Persist every event in every entry before acknowledging
+    // Facebook batches several events per entry and redelivers on non-200
+    // Events on the standby channel belong to threads owned by another app
+    // Each entry is for one Page (entry.id) or Instagram account - with Pages registered,
+    // entries for unknown or disabled Pages are dropped, and so are entries the
+    // signature does not cover (signed with another Page's secret)
+    const multiPage = getPages(true).length > 0;
+    const events = [];
+    for (const entry of body.entry || []) {
+        const page = multiPage ? getEntryPage(body.object, entry.id) : null;
+        if (multiPage && !page?.enabled) {
+            logger.warn(`Dropping webhook entry for unregistered ${channel} account ${entry.id}`);
+            increment('webhook_unknown_page');
+            continue;
+        }
+        if (!isEntrySigned(req, page)) {
+            logger.error(`Dropping webhook entry for ${channel} account ${entry.id} - not signed with its Page's secret`);
+            increment('webhook_signature_rejected', { reason: 'entry_mismatch' });
+            continue;
+        }
+        const pageId = page?.id || null;
+
+        for (const webhookEvent of entry.messaging || []) {
+            const customerId = getCustomerId(webhookEvent);
+            if (!customerId) continue;
+
+            events.push({
+                eventId: getEventId(webhookEvent),
+                customerId,
+                eventType: getEventType(webhookEvent),
+                pageId,
+                channel,
+                payload: webhookEvent
             });
+        }
 
-        } else {
-            await sendMessage(senderId, 'ไม่สามารถวิเคราะห์รูปได้ครับ กรุณาลองส่งใหม่หรือติดต่อเจ้าหน้าที่');
+        for (const webhookEvent of entry.standby || []) {
+            const customerId = getCustomerId(webhookEvent);
+            if (!customerId) continue;
+
+            events.push({
+                eventId: getEventId(webhookEvent),
+                customerId,
+                eventType: 'standby',
+                pageId,
+                channel,
+                payload: webhookEvent
+            });
         }
+    }
 
+    try {
+        const queued = enqueueEvents(events);
+        logger.debug(`Queued ${queued} of ${events.length} webhook events`);
     } catch (error) {
-        logger.error(`Image analysis error: ${error.message}`);
-        await sendMessage(senderId, 'เกิดข้อผิดพลาดในการวิเคราะห์รูป กรุณาลองใหม่อีกครั้งครับ');
+        logger.error(`Failed to queue webhook events: ${error.message}`);
+        return res.sendStatus(500);
     }
-}
 
-/**
- * Handle messages during business hours (10:00-22:00)
- */
-async function handleDuringBusinessHours(senderId, messageText, io) {
-    const menuOptions = await getMenuOptions();
-    const isFirstMessage = await isFirstMessageInSession(senderId);
-
-    if (isFirstMessage) {
-        const welcomeText = `สวัสดีครับ! ยินดีต้อนรับสู่บริการของเรา\nกรุณาเลือกหัวข้อที่ต้องการสอบถาม:`;
-
-        const quickReplies = menuOptions.map(opt => ({
-            content_type: 'text',
-            title: `${opt.emoji} ${opt.text}`,
-            payload: `MENU_${opt.id}`
-        }));
+    res.status(200).send('EVENT_RECEIVED');
 
-        await sendQuickReplies(senderId, welcomeText, quickReplies);
-    } else {
-        const result = await processMessage(senderId, messageText, { mode: 'staff-assist' });
-
-        io.to('admin-room').emit('staff-required', {
-            senderId,
-            messageText,
-            suggestedReplies: result.suggestedReplies,
-            intent: result.intent,
-            customerInfo: result.customerInfo,
-            timestamp: new Date().toISOString()
-        });
-
-        await sendMessage(senderId, 'ได้รับข้อความแล้วครับ รอสักครู่นะครับ เจ้าหน้าที่กำลังดูแลอยู่ครับ');
-    }
-}
+    // Wake the worker instead of waiting for the next poll
+    notifyEventWorker();
+});
 
 /**
- * Handle messages outside business hours - AI handles
+ * Get the unique id of a messaging event (message or postback mid)
  */
-async function handleOutsideBusinessHours(senderId, messageText, io) {
-    const result = await processMessage(senderId, messageText, { mode: 'ai-auto' });
-
-    if (result.shouldEscalate) {
-        io.to('admin-room').emit('escalation-needed', {
-            senderId,
-            messageText,
-            reason: result.escalationReason,
-            priority: result.priority,
-            timestamp: new Date().toISOString()
-        });
-
-        await sendMessage(senderId,
-            'ขอบคุณสำหรับข้อความครับ เรื่องนี้ต้องให้เจ้าหน้าที่ดูแลโดยตรง ' +
-            'จะมีเจ้าหน้าที่ติดต่อกลับในเวลาทำการ (10:00-22:00) ครับ'
-        );
-    } else {
-        await sendMessage(senderId, result.aiResponse);
-
-        if (result.confidence < config.ai.confidenceThreshold) {
-            await sendMessage(senderId,
-                'หากคำตอบไม่ตรงกับที่ต้องการ สามารถสอบถามเจ้าหน้าที่ได้ในเวลาทำการ (10:00-22:00) ครับ'
-            );
-        }
-    }
-
-    io.to('admin-room').emit('ai-response', {
-        senderId,
-        messageText,
-        aiResponse: result.aiResponse,
-        confidence: result.confidence,
-        intent: result.intent,
-        timestamp: new Date().toISOString()
-    });
+function getEventId(webhookEvent) {
+    return webhookEvent.message?.mid || webhookEvent.postback?.mid || null;
 }
 
 /**
- * Handle postback events (button clicks)
+ * Get the customer a messaging event belongs to
+ * Echoes are sent by the Page, so the customer is the recipient
  */
-async function handlePostback(senderId, postback, io) {
-    const payload = postback.payload;
-
-    logger.info(`Received postback from ${senderId}: ${payload}`);
-
-    if (payload.startsWith('MENU_')) {
-        const menuId = parseInt(payload.replace('MENU_', ''));
-        await handleMenuSelection(senderId, menuId, io);
+function getCustomerId(webhookEvent) {
+    if (webhookEvent.message?.is_echo) {
+        return webhookEvent.recipient?.id;
     }
+    return webhookEvent.sender?.id;
 }
 
 /**
- * Handle menu option selection
+ * Get the type of a messaging event
  */
-async function handleMenuSelection(senderId, menuId, io) {
-    const menuOptions = await getMenuOptions();
-    const selectedOption = menuOptions.find(opt => opt.id === menuId);
-
-    if (selectedOption && selectedOption.auto_response) {
-        await sendMessage(senderId, selectedOption.auto_response);
+function getEventType(webhookEvent) {
+    if (webhookEvent.message?.is_echo) return 'echo';
+    if (webhookEvent.message) return 'message';
+    if (webhookEvent.postback) return 'postback';
+    if (webhookEvent.delivery) return 'delivery';
+    if (webhookEvent.read) return 'read';
+    if (webhookEvent.optin) return 'optin';
+    if (webhookEvent.pass_thread_control || webhookEvent.take_thread_control || webhookEvent.request_thread_control) {
+        return 'handover';
     }
-
-    io.to('admin-room').emit('menu-selected', {
-        senderId,
-        menuId,
-        menuText: selectedOption?.text,
-        timestamp: new Date().toISOString()
-    });
-}
-
-/**
- * Check if this is the first message in a session
- */
-async function isFirstMessageInSession(senderId) {
-    // TODO: Check database for recent conversations
-    return false;
+    return 'other';
 }
 
 module.exports = router;
@@ -0,0 +1,105 @@
+/**
+ * Tests for the Messenger webhook route: which entries a signature vouches for
+ */
+
+const crypto = require('crypto');
+
+const { useTestDatabase } = require('../../../test/testDatabase');
+useTestDatabase('webhook');
+
+const axios = require('axios');
+const express = require('express');
+const config = require('../../utils/config');
+const { getDatabase } = require('../../models/database');
+const { createPage } = require('../../models/page');
+const webhookRoutes = require('./webhook');
+
+let server;
+let webhookUrl;
+
+beforeAll(async () => {
+    config.facebook.appSecret = 'app-secret';
+    config.facebook.previousAppSecret = undefined;
+    createPage({ id: '111', name: 'Page A', accessToken: 'token-a', appSecret: 'secret-a' });
+    createPage({ id: '222', name: 'Page B', accessToken: 'token-b', appSecret: 'secret-b' });
+
+    // Same body parsing as index.js - the signature is computed over the raw body
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use('/webhook', webhookRoutes);
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    getDatabase().exec('DELETE FROM inbound_events; DELETE FROM processed_events;');
+});
+
+/**
+ * POST a webhook body signed with a secret
+ * @returns {number} HTTP status
+ */
+async function postSigned(body, secret) {
+    const raw = JSON.stringify(body);
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+
+    const response = await axios.post(webhookUrl, raw, {
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+        validateStatus: () => true
+    });
+    return response.status;
+}
+
+/**
+ * A page entry with one text message from a customer
+ */
+function entry(pageId, customerId, mid) {
+    return {
+        id: pageId,
+        time: Date.now(),
+        messaging: [{
+            sender: { id: customerId },
+            recipient: { id: pageId },
+            timestamp: Date.now(),
+            message: { mid, text: 'สวัสดีครับ' }
+        }]
+    };
+}
+
+function queuedPages() {
+    return getDatabase().prepare('SELECT page_id FROM inbound_events ORDER BY id').all().map(e => e.page_id);
+}
+
+describe('X-Hub-Signature-256 with several Pages', () => {
+    test('a Page\'s secret only vouches for that Page\'s entries', async () => {
+        const status = await postSigned({
+            object: 'page',
+            entry: [entry('111', 'customer-1', 'm1'), entry('222', 'customer-2', 'm2')]
+        }, 'secret-a');
+
+        expect(status).toBe(200);
+        expect(queuedPages()).toEqual(['111']);
+    });
+
+    test('the app secret vouches for every Page', async () => {
+        const status = await postSigned({
+            object: 'page',
+            entry: [entry('111', 'customer-1', 'm3'), entry('222', 'customer-2', 'm4')]
+        }, 'app-secret');
+
+        expect(status).toBe(200);
+        expect(queuedPages()).toEqual(['111', '222']);
+    });
+
+    test('a request signed with an unknown secret is rejected', async () => {
+        const status = await postSigned({ object: 'page', entry: [entry('111', 'customer-1', 'm5')] }, 'someone-else');
+
+        expect(status).toBe(403);
+        expect(queuedPages()).toEqual([]);
+    });
+});
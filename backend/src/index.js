@@ -2,10 +2,12 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const cron = require('node-cron');
 
 const webhookRoutes = require('./api/routes/webhook');
+const lineWebhookRoutes = require('./api/routes/lineWebhook');
 const adminRoutes = require('./api/routes/admin');
 const customerRoutes = require('./api/routes/customer');
 const chatRoutes = require('./api/routes/chat');
@@ -15,6 +17,8 @@ const pendingRoutes = require('./api/routes/pending');
 const { initDatabase } = require('./models/database');
 const { initVectorDB } = require('./services/vector/pinecone');
 const { setupScheduledJobs } = require('./jobs/scheduler');
+const { startEventWorker } = require('./jobs/eventWorker');
+const { initWidgetSocket } = require('./services/widget/widgetSocket');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -32,12 +36,20 @@ const io = new Server(server, {
 app.set('io', io);
 
 // Middleware
-app.use(express.json());
+// Keep the raw webhook body - the signature is computed over the exact bytes Facebook sent
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(cors({
     origin: process.env.ADMIN_CORS_ORIGIN || '*'
 }));
 
 // Routes
+app.use('/webhook/line', lineWebhookRoutes);
 app.use('/webhook', webhookRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/customers', customerRoutes);
@@ -45,6 +57,9 @@ app.use('/api/chats', chatRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/pending', pendingRoutes);
 
+// Embeddable website chat widget (script for customer websites)
+app.use('/widget', express.static(path.join(__dirname, '../public/widget')));
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -64,6 +79,9 @@ io.on('connection', (socket) => {
     });
 });
 
+// Public namespace for website widget visitors
+initWidgetSocket(io);
+
 // Initialize and start server
 async function startServer() {
     try {
@@ -79,10 +97,15 @@ async function startServer() {
         setupScheduledJobs(io);
         logger.info('Scheduled jobs initialized');
 
+        // Start processing queued webhook events (including any left from before a restart)
+        startEventWorker(io);
+        logger.info('Inbound event worker started');
+
         const PORT = process.env.PORT || 3000;
         server.listen(PORT, () => {
             logger.info(`🚀 Server running on port ${PORT}`);
             logger.info(`📱 Webhook URL: http://localhost:${PORT}/webhook`);
+            logger.info(`💬 LINE webhook URL: http://localhost:${PORT}/webhook/line`);
             logger.info(`🔧 Admin API: http://localhost:${PORT}/api/admin`);
         });
     } catch (error) {
@@ -0,0 +1,81 @@
+/**
+ * Conversation Session Job
+ * Closes idle conversations and summarizes them with Gemini
+ * Customers without a notification opt-in are offered one when their conversation closes
+ */
+
+const {
+    closeIdleConversations,
+    getConversationsToSummarize,
+    getConversationMessages,
+    setConversationSummary
+} = require('../models/conversation');
+const { getTakeover, getCustomerChannel } = require('../models/customer');
+const { shouldOfferOptin, markOptinOffered } = require('../models/notificationOptin');
+const { summarizeConversation } = require('../services/ai/gemini');
+const { sendButtonTemplate } = require('../services/facebook/messenger');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+/**
+ * Close idle conversations, then summarize closed conversations without a summary
+ * Conversations whose summary fails are retried on the next run
+ */
+async function closeIdleSessions() {
+    const closed = closeIdleConversations();
+
+    for (const conversation of closed) {
+        try {
+            await offerNotificationOptin(conversation.fb_user_id);
+        } catch (error) {
+            logger.error(`Notification opt-in offer failed for ${conversation.fb_user_id}: ${error.message}`);
+        }
+    }
+    const toSummarize = getConversationsToSummarize();
+    let summarized = 0;
+
+    for (const conversation of toSummarize) {
+        const messages = getConversationMessages(conversation.id)
+            .filter(m => m.text)
+            .map(m => ({ from: m.sender, text: m.text }));
+
+        // Nothing to summarize (e.g. only a menu click)
+        if (messages.length === 0) {
+            setConversationSummary(conversation.id, '');
+            continue;
+        }
+
+        try {
+            const summary = await summarizeConversation(messages);
+            setConversationSummary(conversation.id, summary.trim());
+            summarized++;
+        } catch (error) {
+            logger.error(`Conversation summary failed for ${conversation.id}: ${error.message}`);
+        }
+    }
+
+    return { closed: closed.length, summarized };
+}
+
+/**
+ * Offer the recurring notification opt-in
+ * The customer picks a frequency; the opt-in template for it follows (NOTIFY_OPTIN_ postback)
+ */
+async function offerNotificationOptin(fbUserId) {
+    const { autoOffer, topic, offerIntervalDays } = config.notifications;
+
+    if (!autoOffer || config.learningMode) return;
+    // Recurring notifications are a Messenger feature
+    if (getCustomerChannel(fbUserId) !== 'messenger') return;
+    if (!shouldOfferOptin(fbUserId, topic, offerIntervalDays)) return;
+    if (await getTakeover(fbUserId)) return;
+
+    await sendButtonTemplate(fbUserId, 'ต้องการรับข่าวสารโปรโมชั่นจากเราไหมครับ? เลือกความถี่ที่สะดวกได้เลยครับ', [
+        { type: 'postback', title: 'ทุกวัน', payload: 'NOTIFY_OPTIN_DAILY' },
+        { type: 'postback', title: 'ทุกสัปดาห์', payload: 'NOTIFY_OPTIN_WEEKLY' },
+        { type: 'postback', title: 'ทุกเดือน', payload: 'NOTIFY_OPTIN_MONTHLY' }
+    ], 'campaign');
+    markOptinOffered(fbUserId);
+}
+
+module.exports = { closeIdleSessions };
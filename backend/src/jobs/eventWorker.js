@@ -0,0 +1,152 @@
+/**
+ * Inbound Event Worker
+ * Processes queued webhook events in arrival order per customer
+ * Up to queue.concurrency customers are handled side by side, so a slow turn
+ * (AI call, paced reply) only holds up its own customer
+ * Consecutive text messages of a customer are handled together as one turn
+ */
+
+const {
+    getNextEvent,
+    getEventsByIds,
+    getBatchableEvents,
+    saveEventProgress,
+    markEventProcessing,
+    markEventDone,
+    markEventFailed,
+    resetProcessingEvents
+} = require('../models/inboundEvent');
+const { handleEvent, handleMessageBatch } = require('../services/chat/eventHandler');
+const { getPageById } = require('../models/page');
+const { getOrCreateCustomer } = require('../models/customer');
+const { runWithPage } = require('../utils/pageContext');
+const { runWithJournal } = require('../utils/eventJournal');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+let io = null;
+let timer = null;
+let active = 0;
+
+/**
+ * Start the worker
+ * @param {object} socketIo - Socket.io server for dashboard events
+ */
+function startEventWorker(socketIo) {
+    io = socketIo;
+
+    // Events left in 'processing' were interrupted by a restart
+    const recovered = resetProcessingEvents();
+    if (recovered > 0) {
+        logger.warn(`Recovered ${recovered} interrupted inbound events`);
+    }
+
+    timer = setInterval(drainQueue, config.queue.pollIntervalMs);
+    drainQueue();
+}
+
+/**
+ * Stop the worker
+ */
+function stopEventWorker() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+/**
+ * Ask the worker to drain the queue now instead of waiting for the next poll
+ */
+function notifyEventWorker() {
+    if (!timer) return;
+    setImmediate(drainQueue);
+}
+
+/**
+ * Start ready events until queue.concurrency events are in progress
+ * A customer's next event is not ready while one of theirs is in progress
+ * (see getNextEvent), so each customer's events still run one at a time in order
+ */
+function drainQueue() {
+    try {
+        let event;
+        while (active < config.queue.concurrency && (event = getNextEvent(config.queue))) {
+            active++;
+            processEvent(event)
+                .catch(error => logger.error(`Event worker error: ${error.message}`))
+                .finally(() => {
+                    active--;
+                    if (timer) drainQueue();
+                });
+        }
+    } catch (error) {
+        logger.error(`Event worker error: ${error.message}`);
+    }
+}
+
+/**
+ * Process a queued event, together with the text messages batched after it
+ * The event is handled in the context of the Page it was received on
+ * Customers of other channels (e.g. LINE) are created with their channel first,
+ * so replies to them are sent through that channel
+ * A retry handles the same batch as the failed attempt and skips the steps it
+ * finished (see utils/eventJournal.js)
+ */
+async function processEvent(event) {
+    // Marked before the first await, so the next getNextEvent call skips this customer
+    const batch = event.progress
+        ? getEventsByIds(event.progress.batch)
+        : [event, ...getBatchableEvents(event, config.queue.batchMaxSize - 1)];
+    batch.forEach(e => markEventProcessing(e.id));
+
+    const batchIds = batch.map(e => e.id);
+    const saveSteps = steps => saveEventProgress(event.id, { batch: batchIds, steps });
+
+    try {
+        const page = event.page_id ? getPageById(event.page_id) : null;
+
+        if (event.channel && event.channel !== 'messenger') {
+            await getOrCreateCustomer(event.customer_id, { channel: event.channel });
+        }
+
+        await runWithPage(page, () => runWithJournal(event.progress?.steps, saveSteps, async () => {
+            if (batch.length > 1) {
+                await handleMessageBatch(batch.map(e => e.payload), io);
+            } else {
+                await handleEvent(event.payload, io, { standby: event.event_type === 'standby' });
+            }
+        }));
+        batch.forEach(e => markEventDone(e.id));
+    } catch (error) {
+        batch.forEach(e => handleFailedEvent(e, error));
+    }
+}
+
+/**
+ * Schedule a retry for a failed event, or dead-letter it
+ */
+function handleFailedEvent(event, error) {
+    const status = markEventFailed(event.id, error.message, config.queue);
+
+    if (status === 'dead') {
+        logger.error(`Inbound event ${event.id} from ${event.customer_id} moved to dead-letter: ${error.message}`);
+
+        if (io) {
+            io.to('admin-room').emit('event-dead-lettered', {
+                eventId: event.id,
+                senderId: event.customer_id,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } else {
+        logger.warn(`Inbound event ${event.id} failed (attempt ${event.attempts + 1}), will retry: ${error.message}`);
+    }
+}
+
+module.exports = {
+    startEventWorker,
+    stopEventWorker,
+    notifyEventWorker
+};
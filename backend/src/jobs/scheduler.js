@@ -6,6 +6,12 @@
 const cron = require('node-cron');
 const { generateDailyReport } = require('../services/reports/dailyReport');
 const { runWakeupCampaign, syncPromotions } = require('./wakeupCampaign');
+const { purgeProcessedEvents } = require('../models/processedEvent');
+const { purgeDoneEvents } = require('../models/inboundEvent');
+const { releaseExpiredTakeovers } = require('../models/customer');
+const { closeIdleSessions } = require('./conversationSessions');
+const { expireStalePendingMessages } = require('../models/pendingMessage');
+const { STANDARD_WINDOW_MS } = require('../services/facebook/messagingPolicy');
 const logger = require('../utils/logger');
 
 function setupScheduledJobs(io) {
@@ -43,10 +49,63 @@ function setupScheduledJobs(io) {
         }
     }, { timezone: 'Asia/Bangkok' });
 
+    // Purge old processed webhook event ids and done queue items at 03:00 daily
+    cron.schedule('0 3 * * *', () => {
+        logger.info('Running: Purge Processed Webhook Events');
+        try {
+            purgeProcessedEvents(7);
+            purgeDoneEvents(7);
+        } catch (error) {
+            logger.error(`Processed event purge failed: ${error.message}`);
+        }
+    }, { timezone: 'Asia/Bangkok' });
+
+    // Close idle conversations every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        try {
+            const result = await closeIdleSessions();
+            if (result.closed > 0 || result.summarized > 0) {
+                logger.info(`Conversation sessions: ${result.closed} closed, ${result.summarized} summarized`);
+            }
+        } catch (error) {
+            logger.error(`Conversation session job failed: ${error.message}`);
+        }
+    }, { timezone: 'Asia/Bangkok' });
+
+    // Hand threads back to the bot once the takeover quiet period has passed
+    cron.schedule('* * * * *', async () => {
+        try {
+            const released = await releaseExpiredTakeovers();
+            released.forEach(senderId => {
+                logger.info(`Takeover of ${senderId} expired, bot resumed`);
+                io.to('admin-room').emit('takeover-changed', { senderId, takeover: null });
+            });
+        } catch (error) {
+            logger.error(`Takeover release job failed: ${error.message}`);
+        }
+    }, { timezone: 'Asia/Bangkok' });
+
+    // Expire queued messages whose recipient has left the 24-hour messaging window
+    cron.schedule('*/10 * * * *', () => {
+        try {
+            const cutoff = new Date(Date.now() - STANDARD_WINDOW_MS).toISOString();
+            const expired = expireStalePendingMessages(cutoff);
+            if (expired > 0) {
+                logger.info(`Expired ${expired} pending messages outside the messaging window`);
+            }
+        } catch (error) {
+            logger.error(`Pending message expiry job failed: ${error.message}`);
+        }
+    }, { timezone: 'Asia/Bangkok' });
+
     logger.info('Scheduled jobs initialized:');
     logger.info('  - Daily Report: 23:30');
     logger.info('  - Wake-up Campaign: 14:00');
     logger.info('  - Sync Promotions: 09:00');
+    logger.info('  - Purge Processed Events: 03:00');
+    logger.info('  - Close Idle Conversations: every 5 minutes');
+    logger.info('  - Release Expired Takeovers: every minute');
+    logger.info('  - Expire Stale Pending Messages: every 10 minutes');
 }
 
 module.exports = { setupScheduledJobs };
@@ -4,58 +4,106 @@
  */
 
 const { getInactiveCustomers } = require('../models/customer');
-const { getBestPromotionForWakeup, markPromotionUsed, savePromotion } = require('../models/promotion');
-const { getBestPromotions, generateWakeupMessage, fetchPagePosts, findPromotionPosts } = require('../services/facebook/posts');
-const { sendMessage } = require('../services/facebook/messenger');
+const { getBestPromotionForWakeup, getActivePromotions, markPromotionUsed, savePromotion } = require('../models/promotion');
+const {
+    getBestPromotions,
+    generateWakeupMessage,
+    buildPromotionCard,
+    fetchPagePosts,
+    findPromotionPosts
+} = require('../services/facebook/posts');
+const { sendMessage, sendGenericTemplate } = require('../services/facebook/messenger');
+const { getDueOptins } = require('../models/notificationOptin');
+const { forEachPage } = require('../models/page');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
 
 /**
- * Run wake-up campaign
+ * Run wake-up campaign for every Page
  * 1. Sync latest promotions from Facebook
- * 2. Find inactive customers
- * 3. Send promotional messages
+ * 2. Find inactive customers with a valid recurring notification opt-in
+ * 3. Send one promotional message with their notification token
+ * Promotions may not be sent outside the 24-hour window without an opt-in,
+ * and a token allows one message per frequency period
+ * Each Page's customers only get that Page's promotions
  */
 async function runWakeupCampaign(io) {
     logger.info('Starting wake-up campaign...');
 
+    const results = await forEachPage(page => runPageWakeupCampaign(page, io));
+    if (results.length === 1) return results[0];
+
+    return {
+        sent: results.reduce((sum, r) => sum + r.sent, 0),
+        skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+        pages: results
+    };
+}
+
+/**
+ * Run the wake-up campaign for one Page (null in single-Page mode)
+ */
+async function runPageWakeupCampaign(page, io) {
+    const pageId = page?.id || null;
+
     try {
         // Step 1: Sync promotions from Facebook Page
-        await syncPromotions();
+        await syncPagePromotions(page);
 
-        // Step 2: Get inactive customers
+        // Step 2: Get inactive customers who opted in (and are due a message)
         const inactiveDays = config.wakeup.inactiveDays || 30;
-        const inactiveCustomers = getInactiveCustomers(inactiveDays);
+        const optins = new Map(getDueOptins(config.notifications.topic).map(o => [o.fb_user_id, o]));
+        const inactiveCustomers = (await getInactiveCustomers(inactiveDays, pageId))
+            .filter(c => optins.has(c.fb_user_id));
 
         if (inactiveCustomers.length === 0) {
-            logger.info('No inactive customers found');
+            logger.info('No opted-in inactive customers found');
             return { sent: 0, skipped: 0 };
         }
 
-        logger.info(`Found ${inactiveCustomers.length} inactive customers`);
+        logger.info(`Found ${inactiveCustomers.length} opted-in inactive customers`);
 
         // Step 3: Get best promotion
-        const promotion = getBestPromotionForWakeup();
+        const promotion = getBestPromotionForWakeup(pageId);
 
         if (!promotion) {
             logger.warn('No promotions available for wake-up campaign');
             return { sent: 0, skipped: 0, error: 'No promotions' };
         }
 
+        // Carousel of the best active promotions (the best one first)
+        const carouselPromotions = config.wakeup.messageFormat === 'carousel'
+            ? getActivePromotions(config.wakeup.carouselSize, pageId)
+            : [];
+
         // Step 4: Send messages
         let sent = 0;
         let skipped = 0;
 
         for (const customer of inactiveCustomers) {
-            try {
-                // Generate personalized message
-                const message = generateWakeupMessage(promotion, customer);
-
-                // Send via Messenger
-                await sendMessage(customer.fb_user_id, message);
+            const optin = optins.get(customer.fb_user_id);
+            const metadata = { notificationToken: optin.token };
 
-                // Log the send
-                markPromotionUsed(promotion.fb_post_id, customer.id);
+            try {
+                if (carouselPromotions.length > 0) {
+                    await sendGenericTemplate(
+                        customer.fb_user_id,
+                        carouselPromotions.map(buildPromotionCard),
+                        'wakeup',
+                        { ...metadata, promotionIds: carouselPromotions.map(p => p.fb_post_id) }
+                    );
+
+                    carouselPromotions.forEach(p => markPromotionUsed(p.fb_post_id, customer.id));
+                } else {
+                    // Generate personalized message
+                    const message = generateWakeupMessage(promotion, customer);
+
+                    // Send via Messenger
+                    await sendMessage(customer.fb_user_id, message, 'wakeup', metadata);
+
+                    // Log the send
+                    markPromotionUsed(promotion.fb_post_id, customer.id);
+                }
 
                 sent++;
                 logger.info(`Wake-up message sent to ${customer.name || customer.fb_user_id}`);
@@ -72,6 +120,7 @@ async function runWakeupCampaign(io) {
         // Emit to admin dashboard
         if (io) {
             io.to('admin-room').emit('wakeup-campaign-completed', {
+                pageId,
                 sent,
                 skipped,
                 promotion: promotion.short_message,
@@ -89,10 +138,19 @@ async function runWakeupCampaign(io) {
 }
 
 /**
- * Sync promotions from Facebook Page
+ * Sync promotions from every Facebook Page
+ * @returns {number} Number of promotions saved
  */
 async function syncPromotions() {
-    logger.info('Syncing promotions from Facebook Page...');
+    const counts = await forEachPage(page => syncPagePromotions(page));
+    return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Sync promotions from one Facebook Page (null in single-Page mode)
+ */
+async function syncPagePromotions(page) {
+    logger.info(`Syncing promotions from Facebook Page${page ? ` ${page.name}` : ''}...`);
 
     try {
         // Fetch posts from last 60 days
@@ -118,7 +176,8 @@ async function syncPromotions() {
                 link: promo.link,
                 engagement: promo.engagement,
                 score: promo.promotionScore,
-                createdTime: promo.createdTime
+                createdTime: promo.createdTime,
+                pageId: page?.id || null
             });
 
             if (result) saved++;
@@ -5,21 +5,34 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('./database');
+const { getActiveConversation, touchConversation } = require('./conversation');
 const logger = require('../utils/logger');
+const { once } = require('../utils/eventJournal');
 
 /**
  * Save a message
+ * Messages are attached to the customer's active conversation unless
+ * messageData.conversationId is given
  */
 async function saveMessage(messageData) {
+    // A retried inbound event does not save its messages again
+    return once('save', () => insertMessage(messageData));
+}
+
+/**
+ * Insert a message row
+ */
+function insertMessage(messageData) {
     const db = getDatabase();
     const id = uuidv4();
     const now = new Date().toISOString();
+    const conversationId = messageData.conversationId || getActiveConversation(messageData.senderId)?.id || null;
 
     const stmt = db.prepare(`
     INSERT INTO messages (
       id, sender_id, text, sender, staff_id, intent, intent_confidence,
-      confidence, escalated, escalation_reason, response_time_ms, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      confidence, escalated, escalation_reason, response_time_ms, attachments, conversation_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
     stmt.run(
@@ -34,11 +47,54 @@ async function saveMessage(messageData) {
         messageData.escalated ? 1 : 0,
         messageData.escalationReason || null,
         messageData.responseTimeMs || null,
+        messageData.attachments ? JSON.stringify(messageData.attachments) : null,
+        conversationId,
         now
     );
 
+    if (conversationId) {
+        touchConversation(conversationId, now);
+    }
+
     logger.debug(`Saved message ${id} from ${messageData.sender}`);
-    return { id, ...messageData, created_at: now };
+    return { id, ...messageData, conversationId, created_at: now };
+}
+
+/**
+ * Mark outbound messages as delivered up to a watermark
+ * @param {string} senderId - Customer's Facebook ID
+ * @param {number} watermark - Delivery watermark (ms timestamp) from Facebook
+ */
+async function markMessagesDelivered(senderId, watermark) {
+    const db = getDatabase();
+    const at = new Date(watermark).toISOString();
+
+    const result = db.prepare(`
+    UPDATE messages SET delivered_at = ?
+    WHERE sender_id = ? AND sender IN ('ai', 'staff')
+      AND delivered_at IS NULL AND created_at <= ?
+  `).run(at, senderId, at);
+
+    return result.changes;
+}
+
+/**
+ * Mark outbound messages as read up to a watermark
+ * A read message is also delivered
+ * @param {string} senderId - Customer's Facebook ID
+ * @param {number} watermark - Read watermark (ms timestamp) from Facebook
+ */
+async function markMessagesRead(senderId, watermark) {
+    const db = getDatabase();
+    const at = new Date(watermark).toISOString();
+
+    const result = db.prepare(`
+    UPDATE messages SET read_at = ?, delivered_at = COALESCE(delivered_at, ?)
+    WHERE sender_id = ? AND sender IN ('ai', 'staff')
+      AND read_at IS NULL AND created_at <= ?
+  `).run(at, at, senderId, at);
+
+    return result.changes;
 }
 
 /**
@@ -57,37 +113,51 @@ async function getRecentMessages(senderId, limit = 10) {
     return messages.reverse(); // Chronological order
 }
 
+// Limits a messages query to the customers of a Page (bind the Page id twice, null for all)
+const PAGE_FILTER = '(? IS NULL OR sender_id IN (SELECT fb_user_id FROM customers WHERE page_id = ?))';
+
 /**
  * Get all messages with pagination
+ * Each message carries the customer's name and channel (customer_name, channel)
+ * @param {object} options - { limit, offset, senderId, sender, intent, since, pageId }
  */
 async function getMessages(options = {}) {
     const db = getDatabase();
-    const { limit = 50, offset = 0, senderId, sender, intent, since } = options;
+    const { limit = 50, offset = 0, senderId, sender, intent, since, pageId } = options;
 
-    let query = 'SELECT * FROM messages WHERE 1=1';
+    let query = `
+        SELECT m.*, c.name as customer_name, COALESCE(c.channel, 'messenger') as channel
+        FROM messages m
+        LEFT JOIN customers c ON c.fb_user_id = m.sender_id
+        WHERE 1=1`;
     const params = [];
 
     if (senderId) {
-        query += ' AND sender_id = ?';
+        query += ' AND m.sender_id = ?';
         params.push(senderId);
     }
 
     if (sender) {
-        query += ' AND sender = ?';
+        query += ' AND m.sender = ?';
         params.push(sender);
     }
 
     if (intent) {
-        query += ' AND intent = ?';
+        query += ' AND m.intent = ?';
         params.push(intent);
     }
 
     if (since) {
-        query += ' AND created_at >= ?';
+        query += ' AND m.created_at >= ?';
         params.push(since);
     }
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    if (pageId) {
+        query += ` AND ${PAGE_FILTER}`;
+        params.push(pageId, pageId);
+    }
+
+    query += ' ORDER BY m.created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
     return db.prepare(query).all(...params);
@@ -130,8 +200,9 @@ async function getMessagesForEmbedding(limit = 100) {
 
 /**
  * Get message statistics
+ * @param {string} pageId - Only messages of this Page's customers (all when omitted)
  */
-async function getMessageStats(period = '7d') {
+async function getMessageStats(period = '7d', pageId = null) {
     const db = getDatabase();
     const days = parseInt(period) || 7;
     const since = new Date();
@@ -146,8 +217,8 @@ async function getMessageStats(period = '7d') {
       AVG(CASE WHEN sender = 'ai' THEN confidence ELSE NULL END) as avgAIConfidence,
       SUM(CASE WHEN escalated = 1 THEN 1 ELSE 0 END) as escalated
     FROM messages
-    WHERE created_at >= ?
-  `).get(since.toISOString());
+    WHERE created_at >= ? AND ${PAGE_FILTER}
+  `).get(since.toISOString(), pageId, pageId);
 
     return {
         period,
@@ -162,8 +233,9 @@ async function getMessageStats(period = '7d') {
 
 /**
  * Get intent distribution
+ * @param {string} pageId - Only messages of this Page's customers (all when omitted)
  */
-async function getIntentDistribution(period = '7d') {
+async function getIntentDistribution(period = '7d', pageId = null) {
     const db = getDatabase();
     const days = parseInt(period) || 7;
     const since = new Date();
@@ -172,16 +244,17 @@ async function getIntentDistribution(period = '7d') {
     return db.prepare(`
     SELECT intent, COUNT(*) as count
     FROM messages
-    WHERE created_at >= ? AND intent IS NOT NULL
+    WHERE created_at >= ? AND intent IS NOT NULL AND ${PAGE_FILTER}
     GROUP BY intent
     ORDER BY count DESC
-  `).all(since.toISOString());
+  `).all(since.toISOString(), pageId, pageId);
 }
 
 /**
  * Get hourly message distribution
+ * @param {string} pageId - Only messages of this Page's customers (all when omitted)
  */
-async function getHourlyDistribution(period = '7d') {
+async function getHourlyDistribution(period = '7d', pageId = null) {
     const db = getDatabase();
     const days = parseInt(period) || 7;
     const since = new Date();
@@ -192,15 +265,17 @@ async function getHourlyDistribution(period = '7d') {
       strftime('%H', created_at) as hour,
       COUNT(*) as count
     FROM messages
-    WHERE created_at >= ?
+    WHERE created_at >= ? AND ${PAGE_FILTER}
     GROUP BY hour
     ORDER BY hour
-  `).all(since.toISOString());
+  `).all(since.toISOString(), pageId, pageId);
 }
 
 module.exports = {
     saveMessage,
     getRecentMessages,
+    markMessagesDelivered,
+    markMessagesRead,
     getMessages,
     getMessagesForEmbedding,
     getMessageStats,
@@ -0,0 +1,227 @@
+/**
+ * Conversation Model
+ * A conversation (session) opens on the first customer message after an
+ * inactivity gap and closes once it has been idle for the configured timeout
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('./database');
+const { getOrCreateCustomer } = require('./customer');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+/**
+ * Get the cutoff time before which an active conversation counts as idle
+ */
+function getIdleCutoff() {
+    const cutoff = new Date(Date.now() - config.session.idleTimeoutMinutes * 60 * 1000);
+    return cutoff.toISOString();
+}
+
+/**
+ * Get the active conversation of a customer
+ * @param {string} fbUserId - Customer's Facebook ID
+ */
+function getActiveConversation(fbUserId) {
+    const db = getDatabase();
+
+    return db.prepare(`
+    SELECT c.* FROM conversations c
+    JOIN customers cu ON cu.id = c.customer_id
+    WHERE cu.fb_user_id = ? AND c.status = 'active'
+    ORDER BY c.started_at DESC
+    LIMIT 1
+  `).get(fbUserId);
+}
+
+/**
+ * Get the active conversation for an incoming customer message, opening a
+ * new one if there is none or the previous one has gone idle
+ * @param {string} fbUserId - Customer's Facebook ID
+ * @returns {object} { conversation, isNew }
+ */
+async function ensureConversation(fbUserId) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    const active = getActiveConversation(fbUserId);
+
+    if (active && active.last_message_at >= getIdleCutoff()) {
+        db.prepare('UPDATE conversations SET last_message_at = ? WHERE id = ?').run(now, active.id);
+        return { conversation: { ...active, last_message_at: now }, isNew: false };
+    }
+
+    // Idle conversation not yet picked up by the scheduled job
+    if (active) {
+        closeConversation(active.id);
+    }
+
+    const customer = await getOrCreateCustomer(fbUserId);
+    const id = uuidv4();
+
+    db.prepare(`
+    INSERT INTO conversations (id, customer_id, started_at, last_message_at, status)
+    VALUES (?, ?, ?, ?, 'active')
+  `).run(id, customer.id, now, now);
+
+    db.prepare(`
+    UPDATE customers SET total_conversations = total_conversations + 1, last_contact = ?
+    WHERE id = ?
+  `).run(now, customer.id);
+
+    logger.info(`Started conversation ${id} for ${fbUserId}`);
+
+    return {
+        conversation: {
+            id,
+            customer_id: customer.id,
+            started_at: now,
+            last_message_at: now,
+            status: 'active'
+        },
+        isNew: true
+    };
+}
+
+/**
+ * Record activity on a conversation
+ */
+function touchConversation(conversationId, at = new Date().toISOString()) {
+    const db = getDatabase();
+    db.prepare(`
+    UPDATE conversations SET last_message_at = ?
+    WHERE id = ? AND status = 'active'
+  `).run(at, conversationId);
+}
+
+/**
+ * Close a conversation and record its AI statistics
+ * The summary is generated separately (see summarizeClosedConversations)
+ */
+function closeConversation(conversationId) {
+    const db = getDatabase();
+
+    const stats = db.prepare(`
+    SELECT
+      SUM(CASE WHEN sender = 'ai' THEN 1 ELSE 0 END) as fromAI,
+      SUM(CASE WHEN sender = 'staff' THEN 1 ELSE 0 END) as fromStaff,
+      AVG(CASE WHEN sender = 'ai' THEN confidence ELSE NULL END) as avgConfidence,
+      MAX(escalated) as escalated
+    FROM messages
+    WHERE conversation_id = ?
+  `).get(conversationId);
+
+    db.prepare(`
+    UPDATE conversations
+    SET status = 'closed',
+        ended_at = COALESCE(last_message_at, started_at),
+        ai_handled = ?,
+        ai_confidence_avg = ?,
+        escalated = ?
+    WHERE id = ? AND status = 'active'
+  `).run(
+        stats.fromAI > 0 && !stats.fromStaff ? 1 : 0,
+        stats.avgConfidence,
+        stats.escalated ? 1 : 0,
+        conversationId
+    );
+
+    logger.debug(`Closed conversation ${conversationId}`);
+}
+
+/**
+ * Close every conversation that has been idle longer than the timeout
+ * @returns {Array} Closed conversations ({ id, fb_user_id })
+ */
+function closeIdleConversations() {
+    const db = getDatabase();
+
+    const idle = db.prepare(`
+    SELECT c.id, cu.fb_user_id FROM conversations c
+    JOIN customers cu ON cu.id = c.customer_id
+    WHERE c.status = 'active' AND COALESCE(c.last_message_at, c.started_at) < ?
+  `).all(getIdleCutoff());
+
+    idle.forEach(c => closeConversation(c.id));
+
+    return idle;
+}
+
+/**
+ * Get closed conversations that still need a summary
+ */
+function getConversationsToSummarize(limit = 20) {
+    const db = getDatabase();
+
+    return db.prepare(`
+    SELECT * FROM conversations
+    WHERE status = 'closed' AND summary IS NULL
+    ORDER BY ended_at ASC
+    LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Get the messages of a conversation in chronological order
+ * @param {string} conversationId - Conversation ID
+ * @param {string} after - Only messages created after this time (e.g. memory_summarized_until)
+ */
+function getConversationMessages(conversationId, after = null) {
+    const db = getDatabase();
+
+    return db.prepare(`
+    SELECT * FROM messages
+    WHERE conversation_id = ? AND (? IS NULL OR created_at > ?)
+    ORDER BY created_at ASC
+  `).all(conversationId, after, after);
+}
+
+/**
+ * Save a conversation summary
+ */
+function setConversationSummary(conversationId, summary) {
+    const db = getDatabase();
+    db.prepare('UPDATE conversations SET summary = ? WHERE id = ?').run(summary, conversationId);
+}
+
+/**
+ * Save the rolling memory summary of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} summary - Summary of the older turns
+ * @param {string} summarizedUntil - created_at of the newest message in the summary
+ */
+function setMemorySummary(conversationId, summary, summarizedUntil) {
+    const db = getDatabase();
+    db.prepare(`
+    UPDATE conversations SET memory_summary = ?, memory_summarized_until = ?
+    WHERE id = ?
+  `).run(summary, summarizedUntil, conversationId);
+}
+
+/**
+ * Get conversations of a customer, newest first
+ */
+async function getCustomerConversations(fbUserId, limit = 20) {
+    const db = getDatabase();
+
+    return db.prepare(`
+    SELECT c.* FROM conversations c
+    JOIN customers cu ON cu.id = c.customer_id
+    WHERE cu.fb_user_id = ?
+    ORDER BY c.started_at DESC
+    LIMIT ?
+  `).all(fbUserId, limit);
+}
+
+module.exports = {
+    getActiveConversation,
+    ensureConversation,
+    touchConversation,
+    closeConversation,
+    closeIdleConversations,
+    getConversationsToSummarize,
+    getConversationMessages,
+    setConversationSummary,
+    setMemorySummary,
+    getCustomerConversations
+};
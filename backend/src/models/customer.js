@@ -5,18 +5,31 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('./database');
+const config = require('../utils/config');
 const logger = require('../utils/logger');
+const { getCurrentPage } = require('../utils/pageContext');
 
 /**
  * Get or create customer by Facebook user ID
+ * New customers belong to the current Page (Page-scoped IDs never repeat across Pages)
+ * Customers of other channels are stored the same way, keyed by that channel's user ID
+ * @param {object} options - { channel } of a new customer ('messenger' unless given)
  */
-async function getOrCreateCustomer(fbUserId) {
+async function getOrCreateCustomer(fbUserId, options = {}) {
     const db = getDatabase();
+    const page = getCurrentPage();
+    const channel = options.channel || 'messenger';
 
     // Try to find existing customer
     let customer = db.prepare('SELECT * FROM customers WHERE fb_user_id = ?').get(fbUserId);
 
     if (customer) {
+        // Customers from before the Page was registered are claimed by it
+        if (page && !customer.page_id) {
+            db.prepare('UPDATE customers SET page_id = ? WHERE fb_user_id = ?').run(page.id, fbUserId);
+            customer.page_id = page.id;
+        }
+
         // Parse JSON fields
         customer.detectedIntents = customer.detected_intents ? JSON.parse(customer.detected_intents) : [];
         customer.tags = customer.tags ? JSON.parse(customer.tags) : [];
@@ -28,15 +41,17 @@ async function getOrCreateCustomer(fbUserId) {
     const now = new Date().toISOString();
 
     db.prepare(`
-    INSERT INTO customers (id, fb_user_id, first_contact, last_contact)
-    VALUES (?, ?, ?, ?)
-  `).run(id, fbUserId, now, now);
+    INSERT INTO customers (id, fb_user_id, page_id, channel, first_contact, last_contact)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, fbUserId, page?.id || null, channel, now, now);
 
-    logger.info(`Created new customer: ${fbUserId}`);
+    logger.info(`Created new ${channel} customer: ${fbUserId}`);
 
     return {
         id,
         fb_user_id: fbUserId,
+        page_id: page?.id || null,
+        channel,
         name: null,
         profile_pic: null,
         first_contact: now,
@@ -116,29 +131,42 @@ async function updateCustomerActivity(fbUserId, activity) {
     UPDATE customers SET ${setClauses.join(', ')} WHERE fb_user_id = ?
   `).run(...values);
 
-    // Increment conversation count
-    db.prepare(`
-    UPDATE customers SET total_conversations = total_conversations + 1 
-    WHERE fb_user_id = ? AND date(last_contact) != date(?)
-  `).run(fbUserId, updates.last_contact);
+    // total_conversations is counted when a conversation session opens (see models/conversation.js)
 }
 
 /**
  * Get all customers with pagination
+ * Includes the recurring notification opt-in of the configured topic (optin_status, ...)
+ * @param {object} options - { limit, offset, search, sortBy, sortOrder, pageId }
  */
 async function getCustomers(options = {}) {
     const db = getDatabase();
-    const { limit = 50, offset = 0, search = '', sortBy = 'last_contact', sortOrder = 'DESC' } = options;
+    const { limit = 50, offset = 0, search = '', sortBy = 'last_contact', sortOrder = 'DESC', pageId = null } = options;
 
-    let query = 'SELECT * FROM customers';
-    const params = [];
+    let query = `
+    SELECT customers.*, o.status as optin_status, o.frequency as optin_frequency,
+      o.token_expires_at as optin_expires_at
+    FROM customers
+    LEFT JOIN notification_optins o ON o.fb_user_id = customers.fb_user_id AND o.topic = ?
+  `;
+    const params = [config.notifications.topic];
+    const conditions = [];
 
     if (search) {
-        query += ' WHERE name LIKE ? OR fb_user_id LIKE ?';
+        conditions.push('(customers.name LIKE ? OR customers.fb_user_id LIKE ?)');
         params.push(`%${search}%`, `%${search}%`);
     }
 
-    query += ` ORDER BY ${sortBy} ${sortOrder} LIMIT ? OFFSET ?`;
+    if (pageId) {
+        conditions.push('customers.page_id = ?');
+        params.push(pageId);
+    }
+
+    if (conditions.length > 0) {
+        query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    query += ` ORDER BY customers.${sortBy} ${sortOrder} LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
     const customers = db.prepare(query).all(...params);
@@ -153,17 +181,19 @@ async function getCustomers(options = {}) {
 
 /**
  * Get customers who haven't contacted in specified days
+ * Customers marked unreachable are left out
+ * @param {string} pageId - Only customers of this Page (all when omitted)
  */
-async function getInactiveCustomers(days) {
+async function getInactiveCustomers(days, pageId = null) {
     const db = getDatabase();
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - days);
 
     const customers = db.prepare(`
     SELECT * FROM customers 
-    WHERE last_contact < ? 
+    WHERE last_contact < ? AND unreachable_at IS NULL AND (? IS NULL OR page_id = ?)
     ORDER BY last_contact ASC
-  `).all(cutoff.toISOString());
+  `).all(cutoff.toISOString(), pageId, pageId);
 
     return customers.map(c => ({
         ...c,
@@ -190,22 +220,25 @@ async function addCustomerTag(fbUserId, tag) {
 
 /**
  * Get customer statistics
+ * @param {string} pageId - Only customers of this Page (all when omitted)
  */
-async function getCustomerStats() {
+async function getCustomerStats(pageId = null) {
     const db = getDatabase();
 
-    const total = db.prepare('SELECT COUNT(*) as count FROM customers').get().count;
+    const total = db.prepare(`
+    SELECT COUNT(*) as count FROM customers WHERE (? IS NULL OR page_id = ?)
+  `).get(pageId, pageId).count;
 
     const today = new Date().toISOString().split('T')[0];
     const activeToday = db.prepare(`
-    SELECT COUNT(*) as count FROM customers WHERE date(last_contact) = ?
-  `).get(today).count;
+    SELECT COUNT(*) as count FROM customers WHERE date(last_contact) = ? AND (? IS NULL OR page_id = ?)
+  `).get(today, pageId, pageId).count;
 
     const last7Days = new Date();
     last7Days.setDate(last7Days.getDate() - 7);
     const activeLast7Days = db.prepare(`
-    SELECT COUNT(*) as count FROM customers WHERE last_contact >= ?
-  `).get(last7Days.toISOString()).count;
+    SELECT COUNT(*) as count FROM customers WHERE last_contact >= ? AND (? IS NULL OR page_id = ?)
+  `).get(last7Days.toISOString(), pageId, pageId).count;
 
     return {
         total,
@@ -214,6 +247,163 @@ async function getCustomerStats() {
     };
 }
 
+/**
+ * Get the active human takeover of a customer
+ * @param {string} fbUserId - Customer's Facebook ID
+ * @returns {object|null} { staffId, startedAt, expiresAt } or null when the bot is in charge
+ */
+async function getTakeover(fbUserId) {
+    const db = getDatabase();
+
+    const row = db.prepare(`
+    SELECT takeover_by, takeover_started_at, takeover_expires_at FROM customers
+    WHERE fb_user_id = ? AND takeover_by IS NOT NULL AND takeover_expires_at > ?
+  `).get(fbUserId, new Date().toISOString());
+
+    if (!row) return null;
+
+    return {
+        staffId: row.takeover_by,
+        startedAt: row.takeover_started_at,
+        expiresAt: row.takeover_expires_at
+    };
+}
+
+/**
+ * Start or extend a human takeover - the bot stops replying to the customer
+ * The takeover is released after `minutes` without further staff activity
+ * @param {string} fbUserId - Customer's Facebook ID
+ * @param {string} staffId - Staff member taking over the thread
+ * @param {number} minutes - Quiet period before the bot resumes
+ */
+async function setTakeover(fbUserId, staffId, minutes = config.takeover.quietMinutes) {
+    const db = getDatabase();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+    const current = await getTakeover(fbUserId);
+
+    // Keep the start time while the same staff member keeps the thread
+    const startedAt = current && current.staffId === staffId ? current.startedAt : now.toISOString();
+
+    db.prepare(`
+    UPDATE customers
+    SET takeover_by = ?, takeover_started_at = ?, takeover_expires_at = ?, updated_at = ?
+    WHERE fb_user_id = ?
+  `).run(staffId, startedAt, expiresAt, now.toISOString(), fbUserId);
+
+    if (!current || current.staffId !== staffId) {
+        logger.info(`Takeover of ${fbUserId} by ${staffId} until ${expiresAt}`);
+    }
+
+    return { staffId, startedAt, expiresAt };
+}
+
+/**
+ * Release a human takeover - the bot resumes replying
+ */
+async function releaseTakeover(fbUserId) {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+    UPDATE customers
+    SET takeover_by = NULL, takeover_started_at = NULL, takeover_expires_at = NULL, updated_at = ?
+    WHERE fb_user_id = ? AND takeover_by IS NOT NULL
+  `).run(new Date().toISOString(), fbUserId);
+
+    if (result.changes > 0) {
+        logger.info(`Takeover of ${fbUserId} released`);
+    }
+
+    return result.changes > 0;
+}
+
+/**
+ * Release takeovers whose quiet period has passed
+ * @returns {Array} Facebook IDs of the released customers
+ */
+async function releaseExpiredTakeovers() {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    const expired = db.prepare(`
+    SELECT fb_user_id FROM customers
+    WHERE takeover_by IS NOT NULL AND takeover_expires_at <= ?
+  `).all(now).map(c => c.fb_user_id);
+
+    if (expired.length > 0) {
+        db.prepare(`
+      UPDATE customers
+      SET takeover_by = NULL, takeover_started_at = NULL, takeover_expires_at = NULL
+      WHERE takeover_by IS NOT NULL AND takeover_expires_at <= ?
+    `).run(now);
+    }
+
+    return expired;
+}
+
+/**
+ * Get the app that owns the Messenger thread (Handover Protocol)
+ * @returns {string|null} App id, or null when this app owns the thread
+ */
+async function getThreadOwner(fbUserId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT thread_owner_app_id FROM customers WHERE fb_user_id = ?').get(fbUserId);
+    return row?.thread_owner_app_id || null;
+}
+
+/**
+ * Record the app that owns the Messenger thread
+ * @param {string|null} appId - New owner, null when this app owns the thread
+ */
+async function setThreadOwner(fbUserId, appId) {
+    const db = getDatabase();
+    const owner = appId && String(appId) !== String(config.facebook.appId) ? String(appId) : null;
+
+    db.prepare(`
+    UPDATE customers SET thread_owner_app_id = ?, updated_at = ? WHERE fb_user_id = ?
+  `).run(owner, new Date().toISOString(), fbUserId);
+
+    return owner;
+}
+
+/**
+ * Record that the customer messaged the Page (opens the 24-hour messaging window)
+ * @param {number|string} at - Event time (webhook timestamp), defaults to now
+ */
+async function recordInbound(fbUserId, at = Date.now()) {
+    const db = getDatabase();
+    await getOrCreateCustomer(fbUserId);
+
+    // Redelivered or batched events may arrive out of order - never move backwards
+    // A customer who writes to the Page is reachable again
+    db.prepare(`
+    UPDATE customers
+    SET last_inbound_at = MAX(COALESCE(last_inbound_at, ''), ?), unreachable_at = NULL, unreachable_reason = NULL
+    WHERE fb_user_id = ?
+  `).run(new Date(at).toISOString(), fbUserId);
+}
+
+/**
+ * Mark a customer as unreachable (Messenger reports the person as unavailable)
+ * Cleared by the customer's next message (see recordInbound)
+ */
+async function markUnreachable(fbUserId, reason) {
+    const db = getDatabase();
+
+    db.prepare(`
+    UPDATE customers SET unreachable_at = ?, unreachable_reason = ? WHERE fb_user_id = ?
+  `).run(new Date().toISOString(), reason, fbUserId);
+}
+
+/**
+ * Get the channel a customer talks to us on ('messenger' for unknown customers)
+ */
+function getCustomerChannel(fbUserId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT channel FROM customers WHERE fb_user_id = ?').get(fbUserId);
+    return row?.channel || 'messenger';
+}
+
 module.exports = {
     getOrCreateCustomer,
     updateCustomer,
@@ -221,5 +411,14 @@ module.exports = {
     getCustomers,
     getInactiveCustomers,
     addCustomerTag,
-    getCustomerStats
+    getCustomerStats,
+    getTakeover,
+    setTakeover,
+    releaseTakeover,
+    releaseExpiredTakeovers,
+    getThreadOwner,
+    recordInbound,
+    markUnreachable,
+    setThreadOwner,
+    getCustomerChannel
 };
@@ -28,6 +28,7 @@ async function initDatabase() {
 
   // Create tables
   createTables();
+  migrateTables();
 
   logger.info(`Database initialized at ${dbPath}`);
   return db;
@@ -37,6 +38,25 @@ async function initDatabase() {
  * Create all required tables
  */
 function createTables() {
+  // Facebook Pages served by this app (empty in single-Page mode - config.facebook is used)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pages (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      access_token TEXT NOT NULL,
+      app_secret TEXT,
+      business_hours_start TEXT,
+      business_hours_end TEXT,
+      timezone TEXT,
+      system_prompt TEXT,
+      vector_namespace TEXT,
+      instagram_account_id TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Customers table
   db.exec(`
     CREATE TABLE IF NOT EXISTS customers (
@@ -51,6 +71,16 @@ function createTables() {
       sentiment_avg REAL DEFAULT 0,
       notes TEXT,
       tags TEXT,
+      takeover_by TEXT,
+      takeover_started_at DATETIME,
+      takeover_expires_at DATETIME,
+      thread_owner_app_id TEXT,
+      last_inbound_at DATETIME,
+      optin_offered_at DATETIME,
+      unreachable_at DATETIME,
+      unreachable_reason TEXT,
+      page_id TEXT,
+      channel TEXT DEFAULT 'messenger',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -71,6 +101,10 @@ function createTables() {
       escalation_reason TEXT,
       response_time_ms INTEGER,
       is_new_customer INTEGER DEFAULT 0,
+      delivered_at DATETIME,
+      read_at DATETIME,
+      attachments TEXT,
+      conversation_id TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (sender_id) REFERENCES customers(fb_user_id)
     )
@@ -85,12 +119,35 @@ function createTables() {
       text TEXT NOT NULL,
       keywords TEXT,
       auto_response TEXT,
+      image_url TEXT,
+      link TEXT,
+      file_url TEXT,
+      page_id TEXT,
       enabled INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Intents table - the taxonomy the AI classifies customer messages into,
+  // with the routing policy of each intent
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS intents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      description TEXT,
+      examples TEXT,
+      department TEXT,
+      menu_option_id INTEGER,
+      escalation_policy TEXT DEFAULT 'none' CHECK(escalation_policy IN ('none', 'escalate')),
+      escalation_priority TEXT DEFAULT 'medium' CHECK(escalation_priority IN ('low', 'medium', 'high')),
+      enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (menu_option_id) REFERENCES menu_options(id) ON DELETE SET NULL
+    )
+  `);
+
   // Wake-up campaigns table
   db.exec(`
     CREATE TABLE IF NOT EXISTS wakeup_campaigns (
@@ -136,12 +193,15 @@ function createTables() {
       id TEXT PRIMARY KEY,
       customer_id TEXT NOT NULL,
       started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       ended_at DATETIME,
       status TEXT DEFAULT 'active',
       ai_handled INTEGER DEFAULT 0,
       ai_confidence_avg REAL,
       escalated INTEGER DEFAULT 0,
       summary TEXT,
+      memory_summary TEXT,
+      memory_summarized_until DATETIME,
       FOREIGN KEY (customer_id) REFERENCES customers(id)
     )
   `);
@@ -158,6 +218,7 @@ function createTables() {
       engagement_score INTEGER DEFAULT 0,
       promotion_score INTEGER DEFAULT 0,
       expires_at DATETIME,
+      page_id TEXT,
       created_at DATETIME,
       fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -169,15 +230,83 @@ function createTables() {
       id TEXT PRIMARY KEY,
       recipient_id TEXT NOT NULL,
       message TEXT NOT NULL,
+      payload TEXT,
       source TEXT CHECK(source IN ('ai', 'staff', 'campaign', 'wakeup')) NOT NULL,
       metadata TEXT,
-      status TEXT CHECK(status IN ('pending', 'approved', 'sent', 'rejected')) DEFAULT 'pending',
+      status TEXT CHECK(status IN ('pending', 'approved', 'sent', 'rejected', 'expired', 'failed')) DEFAULT 'pending',
+      page_id TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       approved_at DATETIME,
       sent_at DATETIME
     )
   `);
 
+  // Recurring notification opt-ins (one token per customer and topic)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_optins (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fb_user_id TEXT NOT NULL,
+      topic TEXT NOT NULL,
+      token TEXT,
+      frequency TEXT CHECK(frequency IN ('DAILY', 'WEEKLY', 'MONTHLY')),
+      status TEXT CHECK(status IN ('active', 'stopped')) DEFAULT 'active',
+      token_expires_at DATETIME,
+      timezone TEXT,
+      last_sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(fb_user_id, topic)
+    )
+  `);
+
+  // Dead-letter list of sends that failed permanently
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS outbound_failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipient_id TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      source TEXT,
+      metadata TEXT,
+      error_category TEXT,
+      error_code TEXT,
+      error_message TEXT,
+      attempts INTEGER DEFAULT 1,
+      status TEXT CHECK(status IN ('failed', 'retried', 'dismissed')) DEFAULT 'failed',
+      page_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME
+    )
+  `);
+
+  // Processed webhook events (idempotent dedupe of Facebook redeliveries)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS processed_events (
+      mid TEXT PRIMARY KEY,
+      sender_id TEXT,
+      processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Inbound event queue (durable webhook processing with retries)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS inbound_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id TEXT,
+      customer_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT CHECK(status IN ('pending', 'processing', 'done', 'dead')) DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_error TEXT,
+      page_id TEXT,
+      channel TEXT DEFAULT 'messenger',
+      progress TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Create indexes
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id);
@@ -186,6 +315,10 @@ function createTables() {
     CREATE INDEX IF NOT EXISTS idx_customers_last_contact ON customers(last_contact);
     CREATE INDEX IF NOT EXISTS idx_promotions_score ON promotions(promotion_score);
     CREATE INDEX IF NOT EXISTS idx_pending_messages_status ON pending_messages(status);
+    CREATE INDEX IF NOT EXISTS idx_processed_events_processed_at ON processed_events(processed_at);
+    CREATE INDEX IF NOT EXISTS idx_inbound_events_status ON inbound_events(status, customer_id);
+    CREATE INDEX IF NOT EXISTS idx_notification_optins_topic ON notification_optins(topic, status);
+    CREATE INDEX IF NOT EXISTS idx_outbound_failures_status ON outbound_failures(status);
   `);
 
   // Insert default menu options if empty
@@ -194,9 +327,158 @@ function createTables() {
     insertDefaultMenuOptions();
   }
 
+  // Insert default intents if empty (linked to the default menu options)
+  const intentCount = db.prepare('SELECT COUNT(*) as count FROM intents').get();
+  if (intentCount.count === 0) {
+    insertDefaultIntents();
+  }
+
   logger.info('Database tables created/verified');
 }
 
+/**
+ * Add columns introduced after the first release to existing databases
+ * CREATE TABLE IF NOT EXISTS leaves tables from older versions untouched
+ */
+function migrateTables() {
+  // Delivery/read receipts for outbound messages
+  addColumnIfMissing('messages', 'delivered_at', 'DATETIME');
+  addColumnIfMissing('messages', 'read_at', 'DATETIME');
+
+  // Attachments (JSON) sent with a message
+  addColumnIfMissing('messages', 'attachments', 'TEXT');
+
+  // Conversation sessions
+  addColumnIfMissing('messages', 'conversation_id', 'TEXT');
+  addColumnIfMissing('conversations', 'last_message_at', 'DATETIME');
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);
+    CREATE INDEX IF NOT EXISTS idx_conversations_customer_status ON conversations(customer_id, status);
+  `);
+
+  // Human takeover (bot paused for the customer)
+  addColumnIfMissing('customers', 'takeover_by', 'TEXT');
+  addColumnIfMissing('customers', 'takeover_started_at', 'DATETIME');
+  addColumnIfMissing('customers', 'takeover_expires_at', 'DATETIME');
+
+  // Handover Protocol - app that owns the thread (NULL when it is this app)
+  addColumnIfMissing('customers', 'thread_owner_app_id', 'TEXT');
+
+  // Full Send API payload of queued test-mode messages (quick replies, templates, ...)
+  addColumnIfMissing('pending_messages', 'payload', 'TEXT');
+
+  // Messaging window - last time the customer messaged the Page
+  if (addColumnIfMissing('customers', 'last_inbound_at', 'DATETIME')) {
+    db.exec(`
+      UPDATE customers SET last_inbound_at = (
+        SELECT MAX(created_at) FROM messages
+        WHERE messages.sender_id = customers.fb_user_id AND messages.sender = 'customer'
+      )
+    `);
+  }
+
+  // Pending messages that can no longer be sent inside the messaging window ('expired')
+  // or failed permanently ('failed')
+  migratePendingMessageStatuses();
+
+  // Recurring notifications - when the opt-in was last offered
+  addColumnIfMissing('customers', 'optin_offered_at', 'DATETIME');
+
+  // Send failures - customers Messenger reports as unavailable, failed queued messages
+  addColumnIfMissing('customers', 'unreachable_at', 'DATETIME');
+  addColumnIfMissing('customers', 'unreachable_reason', 'TEXT');
+
+  // Rich menu auto-responses
+  addColumnIfMissing('menu_options', 'image_url', 'TEXT');
+  addColumnIfMissing('menu_options', 'link', 'TEXT');
+  addColumnIfMissing('menu_options', 'file_url', 'TEXT');
+
+  // Multi-Page - rows belong to the Page they came from (NULL = single-Page mode;
+  // menu options with no Page are shared by all Pages)
+  addColumnIfMissing('customers', 'page_id', 'TEXT');
+  addColumnIfMissing('menu_options', 'page_id', 'TEXT');
+  addColumnIfMissing('promotions', 'page_id', 'TEXT');
+  addColumnIfMissing('pending_messages', 'page_id', 'TEXT');
+  addColumnIfMissing('outbound_failures', 'page_id', 'TEXT');
+  addColumnIfMissing('inbound_events', 'page_id', 'TEXT');
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_customers_page_id ON customers(page_id);
+    CREATE INDEX IF NOT EXISTS idx_pending_messages_page_id ON pending_messages(page_id);
+  `);
+
+  // Channels - customers and queued events of other channels than Messenger (e.g. LINE)
+  addColumnIfMissing('customers', 'channel', "TEXT DEFAULT 'messenger'");
+  addColumnIfMissing('inbound_events', 'channel', "TEXT DEFAULT 'messenger'");
+
+  // Instagram Direct - the Instagram account linked to each Page
+  addColumnIfMissing('pages', 'instagram_account_id', 'TEXT');
+
+  // Conversation memory - rolling summary of the turns no longer sent to the AI as-is
+  addColumnIfMissing('conversations', 'memory_summary', 'TEXT');
+  addColumnIfMissing('conversations', 'memory_summarized_until', 'DATETIME');
+
+  // Inbound queue - steps of an event already done by earlier attempts (see utils/eventJournal.js)
+  addColumnIfMissing('inbound_events', 'progress', 'TEXT');
+}
+
+/**
+ * Add a column to a table if it does not exist yet
+ * @returns {boolean} true if the column was added
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Allow the 'expired' and 'failed' statuses in pending_messages
+ * SQLite cannot alter a CHECK constraint, so older tables are copied into a new
+ * table with the new constraint. Columns added later (page_id) are added by their
+ * own migration step
+ */
+function migratePendingMessageStatuses() {
+  const table = db.prepare(`
+    SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'pending_messages'
+  `).get();
+
+  if (table.sql.includes("'failed'")) return;
+
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE pending_messages_new (
+        id TEXT PRIMARY KEY,
+        recipient_id TEXT NOT NULL,
+        message TEXT NOT NULL,
+        payload TEXT,
+        source TEXT CHECK(source IN ('ai', 'staff', 'campaign', 'wakeup')) NOT NULL,
+        metadata TEXT,
+        status TEXT CHECK(status IN ('pending', 'approved', 'sent', 'rejected', 'expired', 'failed')) DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        approved_at DATETIME,
+        sent_at DATETIME
+      );
+
+      INSERT INTO pending_messages_new
+        (id, recipient_id, message, payload, source, metadata, status, created_at, approved_at, sent_at)
+      SELECT id, recipient_id, message, payload, source, metadata, status, created_at, approved_at, sent_at
+      FROM pending_messages;
+
+      DROP TABLE pending_messages;
+      ALTER TABLE pending_messages_new RENAME TO pending_messages;
+      CREATE INDEX IF NOT EXISTS idx_pending_messages_status ON pending_messages(status);
+    `);
+  })();
+
+  logger.info("Rebuilt pending_messages to allow the 'expired' and 'failed' statuses");
+}
+
 /**
  * Insert default menu options
  */
@@ -221,6 +503,44 @@ function insertDefaultMenuOptions() {
   logger.info('Default menu options inserted');
 }
 
+/**
+ * Insert default intents
+ * These were the intents of the original classifier prompt; COMPLAINT, LOAN and
+ * ACCOUNT_CLOSE are escalated to staff
+ */
+function insertDefaultIntents() {
+  const defaultIntents = [
+    { name: 'OPEN_ACCOUNT', description: 'ต้องการเปิดบัญชีใหม่ หรือสอบถามเอกสารและขั้นตอนการเปิดบัญชี', examples: ['อยากเปิดบัญชีครับ', 'เปิดบัญชีต้องใช้เอกสารอะไรบ้าง'], department: 'ฝ่ายบัญชี', menu: 'เปิดบัญชี' },
+    { name: 'TRANSFER', description: 'โอนเงิน ส่งเงินไปไทย อัตราแลกเปลี่ยน ค่าธรรมเนียมการโอน', examples: ['โอนเงินไปไทยยังไง', 'เรทวันนี้เท่าไหร่'], department: 'ฝ่ายบริการลูกค้า', menu: 'โอนเงินไปไทย' },
+    { name: 'CARD', description: 'บัตรเครดิตหรือบัตรเดบิต สมัครบัตร บัตรหาย อายัดบัตร', examples: ['สมัครบัตรเครดิตได้ไหม', 'บัตรหายต้องทำยังไง'], department: 'ฝ่ายบัตร', menu: 'บัตรเครดิต/เดบิต' },
+    { name: 'LOAN', description: 'สินเชื่อ เงินกู้ วงเงิน ดอกเบี้ยเงินกู้', examples: ['อยากกู้เงิน 50,000', 'ดอกเบี้ยสินเชื่อเท่าไหร่'], department: 'ฝ่ายสินเชื่อ', menu: 'สินเชื่อ', escalate: true },
+    { name: 'ACCOUNT_CLOSE', description: 'ต้องการปิดบัญชี หรือยกเลิกบริการ', examples: ['ขอปิดบัญชีครับ', 'ยกเลิกบัญชีต้องทำยังไง'], department: 'ฝ่ายบัญชี', escalate: true },
+    { name: 'COMPLAINT', description: 'ร้องเรียน ไม่พอใจบริการ แจ้งปัญหาที่เกิดขึ้น', examples: ['บริการแย่มาก', 'โอนเงินแล้วเงินไม่เข้า'], department: 'ฝ่ายรับเรื่องร้องเรียน', escalate: true },
+    { name: 'GENERAL_INQUIRY', description: 'คำถามทั่วไปเกี่ยวกับบริการ เวลาทำการ สาขา', examples: ['เปิดกี่โมง', 'สาขาอยู่ที่ไหน'], department: 'ทั่วไป' },
+    { name: 'GREETING', description: 'ทักทาย ขอบคุณ', examples: ['สวัสดีครับ', 'ขอบคุณครับ'], department: 'ทั่วไป' },
+    { name: 'OTHER', description: 'เรื่องอื่นที่ไม่ตรงกับหัวข้อไหนเลย', examples: [], department: 'ทั่วไป' }
+  ];
+
+  const findMenu = db.prepare('SELECT id FROM menu_options WHERE text = ? ORDER BY id LIMIT 1');
+  const stmt = db.prepare(`
+    INSERT INTO intents (name, description, examples, department, menu_option_id, escalation_policy)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  for (const intent of defaultIntents) {
+    stmt.run(
+      intent.name,
+      intent.description,
+      JSON.stringify(intent.examples),
+      intent.department,
+      intent.menu ? findMenu.get(intent.menu)?.id || null : null,
+      intent.escalate ? 'escalate' : 'none'
+    );
+  }
+
+  logger.info('Default intents inserted');
+}
+
 /**
  * Get database instance
  */
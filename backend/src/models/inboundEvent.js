@@ -0,0 +1,325 @@
+/**
+ * Inbound Event Model
+ * Durable queue of webhook events waiting to be processed
+ */
+
+const { getDatabase } = require('./database');
+const { isEventProcessed, markEventProcessed } = require('./processedEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Queue webhook events in a single transaction
+ * Events whose id was already seen (Facebook redelivery) are skipped; an id is recorded
+ * together with its queued event, so a request that fails to queue can be redelivered
+ * @param {Array} events - [{ eventId, customerId, eventType, pageId, channel, payload }]
+ *   channel defaults to 'messenger'; other channels' payloads are already in the Messenger event shape
+ * @returns {number} Number of events queued
+ */
+function enqueueEvents(events) {
+    const db = getDatabase();
+
+    const insert = db.prepare(`
+        INSERT INTO inbound_events (event_id, customer_id, event_type, page_id, channel, payload, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+    `);
+
+    const enqueueAll = db.transaction((items) => {
+        let queued = 0;
+
+        for (const item of items) {
+            if (item.eventId && isEventProcessed(item.eventId)) {
+                logger.info(`Skipping duplicate webhook event ${item.eventId} from ${item.customerId}`);
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            insert.run(
+                item.eventId || null,
+                item.customerId,
+                item.eventType,
+                item.pageId || null,
+                item.channel || 'messenger',
+                JSON.stringify(item.payload),
+                now,
+                now
+            );
+            if (item.eventId) markEventProcessed(item.eventId, item.customerId);
+            queued++;
+        }
+
+        return queued;
+    });
+
+    return enqueueAll(events);
+}
+
+/**
+ * Get the next event ready to process
+ * Only the oldest unfinished event of each customer is eligible,
+ * so a customer's events are always handled in arrival order
+ * Message events wait until the customer has been quiet for batchWindowMs
+ * (or the oldest one has waited batchMaxWaitMs) so rapid-fire messages can be batched
+ * @param {object} options - { batchWindowMs, batchMaxWaitMs }
+ */
+function getNextEvent({ batchWindowMs = 0, batchMaxWaitMs = 0 } = {}) {
+    const db = getDatabase();
+    const now = Date.now();
+
+    const event = db.prepare(`
+        SELECT e.* FROM inbound_events e
+        WHERE e.status = 'pending'
+          AND (e.next_attempt_at IS NULL OR e.next_attempt_at <= ?)
+          AND NOT EXISTS (
+            SELECT 1 FROM inbound_events p
+            WHERE p.customer_id = e.customer_id
+              AND p.id < e.id
+              AND p.status IN ('pending', 'processing')
+          )
+          AND (
+            e.event_type != 'message'
+            OR e.created_at <= ?
+            OR NOT EXISTS (
+              SELECT 1 FROM inbound_events n
+              WHERE n.customer_id = e.customer_id
+                AND n.event_type = 'message'
+                AND n.status = 'pending'
+                AND n.created_at > ?
+            )
+          )
+        ORDER BY e.id ASC
+        LIMIT 1
+    `).get(
+        new Date(now).toISOString(),
+        new Date(now - batchMaxWaitMs).toISOString(),
+        new Date(now - batchWindowMs).toISOString()
+    );
+
+    return event ? parseEvent(event) : event;
+}
+
+/**
+ * Get events by id (the batch an earlier attempt of an event handled)
+ */
+function getEventsByIds(ids) {
+    const db = getDatabase();
+    const placeholders = ids.map(() => '?').join(', ');
+
+    return db.prepare(`SELECT * FROM inbound_events WHERE id IN (${placeholders}) ORDER BY id ASC`)
+        .all(...ids)
+        .map(parseEvent);
+}
+
+/**
+ * Store the progress of an event: the batch it is handled with and the finished steps
+ * @param {object} progress - { batch: [ids], steps } (see utils/eventJournal.js)
+ */
+function saveEventProgress(id, progress) {
+    const db = getDatabase();
+
+    db.prepare('UPDATE inbound_events SET progress = ?, updated_at = ? WHERE id = ?')
+        .run(JSON.stringify(progress), new Date().toISOString(), id);
+}
+
+/**
+ * Parse the JSON columns of an event row
+ */
+function parseEvent(event) {
+    return {
+        ...event,
+        payload: JSON.parse(event.payload),
+        progress: event.progress ? JSON.parse(event.progress) : null
+    };
+}
+
+/**
+ * Check whether a messaging event is a plain text message that can be batched
+ */
+function isBatchableMessage(payload) {
+    const message = payload?.message;
+    return !!(message && message.text && !message.is_echo && !message.attachments && !message.quick_reply && !message.reply_to?.story);
+}
+
+/**
+ * Get the pending text messages that directly follow an event from the same customer
+ * Only a message event starts a batch (a standby event belongs to a thread another
+ * app owns). Stops at the first event that is not a plain text message, to keep arrival order
+ * @param {object} event - Head event returned by getNextEvent
+ * @param {number} limit - Maximum number of events to add to the batch
+ */
+function getBatchableEvents(event, limit = 10) {
+    if (event.event_type !== 'message') return [];
+    if (!isBatchableMessage(event.payload)) return [];
+
+    const db = getDatabase();
+
+    const following = db.prepare(`
+        SELECT * FROM inbound_events
+        WHERE customer_id = ? AND id > ? AND status = 'pending'
+        ORDER BY id ASC
+        LIMIT ?
+    `).all(event.customer_id, event.id, limit).map(parseEvent);
+
+    const batch = [];
+    for (const next of following) {
+        if (next.event_type !== 'message' || !isBatchableMessage(next.payload)) break;
+        batch.push(next);
+    }
+
+    return batch;
+}
+
+/**
+ * Mark event as being processed
+ */
+function markEventProcessing(id) {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE inbound_events
+        SET status = 'processing', attempts = attempts + 1, updated_at = ?
+        WHERE id = ?
+    `).run(new Date().toISOString(), id);
+}
+
+/**
+ * Mark event as done
+ */
+function markEventDone(id) {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE inbound_events
+        SET status = 'done', last_error = NULL, updated_at = ?
+        WHERE id = ?
+    `).run(new Date().toISOString(), id);
+}
+
+/**
+ * Record a failed attempt
+ * Schedules a retry with exponential backoff, or moves the event to the
+ * dead-letter state once maxAttempts is reached
+ * @returns {string} New status ('pending' or 'dead')
+ */
+function markEventFailed(id, errorMessage, { maxAttempts, retryBaseMs }) {
+    const db = getDatabase();
+    const event = db.prepare('SELECT attempts FROM inbound_events WHERE id = ?').get(id);
+    const attempts = event?.attempts || 0;
+    const now = new Date();
+
+    if (attempts >= maxAttempts) {
+        db.prepare(`
+            UPDATE inbound_events
+            SET status = 'dead', last_error = ?, updated_at = ?
+            WHERE id = ?
+        `).run(errorMessage, now.toISOString(), id);
+
+        return 'dead';
+    }
+
+    const delay = retryBaseMs * Math.pow(2, attempts - 1);
+    const nextAttemptAt = new Date(now.getTime() + delay);
+
+    db.prepare(`
+        UPDATE inbound_events
+        SET status = 'pending', last_error = ?, next_attempt_at = ?, updated_at = ?
+        WHERE id = ?
+    `).run(errorMessage, nextAttemptAt.toISOString(), now.toISOString(), id);
+
+    return 'pending';
+}
+
+/**
+ * Return events left in 'processing' (e.g. after a crash) to the queue
+ */
+function resetProcessingEvents() {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+        UPDATE inbound_events
+        SET status = 'pending', updated_at = ?
+        WHERE status = 'processing'
+    `).run(new Date().toISOString());
+
+    return result.changes;
+}
+
+/**
+ * Get dead-letter events
+ */
+function getDeadEvents(limit = 100) {
+    const db = getDatabase();
+
+    return db.prepare(`
+        SELECT * FROM inbound_events
+        WHERE status = 'dead'
+        ORDER BY id DESC
+        LIMIT ?
+    `).all(limit).map(e => ({ ...e, payload: JSON.parse(e.payload) }));
+}
+
+/**
+ * Put a dead-letter event back in the queue
+ */
+function retryDeadEvent(id) {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+        UPDATE inbound_events
+        SET status = 'pending', attempts = 0, next_attempt_at = NULL, updated_at = ?
+        WHERE id = ? AND status = 'dead'
+    `).run(new Date().toISOString(), id);
+
+    return result.changes === 1;
+}
+
+/**
+ * Get queue statistics
+ */
+function getQueueStats() {
+    const db = getDatabase();
+
+    const stats = db.prepare(`
+        SELECT status, COUNT(*) as count
+        FROM inbound_events
+        GROUP BY status
+    `).all();
+
+    const result = { pending: 0, processing: 0, done: 0, dead: 0 };
+    stats.forEach(s => {
+        result[s.status] = s.count;
+    });
+
+    return result;
+}
+
+/**
+ * Delete processed events older than N days
+ */
+function purgeDoneEvents(days = 7) {
+    const db = getDatabase();
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days);
+
+    const result = db.prepare(`
+        DELETE FROM inbound_events WHERE status = 'done' AND updated_at < ?
+    `).run(cutoff.toISOString());
+
+    logger.info(`Purged ${result.changes} done inbound events`);
+    return result.changes;
+}
+
+module.exports = {
+    enqueueEvents,
+    getNextEvent,
+    getEventsByIds,
+    getBatchableEvents,
+    saveEventProgress,
+    markEventProcessing,
+    markEventDone,
+    markEventFailed,
+    resetProcessingEvents,
+    getDeadEvents,
+    retryDeadEvent,
+    getQueueStats,
+    purgeDoneEvents
+};
@@ -0,0 +1,276 @@
+/**
+ * Tests for the inbound event queue
+ */
+
+const { useTestDatabase } = require('../../test/testDatabase');
+useTestDatabase('inbound-event');
+
+const { getDatabase } = require('./database');
+const {
+    enqueueEvents,
+    getNextEvent,
+    getBatchableEvents,
+    markEventProcessing,
+    markEventDone,
+    markEventFailed,
+    resetProcessingEvents,
+    getDeadEvents,
+    retryDeadEvent,
+    getQueueStats
+} = require('./inboundEvent');
+
+const START = new Date('2026-01-05T10:00:00.000Z').getTime();
+const RETRY = { maxAttempts: 3, retryBaseMs: 1000 };
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    getDatabase().exec('DELETE FROM inbound_events; DELETE FROM processed_events;');
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+/**
+ * A message event as the webhook queues it
+ */
+function message(customerId, mid, text = 'hello') {
+    return {
+        eventId: mid,
+        customerId,
+        eventType: 'message',
+        payload: { sender: { id: customerId }, message: { mid, text } }
+    };
+}
+
+/**
+ * A postback event as the webhook queues it
+ */
+function postback(customerId, mid, payload = 'MENU') {
+    return {
+        eventId: mid,
+        customerId,
+        eventType: 'postback',
+        payload: { sender: { id: customerId }, postback: { mid, payload } }
+    };
+}
+
+/**
+ * Take the next event and mark it processing, as the worker does
+ */
+function take(options) {
+    const event = getNextEvent(options);
+    if (event) markEventProcessing(event.id);
+    return event;
+}
+
+describe('enqueueEvents', () => {
+    test('skips events whose id was already queued', () => {
+        expect(enqueueEvents([message('A', 'm1'), message('A', 'm2')])).toBe(2);
+        expect(enqueueEvents([message('A', 'm2'), message('A', 'm3')])).toBe(1);
+
+        expect(getQueueStats().pending).toBe(3);
+    });
+
+    test('an event that failed to queue is not recorded, so its redelivery is queued', () => {
+        const broken = message('A', 'm2');
+        broken.payload.self = broken.payload;
+
+        expect(() => enqueueEvents([message('A', 'm1'), broken])).toThrow();
+        expect(getQueueStats().pending).toBe(0);
+
+        expect(enqueueEvents([message('A', 'm1'), message('A', 'm2')])).toBe(2);
+    });
+});
+
+describe('getNextEvent', () => {
+    test('hands out a customer\'s events one at a time, in arrival order', () => {
+        enqueueEvents([postback('A', 'a1'), postback('A', 'a2')]);
+
+        const first = take();
+        expect(first.event_id).toBe('a1');
+        expect(first.payload.postback.payload).toBe('MENU');
+
+        // a2 waits while a1 is in progress
+        expect(getNextEvent()).toBeUndefined();
+
+        markEventDone(first.id);
+        expect(take().event_id).toBe('a2');
+    });
+
+    test('does not hold other customers back', () => {
+        enqueueEvents([postback('A', 'a1'), postback('A', 'a2'), postback('B', 'b1')]);
+
+        expect(take().event_id).toBe('a1');
+        expect(take().event_id).toBe('b1');
+        expect(getNextEvent()).toBeUndefined();
+    });
+
+    test('keeps later events waiting while an earlier one is retried', () => {
+        enqueueEvents([postback('A', 'a1'), postback('A', 'a2')]);
+
+        const first = take();
+        markEventFailed(first.id, 'boom', RETRY);
+
+        // a1 is not due yet and a2 must not overtake it
+        expect(getNextEvent()).toBeUndefined();
+
+        jest.setSystemTime(START + 1000);
+        expect(getNextEvent().event_id).toBe('a1');
+    });
+});
+
+describe('batching windows', () => {
+    const WINDOW = { batchWindowMs: 3000, batchMaxWaitMs: 15000 };
+
+    /**
+     * Queue events at a time relative to START
+     */
+    function enqueueAt(ms, events) {
+        jest.setSystemTime(START + ms);
+        enqueueEvents(events);
+    }
+
+    test('a message waits until the customer has been quiet for the window', () => {
+        enqueueAt(0, [message('A', 'a1')]);
+
+        jest.setSystemTime(START + 2999);
+        expect(getNextEvent(WINDOW)).toBeUndefined();
+
+        jest.setSystemTime(START + 3000);
+        expect(getNextEvent(WINDOW).event_id).toBe('a1');
+    });
+
+    test('each new message restarts the window and joins the batch', () => {
+        enqueueAt(0, [message('A', 'a1')]);
+        enqueueAt(2000, [message('A', 'a2')]);
+
+        jest.setSystemTime(START + 3000);
+        expect(getNextEvent(WINDOW)).toBeUndefined();
+
+        jest.setSystemTime(START + 5000);
+        const head = getNextEvent(WINDOW);
+        expect(head.event_id).toBe('a1');
+        expect(getBatchableEvents(head).map(e => e.event_id)).toEqual(['a2']);
+    });
+
+    test('a customer who keeps typing is answered after the maximum wait', () => {
+        for (let ms = 0; ms <= 14000; ms += 2000) {
+            enqueueAt(ms, [message('A', `a${ms}`)]);
+        }
+
+        jest.setSystemTime(START + 14999);
+        expect(getNextEvent(WINDOW)).toBeUndefined();
+
+        jest.setSystemTime(START + 15000);
+        const head = getNextEvent(WINDOW);
+        expect(head.event_id).toBe('a0');
+        expect(getBatchableEvents(head)).toHaveLength(7);
+    });
+
+    test('postbacks are not held back', () => {
+        enqueueAt(0, [postback('A', 'a1')]);
+
+        expect(getNextEvent(WINDOW).event_id).toBe('a1');
+    });
+
+    test('a window of 0 turns batching off', () => {
+        enqueueAt(0, [message('A', 'a1')]);
+
+        expect(getNextEvent({ batchWindowMs: 0, batchMaxWaitMs: 0 }).event_id).toBe('a1');
+    });
+
+    test('the batch stops at the first event that is not plain text', () => {
+        const photo = message('A', 'a3');
+        photo.payload.message = { mid: 'a3', attachments: [{ type: 'image', payload: { url: 'https://example.com/a.jpg' } }] };
+        enqueueAt(0, [message('A', 'a1'), message('A', 'a2'), photo, message('A', 'a4')]);
+
+        jest.setSystemTime(START + 3000);
+        const head = getNextEvent(WINDOW);
+
+        expect(getBatchableEvents(head).map(e => e.event_id)).toEqual(['a2']);
+    });
+
+    test('the batch is limited in size and never starts from a postback', () => {
+        enqueueAt(0, [postback('A', 'p1'), message('A', 'a1'), message('A', 'a2'), message('A', 'a3')]);
+
+        const head = getNextEvent(WINDOW);
+        expect(head.event_id).toBe('p1');
+        expect(getBatchableEvents(head)).toEqual([]);
+
+        markEventDone(head.id);
+        jest.setSystemTime(START + 3000);
+        expect(getBatchableEvents(getNextEvent(WINDOW), 1).map(e => e.event_id)).toEqual(['a2']);
+    });
+    test('a standby event never starts a batch', () => {
+        const standby = { ...message('A', 's1', 'ข้อความถึงแอปอื่น'), eventType: 'standby' };
+        enqueueAt(0, [standby, message('A', 'a1'), message('A', 'a2')]);
+
+        const head = getNextEvent(WINDOW);
+        expect(head).toMatchObject({ event_id: 's1', event_type: 'standby' });
+        expect(getBatchableEvents(head)).toEqual([]);
+    });
+});
+
+describe('markEventFailed', () => {
+    test('retries with exponential backoff', () => {
+        enqueueEvents([postback('A', 'a1')]);
+        const delays = [];
+
+        for (let attempt = 1; attempt < RETRY.maxAttempts; attempt++) {
+            const event = take();
+            expect(markEventFailed(event.id, `failure ${attempt}`, RETRY)).toBe('pending');
+
+            const { next_attempt_at: nextAttemptAt } = getDatabase()
+                .prepare('SELECT next_attempt_at FROM inbound_events WHERE id = ?').get(event.id);
+            const delay = new Date(nextAttemptAt).getTime() - Date.now();
+            delays.push(delay);
+
+            jest.setSystemTime(Date.now() + delay - 1);
+            expect(getNextEvent()).toBeUndefined();
+            jest.setSystemTime(Date.now() + 1);
+        }
+
+        expect(delays).toEqual([1000, 2000]);
+    });
+
+    test('moves the event to the dead letters after maxAttempts', () => {
+        enqueueEvents([postback('A', 'a1'), postback('A', 'a2')]);
+
+        let status;
+        for (let attempt = 1; attempt <= RETRY.maxAttempts; attempt++) {
+            jest.setSystemTime(START + attempt * 60 * 1000);
+            status = markEventFailed(take().id, `failure ${attempt}`, RETRY);
+        }
+
+        expect(status).toBe('dead');
+        const dead = getDeadEvents();
+        expect(dead).toHaveLength(1);
+        expect(dead[0]).toMatchObject({ event_id: 'a1', attempts: 3, last_error: 'failure 3' });
+
+        // The customer's queue moves on
+        expect(getNextEvent().event_id).toBe('a2');
+    });
+
+    test('a dead event can be put back in the queue', () => {
+        enqueueEvents([postback('A', 'a1')]);
+        const event = take();
+        markEventFailed(event.id, 'boom', { maxAttempts: 1, retryBaseMs: 1000 });
+
+        expect(retryDeadEvent(event.id)).toBe(true);
+        expect(retryDeadEvent(event.id)).toBe(false);
+
+        const retried = getNextEvent();
+        expect(retried).toMatchObject({ event_id: 'a1', attempts: 0, status: 'pending' });
+    });
+});
+
+describe('resetProcessingEvents', () => {
+    test('returns events left processing by a crash to the queue', () => {
+        enqueueEvents([postback('A', 'a1')]);
+        take();
+
+        expect(resetProcessingEvents()).toBe(1);
+        expect(getNextEvent().event_id).toBe('a1');
+    });
+});
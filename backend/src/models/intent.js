@@ -0,0 +1,162 @@
+/**
+ * Intent Model
+ * The intents the AI classifies customer messages into, each with a description and
+ * example utterances for the classifier prompt, the department it routes to, an
+ * optional linked menu option and its escalation policy
+ */
+
+const { getDatabase } = require('./database');
+const logger = require('../utils/logger');
+
+// Intents the classifier falls back to - they cannot be deleted
+const FALLBACK_INTENTS = ['GENERAL_INQUIRY', 'OTHER'];
+
+const ESCALATION_POLICIES = ['none', 'escalate'];
+const ESCALATION_PRIORITIES = ['low', 'medium', 'high'];
+
+// Columns that can be set through createIntent/updateIntent (API field -> column)
+const FIELDS = {
+    description: 'description',
+    department: 'department',
+    menuOptionId: 'menu_option_id',
+    escalationPolicy: 'escalation_policy',
+    escalationPriority: 'escalation_priority'
+};
+
+/**
+ * Get intents with the text of their linked menu option
+ */
+function getIntents(includeDisabled = false) {
+    const db = getDatabase();
+
+    let query = `
+        SELECT i.*, m.text AS menu_option_text
+        FROM intents i
+        LEFT JOIN menu_options m ON m.id = i.menu_option_id
+    `;
+    if (!includeDisabled) {
+        query += ' WHERE i.enabled = 1';
+    }
+    query += ' ORDER BY i.id ASC';
+
+    return db.prepare(query).all().map(parseIntent);
+}
+
+/**
+ * Get single intent
+ */
+function getIntent(id) {
+    const db = getDatabase();
+    const intent = db.prepare('SELECT * FROM intents WHERE id = ?').get(id);
+    return intent ? parseIntent(intent) : null;
+}
+
+/**
+ * Get an intent by its name (e.g. 'LOAN')
+ */
+function getIntentByName(name) {
+    const db = getDatabase();
+    const intent = db.prepare('SELECT * FROM intents WHERE name = ?').get(name);
+    return intent ? parseIntent(intent) : null;
+}
+
+/**
+ * Create intent
+ * @param {object} data - { name, description, examples, department, menuOptionId,
+ *                          escalationPolicy, escalationPriority, enabled }
+ */
+function createIntent(data) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    const result = db.prepare(`
+        INSERT INTO intents
+            (name, description, examples, department, menu_option_id,
+             escalation_policy, escalation_priority, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        data.name,
+        data.description || null,
+        JSON.stringify(data.examples || []),
+        data.department || null,
+        data.menuOptionId || null,
+        data.escalationPolicy || 'none',
+        data.escalationPriority || 'medium',
+        data.enabled !== false ? 1 : 0,
+        now,
+        now
+    );
+
+    logger.info(`Created intent ${data.name}`);
+    return getIntent(result.lastInsertRowid);
+}
+
+/**
+ * Update intent (the name is fixed - past messages are tagged with it)
+ */
+function updateIntent(id, data) {
+    const db = getDatabase();
+
+    const updates = [];
+    const values = [];
+
+    for (const [field, column] of Object.entries(FIELDS)) {
+        if (data[field] !== undefined) {
+            updates.push(`${column} = ?`);
+            values.push(data[field] || null);
+        }
+    }
+
+    if (data.examples !== undefined) {
+        updates.push('examples = ?');
+        values.push(JSON.stringify(data.examples || []));
+    }
+
+    if (data.enabled !== undefined) {
+        updates.push('enabled = ?');
+        values.push(data.enabled ? 1 : 0);
+    }
+
+    updates.push('updated_at = ?');
+    values.push(new Date().toISOString());
+    values.push(id);
+
+    db.prepare(`UPDATE intents SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+
+    logger.info(`Updated intent ${id}`);
+    return getIntent(id);
+}
+
+/**
+ * Delete intent
+ */
+function deleteIntent(id) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM intents WHERE id = ?').run(id);
+    logger.info(`Deleted intent ${id}`);
+}
+
+/**
+ * Parse the stored examples
+ */
+function parseIntent(intent) {
+    let examples = [];
+    try {
+        examples = JSON.parse(intent.examples || '[]');
+    } catch (e) {
+        examples = [];
+    }
+    return { ...intent, examples };
+}
+
+module.exports = {
+    FALLBACK_INTENTS,
+    ESCALATION_POLICIES,
+    ESCALATION_PRIORITIES,
+    getIntents,
+    getIntent,
+    getIntentByName,
+    createIntent,
+    updateIntent,
+    deleteIntent
+};
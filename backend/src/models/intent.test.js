@@ -0,0 +1,111 @@
+/**
+ * Tests for the intents table: the classifier prompt and schema built from it,
+ * and the escalation policy of each intent
+ */
+
+const { useTestDatabase } = require('../../test/testDatabase');
+useTestDatabase('intent');
+process.env.LLM_PROVIDER = 'mock';
+
+const { getIntents, getIntentByName, createIntent, updateIntent, deleteIntent } = require('./intent');
+const { setMockResponse } = require('../services/ai/providers/mock');
+const { detectIntent } = require('../services/ai/gemini');
+const { shouldEscalate } = require('../services/ai/escalation');
+
+afterEach(() => {
+    setMockResponse('intent', null);
+});
+
+/**
+ * Answer the classifier with an intent and record the prompt it was given
+ */
+function classifyAs(intent) {
+    const prompts = [];
+    setMockResponse('intent', (prompt) => {
+        prompts.push(prompt);
+        return { intent, confidence: 0.9, keywords: [], suggestedDepartment: 'เดาเอง', summary: 'สรุป' };
+    });
+    return prompts;
+}
+
+describe('default intents', () => {
+    test('are seeded with their escalation policy and linked menu', () => {
+        expect(getIntents().map(i => i.name)).toEqual(expect.arrayContaining(['OPEN_ACCOUNT', 'LOAN', 'COMPLAINT', 'OTHER']));
+        expect(getIntentByName('LOAN')).toMatchObject({ escalation_policy: 'escalate', department: 'ฝ่ายสินเชื่อ' });
+        expect(getIntentByName('GREETING').escalation_policy).toBe('none');
+        expect(getIntents().find(i => i.name === 'OPEN_ACCOUNT').menu_option_text).toBe('เปิดบัญชี');
+    });
+});
+
+describe('detectIntent', () => {
+    test('lists every enabled intent with its description and examples', async () => {
+        const prompts = classifyAs('GREETING');
+
+        await detectIntent('สวัสดีครับ');
+
+        expect(prompts[0]).toContain('- OPEN_ACCOUNT: ต้องการเปิดบัญชีใหม่');
+        expect(prompts[0]).toContain('(ตัวอย่าง: "อยากเปิดบัญชีครับ", "เปิดบัญชีต้องใช้เอกสารอะไรบ้าง")');
+        expect(prompts[0]).toContain('- OTHER: เรื่องอื่นที่ไม่ตรงกับหัวข้อไหนเลย\n');
+        expect(prompts[0]).toContain('ข้อความ: "สวัสดีครับ"');
+    });
+
+    test('accepts an intent added to the table, with the department set for it', async () => {
+        const intent = createIntent({
+            name: 'INSURANCE',
+            description: 'ประกันชีวิต ประกันสุขภาพ',
+            examples: ['ทำประกันได้ไหม'],
+            department: 'ฝ่ายประกัน'
+        });
+        const prompts = classifyAs('INSURANCE');
+
+        const result = await detectIntent('อยากทำประกัน');
+
+        expect(prompts[0]).toContain('- INSURANCE: ประกันชีวิต ประกันสุขภาพ (ตัวอย่าง: "ทำประกันได้ไหม")');
+        expect(result).toMatchObject({ intent: 'INSURANCE', suggestedDepartment: 'ฝ่ายประกัน' });
+
+        deleteIntent(intent.id);
+    });
+
+    test('rejects an intent that is not in the table, or is disabled', async () => {
+        const loan = getIntentByName('LOAN');
+        updateIntent(loan.id, { enabled: false });
+        try {
+            const prompts = classifyAs('LOAN');
+
+            const result = await detectIntent('อยากกู้เงิน');
+
+            expect(prompts[0]).not.toContain('- LOAN:');
+            // Asked again once with the schema error, then the default is used
+            expect(prompts).toHaveLength(2);
+            expect(prompts[1]).toContain('$.intent must be one of:');
+            expect(result.intent).toBe('OTHER');
+        } finally {
+            updateIntent(loan.id, { enabled: true });
+        }
+    });
+});
+
+describe('escalation policy', () => {
+    const answer = (intent) => ({ response: 'คำตอบ', confidence: 0.95, intent: { intent } });
+
+    test('escalates intents with the escalate policy at their priority', async () => {
+        const complaint = getIntentByName('COMPLAINT');
+        updateIntent(complaint.id, { escalationPriority: 'high' });
+
+        const result = await shouldEscalate('ข้อความ', answer('COMPLAINT'));
+
+        expect(result).toMatchObject({ shouldEscalate: true, priority: 'high' });
+        expect(result.factors.highValueIntent).toBe(true);
+    });
+
+    test('follows changes to the policy', async () => {
+        const greeting = getIntentByName('GREETING');
+        expect((await shouldEscalate('ข้อความ', answer('GREETING'))).shouldEscalate).toBe(false);
+
+        updateIntent(greeting.id, { escalationPolicy: 'escalate' });
+        expect((await shouldEscalate('ข้อความ', answer('GREETING'))).shouldEscalate).toBe(true);
+
+        updateIntent(greeting.id, { enabled: false });
+        expect((await shouldEscalate('ข้อความ', answer('GREETING'))).shouldEscalate).toBe(false);
+    });
+});
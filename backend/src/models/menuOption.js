@@ -5,20 +5,33 @@
 
 const { getDatabase } = require('./database');
 const logger = require('../utils/logger');
+const { getCurrentPage } = require('../utils/pageContext');
 
 /**
  * Get all menu options
+ * Options without a Page are shared; with a Page only its own and the shared ones are returned
+ * @param {string} pageId - Page to get the menu of (defaults to the current Page, all when none)
  */
-async function getMenuOptions(includeDisabled = false) {
+async function getMenuOptions(includeDisabled = false, pageId = getCurrentPage()?.id) {
     const db = getDatabase();
 
-    let query = 'SELECT * FROM menu_options';
+    const conditions = [];
+    const params = [];
     if (!includeDisabled) {
-        query += ' WHERE enabled = 1';
+        conditions.push('enabled = 1');
+    }
+    if (pageId) {
+        conditions.push('(page_id IS NULL OR page_id = ?)');
+        params.push(pageId);
+    }
+
+    let query = 'SELECT * FROM menu_options';
+    if (conditions.length > 0) {
+        query += ` WHERE ${conditions.join(' AND ')}`;
     }
     query += ' ORDER BY order_num ASC';
 
-    const options = db.prepare(query).all();
+    const options = db.prepare(query).all(...params);
 
     return options.map(opt => ({
         ...opt,
@@ -50,8 +63,8 @@ async function createMenuOption(data) {
     const maxOrder = db.prepare('SELECT MAX(order_num) as max FROM menu_options').get().max || 0;
 
     const stmt = db.prepare(`
-    INSERT INTO menu_options (order_num, emoji, text, keywords, auto_response, enabled)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO menu_options (order_num, emoji, text, keywords, auto_response, image_url, link, file_url, page_id, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
     const result = stmt.run(
@@ -60,6 +73,10 @@ async function createMenuOption(data) {
         data.text,
         Array.isArray(data.keywords) ? data.keywords.join(',') : data.keywords || '',
         data.autoResponse || '',
+        data.imageUrl || null,
+        data.link || null,
+        data.fileUrl || null,
+        data.pageId || null,
         data.enabled !== false ? 1 : 0
     );
 
@@ -101,6 +118,26 @@ async function updateMenuOption(id, data) {
         values.push(data.autoResponse);
     }
 
+    if (data.imageUrl !== undefined) {
+        updates.push('image_url = ?');
+        values.push(data.imageUrl || null);
+    }
+
+    if (data.link !== undefined) {
+        updates.push('link = ?');
+        values.push(data.link || null);
+    }
+
+    if (data.fileUrl !== undefined) {
+        updates.push('file_url = ?');
+        values.push(data.fileUrl || null);
+    }
+
+    if (data.pageId !== undefined) {
+        updates.push('page_id = ?');
+        values.push(data.pageId || null);
+    }
+
     if (data.enabled !== undefined) {
         updates.push('enabled = ?');
         values.push(data.enabled ? 1 : 0);
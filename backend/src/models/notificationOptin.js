@@ -0,0 +1,189 @@
+/**
+ * Notification Opt-in Model
+ * Recurring notification tokens customers granted through the opt-in template
+ * One row per customer and topic; a token allows one message per frequency period
+ */
+
+const { getDatabase } = require('./database');
+const logger = require('../utils/logger');
+
+const FREQUENCY_DAYS = {
+    DAILY: 1,
+    WEEKLY: 7,
+    MONTHLY: 30
+};
+
+/**
+ * Save an opt-in (or a refreshed token) from a webhook event
+ * @param {string} fbUserId - Customer's Facebook ID
+ * @param {object} optin - { topic, token, frequency, tokenExpiresAt, timezone }
+ */
+function saveOptin(fbUserId, optin) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+        INSERT INTO notification_optins
+            (fb_user_id, topic, token, frequency, status, token_expires_at, timezone, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 'active', ?, ?, ?, ?)
+        ON CONFLICT(fb_user_id, topic) DO UPDATE SET
+            token = excluded.token,
+            frequency = excluded.frequency,
+            status = 'active',
+            token_expires_at = excluded.token_expires_at,
+            timezone = excluded.timezone,
+            updated_at = excluded.updated_at
+    `).run(
+        fbUserId,
+        optin.topic,
+        optin.token,
+        optin.frequency,
+        optin.tokenExpiresAt,
+        optin.timezone || null,
+        now,
+        now
+    );
+
+    logger.info(`Notification opt-in saved for ${fbUserId} (${optin.topic}, ${optin.frequency})`);
+    return getOptin(fbUserId, optin.topic);
+}
+
+/**
+ * Stop or resume notifications of a topic
+ * Stopping also rejects queued messages that would use the token
+ * @param {string} status - 'active' or 'stopped'
+ */
+function setOptinStatus(fbUserId, topic, status) {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE notification_optins SET status = ?, updated_at = ?
+        WHERE fb_user_id = ? AND topic = ?
+    `).run(status, new Date().toISOString(), fbUserId, topic);
+
+    if (status === 'stopped') {
+        const optin = getOptin(fbUserId, topic);
+        if (optin?.token) {
+            db.prepare(`
+                UPDATE pending_messages SET status = 'rejected'
+                WHERE recipient_id = ? AND status IN ('pending', 'approved')
+                AND metadata LIKE ?
+            `).run(fbUserId, `%"notificationToken":"${optin.token}"%`);
+        }
+    }
+
+    logger.info(`Notifications ${status} for ${fbUserId} (${topic})`);
+    return getOptin(fbUserId, topic);
+}
+
+/**
+ * Get the opt-in of a customer for a topic
+ */
+function getOptin(fbUserId, topic) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM notification_optins WHERE fb_user_id = ? AND topic = ?').get(fbUserId, topic);
+}
+
+/**
+ * Get all opt-ins of a customer
+ */
+function getCustomerOptins(fbUserId) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM notification_optins WHERE fb_user_id = ? ORDER BY topic').all(fbUserId);
+}
+
+/**
+ * Check whether an opt-in can be used to send right now
+ */
+function isOptinValid(optin, now = new Date()) {
+    return !!optin
+        && optin.status === 'active'
+        && !!optin.token
+        && (!optin.token_expires_at || new Date(optin.token_expires_at) > now);
+}
+
+/**
+ * Check whether a notification token is still active and unexpired
+ */
+function isTokenActive(token) {
+    const db = getDatabase();
+    const optin = db.prepare('SELECT * FROM notification_optins WHERE token = ?').get(token);
+    return isOptinValid(optin);
+}
+
+/**
+ * Get valid opt-ins of a topic that may receive a message now
+ * (nothing sent yet in the current frequency period, nor a message with the
+ * token waiting in the test-mode queue)
+ */
+function getDueOptins(topic) {
+    const db = getDatabase();
+    const now = new Date();
+
+    const optins = db.prepare(`
+        SELECT * FROM notification_optins
+        WHERE topic = ? AND status = 'active' AND token IS NOT NULL
+        AND (token_expires_at IS NULL OR token_expires_at > ?)
+        AND NOT EXISTS (
+          SELECT 1 FROM pending_messages p
+          WHERE p.recipient_id = notification_optins.fb_user_id
+            AND p.status IN ('pending', 'approved')
+            AND p.metadata LIKE '%"notificationToken":"' || notification_optins.token || '"%'
+        )
+    `).all(topic, now.toISOString());
+
+    return optins.filter(optin => {
+        if (!optin.last_sent_at) return true;
+
+        const periodMs = (FREQUENCY_DAYS[optin.frequency] || 1) * 24 * 60 * 60 * 1000;
+        return now - new Date(optin.last_sent_at) >= periodMs;
+    });
+}
+
+/**
+ * Record that a notification was delivered with an opt-in's token
+ * Called for real sends only - a message held in the test-mode queue does not use up the token
+ */
+function markNotificationSent(token) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+    db.prepare('UPDATE notification_optins SET last_sent_at = ?, updated_at = ? WHERE token = ?').run(now, now, token);
+}
+
+/**
+ * Check whether the opt-in should be offered to a customer
+ * Not when already opted in (or opted out), nor within the offer interval
+ */
+function shouldOfferOptin(fbUserId, topic, intervalDays) {
+    const db = getDatabase();
+
+    if (getOptin(fbUserId, topic)) return false;
+
+    const customer = db.prepare('SELECT optin_offered_at FROM customers WHERE fb_user_id = ?').get(fbUserId);
+    if (!customer?.optin_offered_at) return true;
+
+    const cutoff = Date.now() - intervalDays * 24 * 60 * 60 * 1000;
+    return new Date(customer.optin_offered_at).getTime() < cutoff;
+}
+
+/**
+ * Record that the opt-in was offered to a customer
+ */
+function markOptinOffered(fbUserId) {
+    const db = getDatabase();
+    db.prepare('UPDATE customers SET optin_offered_at = ? WHERE fb_user_id = ?').run(new Date().toISOString(), fbUserId);
+}
+
+module.exports = {
+    FREQUENCY_DAYS,
+    saveOptin,
+    setOptinStatus,
+    getOptin,
+    getCustomerOptins,
+    isOptinValid,
+    isTokenActive,
+    getDueOptins,
+    markNotificationSent,
+    shouldOfferOptin,
+    markOptinOffered
+};
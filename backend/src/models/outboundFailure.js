@@ -0,0 +1,134 @@
+/**
+ * Outbound Failure Model
+ * Dead-letter list of sends that failed permanently (or ran out of retries)
+ * Staff can inspect them in the dashboard and send them again
+ */
+
+const { getDatabase } = require('./database');
+
+/**
+ * Record a failed send
+ * @param {object} failure - { recipientId, payload, source, metadata, category, code, message, attempts, pageId }
+ */
+function saveOutboundFailure(failure) {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+        INSERT INTO outbound_failures
+            (recipient_id, payload, source, metadata, error_category, error_code, error_message, attempts, page_id, status, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'failed', ?)
+    `).run(
+        failure.recipientId,
+        JSON.stringify(failure.payload),
+        failure.source,
+        JSON.stringify(failure.metadata || {}),
+        failure.category,
+        failure.code != null ? String(failure.code) : null,
+        failure.message,
+        failure.attempts,
+        failure.pageId || null,
+        new Date().toISOString()
+    );
+
+    return result.lastInsertRowid;
+}
+
+/**
+ * Get failed sends, newest first
+ * @param {string} pageId - Only sends of this Page (all when omitted)
+ */
+function getOutboundFailures(status = 'failed', limit = 100, pageId = null) {
+    const db = getDatabase();
+
+    return db.prepare(`
+        SELECT f.*, c.name as customer_name
+        FROM outbound_failures f
+        LEFT JOIN customers c ON f.recipient_id = c.fb_user_id
+        WHERE f.status = ? AND (? IS NULL OR f.page_id = ?)
+        ORDER BY f.id DESC
+        LIMIT ?
+    `).all(status, pageId, pageId, limit).map(f => ({
+        ...f,
+        payload: JSON.parse(f.payload),
+        metadata: f.metadata ? JSON.parse(f.metadata) : {}
+    }));
+}
+
+/**
+ * Get a failed send by ID
+ */
+function getOutboundFailureById(id) {
+    const db = getDatabase();
+
+    const failure = db.prepare('SELECT * FROM outbound_failures WHERE id = ?').get(id);
+    if (!failure) return null;
+
+    return {
+        ...failure,
+        payload: JSON.parse(failure.payload),
+        metadata: failure.metadata ? JSON.parse(failure.metadata) : {}
+    };
+}
+
+/**
+ * Mark a failed send as sent again (or dismissed)
+ * @param {string} status - 'retried' or 'dismissed'
+ */
+function resolveOutboundFailure(id, status = 'retried') {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE outbound_failures SET status = ?, resolved_at = ? WHERE id = ?
+    `).run(status, new Date().toISOString(), id);
+}
+
+/**
+ * Record that sending a failed message again failed too
+ * @param {Error} sendError - SEND_FAILED error from the messenger
+ */
+function recordRetryFailure(id, sendError) {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE outbound_failures
+        SET error_category = ?, error_code = ?, error_message = ?, attempts = attempts + ?
+        WHERE id = ?
+    `).run(
+        sendError.category,
+        sendError.graphCode != null ? String(sendError.graphCode) : null,
+        sendError.message,
+        sendError.attempts || 1,
+        id
+    );
+}
+
+/**
+ * Get failed send counts by category
+ * @param {string} pageId - Only sends of this Page (all when omitted)
+ */
+function getOutboundFailureStats(pageId = null) {
+    const db = getDatabase();
+
+    const rows = db.prepare(`
+        SELECT error_category, COUNT(*) as count
+        FROM outbound_failures
+        WHERE status = 'failed' AND (? IS NULL OR page_id = ?)
+        GROUP BY error_category
+    `).all(pageId, pageId);
+
+    const result = {};
+    rows.forEach(r => {
+        result[r.error_category] = r.count;
+    });
+
+    return result;
+}
+
+module.exports = {
+    saveOutboundFailure,
+    getOutboundFailures,
+    getOutboundFailureById,
+    resolveOutboundFailure,
+    recordRetryFailure,
+    getOutboundFailureStats
+};
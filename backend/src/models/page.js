@@ -0,0 +1,161 @@
+/**
+ * Page Model
+ * Facebook Pages served by this app, each with its own token, app secret,
+ * business hours, prompt and vector namespace, and optionally a linked Instagram account
+ * With no Pages registered the app runs in single-Page mode from config
+ */
+
+const { getDatabase } = require('./database');
+const { runWithPage } = require('../utils/pageContext');
+const logger = require('../utils/logger');
+
+// Columns that can be set through createPage/updatePage (API field -> column)
+const FIELDS = {
+    name: 'name',
+    accessToken: 'access_token',
+    appSecret: 'app_secret',
+    businessHoursStart: 'business_hours_start',
+    businessHoursEnd: 'business_hours_end',
+    timezone: 'timezone',
+    systemPrompt: 'system_prompt',
+    vectorNamespace: 'vector_namespace',
+    instagramAccountId: 'instagram_account_id'
+};
+
+/**
+ * Get registered Pages
+ */
+function getPages(includeDisabled = false) {
+    const db = getDatabase();
+
+    let query = 'SELECT * FROM pages';
+    if (!includeDisabled) {
+        query += ' WHERE enabled = 1';
+    }
+    query += ' ORDER BY name ASC';
+
+    return db.prepare(query).all();
+}
+
+/**
+ * Get a Page by its Facebook Page id
+ */
+function getPageById(id) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM pages WHERE id = ?').get(String(id)) || null;
+}
+
+/**
+ * Get the Page an Instagram account is linked to
+ */
+function getPageByInstagramAccountId(instagramAccountId) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM pages WHERE instagram_account_id = ?').get(String(instagramAccountId)) || null;
+}
+
+/**
+ * Get the Page a customer belongs to (null in single-Page mode)
+ */
+function getPageForCustomer(fbUserId) {
+    const db = getDatabase();
+
+    return db.prepare(`
+        SELECT p.* FROM pages p
+        INNER JOIN customers c ON c.page_id = p.id
+        WHERE c.fb_user_id = ?
+    `).get(fbUserId) || null;
+}
+
+/**
+ * Register a Page
+ * @param {object} data - { id, name, accessToken, appSecret, businessHoursStart, businessHoursEnd,
+ *                          timezone, systemPrompt, vectorNamespace, instagramAccountId, enabled }
+ */
+function createPage(data) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    db.prepare(`
+        INSERT INTO pages
+            (id, name, access_token, app_secret, business_hours_start, business_hours_end,
+             timezone, system_prompt, vector_namespace, instagram_account_id, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        String(data.id),
+        data.name,
+        data.accessToken,
+        data.appSecret || null,
+        data.businessHoursStart || null,
+        data.businessHoursEnd || null,
+        data.timezone || null,
+        data.systemPrompt || null,
+        data.vectorNamespace || `page-${data.id}`,
+        data.instagramAccountId ? String(data.instagramAccountId) : null,
+        data.enabled !== false ? 1 : 0,
+        now,
+        now
+    );
+
+    logger.info(`Registered Page ${data.id} (${data.name})`);
+    return getPageById(data.id);
+}
+
+/**
+ * Update a Page
+ */
+function updatePage(id, data) {
+    const db = getDatabase();
+
+    const updates = [];
+    const values = [];
+
+    for (const [field, column] of Object.entries(FIELDS)) {
+        if (data[field] !== undefined) {
+            updates.push(`${column} = ?`);
+            values.push(data[field] || null);
+        }
+    }
+
+    if (data.enabled !== undefined) {
+        updates.push('enabled = ?');
+        values.push(data.enabled ? 1 : 0);
+    }
+
+    updates.push('updated_at = ?');
+    values.push(new Date().toISOString());
+    values.push(String(id));
+
+    db.prepare(`UPDATE pages SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+
+    logger.info(`Updated Page ${id}`);
+    return getPageById(id);
+}
+
+/**
+ * Run a job once per enabled Page, with that Page as the current Page
+ * In single-Page mode the job runs once without a Page
+ * @param {Function} fn - async (page) => result
+ * @returns {Array} Results in Page order
+ */
+async function forEachPage(fn) {
+    const pages = getPages();
+    if (pages.length === 0) {
+        return [await runWithPage(null, () => fn(null))];
+    }
+
+    const results = [];
+    for (const page of pages) {
+        results.push(await runWithPage(page, () => fn(page)));
+    }
+    return results;
+}
+
+module.exports = {
+    getPages,
+    getPageById,
+    getPageByInstagramAccountId,
+    getPageForCustomer,
+    createPage,
+    updatePage,
+    forEachPage
+};
@@ -5,36 +5,41 @@
 
 const { getDatabase } = require('./database');
 const { v4: uuidv4 } = require('uuid');
+const { META_CHANNELS } = require('../utils/channels');
 
 /**
  * Save a pending message (for test mode)
+ * @param {string} message - Readable text of the message
+ * @param {object} payload - Full Send API body ({ message: {...} }) replayed when the message is sent
+ * @param {string} pageId - Page the message is sent from (null in single-Page mode)
  */
-function savePendingMessage(recipientId, message, source, metadata = {}) {
+function savePendingMessage(recipientId, message, source, metadata = {}, payload = null, pageId = null) {
     const db = getDatabase();
     const id = uuidv4();
 
     db.prepare(`
-        INSERT INTO pending_messages (id, recipient_id, message, source, metadata, status)
-        VALUES (?, ?, ?, ?, ?, 'pending')
-    `).run(id, recipientId, message, source, JSON.stringify(metadata));
+        INSERT INTO pending_messages (id, recipient_id, message, payload, source, metadata, page_id, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+    `).run(id, recipientId, message, payload ? JSON.stringify(payload) : null, source, JSON.stringify(metadata), pageId);
 
-    return { id, recipientId, message, source, status: 'pending' };
+    return { id, recipientId, message, payload, source, pageId, status: 'pending' };
 }
 
 /**
  * Get all pending messages
+ * @param {string} pageId - Only messages of this Page (all when omitted)
  */
-function getPendingMessages(status = 'pending') {
+function getPendingMessages(status = 'pending', pageId = null) {
     const db = getDatabase();
 
     return db.prepare(`
         SELECT pm.*, c.name as customer_name
         FROM pending_messages pm
         LEFT JOIN customers c ON pm.recipient_id = c.fb_user_id
-        WHERE pm.status = ?
+        WHERE pm.status = ? AND (? IS NULL OR pm.page_id = ?)
         ORDER BY pm.created_at DESC
         LIMIT 100
-    `).all(status);
+    `).all(status, pageId, pageId);
 }
 
 /**
@@ -95,15 +100,16 @@ function getPendingMessageById(id) {
 
 /**
  * Get approved messages ready to send
+ * @param {string} pageId - Only messages of this Page (all when omitted)
  */
-function getApprovedMessages() {
+function getApprovedMessages(pageId = null) {
     const db = getDatabase();
 
     return db.prepare(`
         SELECT * FROM pending_messages 
-        WHERE status = 'approved'
+        WHERE status = 'approved' AND (? IS NULL OR page_id = ?)
         ORDER BY created_at ASC
-    `).all();
+    `).all(pageId, pageId);
 }
 
 /**
@@ -115,14 +121,70 @@ function clearOldPendingMessages() {
     db.prepare(`
         DELETE FROM pending_messages 
         WHERE created_at < datetime('now', '-7 days')
-        AND status IN ('sent', 'rejected')
+        AND status IN ('sent', 'rejected', 'expired', 'failed')
     `).run();
 }
 
+/**
+ * Mark a message as expired (can no longer be sent inside the messaging window)
+ */
+function markMessageExpired(id) {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE pending_messages 
+        SET status = 'expired'
+        WHERE id = ?
+    `).run(id);
+
+    return true;
+}
+
+/**
+ * Mark a message as failed (the send was rejected by Facebook, see outbound_failures)
+ */
+function markMessageFailed(id) {
+    const db = getDatabase();
+
+    db.prepare(`
+        UPDATE pending_messages 
+        SET status = 'failed'
+        WHERE id = ?
+    `).run(id);
+
+    return true;
+}
+
+/**
+ * Expire pending/approved messages whose recipient is outside the 24-hour window
+ * Tagged messages and notification-token sends are left for the send-time check;
+ * only Messenger and Instagram have a messaging window
+ * @param {string} cutoff - ISO time; customers with no inbound message since then are outside the window
+ * @returns {number} Number of messages expired
+ */
+function expireStalePendingMessages(cutoff) {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+        UPDATE pending_messages
+        SET status = 'expired'
+        WHERE status IN ('pending', 'approved')
+        AND recipient_id NOT IN (
+            SELECT fb_user_id FROM customers
+            WHERE last_inbound_at >= ? OR channel NOT IN (${META_CHANNELS.map(() => '?').join(', ')})
+        )
+        AND (payload IS NULL OR payload NOT LIKE '%"MESSAGE_TAG"%')
+        AND (metadata IS NULL OR metadata NOT LIKE '%"notificationToken"%')
+    `).run(cutoff, ...META_CHANNELS);
+
+    return result.changes;
+}
+
 /**
  * Get pending messages stats
+ * @param {string} pageId - Only messages of this Page (all when omitted)
  */
-function getPendingStats() {
+function getPendingStats(pageId = null) {
     const db = getDatabase();
 
     const stats = db.prepare(`
@@ -130,10 +192,11 @@ function getPendingStats() {
             status,
             COUNT(*) as count
         FROM pending_messages
+        WHERE (? IS NULL OR page_id = ?)
         GROUP BY status
-    `).all();
+    `).all(pageId, pageId);
 
-    const result = { pending: 0, approved: 0, sent: 0, rejected: 0 };
+    const result = { pending: 0, approved: 0, sent: 0, rejected: 0, expired: 0, failed: 0 };
     stats.forEach(s => {
         result[s.status] = s.count;
     });
@@ -147,6 +210,9 @@ module.exports = {
     approvePendingMessage,
     rejectPendingMessage,
     markMessageSent,
+    markMessageExpired,
+    markMessageFailed,
+    expireStalePendingMessages,
     getPendingMessageById,
     getApprovedMessages,
     clearOldPendingMessages,
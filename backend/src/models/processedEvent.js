@@ -0,0 +1,59 @@
+/**
+ * Processed Event Model
+ * Records webhook message ids so Facebook redeliveries are skipped
+ */
+
+const { getDatabase } = require('./database');
+const logger = require('../utils/logger');
+
+/**
+ * Record a webhook event as processed
+ * Call it only once the event has been queued or handled - a redelivery is skipped from then on
+ * Returns false if the event id was already recorded
+ * @param {string} mid - Message id from the webhook event
+ * @param {string} senderId - Facebook sender ID
+ */
+function markEventProcessed(mid, senderId) {
+    const db = getDatabase();
+
+    const result = db.prepare(`
+        INSERT OR IGNORE INTO processed_events (mid, sender_id, processed_at)
+        VALUES (?, ?, ?)
+    `).run(mid, senderId || null, new Date().toISOString());
+
+    return result.changes === 1;
+}
+
+/**
+ * Check if a webhook event has already been processed
+ * @param {string} mid - Message id from the webhook event
+ */
+function isEventProcessed(mid) {
+    const db = getDatabase();
+
+    const row = db.prepare('SELECT 1 FROM processed_events WHERE mid = ?').get(mid);
+    return !!row;
+}
+
+/**
+ * Delete processed event records older than N days
+ * Facebook stops redelivering long before this
+ */
+function purgeProcessedEvents(days = 7) {
+    const db = getDatabase();
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days);
+
+    const result = db.prepare(`
+        DELETE FROM processed_events WHERE processed_at < ?
+    `).run(cutoff.toISOString());
+
+    logger.info(`Purged ${result.changes} processed event records`);
+    return result.changes;
+}
+
+module.exports = {
+    markEventProcessed,
+    isEventProcessed,
+    purgeProcessedEvents
+};
@@ -16,9 +16,9 @@ function savePromotion(promotion) {
         const stmt = db.prepare(`
       INSERT OR REPLACE INTO promotions (
         fb_post_id, message, short_message, image_url, link,
-        engagement_score, promotion_score, expires_at,
+        engagement_score, promotion_score, expires_at, page_id,
         created_at, fetched_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
         stmt.run(
@@ -30,6 +30,7 @@ function savePromotion(promotion) {
             promotion.engagement,
             promotion.score,
             promotion.expiresAt || null,
+            promotion.pageId || null,
             promotion.createdTime,
             new Date().toISOString()
         );
@@ -44,19 +45,21 @@ function savePromotion(promotion) {
 
 /**
  * Get active promotions (not expired)
+ * @param {string} pageId - Only promotions of this Page (all when omitted)
  */
-function getActivePromotions(limit = 10) {
+function getActivePromotions(limit = 10, pageId = null) {
     const db = getDatabase();
 
     try {
         const stmt = db.prepare(`
       SELECT * FROM promotions 
       WHERE (expires_at IS NULL OR expires_at > datetime('now'))
+        AND (? IS NULL OR page_id = ?)
       ORDER BY promotion_score DESC
       LIMIT ?
     `);
 
-        return stmt.all(limit);
+        return stmt.all(pageId, pageId, limit);
     } catch (error) {
         logger.error(`Failed to get promotions: ${error.message}`);
         return [];
@@ -65,25 +68,35 @@ function getActivePromotions(limit = 10) {
 
 /**
  * Get best promotion for wake-up
+ * @param {string} pageId - Only promotions of this Page (all when omitted)
  */
-function getBestPromotionForWakeup() {
+function getBestPromotionForWakeup(pageId = null) {
     const db = getDatabase();
 
     try {
         const stmt = db.prepare(`
       SELECT * FROM promotions 
       WHERE (expires_at IS NULL OR expires_at > datetime('now'))
+        AND (? IS NULL OR page_id = ?)
       ORDER BY promotion_score DESC
       LIMIT 1
     `);
 
-        return stmt.get();
+        return stmt.get(pageId, pageId);
     } catch (error) {
         logger.error(`Failed to get best promotion: ${error.message}`);
         return null;
     }
 }
 
+/**
+ * Get a promotion by its Facebook post id
+ */
+function getPromotionByPostId(fbPostId) {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM promotions WHERE fb_post_id = ?').get(fbPostId);
+}
+
 /**
  * Get promotions used in recent wake-up campaigns
  */
@@ -177,6 +190,7 @@ module.exports = {
     savePromotion,
     getActivePromotions,
     getBestPromotionForWakeup,
+    getPromotionByPostId,
     getRecentlyUsedPromotions,
     markPromotionUsed,
     deleteOldPromotions,
@@ -4,6 +4,7 @@
  */
 
 const { detectIntent } = require('./gemini');
+const { getIntentByName } = require('../../models/intent');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
 
@@ -14,6 +15,9 @@ const SENSITIVE_TOPICS = [
     'เสียหาย', 'ขอยกเลิก', 'ปิดบัญชี', 'urgent', 'ด่วน'
 ];
 
+// Priorities from lowest to highest
+const PRIORITIES = ['low', 'medium', 'high'];
+
 // Frustration indicators
 const FRUSTRATION_INDICATORS = [
     'ไม่เข้าใจ', 'พูดซ้ำ', 'อีกแล้ว', 'กี่ครั้ง', 'เมื่อไหร่',
@@ -62,11 +66,11 @@ async function shouldEscalate(message, aiResponse) {
         logger.debug(`Escalation factor: Customer frustration (score: ${frustrationScore})`);
     }
 
-    // Factor 4: High-value intents that need human touch
-    const highValueIntents = ['COMPLAINT', 'LOAN', 'ACCOUNT_CLOSE'];
-    if (aiResponse.intent && highValueIntents.includes(aiResponse.intent.intent)) {
+    // Factor 4: High-value intents that need human touch (escalation policy of the intent)
+    const intent = aiResponse.intent?.intent ? getIntentByName(aiResponse.intent.intent) : null;
+    if (intent?.enabled && intent.escalation_policy === 'escalate') {
         factors.highValueIntent = true;
-        logger.debug(`Escalation factor: High-value intent (${aiResponse.intent.intent})`);
+        logger.debug(`Escalation factor: High-value intent (${intent.name})`);
     }
 
     // Factor 5: Explicit request for human
@@ -88,10 +92,16 @@ async function shouldEscalate(message, aiResponse) {
 
     if (factors.sensitiveTopics || factors.explicitRequest || activeFactors >= 3) {
         priority = 'high';
-    } else if (factors.customerFrustration || factors.highValueIntent || activeFactors >= 2) {
+    } else if (factors.customerFrustration || activeFactors >= 2) {
         priority = 'medium';
     }
 
+    // An escalated intent raises the priority to its own
+    if (factors.highValueIntent &&
+        PRIORITIES.indexOf(intent.escalation_priority) > PRIORITIES.indexOf(priority)) {
+        priority = intent.escalation_priority;
+    }
+
     // Get reason
     const reason = getEscalationReason(factors);
 
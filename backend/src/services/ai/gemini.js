@@ -1,97 +1,55 @@
 /**
  * Gemini AI Service
- * Handles all interactions with Google Gemini AI API
- * Includes key rotation for rate limit handling
+ * Prompts for replies, intents, summaries and quick replies
+ * Runs on the provider configured for each task (see providers/index.js)
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const config = require('../../utils/config');
 const logger = require('../../utils/logger');
-
-let genAI = null;
-let model = null;
-
-/**
- * Initialize Gemini AI with current API key
- */
-function initGemini() {
-    const apiKey = config.gemini.getCurrentKey();
-    if (!apiKey) {
-        throw new Error('No Gemini API key configured');
-    }
-    genAI = new GoogleGenerativeAI(apiKey);
-    model = genAI.getGenerativeModel({ model: config.gemini.model });
-    logger.info(`Gemini initialized with key index ${config.gemini.currentKeyIndex}`);
-}
-
-/**
- * Rotate to next API key (for rate limit handling)
- */
-function rotateApiKey() {
-    const newKey = config.gemini.getNextKey();
-    genAI = new GoogleGenerativeAI(newKey);
-    model = genAI.getGenerativeModel({ model: config.gemini.model });
-    logger.info(`Rotated to Gemini key index ${config.gemini.currentKeyIndex}`);
-}
-
-/**
- * Execute with retry and key rotation
- */
-async function executeWithRetry(fn, maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            if (error.message?.includes('429') || error.message?.includes('quota')) {
-                logger.warn(`Rate limited on key ${config.gemini.currentKeyIndex}, rotating...`);
-                rotateApiKey();
-            } else if (i === maxRetries - 1) {
-                throw error;
-            }
-            await sleep(1000 * (i + 1)); // Exponential backoff
-        }
-    }
-}
+const { getCurrentPage, getBusinessHours } = require('../../utils/pageContext');
+const llm = require('./providers');
+const { SCHEMAS } = require('./schemas');
+const { rotateApiKey } = require('./providers/gemini');
+const { getIntents } = require('../../models/intent');
 
 /**
  * Generate a response based on context
  * @param {string} userMessage - User's message
  * @param {Array} context - Relevant context from vector DB
  * @param {object} customerInfo - Customer information
+ * @param {object} memory - Earlier turns of this conversation { summary, turns } (see conversationMemory.js)
  */
-async function generateResponse(userMessage, context = [], customerInfo = {}) {
-    if (!model) initGemini();
-
+async function generateResponse(userMessage, context = [], customerInfo = {}, memory = {}) {
     const contextText = context.map(c =>
         `คำถาม: ${c.question}\nคำตอบ: ${c.answer}`
     ).join('\n\n');
+    const historyText = formatMemory(memory);
 
-    const prompt = `คุณเป็น AI ผู้ช่วยตอบคำถามลูกค้าสำหรับธุรกิจการเงิน ตอบเป็นภาษาไทยสุภาพ ใช้ครับ/ค่ะ
+    // Each Page can add its own instructions (country, products, language)
+    const pagePrompt = getCurrentPage()?.system_prompt;
+    const { start, end } = getBusinessHours();
 
+    const prompt = `คุณเป็น AI ผู้ช่วยตอบคำถามลูกค้าสำหรับธุรกิจการเงิน ตอบเป็นภาษาไทยสุภาพ ใช้ครับ/ค่ะ
+${pagePrompt ? `\n${pagePrompt}\n` : ''}
 ข้อมูลลูกค้า:
 - ชื่อ: ${customerInfo.name || 'ลูกค้า'}
 - ประวัติการติดต่อ: ${customerInfo.totalChats || 0} ครั้ง
 
 บทสนทนาที่เกี่ยวข้องจากประวัติ:
 ${contextText || 'ไม่มีข้อมูลที่เกี่ยวข้อง'}
-
+${historyText ? `\nบทสนทนาก่อนหน้ากับลูกค้ารายนี้ (ใช้เข้าใจคำถามต่อเนื่อง):\n${historyText}\n` : ''}
 คำถามของลูกค้า: ${userMessage}
 
-กรุณาตอบคำถามอย่างสุภาพ กระชับ และเป็นประโยชน์ ถ้าไม่แน่ใจให้แนะนำติดต่อเจ้าหน้าที่ในเวลาทำการ (10:00-22:00)`;
+กรุณาตอบคำถามอย่างสุภาพ กระชับ และเป็นประโยชน์ ถ้าไม่แน่ใจให้แนะนำติดต่อเจ้าหน้าที่ในเวลาทำการ (${start}-${end})`;
 
-    return executeWithRetry(async () => {
-        const result = await model.generateContent(prompt);
-        const response = result.response;
-        const text = response.text();
+    const { text, tokensUsed } = await llm.generate('reply', { name: 'reply', prompt });
 
-        logger.debug(`Generated response for: ${userMessage.substring(0, 50)}...`);
+    logger.debug(`Generated response for: ${userMessage.substring(0, 50)}...`);
 
-        return {
-            text,
-            confidence: calculateConfidence(response),
-            tokensUsed: response.usageMetadata?.totalTokenCount || 0
-        };
-    });
+    return {
+        text,
+        confidence: calculateConfidence(text),
+        tokensUsed
+    };
 }
 
 /**
@@ -99,15 +57,27 @@ ${contextText || 'ไม่มีข้อมูลที่เกี่ยว
  * @param {string} message - User's message
  */
 async function detectIntent(message) {
-    if (!model) initGemini();
+    // The intent list and its schema come from the intents table
+    const intents = getIntents();
+    const intentList = intents.map(formatIntent).join('\n');
+    const schema = {
+        ...SCHEMAS.intent,
+        properties: {
+            ...SCHEMAS.intent.properties,
+            intent: { type: 'string', enum: intents.map(i => i.name) }
+        }
+    };
 
     const prompt = `วิเคราะห์ข้อความของลูกค้าและระบุความต้องการ (intent) เป็น JSON
 
+intent ที่เลือกได้:
+${intentList}
+
 ข้อความ: "${message}"
 
 ตอบเป็น JSON format เท่านั้น:
 {
-  "intent": "OPEN_ACCOUNT|TRANSFER|CARD|LOAN|COMPLAINT|GENERAL_INQUIRY|GREETING|OTHER",
+  "intent": "${intents.map(i => i.name).join('|')}",
   "confidence": 0.0-1.0,
   "keywords": ["keyword1", "keyword2"],
   "suggestedDepartment": "ฝ่ายที่เกี่ยวข้อง",
@@ -115,28 +85,21 @@ async function detectIntent(message) {
 }`;
 
     try {
-        return await executeWithRetry(async () => {
-            const result = await model.generateContent(prompt);
-            const text = result.response.text();
-
-            // Extract JSON from response
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                try {
-                    return JSON.parse(jsonMatch[0]);
-                } catch (e) {
-                    logger.warn('Failed to parse intent JSON, using default');
-                }
-            }
-
-            return {
-                intent: 'OTHER',
-                confidence: 0.5,
-                keywords: [],
-                suggestedDepartment: 'ทั่วไป',
-                summary: message
-            };
-        });
+        const { data } = await llm.generateJSON('intent', { name: 'intent', prompt, schema });
+        if (data) {
+            // The department set for the intent wins over the model's guess
+            const department = intents.find(i => i.name === data.intent)?.department;
+            return department ? { ...data, suggestedDepartment: department } : data;
+        }
+
+        logger.warn('No valid intent JSON, using default');
+        return {
+            intent: 'OTHER',
+            confidence: 0.5,
+            keywords: [],
+            suggestedDepartment: 'ทั่วไป',
+            summary: message
+        };
     } catch (error) {
         // All keys exhausted or other error - return default intent
         logger.warn(`Intent detection failed: ${error.message}, using default`);
@@ -151,16 +114,20 @@ async function detectIntent(message) {
     }
 }
 
+/**
+ * Intent line of the classifier prompt: name, description and example utterances
+ */
+function formatIntent(intent) {
+    const examples = intent.examples.map(e => `"${e}"`).join(', ');
+    return `- ${intent.name}: ${intent.description || intent.name}${examples ? ` (ตัวอย่าง: ${examples})` : ''}`;
+}
+
 /**
  * Summarize a conversation
  * @param {Array} messages - Array of messages
  */
 async function summarizeConversation(messages) {
-    if (!model) initGemini();
-
-    const conversationText = messages.map(m =>
-        `${m.from === 'customer' ? 'ลูกค้า' : 'เจ้าหน้าที่'}: ${m.text}`
-    ).join('\n');
+    const conversationText = formatConversation(messages);
 
     const prompt = `สรุปบทสนทนาต่อไปนี้เป็นภาษาไทย ให้กระชับ 2-3 ประโยค:
 
@@ -168,10 +135,60 @@ ${conversationText}
 
 สรุป:`;
 
-    return executeWithRetry(async () => {
-        const result = await model.generateContent(prompt);
-        return result.response.text();
-    });
+    const { text } = await llm.generate('report', { name: 'summary', prompt });
+    return text;
+}
+
+/**
+ * Fold older turns into the rolling summary of a conversation
+ * @param {string} previousSummary - Current summary ('' for none)
+ * @param {Array} turns - Turns to add ({ from, text }), oldest first
+ */
+async function updateRollingSummary(previousSummary, turns) {
+    const prompt = `อัปเดตสรุปบทสนทนาให้รวมข้อความใหม่ด้านล่าง เป็นภาษาไทย ไม่เกิน 5 ประโยค
+เก็บรายละเอียดที่ต้องใช้ตอบคำถามต่อไป เช่น สิ่งที่ลูกค้าต้องการ ผลิตภัณฑ์ จำนวนเงิน และสิ่งที่ตอบไปแล้ว
+
+สรุปเดิม:
+${previousSummary || 'ไม่มี'}
+
+ข้อความใหม่:
+${formatConversation(turns)}
+
+สรุปใหม่:`;
+
+    const { text } = await llm.generate('report', { name: 'memorySummary', prompt });
+    return text.trim();
+}
+
+/**
+ * Rewrite the customer's latest message as a standalone question for retrieval
+ * Follow-ups like "แล้วค่าธรรมเนียมล่ะ" only make sense with the earlier turns
+ * @param {string} message - Customer's latest message
+ * @param {object} memory - Earlier turns of this conversation { summary, turns }
+ * @returns {string} Standalone question (the message itself when there is no history or on failure)
+ */
+async function rewriteQuery(message, memory = {}) {
+    const historyText = formatMemory(memory);
+    if (!historyText) return message;
+
+    const prompt = `เขียนคำถามล่าสุดของลูกค้าใหม่ให้เป็นคำถามที่สมบูรณ์ในตัวเอง เข้าใจได้โดยไม่ต้องอ่านบทสนทนา
+ใช้ภาษาเดียวกับลูกค้า ตอบเฉพาะคำถามที่เขียนใหม่เท่านั้น ถ้าคำถามสมบูรณ์อยู่แล้วให้ตอบคำถามเดิม
+
+บทสนทนาก่อนหน้า:
+${historyText}
+
+คำถามล่าสุด: ${message}`;
+
+    try {
+        const { text } = await llm.generate('intent', { name: 'queryRewrite', prompt });
+        const query = text.trim().split('\n')[0].trim();
+
+        logger.debug(`Rewrote "${message.substring(0, 50)}" as "${query.substring(0, 100)}"`);
+        return query || message;
+    } catch (error) {
+        logger.warn(`Query rewrite failed: ${error.message}, searching with the message`);
+        return message;
+    }
 }
 
 /**
@@ -180,8 +197,6 @@ ${conversationText}
  * @param {Array} context - Relevant context
  */
 async function generateQuickReplies(customerMessage, context = []) {
-    if (!model) initGemini();
-
     const contextText = context.slice(0, 3).map(c =>
         `Q: ${c.question}\nA: ${c.answer}`
     ).join('\n\n');
@@ -200,34 +215,45 @@ ${contextText || 'ไม่มี'}
   {"text": "คำตอบที่ 3", "confidence": 0.7}
 ]`;
 
-    return executeWithRetry(async () => {
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
-
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            try {
-                return JSON.parse(jsonMatch[0]);
-            } catch (e) {
-                logger.warn('Failed to parse quick replies JSON');
-            }
-        }
+    const { data } = await llm.generateJSON('reply', { name: 'quickReplies', prompt, schema: SCHEMAS.quickReplies });
+    if (data) {
+        return data;
+    }
 
-        return [
-            { text: 'ได้เลยครับ กรุณารอสักครู่', confidence: 0.7 },
-            { text: 'ขอข้อมูลเพิ่มเติมได้ไหมครับ', confidence: 0.6 },
-            { text: 'สนใจบริการอื่นอีกไหมครับ', confidence: 0.5 }
-        ];
-    });
+    logger.warn('No valid quick replies JSON, using defaults');
+    return [
+        { text: 'ได้เลยครับ กรุณารอสักครู่', confidence: 0.7 },
+        { text: 'ขอข้อมูลเพิ่มเติมได้ไหมครับ', confidence: 0.6 },
+        { text: 'สนใจบริการอื่นอีกไหมครับ', confidence: 0.5 }
+    ];
 }
 
 /**
- * Calculate confidence score from response
+ * Format messages as a transcript, one line per message
+ * @param {Array} messages - Messages ({ from, text })
  */
-function calculateConfidence(response) {
-    // Simple heuristic based on response characteristics
-    const text = response.text();
+function formatConversation(messages) {
+    return messages.map(m =>
+        `${m.from === 'customer' ? 'ลูกค้า' : 'เจ้าหน้าที่'}: ${m.text}`
+    ).join('\n');
+}
+
+/**
+ * Format conversation memory: the rolling summary followed by the recent turns
+ * @returns {string} '' when there is no history
+ */
+function formatMemory({ summary, turns = [] } = {}) {
+    const parts = [];
+    if (summary) parts.push(`(สรุปช่วงก่อนหน้า) ${summary}`);
+    if (turns.length > 0) parts.push(formatConversation(turns));
+    return parts.join('\n');
+}
 
+/**
+ * Calculate confidence score from response text
+ */
+function calculateConfidence(text) {
+    // Simple heuristic based on response characteristics
     let confidence = 0.8;
 
     // Lower confidence if response contains uncertainty phrases
@@ -245,21 +271,12 @@ function calculateConfidence(response) {
     return Math.max(0.3, Math.min(1.0, confidence));
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Initialize on module load
-try {
-    initGemini();
-} catch (e) {
-    logger.warn('Gemini not initialized on load (missing API key?)');
-}
-
 module.exports = {
     generateResponse,
     detectIntent,
     summarizeConversation,
+    updateRollingSummary,
+    rewriteQuery,
     generateQuickReplies,
     rotateApiKey
 };
@@ -0,0 +1,142 @@
+/**
+ * Gemini Provider
+ * Google Gemini through @google/generative-ai
+ * Includes key rotation for rate limit handling
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../../../utils/config');
+const logger = require('../../../utils/logger');
+
+let genAI = null;
+
+/**
+ * Get the client for the current API key
+ */
+function getClient() {
+    if (!genAI) {
+        const apiKey = config.gemini.getCurrentKey();
+        if (!apiKey) {
+            throw new Error('No Gemini API key configured');
+        }
+        genAI = new GoogleGenerativeAI(apiKey);
+        logger.info(`Gemini initialized with key index ${config.gemini.currentKeyIndex}`);
+    }
+    return genAI;
+}
+
+/**
+ * Rotate to next API key (for rate limit handling)
+ */
+function rotateApiKey() {
+    const newKey = config.gemini.getNextKey();
+    genAI = new GoogleGenerativeAI(newKey);
+    logger.info(`Rotated to Gemini key index ${config.gemini.currentKeyIndex}`);
+}
+
+/**
+ * Execute with retry and key rotation
+ */
+async function executeWithRetry(fn, maxRetries = 3) {
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.message?.includes('429') || error.message?.includes('quota')) {
+                logger.warn(`Rate limited on key ${config.gemini.currentKeyIndex}, rotating...`);
+                rotateApiKey();
+            } else if (i === maxRetries - 1) {
+                throw error;
+            }
+            await sleep(1000 * (i + 1)); // Exponential backoff
+        }
+    }
+    throw new Error('All Gemini API keys are rate limited');
+}
+
+/**
+ * Default model of a task
+ */
+function defaultModel(task) {
+    return task === 'embed' ? config.gemini.embeddingModel : config.gemini.model;
+}
+
+/**
+ * Convert a JSON Schema to Gemini's response schema (an OpenAPI subset)
+ * Type lists with 'null' become nullable; keywords Gemini does not know are dropped
+ * and only checked when the answer is validated
+ */
+function toGeminiSchema(schema) {
+    const types = [].concat(schema.type || []);
+    const result = { type: types.find(type => type !== 'null') };
+
+    if (types.includes('null')) result.nullable = true;
+    if (schema.enum && result.type === 'string') {
+        result.format = 'enum';
+        result.enum = schema.enum;
+    }
+    if (schema.properties) {
+        result.properties = {};
+        for (const [key, property] of Object.entries(schema.properties)) {
+            result.properties[key] = toGeminiSchema(property);
+        }
+    }
+    if (schema.required) result.required = schema.required;
+    if (schema.items) result.items = toGeminiSchema(schema.items);
+    if (schema.minItems !== undefined) result.minItems = schema.minItems;
+    if (schema.maxItems !== undefined) result.maxItems = schema.maxItems;
+
+    return result;
+}
+
+/**
+ * Generate text
+ * @param {object} request - { model, prompt, media: [{ data, mimeType }], json, schema }
+ * @returns {object} { text, tokensUsed }
+ */
+async function generate({ model, prompt, media = [], json = false, schema }) {
+    const parts = [
+        prompt,
+        ...media.map(item => ({ inlineData: { data: item.data, mimeType: item.mimeType } }))
+    ];
+
+    return executeWithRetry(async () => {
+        const generativeModel = getClient().getGenerativeModel({
+            model,
+            generationConfig: json
+                ? { responseMimeType: 'application/json', responseSchema: schema && toGeminiSchema(schema) }
+                : undefined
+        });
+        const result = await generativeModel.generateContent(media.length > 0 ? parts : prompt);
+        const response = result.response;
+
+        return {
+            text: response.text(),
+            tokensUsed: response.usageMetadata?.totalTokenCount || 0
+        };
+    });
+}
+
+/**
+ * Create an embedding
+ * @param {object} request - { model, text }
+ * @returns {Array<number>} Embedding values
+ */
+async function embed({ model, text }) {
+    return executeWithRetry(async () => {
+        const result = await getClient().getGenerativeModel({ model }).embedContent(text);
+        return result.embedding.values;
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    name: 'gemini',
+    defaultModel,
+    generate,
+    embed,
+    rotateApiKey
+};
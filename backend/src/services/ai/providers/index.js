@@ -0,0 +1,156 @@
+/**
+ * LLM Provider Layer
+ * One interface for text generation, JSON generation, vision and embeddings,
+ * backed by Gemini, an OpenAI-compatible server or the mock provider
+ *
+ * Every call names its task (intent, reply, vision, report, embed); the provider and
+ * model of each task come from config.llm. Providers implement
+ * generate({ model, prompt, media, json, schema, name }) and embed({ model, text })
+ */
+
+const config = require('../../../utils/config');
+const logger = require('../../../utils/logger');
+const { increment, getCounter } = require('../../../utils/metrics');
+const { validate } = require('../../../utils/jsonSchema');
+const { SCHEMAS } = require('../schemas');
+
+const PROVIDERS = {
+    gemini: require('./gemini'),
+    openai: require('./openaiCompatible'),
+    mock: require('./mock')
+};
+
+/**
+ * Resolve the provider and model of a task
+ * @param {string} task - intent | reply | vision | report | embed
+ * @returns {object} { provider, model }
+ */
+function getTaskProvider(task) {
+    const taskConfig = config.llm.tasks[task] || {};
+    const name = taskConfig.provider || config.llm.provider;
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${name}" for task ${task}`);
+    }
+
+    return { provider, model: taskConfig.model || provider.defaultModel(task) };
+}
+
+/**
+ * Generate text
+ * @param {string} task - Task the call belongs to
+ * @param {object} request - { prompt, name, media } (name identifies the call, e.g. 'summary')
+ * @returns {object} { text, tokensUsed, provider, model }
+ */
+async function generate(task, request) {
+    const { provider, model } = getTaskProvider(task);
+    const result = await provider.generate({ ...request, model, media: request.media || [] });
+
+    logger.debug(`LLM ${request.name || task} answered by ${provider.name}/${model}`);
+    return { ...result, provider: provider.name, model };
+}
+
+/**
+ * Generate JSON that matches a schema
+ * The provider is asked for JSON in the schema's shape. An answer that is not valid
+ * JSON or does not match is retried once with the validation error in the prompt;
+ * data is null when the retry fails too
+ * @param {object} request - { prompt, name, schema, media }
+ * @returns {object} { data, error, text, tokensUsed, provider, model }
+ */
+async function generateJSON(task, request) {
+    const { name, schema } = request;
+    increment('llm_structured_calls', { name });
+
+    let prompt = request.prompt;
+    let result;
+    let error;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        result = await generate(task, { ...request, prompt, json: true });
+
+        const parsed = parseJSON(result.text);
+        error = parsed.error || validate(parsed.data, schema);
+        if (!error) {
+            return { ...result, data: parsed.data, error: null };
+        }
+
+        increment(attempt === 1 ? 'llm_structured_invalid' : 'llm_structured_failed', { name });
+        logger.warn(`Invalid ${name} output from ${result.provider}/${result.model} (attempt ${attempt}): ${error}`);
+
+        prompt = `${request.prompt}
+
+คำตอบก่อนหน้าใช้ไม่ได้: ${error}
+กรุณาตอบใหม่เป็น JSON ตามรูปแบบที่กำหนดเท่านั้น ไม่ต้องมีข้อความอื่น`;
+    }
+
+    return { ...result, data: null, error };
+}
+
+/**
+ * Answer a prompt about images, documents or audio
+ * @param {object} request - { prompt, name, media: [{ data, mimeType }], schema }
+ * @returns {object} { text, tokensUsed, provider, model } plus data and error with a schema
+ */
+async function vision(request) {
+    return request.schema ? generateJSON('vision', request) : generate('vision', request);
+}
+
+/**
+ * Create an embedding with the embed task's provider
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Embedding values
+ */
+async function embed(text) {
+    const { provider, model } = getTaskProvider('embed');
+    return provider.embed({ model, text });
+}
+
+/**
+ * Parse a JSON answer (local models may wrap it in a markdown code block)
+ * @returns {object} { data } or { error }
+ */
+function parseJSON(text) {
+    const json = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+        return { data: JSON.parse(json) };
+    } catch (e) {
+        return { error: `not valid JSON (${e.message})` };
+    }
+}
+
+/**
+ * Structured output quality per request name
+ * invalidRate - share of first answers that did not parse or validate (brittle prompts)
+ * failureRate - share of calls still invalid after the retry (the caller's default was used)
+ */
+function getStructuredOutputStats() {
+    const stats = {};
+
+    for (const name of Object.keys(SCHEMAS)) {
+        const calls = getCounter('llm_structured_calls', { name });
+        const invalid = getCounter('llm_structured_invalid', { name });
+        const failed = getCounter('llm_structured_failed', { name });
+
+        stats[name] = {
+            calls,
+            invalid,
+            failed,
+            invalidRate: calls > 0 ? Math.round((invalid / calls) * 1000) / 1000 : 0,
+            failureRate: calls > 0 ? Math.round((failed / calls) * 1000) / 1000 : 0
+        };
+    }
+
+    return stats;
+}
+
+module.exports = {
+    getTaskProvider,
+    generate,
+    generateJSON,
+    vision,
+    embed,
+    getStructuredOutputStats
+};
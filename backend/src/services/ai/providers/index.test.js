@@ -0,0 +1,83 @@
+/**
+ * Tests for structured output (generateJSON), with the mock provider
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { SCHEMAS } = require('../schemas');
+const { setMockResponse } = require('./mock');
+const { generateJSON, getStructuredOutputStats } = require('./index');
+
+const VALID = [{ text: 'ได้เลยครับ', confidence: 0.8 }];
+
+afterEach(() => {
+    setMockResponse('quickReplies', null);
+});
+
+/**
+ * Answer with each of the given values in turn and record the prompts
+ */
+function answerInTurn(...answers) {
+    const prompts = [];
+    setMockResponse('quickReplies', (prompt) => {
+        prompts.push(prompt);
+        return answers[Math.min(prompts.length, answers.length) - 1];
+    });
+    return prompts;
+}
+
+describe('generateJSON', () => {
+    test('returns valid JSON on the first attempt', async () => {
+        const prompts = answerInTurn(VALID);
+
+        const result = await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+
+        expect(result).toMatchObject({ data: VALID, error: null, provider: 'mock' });
+        expect(prompts).toHaveLength(1);
+    });
+
+    test('accepts JSON wrapped in a markdown code block', async () => {
+        answerInTurn(`\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``);
+
+        const result = await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+
+        expect(result.data).toEqual(VALID);
+    });
+
+    test('retries once with the validation error in the prompt', async () => {
+        const prompts = answerInTurn([{ text: 'ได้เลยครับ' }], VALID);
+
+        const result = await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+
+        expect(result.data).toEqual(VALID);
+        expect(prompts).toHaveLength(2);
+        expect(prompts[1]).toContain('ตอบ');
+        expect(prompts[1]).toContain('คำตอบก่อนหน้าใช้ไม่ได้: $[0].confidence is required');
+    });
+
+    test('gives up after the retry with data null and the last error', async () => {
+        const prompts = answerInTurn('not json', 'still not json');
+
+        const result = await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+
+        expect(prompts).toHaveLength(2);
+        expect(result.data).toBeNull();
+        expect(result.error).toMatch(/^not valid JSON/);
+    });
+
+    test('counts calls, invalid first answers and failures', async () => {
+        const before = getStructuredOutputStats().quickReplies;
+
+        answerInTurn(VALID);
+        await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+        answerInTurn('{}', VALID);
+        await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+        answerInTurn('{}', '{}');
+        await generateJSON('reply', { name: 'quickReplies', prompt: 'ตอบ', schema: SCHEMAS.quickReplies });
+
+        const after = getStructuredOutputStats().quickReplies;
+        expect(after.calls - before.calls).toBe(3);
+        expect(after.invalid - before.invalid).toBe(2);
+        expect(after.failed - before.failed).toBe(1);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Mock Provider
+ * Deterministic answers without network access - for development and automated tests
+ *
+ * Answers are chosen by the request name (e.g. 'intent', 'quickReplies') and the
+ * same input always gives the same output. Embeddings are hashed character bigrams,
+ * so texts that share words end up close together
+ */
+
+const EMBEDDING_DIMENSIONS = 768;
+
+// Keyword rules for the mock intent classifier, checked in order
+const INTENT_KEYWORDS = [
+    { intent: 'COMPLAINT', department: 'ฝ่ายรับเรื่องร้องเรียน', keywords: ['ร้องเรียน', 'แย่', 'ไม่พอใจ', 'complain'] },
+    { intent: 'OPEN_ACCOUNT', department: 'ฝ่ายบัญชี', keywords: ['เปิดบัญชี', 'open account'] },
+    // After OPEN_ACCOUNT - "เปิดบัญชี" contains "ปิดบัญชี"
+    { intent: 'ACCOUNT_CLOSE', department: 'ฝ่ายบัญชี', keywords: ['ปิดบัญชี', 'close account'] },
+    { intent: 'TRANSFER', department: 'ฝ่ายบริการลูกค้า', keywords: ['โอน', 'transfer'] },
+    { intent: 'CARD', department: 'ฝ่ายบัตร', keywords: ['บัตร', 'card'] },
+    { intent: 'LOAN', department: 'ฝ่ายสินเชื่อ', keywords: ['กู้', 'สินเชื่อ', 'loan'] },
+    { intent: 'GREETING', department: 'ทั่วไป', keywords: ['สวัสดี', 'hello', 'hi'] }
+];
+
+/**
+ * Canned answers by request name
+ * Each receives the prompt and returns a string, or a value sent as JSON
+ */
+const RESPONSES = {
+    intent: (prompt) => detectMockIntent(prompt),
+    reply: () => 'ขอบคุณที่ติดต่อเราครับ เจ้าหน้าที่จะตรวจสอบและตอบกลับโดยเร็วที่สุดครับ',
+    summary: () => 'ลูกค้าสอบถามข้อมูลบริการ เจ้าหน้าที่ให้ข้อมูลเรียบร้อยแล้ว',
+    memorySummary: () => 'ลูกค้าสอบถามข้อมูลบริการ เจ้าหน้าที่ให้ข้อมูลเรียบร้อยแล้ว',
+    // Echo the latest question - the mock cannot resolve follow-ups
+    queryRewrite: (prompt) => prompt.match(/คำถามล่าสุด: (.*)/)?.[1] || '',
+    quickReplies: () => [
+        { text: 'ได้เลยครับ กรุณารอสักครู่', confidence: 0.7 },
+        { text: 'ขอข้อมูลเพิ่มเติมได้ไหมครับ', confidence: 0.6 },
+        { text: 'สนใจบริการอื่นอีกไหมครับ', confidence: 0.5 }
+    ],
+    faqSuggestions: () => [],
+    recommendations: () => [
+        { type: 'positive', title: 'ระบบทำงานปกติ', description: 'ไม่พบปัญหาที่ต้องดำเนินการเร่งด่วน' }
+    ],
+    imageAnalysis: () => ({ type: 'รูปทั่วไป', details: {}, summary: 'รูปภาพจากลูกค้า', confidence: 0.5 }),
+    document: () => ({ type: 'เอกสาร', details: {}, summary: 'เอกสารจากลูกค้า', confidence: 0.5 }),
+    slip: () => ({ isSlip: false }),
+    idCard: () => ({ isIdCard: false }),
+    transcript: () => '-'
+};
+
+const overrides = new Map();
+
+/**
+ * Replace the answer for a request name (tests)
+ * @param {string} name - Request name, e.g. 'intent'
+ * @param {*} response - String, JSON value, or function of the prompt; null restores the default
+ */
+function setMockResponse(name, response) {
+    if (response === null || response === undefined) {
+        overrides.delete(name);
+    } else {
+        overrides.set(name, response);
+    }
+}
+
+/**
+ * Default model of a task
+ */
+function defaultModel() {
+    return 'mock';
+}
+
+/**
+ * Classify the customer message quoted in an intent prompt by keywords
+ */
+function detectMockIntent(prompt) {
+    const message = (prompt.match(/ข้อความ: "([^"]*)"/)?.[1] || prompt).toLowerCase();
+    const rule = INTENT_KEYWORDS.find(r => r.keywords.some(k => message.includes(k)));
+
+    return {
+        intent: rule?.intent || 'GENERAL_INQUIRY',
+        confidence: rule ? 0.9 : 0.6,
+        keywords: rule ? rule.keywords.filter(k => message.includes(k)) : [],
+        suggestedDepartment: rule?.department || 'ทั่วไป',
+        summary: message.substring(0, 100)
+    };
+}
+
+/**
+ * Generate text
+ * @param {object} request - { prompt, name }
+ * @returns {object} { text, tokensUsed }
+ */
+async function generate({ prompt, name }) {
+    const answer = overrides.has(name) ? overrides.get(name) : (RESPONSES[name] || RESPONSES.reply);
+    const value = typeof answer === 'function' ? answer(prompt) : answer;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+
+    return {
+        text,
+        tokensUsed: Math.ceil((prompt.length + text.length) / 4)
+    };
+}
+
+/**
+ * Create an embedding from hashed character bigrams (unit length)
+ * @param {object} request - { text }
+ * @returns {Array<number>} Embedding values
+ */
+async function embed({ text }) {
+    const values = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const normalized = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+    for (let i = 0; i < normalized.length - 1; i++) {
+        values[hash(normalized.substring(i, i + 2)) % EMBEDDING_DIMENSIONS] += 1;
+    }
+
+    const length = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+    return length > 0 ? values.map(v => v / length) : values;
+}
+
+/**
+ * FNV-1a hash of a string
+ */
+function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+module.exports = {
+    name: 'mock',
+    defaultModel,
+    generate,
+    embed,
+    setMockResponse
+};
@@ -0,0 +1,89 @@
+/**
+ * OpenAI-compatible Provider
+ * Any server with the OpenAI /chat/completions and /embeddings endpoints,
+ * e.g. a local llama.cpp server or Ollama (http://localhost:11434/v1)
+ */
+
+const axios = require('axios');
+const config = require('../../../utils/config');
+
+/**
+ * Default model of a task
+ */
+function defaultModel(task) {
+    return task === 'embed' ? config.llm.openai.embeddingModel : config.llm.openai.model;
+}
+
+/**
+ * POST to the server
+ */
+async function post(path, body) {
+    const { baseUrl, apiKey, timeoutMs } = config.llm.openai;
+
+    try {
+        const response = await axios.post(`${baseUrl.replace(/\/$/, '')}${path}`, body, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            timeout: timeoutMs
+        });
+        return response.data;
+    } catch (error) {
+        const detail = error.response?.data?.error?.message || error.message;
+        throw new Error(`OpenAI-compatible request failed (${error.response?.status || 'network'}): ${detail}`);
+    }
+}
+
+/**
+ * Build the user message content - images are sent as data URLs
+ */
+function buildContent(prompt, media) {
+    if (media.length === 0) return prompt;
+
+    return [
+        { type: 'text', text: prompt },
+        ...media.map(item => {
+            if (!item.mimeType.startsWith('image/')) {
+                throw new Error(`${item.mimeType} input is not supported by the OpenAI-compatible provider`);
+            }
+            return { type: 'image_url', image_url: { url: `data:${item.mimeType};base64,${item.data}` } };
+        })
+    ];
+}
+
+/**
+ * Generate text
+ * JSON requests send their schema as a json_schema response format (supported by
+ * llama.cpp and Ollama); json_object is not used as it rules out JSON arrays
+ * @param {object} request - { model, prompt, media: [{ data, mimeType }], schema, name }
+ * @returns {object} { text, tokensUsed }
+ */
+async function generate({ model, prompt, media = [], schema, name }) {
+    const data = await post('/chat/completions', {
+        model,
+        messages: [{ role: 'user', content: buildContent(prompt, media) }],
+        ...(schema && {
+            response_format: { type: 'json_schema', json_schema: { name: name || 'output', schema } }
+        })
+    });
+
+    return {
+        text: data.choices?.[0]?.message?.content || '',
+        tokensUsed: data.usage?.total_tokens || 0
+    };
+}
+
+/**
+ * Create an embedding
+ * @param {object} request - { model, text }
+ * @returns {Array<number>} Embedding values
+ */
+async function embed({ model, text }) {
+    const data = await post('/embeddings', { model, input: text });
+    return data.data[0].embedding;
+}
+
+module.exports = {
+    name: 'openai',
+    defaultModel,
+    generate,
+    embed
+};
@@ -0,0 +1,144 @@
+/**
+ * AI Output Schemas
+ * JSON Schemas of the structured AI calls, keyed by request name
+ * The provider is asked for JSON in this shape and the answer is validated against it
+ */
+
+// Free-text fields the model leaves empty when the information is not there
+const optionalText = { type: ['string', 'null'] };
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+
+const SCHEMAS = {
+    intent: {
+        type: 'object',
+        properties: {
+            // The enum of intent names is added from the intents table (see detectIntent)
+            intent: { type: 'string' },
+            confidence,
+            keywords: { type: 'array', items: { type: 'string' } },
+            suggestedDepartment: { type: 'string' },
+            summary: { type: 'string' }
+        },
+        required: ['intent', 'confidence', 'summary']
+    },
+
+    quickReplies: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 5,
+        items: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', minLength: 1 },
+                confidence
+            },
+            required: ['text', 'confidence']
+        }
+    },
+
+    imageAnalysis: {
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            details: {
+                type: 'object',
+                properties: {
+                    amount: optionalText,
+                    date: optionalText,
+                    reference: optionalText,
+                    other: optionalText
+                }
+            },
+            summary: { type: 'string' },
+            confidence
+        },
+        required: ['type', 'summary', 'confidence']
+    },
+
+    document: {
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            details: {
+                type: 'object',
+                properties: {
+                    accountHolder: optionalText,
+                    period: optionalText,
+                    amount: optionalText,
+                    other: optionalText
+                }
+            },
+            summary: { type: 'string' },
+            confidence
+        },
+        required: ['type', 'summary', 'confidence']
+    },
+
+    slip: {
+        type: 'object',
+        properties: {
+            isSlip: { type: 'boolean' },
+            amount: optionalText,
+            currency: optionalText,
+            date: optionalText,
+            time: optionalText,
+            fromAccount: optionalText,
+            toAccount: optionalText,
+            bankName: optionalText,
+            reference: optionalText,
+            status: optionalText,
+            confidence
+        },
+        required: ['isSlip']
+    },
+
+    idCard: {
+        type: 'object',
+        properties: {
+            isIdCard: { type: 'boolean' },
+            namePrefix: optionalText,
+            firstName: optionalText,
+            lastName: optionalText,
+            // Never the full ID number
+            lastFourDigits: { type: ['string', 'null'], pattern: '^[0-9]{4}$' },
+            dateOfBirth: optionalText,
+            expiryDate: optionalText,
+            address: optionalText,
+            confidence
+        },
+        required: ['isIdCard']
+    },
+
+    faqSuggestions: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+            type: 'object',
+            properties: {
+                question: { type: 'string', minLength: 1 },
+                answer: { type: 'string', minLength: 1 },
+                category: { type: 'string' },
+                frequency: { type: 'string', enum: ['high', 'medium', 'low'] }
+            },
+            required: ['question', 'answer']
+        }
+    },
+
+    recommendations: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['improvement', 'warning', 'positive'] },
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string' }
+            },
+            required: ['type', 'title', 'description']
+        }
+    }
+};
+
+module.exports = {
+    SCHEMAS
+};
@@ -0,0 +1,46 @@
+/**
+ * Gemini Speech Service
+ * Transcribes voice messages sent by customers with the vision task's provider
+ * (needs a provider that accepts audio, e.g. Gemini)
+ */
+
+const logger = require('../../utils/logger');
+const { downloadFile } = require('./vision');
+const llm = require('./providers');
+
+/**
+ * Transcribe a voice message
+ * @param {string} audioUrl - URL of the audio attachment from Facebook
+ */
+async function transcribeAudio(audioUrl) {
+    try {
+        // Messenger voice notes are AAC in an MP4 container
+        const { base64, mimeType } = await downloadFile(audioUrl, 'audio/mp4');
+
+        const prompt = `ถอดเสียงข้อความเสียงนี้เป็นข้อความตามที่ลูกค้าพูด (ส่วนใหญ่เป็นภาษาไทย)
+ตอบเฉพาะข้อความที่ถอดได้เท่านั้น ไม่ต้องอธิบายเพิ่มเติม
+ถ้าไม่มีเสียงพูดหรือฟังไม่ออก ให้ตอบว่า "-"`;
+
+        const { text } = await llm.vision({
+            name: 'transcript',
+            prompt,
+            media: [{ data: base64, mimeType }]
+        });
+        const transcript = text.trim();
+
+        if (!transcript || transcript === '-') {
+            return { success: false, error: 'No speech detected' };
+        }
+
+        logger.info(`Audio transcribed: ${transcript.substring(0, 50)}...`);
+        return { success: true, transcript };
+
+    } catch (error) {
+        logger.error(`Audio transcription failed: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    transcribeAudio
+};
@@ -3,10 +3,10 @@
  * Analyzes chat trends and generates FAQ suggestions
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const config = require('../../utils/config');
 const logger = require('../../utils/logger');
 const db = require('../../models/database');
+const llm = require('./providers');
+const { SCHEMAS } = require('./schemas');
 
 /**
  * Analyze trends from recent messages
@@ -91,9 +91,6 @@ async function getMessagesFromPeriod(since) {
 async function generateFAQSuggestions(messages) {
     if (messages.length === 0) return [];
 
-    const genAI = new GoogleGenerativeAI(config.gemini.getCurrentKey());
-    const model = genAI.getGenerativeModel({ model: config.gemini.model });
-
     // Get unique questions
     const questions = [...new Set(messages.map(m => m.text))].slice(0, 20);
 
@@ -113,12 +110,9 @@ ${questions.map((q, i) => `${i + 1}. ${q}`).join('\n')}
 ]`;
 
     try {
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
-
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+        const { data } = await llm.generateJSON('report', { name: 'faqSuggestions', prompt, schema: SCHEMAS.faqSuggestions });
+        if (data) {
+            return data;
         }
     } catch (error) {
         logger.error(`FAQ generation failed: ${error.message}`);
@@ -198,8 +192,9 @@ async function detectEmergingIssues(days) {
 
 /**
  * Get daily message counts for charting
+ * @param {string} pageId - Only messages of this Page's customers (all when omitted)
  */
-async function getDailyStats(days = 30) {
+async function getDailyStats(days = 30, pageId = null) {
     const database = db.getDatabase();
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - days);
@@ -213,11 +208,12 @@ async function getDailyStats(days = 30) {
       SUM(CASE WHEN sender = 'staff' THEN 1 ELSE 0 END) as staff
     FROM messages
     WHERE created_at >= ?
+      AND (? IS NULL OR sender_id IN (SELECT fb_user_id FROM customers WHERE page_id = ?))
     GROUP BY date(created_at)
     ORDER BY date ASC
   `);
 
-    return stmt.all(cutoff.toISOString());
+    return stmt.all(cutoff.toISOString(), pageId, pageId);
 }
 
 module.exports = {
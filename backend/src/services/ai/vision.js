@@ -1,46 +1,42 @@
 /**
  * Gemini Vision Service
- * Analyzes images sent by customers using Gemini 1.5 Flash Vision
+ * Analyzes images and documents sent by customers with the vision task's provider
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const axios = require('axios');
-const config = require('../../utils/config');
 const logger = require('../../utils/logger');
-
-let genAI = null;
-let visionModel = null;
+const { getContentHeaders } = require('../line/lineApi');
+const llm = require('./providers');
+const { SCHEMAS } = require('./schemas');
 
 /**
- * Initialize Gemini Vision
+ * Download image from URL and convert to base64
+ * @param {string} imageUrl - URL of the image
  */
-function initVision() {
-    const apiKey = config.gemini.getCurrentKey();
-    if (!apiKey) {
-        throw new Error('No Gemini API key configured');
-    }
-    genAI = new GoogleGenerativeAI(apiKey);
-    visionModel = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-lite' });
-    logger.info('Gemini Vision initialized');
+async function downloadImage(imageUrl) {
+    return downloadFile(imageUrl, 'image/jpeg');
 }
 
 /**
- * Download image from URL and convert to base64
- * @param {string} imageUrl - URL of the image
+ * Download any attachment from URL and convert to base64
+ * LINE message content is downloaded with the channel token
+ * @param {string} fileUrl - URL of the file
+ * @param {string} defaultMimeType - Used when the server sends no content-type
  */
-async function downloadImage(imageUrl) {
+async function downloadFile(fileUrl, defaultMimeType = 'application/octet-stream') {
     try {
-        const response = await axios.get(imageUrl, {
+        const response = await axios.get(fileUrl, {
+            headers: getContentHeaders(fileUrl),
             responseType: 'arraybuffer',
             timeout: 30000
         });
 
         const base64 = Buffer.from(response.data).toString('base64');
-        const mimeType = response.headers['content-type'] || 'image/jpeg';
+        const mimeType = (response.headers['content-type'] || defaultMimeType).split(';')[0].trim();
 
         return { base64, mimeType };
     } catch (error) {
-        logger.error(`Failed to download image: ${error.message}`);
+        logger.error(`Failed to download file: ${error.message}`);
         throw error;
     }
 }
@@ -51,20 +47,10 @@ async function downloadImage(imageUrl) {
  * @param {string} context - Optional context about what to look for
  */
 async function analyzeImage(imageUrl, context = '') {
-    if (!visionModel) initVision();
-
     try {
         // Download image
         const { base64, mimeType } = await downloadImage(imageUrl);
 
-        // Create image part for Gemini
-        const imagePart = {
-            inlineData: {
-                data: base64,
-                mimeType
-            }
-        };
-
         // Build prompt
         const prompt = `วิเคราะห์รูปภาพนี้และอธิบายเป็นภาษาไทย
 
@@ -89,26 +75,24 @@ ${context ? `บริบท: ${context}` : ''}
 }`;
 
         // Generate response
-        const result = await visionModel.generateContent([prompt, imagePart]);
-        const response = result.response;
-        const text = response.text();
-
-        // Parse JSON from response
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                const parsed = JSON.parse(jsonMatch[0]);
-                logger.info(`Image analyzed: ${parsed.type}`);
-                return {
-                    success: true,
-                    ...parsed,
-                    rawText: text
-                };
-            } catch (e) {
-                logger.warn('Failed to parse image analysis JSON');
-            }
+        const { text, data: parsed } = await llm.vision({
+            name: 'imageAnalysis',
+            prompt,
+            media: [{ data: base64, mimeType }],
+            schema: SCHEMAS.imageAnalysis
+        });
+
+        if (parsed) {
+            logger.info(`Image analyzed: ${parsed.type}`);
+            return {
+                success: true,
+                ...parsed,
+                rawText: text
+            };
         }
 
+        logger.warn('No valid image analysis JSON');
+
         // Fallback
         return {
             success: true,
@@ -135,18 +119,9 @@ ${context ? `บริบท: ${context}` : ''}
  * @param {string} imageUrl - URL of the slip image
  */
 async function analyzeSlip(imageUrl) {
-    if (!visionModel) initVision();
-
     try {
         const { base64, mimeType } = await downloadImage(imageUrl);
 
-        const imagePart = {
-            inlineData: {
-                data: base64,
-                mimeType
-            }
-        };
-
         const prompt = `นี่คือสลิปการโอนเงิน กรุณาอ่านข้อมูลและตอบเป็น JSON:
 {
   "isSlip": true/false,
@@ -164,18 +139,19 @@ async function analyzeSlip(imageUrl) {
 
 ถ้าไม่ใช่สลิป ให้ตอบ {"isSlip": false}`;
 
-        const result = await visionModel.generateContent([prompt, imagePart]);
-        const text = result.response.text();
+        const { data } = await llm.vision({
+            name: 'slip',
+            prompt,
+            media: [{ data: base64, mimeType }],
+            schema: SCHEMAS.slip
+        });
 
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                return JSON.parse(jsonMatch[0]);
-            } catch (e) {
-                logger.warn('Failed to parse slip JSON');
-            }
+        if (data) {
+            return data;
         }
 
+        logger.warn('No valid slip JSON');
+
         return { isSlip: false, error: 'Could not parse slip' };
 
     } catch (error) {
@@ -189,18 +165,9 @@ async function analyzeSlip(imageUrl) {
  * @param {string} imageUrl - URL of the ID card image
  */
 async function analyzeIdCard(imageUrl) {
-    if (!visionModel) initVision();
-
     try {
         const { base64, mimeType } = await downloadImage(imageUrl);
 
-        const imagePart = {
-            inlineData: {
-                data: base64,
-                mimeType
-            }
-        };
-
         const prompt = `นี่คือรูปบัตรประชาชน กรุณาอ่านข้อมูล (ไม่ต้องแสดงเลขบัตรเต็ม ให้แสดงแค่ 4 ตัวท้าย):
 {
   "isIdCard": true/false,
@@ -214,18 +181,19 @@ async function analyzeIdCard(imageUrl) {
   "confidence": 0.0-1.0
 }`;
 
-        const result = await visionModel.generateContent([prompt, imagePart]);
-        const text = result.response.text();
+        const { data } = await llm.vision({
+            name: 'idCard',
+            prompt,
+            media: [{ data: base64, mimeType }],
+            schema: SCHEMAS.idCard
+        });
 
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                return JSON.parse(jsonMatch[0]);
-            } catch (e) {
-                logger.warn('Failed to parse ID card JSON');
-            }
+        if (data) {
+            return data;
         }
 
+        logger.warn('No valid ID card JSON');
+
         return { isIdCard: false, error: 'Could not parse ID card' };
 
     } catch (error) {
@@ -234,6 +202,67 @@ async function analyzeIdCard(imageUrl) {
     }
 }
 
+/**
+ * Analyze a document (e.g. PDF bank statement) sent by a customer
+ * @param {string} fileUrl - URL of the file from Facebook
+ */
+async function analyzeDocument(fileUrl) {
+    try {
+        const { base64, mimeType } = await downloadFile(fileUrl, 'application/pdf');
+
+        const prompt = `วิเคราะห์เอกสารนี้และอธิบายเป็นภาษาไทย (ไม่ต้องแสดงเลขบัญชีหรือเลขบัตรเต็ม ให้แสดงแค่ 4 ตัวท้าย)
+
+ตอบเป็น JSON:
+{
+  "type": "ประเภทเอกสาร (รายการเดินบัญชี, ใบแจ้งหนี้, สัญญา, etc.)",
+  "details": {
+    "accountHolder": "ชื่อเจ้าของบัญชี (ถ้ามี)",
+    "period": "ช่วงเวลาของเอกสาร (ถ้ามี)",
+    "amount": "ยอดเงินสำคัญ (ถ้ามี)",
+    "other": "ข้อมูลอื่นๆ"
+  },
+  "summary": "สรุปสั้นๆ",
+  "confidence": 0.0-1.0
+}`;
+
+        const { text, data: parsed } = await llm.vision({
+            name: 'document',
+            prompt,
+            media: [{ data: base64, mimeType }],
+            schema: SCHEMAS.document
+        });
+
+        if (parsed) {
+            logger.info(`Document analyzed: ${parsed.type}`);
+            return {
+                success: true,
+                ...parsed,
+                rawText: text
+            };
+        }
+
+        logger.warn('No valid document analysis JSON');
+
+        return {
+            success: true,
+            type: 'unknown',
+            details: {},
+            summary: text,
+            confidence: 0.5,
+            rawText: text
+        };
+
+    } catch (error) {
+        logger.error(`Document analysis failed: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            type: 'error',
+            summary: 'ไม่สามารถวิเคราะห์เอกสารได้'
+        };
+    }
+}
+
 /**
  * Create description for RAG storage
  * @param {object} analysis - Analysis result
@@ -260,6 +289,8 @@ module.exports = {
     analyzeImage,
     analyzeSlip,
     analyzeIdCard,
+    analyzeDocument,
     createRagDescription,
-    downloadImage
+    downloadImage,
+    downloadFile
 };
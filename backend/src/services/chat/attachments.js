@@ -0,0 +1,313 @@
+/**
+ * Attachment Handlers
+ * Per-type handlers for attachments sent by customers (image, file, location, ...)
+ * Every attachment is saved to the message record; unsupported types get a polite reply
+ * A handler may return { text, attachments } to have the message continue as text
+ * No replies are sent in learning mode or while staff have taken over the thread
+ */
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { sendMessage, sendPacedReply } = require('../facebook/messenger');
+const { saveMessage } = require('../../models/chat');
+const { getOrCreateCustomer, getTakeover, getCustomerChannel } = require('../../models/customer');
+const { analyzeImage, analyzeDocument, createRagDescription } = require('../ai/vision');
+const { transcribeAudio } = require('../ai/speech');
+const { addDocuments } = require('../vector/pinecone');
+
+// Facebook's thumbs-up ("like") sticker ids - small, medium and large
+const LIKE_STICKER_IDS = ['369239263222822', '369239343222814', '369239383222810'];
+
+const handlers = {
+    image: handleImage,
+    sticker: handleSticker,
+    file: handleFile,
+    location: handleLocation,
+    video: handleVideo,
+    audio: handleAudio,
+    story_mention: handleStoryMention
+};
+
+/**
+ * Register (or replace) the handler for an attachment type
+ * @param {string} type - Attachment type from the webhook
+ * @param {function} handler - async (senderId, attachment, io) => { text, attachments } | void
+ */
+function registerAttachmentHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+/**
+ * Handle a single attachment
+ * @param {string} senderId - Facebook sender ID
+ * @param {object} attachment - Attachment from the webhook message
+ * @param {object} io - Socket.io server
+ * @returns {object|undefined} { text, attachments } when the attachment should be processed as text
+ */
+async function handleAttachment(senderId, attachment, io) {
+    // Stickers arrive as images with a sticker_id
+    const type = attachment.payload?.sticker_id ? 'sticker' : attachment.type;
+    const handler = handlers[type] || handleUnsupported;
+
+    logger.info(`Received ${type} attachment from ${senderId}`);
+    return handler(senderId, attachment, io);
+}
+
+/**
+ * Save the attachment as a customer message and notify the dashboard
+ */
+async function saveAttachmentMessage(senderId, attachment, text, io, extra = {}) {
+    const record = {
+        type: attachment.type,
+        url: attachment.payload?.url || null,
+        ...extra
+    };
+
+    await getOrCreateCustomer(senderId);
+    await saveMessage({
+        senderId,
+        text,
+        sender: 'customer',
+        attachments: [record]
+    });
+
+    io.to('admin-room').emit('attachment-received', {
+        senderId,
+        channel: getCustomerChannel(senderId),
+        attachment: record,
+        text,
+        learningMode: config.learningMode,
+        timestamp: new Date().toISOString()
+    });
+
+    return record;
+}
+
+/**
+ * Check whether the bot must stay quiet for this customer
+ */
+async function isBotSilenced(senderId) {
+    return config.learningMode || !!(await getTakeover(senderId));
+}
+
+/**
+ * Handle image messages - analyze with Gemini Vision
+ */
+async function handleImage(senderId, attachment, io) {
+    const imageUrl = attachment.payload.url;
+
+    await saveAttachmentMessage(senderId, attachment, '[รูปภาพ]', io);
+
+    // LEARNING MODE / TAKEOVER: Only log, do NOT respond or analyze
+    if (await isBotSilenced(senderId)) {
+        logger.info(`Image received but NOT processing for ${senderId} (learning mode or takeover)`);
+        return;
+    }
+
+    // Acknowledge receipt
+    await sendMessage(senderId, 'ได้รับรูปภาพแล้วครับ กำลังวิเคราะห์...');
+
+    try {
+        // Analyze image with Gemini Vision
+        const analysis = await analyzeImage(imageUrl);
+
+        if (analysis.success) {
+            // Create description for RAG
+            const ragDescription = createRagDescription(analysis);
+
+            // Send analysis result to customer
+            let responseText = '';
+            if (analysis.type === 'slip' || analysis.type === 'สลิปโอนเงิน') {
+                responseText = `📋 ได้รับสลิปแล้วครับ\n`;
+                if (analysis.details.amount) responseText += `💰 จำนวน: ${analysis.details.amount}\n`;
+                if (analysis.details.date) responseText += `📅 วันที่: ${analysis.details.date}\n`;
+                if (analysis.details.reference) responseText += `🔖 อ้างอิง: ${analysis.details.reference}`;
+            } else {
+                responseText = `📋 วิเคราะห์รูปแล้ว:\n${analysis.summary}`;
+            }
+
+            await sendPacedReply(senderId, responseText);
+
+            // Store in RAG for learning
+            if (ragDescription) {
+                await addDocuments([{
+                    question: `ลูกค้าส่งรูป: ${analysis.type}`,
+                    answer: analysis.summary,
+                    conversationId: `img_${senderId}_${Date.now()}`,
+                    customerId: senderId,
+                    timestamp: new Date().toISOString()
+                }]);
+                logger.info('Image analysis stored in RAG');
+            }
+
+            // Emit to admin dashboard
+            io.to('admin-room').emit('image-received', {
+                senderId,
+                imageUrl,
+                analysis,
+                timestamp: new Date().toISOString()
+            });
+
+        } else {
+            await sendMessage(senderId, 'ไม่สามารถวิเคราะห์รูปได้ครับ กรุณาลองส่งใหม่หรือติดต่อเจ้าหน้าที่');
+        }
+
+    } catch (error) {
+        logger.error(`Image analysis error: ${error.message}`);
+        await sendMessage(senderId, 'เกิดข้อผิดพลาดในการวิเคราะห์รูป กรุณาลองใหม่อีกครั้งครับ');
+    }
+}
+
+/**
+ * Handle stickers - the like sticker is treated as an acknowledgement
+ */
+async function handleSticker(senderId, attachment, io) {
+    const stickerId = String(attachment.payload.sticker_id);
+    const isLike = LIKE_STICKER_IDS.includes(stickerId);
+
+    await saveAttachmentMessage(senderId, attachment, isLike ? '👍' : '[สติกเกอร์]', io, {
+        type: 'sticker',
+        stickerId,
+        acknowledgement: isLike
+    });
+
+    if (await isBotSilenced(senderId)) return;
+
+    if (isLike) {
+        await sendMessage(senderId, 'ขอบคุณครับ 😊 หากมีคำถามเพิ่มเติม พิมพ์มาได้เลยครับ');
+    } else {
+        await sendMessage(senderId, 'ได้รับสติกเกอร์แล้วครับ 😊 มีอะไรให้ช่วยพิมพ์บอกได้เลยครับ');
+    }
+}
+
+/**
+ * Handle files - PDFs are analyzed by Gemini, other files are acknowledged
+ */
+async function handleFile(senderId, attachment, io) {
+    const fileUrl = attachment.payload.url;
+    const fileName = attachment.payload.name || getFileName(fileUrl);
+    const isPdf = /\.pdf$/i.test(fileName);
+
+    await saveAttachmentMessage(senderId, attachment, `[ไฟล์: ${fileName}]`, io, { fileName });
+
+    if (await isBotSilenced(senderId)) return;
+
+    if (!isPdf) {
+        await sendMessage(senderId, 'ได้รับไฟล์แล้วครับ เจ้าหน้าที่จะตรวจสอบและติดต่อกลับโดยเร็วครับ');
+        return;
+    }
+
+    await sendMessage(senderId, 'ได้รับเอกสารแล้วครับ กำลังตรวจสอบ...');
+
+    const analysis = await analyzeDocument(fileUrl);
+
+    if (analysis.success) {
+        await sendPacedReply(senderId, `📄 ตรวจสอบเอกสารแล้ว (${analysis.type}):\n${analysis.summary}`);
+
+        io.to('admin-room').emit('document-analyzed', {
+            senderId,
+            fileUrl,
+            fileName,
+            analysis,
+            timestamp: new Date().toISOString()
+        });
+    } else {
+        await sendMessage(senderId, 'ไม่สามารถอ่านเอกสารได้ครับ เจ้าหน้าที่จะตรวจสอบและติดต่อกลับครับ');
+    }
+}
+
+/**
+ * Handle shared locations
+ */
+async function handleLocation(senderId, attachment, io) {
+    const coordinates = attachment.payload?.coordinates || {};
+    const text = `[ตำแหน่ง: ${coordinates.lat}, ${coordinates.long}]`;
+
+    await saveAttachmentMessage(senderId, attachment, text, io, {
+        lat: coordinates.lat,
+        long: coordinates.long
+    });
+
+    if (await isBotSilenced(senderId)) return;
+
+    await sendMessage(senderId, 'ได้รับตำแหน่งของคุณแล้วครับ 📍 ต้องการสอบถามเรื่องใดเพิ่มเติมไหมครับ');
+}
+
+/**
+ * Handle Instagram story mentions - the customer mentioned the account in their story
+ * The story URL expires after 24 hours, so staff should look at it soon
+ */
+async function handleStoryMention(senderId, attachment, io) {
+    await saveAttachmentMessage(senderId, attachment, '[กล่าวถึงในสตอรี่]', io);
+
+    if (await isBotSilenced(senderId)) return;
+
+    await sendMessage(senderId, 'ขอบคุณที่แท็กเราในสตอรี่นะครับ 🙏 มีอะไรให้ช่วยพิมพ์บอกได้เลยครับ');
+}
+
+/**
+ * Handle videos
+ */
+async function handleVideo(senderId, attachment, io) {
+    await saveAttachmentMessage(senderId, attachment, '[วิดีโอ]', io);
+
+    if (await isBotSilenced(senderId)) return;
+
+    await sendMessage(senderId, 'ได้รับวิดีโอแล้วครับ เจ้าหน้าที่จะตรวจสอบและติดต่อกลับโดยเร็วครับ');
+}
+
+/**
+ * Handle voice messages - transcribe and continue as a text message
+ * The transcript is stored next to the original audio URL
+ */
+async function handleAudio(senderId, attachment, io) {
+    const audioUrl = attachment.payload.url;
+
+    // LEARNING MODE: keep the recording only, do not spend AI quota
+    if (config.learningMode) {
+        await saveAttachmentMessage(senderId, attachment, '[ข้อความเสียง]', io);
+        return;
+    }
+
+    const result = await transcribeAudio(audioUrl);
+
+    if (!result.success) {
+        await saveAttachmentMessage(senderId, attachment, '[ข้อความเสียง]', io, { transcript: null });
+        if (await isBotSilenced(senderId)) return;
+        await sendMessage(senderId, 'ขออภัยครับ ไม่สามารถฟังข้อความเสียงได้ รบกวนพิมพ์ข้อความสอบถามได้เลยครับ');
+        return;
+    }
+
+    return {
+        text: result.transcript,
+        attachments: [{ type: 'audio', url: audioUrl, transcript: result.transcript }]
+    };
+}
+
+/**
+ * Fallback for attachment types without a handler
+ */
+async function handleUnsupported(senderId, attachment, io) {
+    await saveAttachmentMessage(senderId, attachment, `[${attachment.type || 'ไม่ทราบประเภท'}]`, io);
+
+    if (await isBotSilenced(senderId)) return;
+
+    await sendMessage(senderId, 'ขออภัยครับ ระบบยังไม่รองรับข้อความประเภทนี้ กรุณาพิมพ์ข้อความสอบถามได้เลยครับ');
+}
+
+/**
+ * Get file name from an attachment URL
+ */
+function getFileName(fileUrl) {
+    try {
+        const pathname = new URL(fileUrl).pathname;
+        return decodeURIComponent(pathname.split('/').pop()) || 'file';
+    } catch (e) {
+        return 'file';
+    }
+}
+
+module.exports = {
+    handleAttachment,
+    registerAttachmentHandler
+};
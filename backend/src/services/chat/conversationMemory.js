@@ -0,0 +1,76 @@
+/**
+ * Conversation Memory
+ * Earlier turns of the active conversation for AI replies
+ *
+ * Recent turns are sent as they are. Turns beyond maxTurns or the token budget are
+ * folded into a rolling summary stored on the conversation, so long chats keep
+ * their context without growing the prompt
+ */
+
+const { getActiveConversation, getConversationMessages, setMemorySummary } = require('../../models/conversation');
+const { updateRollingSummary } = require('../ai/gemini');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+
+/**
+ * Rough token count - about 3 characters per token (Thai text is denser than English)
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 3);
+}
+
+/**
+ * Get the memory of a customer's active conversation
+ * @param {string} senderId - Customer's Facebook ID
+ * @param {Array} excludeIds - IDs of messages to leave out (the message being answered)
+ * @returns {object} { summary, turns: [{ from, text }] } - turns oldest first
+ */
+async function getConversationMemory(senderId, excludeIds = []) {
+    const conversation = getActiveConversation(senderId);
+    if (!conversation) return { summary: '', turns: [] };
+
+    const { maxTurns, tokenBudget } = config.ai.memory;
+    const summarizedUntil = conversation.memory_summarized_until;
+
+    // Every turn not yet in the summary - none may be dropped without being folded in
+    const messages = getConversationMessages(conversation.id, summarizedUntil).filter(m =>
+        m.text && !excludeIds.includes(m.id)
+    );
+
+    // Keep the newest turns that fit in maxTurns and the budget (at least the last one)
+    let tokens = 0;
+    let firstKept = messages.length;
+    while (firstKept > 0 && messages.length - firstKept < maxTurns) {
+        tokens += estimateTokens(messages[firstKept - 1].text);
+        if (tokens > tokenBudget && firstKept < messages.length) break;
+        firstKept--;
+    }
+
+    const older = messages.slice(0, firstKept);
+    const recent = messages.slice(firstKept);
+    let summary = conversation.memory_summary || '';
+
+    if (older.length > 0) {
+        try {
+            summary = await updateRollingSummary(summary, older.map(toTurn));
+            setMemorySummary(conversation.id, summary, older[older.length - 1].created_at);
+            logger.debug(`Folded ${older.length} turns into the memory of conversation ${conversation.id}`);
+        } catch (error) {
+            // The older turns are left out this time and folded on the next message
+            logger.warn(`Conversation memory summary failed: ${error.message}`);
+        }
+    }
+
+    return { summary, turns: recent.map(toTurn) };
+}
+
+/**
+ * Message row to a conversation turn
+ */
+function toTurn(message) {
+    return { from: message.sender, text: message.text };
+}
+
+module.exports = {
+    getConversationMemory
+};
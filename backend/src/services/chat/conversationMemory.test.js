@@ -0,0 +1,98 @@
+/**
+ * Tests for conversation memory: recent turns and the rolling summary
+ */
+
+const { useTestDatabase } = require('../../../test/testDatabase');
+useTestDatabase('conversation-memory');
+process.env.LLM_PROVIDER = 'mock';
+
+const config = require('../../utils/config');
+const { ensureConversation } = require('../../models/conversation');
+const { saveMessage } = require('../../models/chat');
+const { setMockResponse } = require('../ai/providers/mock');
+const { getConversationMemory } = require('./conversationMemory');
+
+const START = new Date('2026-01-05T10:00:00.000Z').getTime();
+
+let summaryPrompts;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    Object.assign(config.ai.memory, { maxTurns: 5, tokenBudget: 10000 });
+
+    summaryPrompts = [];
+    setMockResponse('memorySummary', (prompt) => {
+        summaryPrompts.push(prompt);
+        return `สรุป ${summaryPrompts.length}`;
+    });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    setMockResponse('memorySummary', null);
+});
+
+/**
+ * Save numbered customer messages a second apart ("ข้อความ 1", "ข้อความ 2", ...)
+ */
+async function saveTurns(senderId, from, to) {
+    for (let n = from; n <= to; n++) {
+        jest.setSystemTime(START + n * 1000);
+        await saveMessage({ senderId, text: `ข้อความ ${n}`, sender: 'customer' });
+    }
+}
+
+describe('getConversationMemory', () => {
+    test('sends the last maxTurns turns and folds every older one into the summary', async () => {
+        await ensureConversation('customer-long');
+        await saveTurns('customer-long', 1, 12);
+
+        const memory = await getConversationMemory('customer-long');
+
+        expect(memory.turns.map(t => t.text)).toEqual(['ข้อความ 8', 'ข้อความ 9', 'ข้อความ 10', 'ข้อความ 11', 'ข้อความ 12']);
+        expect(memory.summary).toBe('สรุป 1');
+        expect(summaryPrompts).toHaveLength(1);
+        for (let n = 1; n <= 7; n++) {
+            expect(summaryPrompts[0]).toContain(`ข้อความ ${n}\n`);
+        }
+        expect(summaryPrompts[0]).not.toContain('ข้อความ 8');
+    });
+
+    test('folds only the turns added since the last summary', async () => {
+        await ensureConversation('customer-rolling');
+        await saveTurns('customer-rolling', 1, 6);
+        await getConversationMemory('customer-rolling');
+
+        await saveTurns('customer-rolling', 7, 9);
+        const memory = await getConversationMemory('customer-rolling');
+
+        expect(memory.turns.map(t => t.text)).toEqual(['ข้อความ 5', 'ข้อความ 6', 'ข้อความ 7', 'ข้อความ 8', 'ข้อความ 9']);
+        expect(memory.summary).toBe('สรุป 2');
+        expect(summaryPrompts[1]).toContain('สรุป 1');
+        expect(summaryPrompts[1]).toMatch(/ข้อความ 2\n[\s\S]*ข้อความ 4\n/);
+        expect(summaryPrompts[1]).not.toContain('ข้อความ 1\n');
+    });
+
+    test('folds turns that do not fit in the token budget', async () => {
+        config.ai.memory.tokenBudget = 7;
+        await ensureConversation('customer-budget');
+        await saveTurns('customer-budget', 1, 3);
+
+        const memory = await getConversationMemory('customer-budget');
+
+        // Each turn is 3 tokens - two fit
+        expect(memory.turns.map(t => t.text)).toEqual(['ข้อความ 2', 'ข้อความ 3']);
+        expect(summaryPrompts[0]).toContain('ข้อความ 1\n');
+    });
+
+    test('leaves out the message being answered', async () => {
+        await ensureConversation('customer-exclude');
+        await saveTurns('customer-exclude', 1, 2);
+        const latest = await saveMessage({ senderId: 'customer-exclude', text: 'คำถามล่าสุด', sender: 'customer' });
+
+        const memory = await getConversationMemory('customer-exclude', [latest.id]);
+
+        expect(memory.turns.map(t => t.text)).toEqual(['ข้อความ 1', 'ข้อความ 2']);
+        expect(summaryPrompts).toHaveLength(0);
+    });
+});
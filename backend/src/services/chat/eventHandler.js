@@ -0,0 +1,665 @@
+/**
+ * Messenger Event Handler
+ * Handles messaging events taken from the inbound event queue
+ */
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { getBusinessStatus } = require('../../utils/businessHours');
+const { getBusinessHours } = require('../../utils/pageContext');
+const { processMessage, processStaffReply } = require('./processor');
+const { saveMessage, markMessagesDelivered, markMessagesRead } = require('../../models/chat');
+const {
+    getOrCreateCustomer,
+    getTakeover,
+    setThreadOwner,
+    recordInbound,
+    getCustomerChannel
+} = require('../../models/customer');
+const { ensureConversation } = require('../../models/conversation');
+const {
+    sendMessage,
+    sendPacedReply,
+    sendQuickReplies,
+    sendGenericTemplate,
+    sendNotificationOptinRequest,
+    sendImage,
+    sendFile,
+    passThreadControl
+} = require('../facebook/messenger');
+const { getPromotionByPostId } = require('../../models/promotion');
+const { getMenuOptions } = require('../../models/menuOption');
+const { GET_STARTED_PAYLOAD } = require('../facebook/messengerProfile');
+const { FREQUENCY_DAYS, saveOptin, setOptinStatus } = require('../../models/notificationOptin');
+const { handleAttachment } = require('./attachments');
+const { isMetaChannel } = require('../../utils/channels');
+const { once } = require('../../utils/eventJournal');
+
+/**
+ * Handle a single messaging event
+ * Throws on failure so the queue worker can retry it - except for replies that can
+ * never be delivered (see isPermanentSendError), which end the event
+ * @param {object} webhookEvent - Messaging event from the webhook payload
+ * @param {object} io - Socket.io server
+ * @param {object} options - { standby } true when the event came on the standby channel
+ */
+async function handleEvent(webhookEvent, io, options = {}) {
+    try {
+        await routeEvent(webhookEvent, io, options);
+    } catch (error) {
+        if (!isPermanentSendError(error)) throw error;
+        logger.warn(`Reply to ${webhookEvent.sender?.id} not delivered, event done: ${error.message}`);
+    }
+}
+
+/**
+ * Handle a single messaging event by its type
+ */
+async function routeEvent(webhookEvent, io, options) {
+    // Echoes of messages sent by the Page (bot, staff in Meta Business Suite or the inbox app)
+    if (webhookEvent.message?.is_echo) {
+        await handleEcho(webhookEvent.recipient.id, webhookEvent.message, io);
+        return;
+    }
+
+    const senderId = webhookEvent.sender?.id;
+    if (!senderId) return;
+
+    // Thread ownership changes (Handover Protocol)
+    if (webhookEvent.pass_thread_control || webhookEvent.take_thread_control || webhookEvent.request_thread_control) {
+        await handleThreadControl(senderId, webhookEvent, io);
+        return;
+    }
+
+    // A customer message or postback opens the 24-hour messaging window
+    if (webhookEvent.message || webhookEvent.postback) {
+        await recordInbound(senderId, webhookEvent.timestamp);
+    }
+
+    // Another app owns the thread - record only, never reply
+    if (options.standby) {
+        await handleStandby(senderId, webhookEvent, io);
+        return;
+    }
+
+    // Handle different event types
+    if (webhookEvent.message) {
+        await handleMessage(senderId, webhookEvent.message, io);
+    } else if (webhookEvent.postback) {
+        await handlePostback(senderId, webhookEvent.postback, io);
+    } else if (webhookEvent.delivery) {
+        await handleDelivery(senderId, webhookEvent.delivery, io);
+    } else if (webhookEvent.read) {
+        await handleRead(senderId, webhookEvent.read, io);
+    } else if (webhookEvent.optin) {
+        await handleOptin(senderId, webhookEvent.optin, io);
+    }
+}
+
+/**
+ * Handle a batch of consecutive text messages from one customer as a single turn
+ * Each message is stored individually; the processor runs once on the combined text
+ * @param {Array} webhookEvents - Text message events of the same sender, in order
+ * @param {object} io - Socket.io server
+ */
+async function handleMessageBatch(webhookEvents, io) {
+    if (webhookEvents.length === 1) {
+        await handleEvent(webhookEvents[0], io);
+        return;
+    }
+
+    const senderId = webhookEvents[0].sender.id;
+    const parts = webhookEvents.map(e => ({ text: e.message.text, messageId: e.message.mid }));
+
+    await recordInbound(senderId, webhookEvents[webhookEvents.length - 1].timestamp);
+    const { isNew } = await ensureConversation(senderId);
+
+    logger.info(`Combined ${parts.length} messages from ${senderId} into one turn`);
+
+    try {
+        await handleTextMessage(senderId, parts.map(p => p.text).join('\n'), io, {
+            parts,
+            isFirstMessage: isNew
+        });
+    } catch (error) {
+        if (!isPermanentSendError(error)) throw error;
+        logger.warn(`Reply to ${senderId} not delivered, events done: ${error.message}`);
+    }
+}
+
+/**
+ * Check whether a send failed for good - retrying the event would only repeat the
+ * same failure (customer unavailable, policy, expired token, outside the messaging
+ * window). Graph API failures are already in the outbound_failures list
+ */
+function isPermanentSendError(error) {
+    return error.code === 'OUTSIDE_MESSAGING_WINDOW' || (error.code === 'SEND_FAILED' && !error.retryable);
+}
+
+/**
+ * Handle message echoes
+ * Replies typed by staff directly in Meta Business Suite are recorded as staff
+ * messages; echoes of the bot's own sends are ignored (already saved)
+ */
+async function handleEcho(customerId, message, io) {
+    if (!config.facebook.appId) {
+        logger.debug('FB_APP_ID not configured, ignoring message echo');
+        return;
+    }
+
+    if (String(message.app_id) === String(config.facebook.appId)) {
+        return;
+    }
+
+    const text = message.text || (message.attachments?.length ? `[${message.attachments[0].type}]` : null);
+    if (!text) return;
+
+    const staffId = message.app_id ? `app_${message.app_id}` : 'page';
+
+    await getOrCreateCustomer(customerId);
+    const { takeover } = await processStaffReply(customerId, staffId, text);
+
+    logger.info(`Recorded Page reply to ${customerId} from ${staffId}`);
+
+    io.to('admin-room').emit('staff-replied', {
+        senderId: customerId,
+        text,
+        staffId,
+        source: 'page',
+        takeover,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Handle Handover Protocol events
+ * - pass_thread_control / take_thread_control: record the new owner
+ * - request_thread_control: another app asks for the thread, hand it over
+ */
+async function handleThreadControl(senderId, webhookEvent, io) {
+    await getOrCreateCustomer(senderId);
+
+    let ownerAppId;
+
+    if (webhookEvent.pass_thread_control) {
+        ownerAppId = webhookEvent.pass_thread_control.new_owner_app_id;
+    } else if (webhookEvent.take_thread_control) {
+        ownerAppId = webhookEvent.take_thread_control.new_owner_app_id;
+    } else {
+        const requestedAppId = webhookEvent.request_thread_control.requested_owner_app_id;
+        logger.info(`App ${requestedAppId} requested thread control of ${senderId}`);
+
+        await passThreadControl(senderId, requestedAppId, 'request_thread_control');
+        ownerAppId = requestedAppId;
+    }
+
+    const owner = await setThreadOwner(senderId, ownerAppId);
+    logger.info(`Thread ${senderId} is now owned by ${owner || 'this app'}`);
+
+    io.to('admin-room').emit('thread-control-changed', {
+        senderId,
+        ownerAppId: owner,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Handle events from the standby channel
+ * Customer messages are saved for history; the owning app answers them
+ */
+async function handleStandby(senderId, webhookEvent, io) {
+    if (webhookEvent.delivery) {
+        await handleDelivery(senderId, webhookEvent.delivery, io);
+        return;
+    }
+    if (webhookEvent.read) {
+        await handleRead(senderId, webhookEvent.read, io);
+        return;
+    }
+
+    const message = webhookEvent.message;
+    if (!message) return;
+
+    const attachments = (message.attachments || []).map(att => ({
+        type: att.type,
+        url: att.payload?.url || null
+    }));
+    const text = message.text || (attachments.length ? `[${attachments[0].type}]` : null);
+    if (!text) return;
+
+    await ensureConversation(senderId);
+    await saveMessage({
+        senderId,
+        text,
+        sender: 'customer',
+        attachments: attachments.length ? attachments : undefined
+    });
+
+    logger.info(`[STANDBY] Message from ${senderId} recorded, thread owned by another app`);
+
+    io.to('admin-room').emit('new-message', {
+        senderId,
+        messageText: text,
+        messageId: message.mid,
+        attachments,
+        standby: true,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Pass an escalated thread to the inbox app so staff can pick it up there
+ * Failures are logged only - the customer has already been told staff will follow up
+ */
+async function passToInbox(senderId, reason, io) {
+    // The Handover Protocol covers Messenger and Instagram threads
+    if (!config.facebook.handoverEnabled || !isMetaChannel(getCustomerChannel(senderId))) return;
+
+    try {
+        await passThreadControl(senderId, config.facebook.inboxAppId, `escalation:${reason || 'unknown'}`);
+        const owner = await setThreadOwner(senderId, config.facebook.inboxAppId);
+
+        io.to('admin-room').emit('thread-control-changed', {
+            senderId,
+            ownerAppId: owner,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error(`Handover to inbox failed for ${senderId}: ${error.message}`);
+    }
+}
+
+/**
+ * Handle delivery receipts
+ */
+async function handleDelivery(senderId, delivery, io) {
+    if (!delivery.watermark) return;
+
+    const updated = await markMessagesDelivered(senderId, delivery.watermark);
+    if (updated === 0) return;
+
+    io.to('admin-room').emit('messages-delivered', {
+        senderId,
+        watermark: new Date(delivery.watermark).toISOString()
+    });
+}
+
+/**
+ * Handle read receipts
+ */
+async function handleRead(senderId, read, io) {
+    if (!read.watermark) return;
+
+    const updated = await markMessagesRead(senderId, read.watermark);
+    if (updated === 0) return;
+
+    io.to('admin-room').emit('messages-read', {
+        senderId,
+        watermark: new Date(read.watermark).toISOString()
+    });
+}
+
+/**
+ * Handle incoming messages (text and attachments)
+ */
+async function handleMessage(senderId, message, io) {
+    const messageText = message.text;
+    const messageId = message.mid;
+    const attachments = message.attachments;
+
+    // Open a new conversation after an inactivity gap
+    const { isNew } = await ensureConversation(senderId);
+    let isFirstMessage = isNew;
+
+    // Handle attachments (images, stickers, files, location, audio, ...)
+    if (attachments && attachments.length > 0) {
+        for (const attachment of attachments) {
+            const result = await handleAttachment(senderId, attachment, io);
+
+            // Transcribed voice messages continue as text
+            if (result?.text) {
+                await handleTextMessage(senderId, result.text, io, {
+                    messageId,
+                    attachments: result.attachments,
+                    isFirstMessage
+                });
+                isFirstMessage = false;
+            }
+        }
+        // If only attachments, return
+        if (!messageText) return;
+    }
+
+    // Handle text message
+    if (!messageText) {
+        logger.debug(`Received empty message from ${senderId}`);
+        return;
+    }
+
+    // Instagram story replies keep the story they answer with the message
+    const story = message.reply_to?.story;
+    const storyAttachments = story
+        ? [{ type: 'story_reply', url: story.url || null, storyId: story.id }]
+        : undefined;
+
+    await handleTextMessage(senderId, messageText, io, { messageId, attachments: storyAttachments, isFirstMessage });
+}
+
+/**
+ * Handle a text message (typed, or transcribed from a voice message)
+ * @param {object} messageOptions - { messageId, attachments, isFirstMessage } of the original message,
+ *   or { parts, isFirstMessage } when several messages were combined into one turn
+ */
+async function handleTextMessage(senderId, messageText, io, messageOptions = {}) {
+    const { messageId, attachments, isFirstMessage } = messageOptions;
+    const parts = messageOptions.parts || [{ text: messageText, messageId, attachments }];
+
+    logger.info(`Received message from ${senderId}: ${messageText}`);
+
+    // Emit to admin dashboard in real-time (always, even in learning mode)
+    const channel = getCustomerChannel(senderId);
+    for (const part of parts) {
+        io.to('admin-room').emit('new-message', {
+            senderId,
+            channel,
+            messageText: part.text,
+            messageId: part.messageId,
+            attachments: part.attachments,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // LEARNING MODE: Only collect data, do NOT respond to customers
+    if (config.learningMode) {
+        logger.info(`[LEARNING MODE] Message logged but NOT responding to ${senderId}`);
+
+        // Still save the message for analysis
+        await getOrCreateCustomer(senderId);
+        for (const part of parts) {
+            await saveMessage({
+                senderId,
+                text: part.text,
+                sender: 'customer',
+                intent: 'UNKNOWN',
+                intentConfidence: 0,
+                attachments: part.attachments
+            });
+        }
+
+        return; // Do not respond
+    }
+
+    // Check business hours (only when NOT in learning mode)
+    const businessStatus = getBusinessStatus();
+
+    if (businessStatus.isOpen) {
+        await handleDuringBusinessHours(senderId, messageText, io, { parts, isFirstMessage });
+    } else {
+        await handleOutsideBusinessHours(senderId, messageText, io, { parts });
+    }
+}
+
+/**
+ * Handle messages during business hours (10:00-22:00 unless the Page has its own)
+ */
+async function handleDuringBusinessHours(senderId, messageText, io, messageOptions = {}) {
+    const { isFirstMessage, ...processOptions } = messageOptions;
+    const menuOptions = await getMenuOptions();
+    const takeover = await getTakeover(senderId);
+
+    if (isFirstMessage && !takeover) {
+        await getOrCreateCustomer(senderId);
+        for (const part of processOptions.parts) {
+            await saveMessage({
+                senderId,
+                text: part.text,
+                sender: 'customer',
+                attachments: part.attachments
+            });
+        }
+
+        await sendWelcomeMenu(senderId, menuOptions);
+    } else {
+        // A retried event reuses the result instead of asking the AI again
+        const result = await once('process', () => processMessage(senderId, messageText, { ...processOptions, mode: 'staff-assist' }));
+
+        io.to('admin-room').emit('staff-required', {
+            senderId,
+            messageText,
+            suggestedReplies: result.suggestedReplies,
+            intent: result.intent,
+            customerInfo: result.customerInfo,
+            takeover: result.takeover,
+            timestamp: new Date().toISOString()
+        });
+
+        // Staff already own the thread, no automatic acknowledgement
+        if (result.mode !== 'takeover') {
+            await sendMessage(senderId, 'ได้รับข้อความแล้วครับ รอสักครู่นะครับ เจ้าหน้าที่กำลังดูแลอยู่ครับ');
+        }
+    }
+}
+
+/**
+ * Send the welcome text with the menu options as quick replies
+ */
+async function sendWelcomeMenu(senderId, menuOptions) {
+    const welcomeText = `สวัสดีครับ! ยินดีต้อนรับสู่บริการของเรา\nกรุณาเลือกหัวข้อที่ต้องการสอบถาม:`;
+
+    const quickReplies = menuOptions.map(opt => ({
+        content_type: 'text',
+        title: `${opt.emoji} ${opt.text}`,
+        payload: `MENU_${opt.id}`
+    }));
+
+    await sendQuickReplies(senderId, welcomeText, quickReplies);
+}
+
+/**
+ * Handle messages outside business hours - AI handles
+ */
+async function handleOutsideBusinessHours(senderId, messageText, io, messageOptions = {}) {
+    // A retried event reuses the result instead of asking the AI again
+    const result = await once('process', () => processMessage(senderId, messageText, { ...messageOptions, mode: 'ai-auto' }));
+
+    // Staff own the thread - notify them instead of answering
+    if (result.mode === 'takeover') {
+        io.to('admin-room').emit('staff-required', {
+            senderId,
+            messageText,
+            intent: result.intent,
+            customerInfo: result.customerInfo,
+            takeover: result.takeover,
+            timestamp: new Date().toISOString()
+        });
+        return;
+    }
+
+    if (result.shouldEscalate) {
+        io.to('admin-room').emit('escalation-needed', {
+            senderId,
+            messageText,
+            reason: result.escalationReason,
+            priority: result.priority,
+            timestamp: new Date().toISOString()
+        });
+
+        await sendMessage(senderId,
+            'ขอบคุณสำหรับข้อความครับ เรื่องนี้ต้องให้เจ้าหน้าที่ดูแลโดยตรง ' +
+            `จะมีเจ้าหน้าที่ติดต่อกลับในเวลาทำการ (${formatBusinessHours()}) ครับ`
+        );
+
+        await passToInbox(senderId, result.escalationReason, io);
+    } else {
+        await sendPacedReply(senderId, result.aiResponse);
+
+        if (result.confidence < config.ai.confidenceThreshold) {
+            await sendMessage(senderId,
+                `หากคำตอบไม่ตรงกับที่ต้องการ สามารถสอบถามเจ้าหน้าที่ได้ในเวลาทำการ (${formatBusinessHours()}) ครับ`
+            );
+        }
+    }
+
+    io.to('admin-room').emit('ai-response', {
+        senderId,
+        messageText,
+        aiResponse: result.aiResponse,
+        confidence: result.confidence,
+        intent: result.intent,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Handle postback events (button clicks)
+ */
+async function handlePostback(senderId, postback, io) {
+    const payload = postback.payload;
+
+    logger.info(`Received postback from ${senderId}: ${payload}`);
+
+    await ensureConversation(senderId);
+
+    if (payload === GET_STARTED_PAYLOAD) {
+        await handleGetStarted(senderId, io);
+    } else if (payload.startsWith('MENU_')) {
+        const menuId = parseInt(payload.replace('MENU_', ''));
+        await handleMenuSelection(senderId, menuId, io);
+    } else if (payload.startsWith('PROMO_ASK_')) {
+        await handlePromotionQuestion(senderId, payload.replace('PROMO_ASK_', ''), io);
+    } else if (payload.startsWith('NOTIFY_OPTIN_')) {
+        const frequency = payload.replace('NOTIFY_OPTIN_', '');
+        if (!FREQUENCY_DAYS[frequency]) return;
+
+        await sendNotificationOptinRequest(senderId, {
+            title: config.notifications.title,
+            topic: config.notifications.topic,
+            frequency
+        });
+    }
+}
+
+/**
+ * Handle recurring notification opt-in events
+ * - a new or refreshed token is stored per customer and topic
+ * - STOP_NOTIFICATIONS / RESUME_NOTIFICATIONS take effect immediately
+ */
+async function handleOptin(senderId, optin, io) {
+    if (optin.type !== 'notification_messages') return;
+
+    const topic = optin.payload || config.notifications.topic;
+    await getOrCreateCustomer(senderId);
+
+    let saved;
+    if (optin.notification_messages_status === 'STOP_NOTIFICATIONS') {
+        saved = setOptinStatus(senderId, topic, 'stopped');
+    } else if (optin.notification_messages_status === 'RESUME_NOTIFICATIONS') {
+        saved = setOptinStatus(senderId, topic, 'active');
+    } else {
+        saved = saveOptin(senderId, {
+            topic,
+            token: optin.notification_messages_token,
+            frequency: optin.notification_messages_frequency,
+            tokenExpiresAt: optin.token_expiry_timestamp
+                ? new Date(optin.token_expiry_timestamp).toISOString()
+                : null,
+            timezone: optin.notification_messages_timezone
+        });
+    }
+
+    io.to('admin-room').emit('optin-changed', {
+        senderId,
+        topic,
+        status: saved?.status || null,
+        frequency: saved?.frequency || null,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Handle the Get Started button - show the welcome menu
+ */
+async function handleGetStarted(senderId, io) {
+    await getOrCreateCustomer(senderId);
+
+    io.to('admin-room').emit('get-started', {
+        senderId,
+        timestamp: new Date().toISOString()
+    });
+
+    if (config.learningMode || await getTakeover(senderId)) return;
+
+    await sendWelcomeMenu(senderId, await getMenuOptions());
+}
+
+/**
+ * Handle "สอบถามเพิ่มเติม" on a promotion card - continue as a question about it
+ */
+async function handlePromotionQuestion(senderId, fbPostId, io) {
+    const promotion = getPromotionByPostId(fbPostId);
+    const text = `สอบถามเพิ่มเติมเกี่ยวกับโปรโมชั่น: ${promotion?.short_message || fbPostId}`;
+
+    await handleTextMessage(senderId, text, io);
+}
+
+/**
+ * Send the rich parts of a menu auto-response
+ * - link (with or without image): a card with a "ดูรายละเอียด" button
+ * - image only: the image
+ * - file: the file (e.g. an application form)
+ */
+async function sendMenuMedia(senderId, option) {
+    if (option.link) {
+        const card = {
+            title: `${option.emoji || ''} ${option.text}`.trim(),
+            default_action: { type: 'web_url', url: option.link },
+            buttons: [{ type: 'web_url', url: option.link, title: 'ดูรายละเอียด' }]
+        };
+        if (option.image_url) card.image_url = option.image_url;
+
+        await sendGenericTemplate(senderId, [card]);
+    } else if (option.image_url) {
+        await sendImage(senderId, option.image_url);
+    }
+
+    if (option.file_url) {
+        await sendFile(senderId, option.file_url);
+    }
+}
+
+/**
+ * Handle menu option selection
+ */
+async function handleMenuSelection(senderId, menuId, io) {
+    const menuOptions = await getMenuOptions();
+    const selectedOption = menuOptions.find(opt => opt.id === menuId);
+    const takeover = await getTakeover(senderId);
+
+    if (selectedOption && !takeover) {
+        if (selectedOption.auto_response) {
+            await sendMessage(senderId, selectedOption.auto_response);
+        }
+        await sendMenuMedia(senderId, selectedOption);
+    }
+
+    io.to('admin-room').emit('menu-selected', {
+        senderId,
+        menuId,
+        menuText: selectedOption?.text,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Business hours of the current Page for customer messages, e.g. "10:00-22:00"
+ */
+function formatBusinessHours() {
+    const { start, end } = getBusinessHours();
+    return `${start}-${end}`;
+}
+
+module.exports = {
+    handleEvent,
+    handleMessageBatch
+};
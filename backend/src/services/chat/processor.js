@@ -3,23 +3,33 @@
  * Central logic for processing incoming messages
  */
 
-const { generateResponse, detectIntent, generateQuickReplies } = require('../ai/gemini');
+const { generateResponse, detectIntent, generateQuickReplies, rewriteQuery } = require('../ai/gemini');
 const { queryRelevant } = require('../vector/pinecone');
 const { shouldEscalate } = require('../ai/escalation');
-const { getOrCreateCustomer, updateCustomerActivity } = require('../../models/customer');
+const { getOrCreateCustomer, updateCustomerActivity, getTakeover, setTakeover } = require('../../models/customer');
 const { saveMessage, getRecentMessages } = require('../../models/chat');
 const { getUserProfile } = require('../facebook/messenger');
+const { getConversationMemory } = require('./conversationMemory');
+const { getIntentByName } = require('../../models/intent');
+const { getMenuOption } = require('../../models/menuOption');
 const logger = require('../../utils/logger');
 const config = require('../../utils/config');
 
 /**
  * Process incoming message
+ * While a human takeover is active the message is still classified and saved,
+ * but no AI response is generated
  * @param {string} senderId - Facebook sender ID
  * @param {string} messageText - Message content
  * @param {object} options - Processing options
+ * @param {string} options.mode - 'ai-auto' or 'staff-assist'
+ * @param {Array} options.attachments - Attachments to store with the message (e.g. transcribed audio)
+ * @param {Array} options.parts - Original messages ({ text, attachments }) when messageText combines
+ *   several messages; each part is stored as its own message
  */
 async function processMessage(senderId, messageText, options = {}) {
     const { mode = 'ai-auto' } = options;
+    const parts = options.parts || [{ text: messageText, attachments: options.attachments }];
 
     try {
         // Get or create customer profile
@@ -56,18 +66,19 @@ async function processMessage(senderId, messageText, options = {}) {
 
         logger.debug(`Detected intent: ${intent.intent} (${intent.confidence})`);
 
-        // Get relevant context from vector DB
-        const context = await queryRelevant(messageText, config.ai.maxContextMessages);
-        logger.debug(`Found ${context.length} relevant context items`);
-
-        // Save incoming message
-        await saveMessage({
-            senderId,
-            text: messageText,
-            sender: 'customer',
-            intent: intent.intent,
-            intentConfidence: intent.confidence
-        });
+        // Save incoming message(s)
+        const savedIds = [];
+        for (const part of parts) {
+            const saved = await saveMessage({
+                senderId,
+                text: part.text,
+                sender: 'customer',
+                intent: intent.intent,
+                intentConfidence: intent.confidence,
+                attachments: part.attachments
+            });
+            savedIds.push(saved.id);
+        }
 
         // Update customer activity
         await updateCustomerActivity(senderId, {
@@ -75,9 +86,41 @@ async function processMessage(senderId, messageText, options = {}) {
             lastIntent: intent.intent
         });
 
+        // Staff own the thread - do not answer for them
+        const takeover = await getTakeover(senderId);
+        if (takeover) {
+            logger.info(`Takeover by ${takeover.staffId} active, no AI response for ${senderId}`);
+            return {
+                mode: 'takeover',
+                takeover,
+                messageText,
+                intent: intent.intent,
+                intentConfidence: intent.confidence,
+                intentSummary: intent.summary,
+                suggestedDepartment: intent.suggestedDepartment,
+                shouldEscalate: false,
+                customerInfo
+            };
+        }
+
+        // Earlier turns of this conversation (older ones folded into a rolling summary)
+        const memory = await getConversationMemory(senderId, savedIds);
+
+        // Get relevant context from vector DB - follow-up questions are searched
+        // as a standalone question built from the conversation
+        const searchQuery = await rewriteQuery(messageText, memory);
+        const context = await queryRelevant(searchQuery, config.ai.maxContextMessages);
+
+        // The answer of the menu option linked to the intent comes first
+        const menuAnswer = await getIntentMenuAnswer(intent.intent);
+        if (menuAnswer) {
+            context.unshift(menuAnswer);
+        }
+        logger.debug(`Found ${context.length} relevant context items`);
+
         if (mode === 'ai-auto') {
             // AI handles fully (outside business hours)
-            return await processWithAI(senderId, messageText, context, customerInfo, intent);
+            return await processWithAI(senderId, messageText, context, customerInfo, intent, memory);
         } else {
             // Staff-assist mode (during business hours)
             return await processWithStaffAssist(senderId, messageText, context, customerInfo, intent);
@@ -94,12 +137,26 @@ async function processMessage(senderId, messageText, options = {}) {
     }
 }
 
+/**
+ * Context item from the menu option linked to an intent
+ * @returns {object|null} { question, answer } - null when no enabled option with an answer is linked
+ */
+async function getIntentMenuAnswer(intentName) {
+    const menuOptionId = getIntentByName(intentName)?.menu_option_id;
+    if (!menuOptionId) return null;
+
+    const option = await getMenuOption(menuOptionId);
+    if (!option?.enabled || !option.auto_response) return null;
+
+    return { question: option.text, answer: option.auto_response };
+}
+
 /**
  * Process with AI auto-response (outside business hours)
  */
-async function processWithAI(senderId, messageText, context, customerInfo, intent) {
+async function processWithAI(senderId, messageText, context, customerInfo, intent, memory) {
     // Generate AI response
-    const aiResult = await generateResponse(messageText, context, customerInfo);
+    const aiResult = await generateResponse(messageText, context, customerInfo, memory);
 
     // Check if escalation is needed (Feature #9)
     const escalationCheck = await shouldEscalate(messageText, {
@@ -156,6 +213,7 @@ async function processWithStaffAssist(senderId, messageText, context, customerIn
 
 /**
  * Process staff reply and save
+ * A staff reply starts (or extends) a human takeover of the thread
  * @param {string} senderId - Customer's Facebook ID
  * @param {string} staffId - Staff member ID
  * @param {string} replyText - Staff's reply
@@ -175,7 +233,9 @@ async function processStaffReply(senderId, staffId, replyText) {
         lastContactBy: 'staff'
     });
 
-    return { success: true };
+    const takeover = await setTakeover(senderId, staffId);
+
+    return { success: true, takeover };
 }
 
 module.exports = {
@@ -0,0 +1,87 @@
+/**
+ * Tests for the message processor, run offline with the mock LLM provider
+ * and the in-memory vector index
+ */
+
+const { useTestDatabase } = require('../../../test/testDatabase');
+useTestDatabase('processor');
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.PINECONE_API_KEY;
+
+jest.mock('axios');
+const axios = require('axios');
+const { getRecentMessages } = require('../../models/chat');
+const { setMockResponse } = require('../ai/providers/mock');
+const { addDocuments } = require('../vector/pinecone');
+const { processMessage } = require('./processor');
+
+beforeAll(() => {
+    axios.get.mockRejectedValue(new Error('no network in tests'));
+});
+
+afterEach(() => {
+    for (const name of ['reply', 'intent']) {
+        setMockResponse(name, null);
+    }
+});
+
+describe('processMessage', () => {
+    test('answers without a Pinecone key', async () => {
+        const result = await processMessage('customer-offline', 'สอบถามเวลาทำการครับ');
+
+        expect(result.escalationReason).not.toBe('system_error');
+        expect(result.aiResponse).toContain('ขอบคุณที่ติดต่อเรา');
+        expect(result.intent).toBe('GENERAL_INQUIRY');
+    });
+
+    test('sends and saves the reply set with setMockResponse', async () => {
+        setMockResponse('reply', 'เปิดทำการ 8:30-16:30 น. ครับ');
+
+        const result = await processMessage('customer-reply', 'ธนาคารเปิดกี่โมง');
+
+        expect(result.aiResponse).toBe('เปิดทำการ 8:30-16:30 น. ครับ');
+        const messages = await getRecentMessages('customer-reply', 10);
+        expect(messages.map(m => [m.sender, m.text])).toEqual(expect.arrayContaining([
+            ['customer', 'ธนาคารเปิดกี่โมง'],
+            ['ai', 'เปิดทำการ 8:30-16:30 น. ครับ']
+        ]));
+    });
+
+    test('puts earlier answers from the vector index into the reply prompt', async () => {
+        await addDocuments([{
+            conversationId: 'conv-1',
+            customerId: 'someone-else',
+            question: 'ค่าธรรมเนียมโอนเงินต่างธนาคารเท่าไหร่',
+            answer: 'โอนเงินผ่านแอปฟรีทุกรายการครับ'
+        }]);
+        setMockResponse('reply', prompt => (prompt.includes('โอนเงินผ่านแอปฟรีทุกรายการ') ? 'found' : 'missing'));
+
+        const result = await processMessage('customer-context', 'ค่าธรรมเนียมโอนเงินต่างธนาคาร');
+
+        expect(result.aiResponse).toBe('found');
+    });
+
+    test('escalates the intent returned by the classifier', async () => {
+        setMockResponse('intent', {
+            intent: 'COMPLAINT',
+            confidence: 0.95,
+            keywords: [],
+            suggestedDepartment: 'ฝ่ายรับเรื่องร้องเรียน',
+            summary: 'ลูกค้าร้องเรียน'
+        });
+
+        const result = await processMessage('customer-complaint', 'ข้อความทั่วไป');
+
+        expect(result.intent).toBe('COMPLAINT');
+        expect(result.shouldEscalate).toBe(true);
+    });
+
+    test('falls back to OTHER when the classifier answers an unknown intent', async () => {
+        setMockResponse('intent', { intent: 'NOT_AN_INTENT', confidence: 0.9, keywords: [], suggestedDepartment: '', summary: '' });
+
+        const result = await processMessage('customer-unknown', 'อะไรก็ได้');
+
+        expect(result.intent).toBe('OTHER');
+        expect(result.escalationReason).not.toBe('system_error');
+    });
+});
@@ -7,6 +7,7 @@ const axios = require('axios');
 const { subDays, format } = require('date-fns');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
+const { getAccessToken } = require('../../utils/pageContext');
 
 const GRAPH_API_BASE = `${config.facebook.graphApiUrl}/${config.facebook.apiVersion}`;
 
@@ -21,7 +22,7 @@ async function getConversations(days = 60) {
         const conversations = [];
         let url = `${GRAPH_API_BASE}/me/conversations`;
         let params = {
-            access_token: config.facebook.pageAccessToken,
+            access_token: getAccessToken(),
             fields: 'id,updated_time,participants,message_count',
             since
         };
@@ -57,7 +58,7 @@ async function getMessages(conversationId, limit = 100) {
         const messages = [];
         let url = `${GRAPH_API_BASE}/${conversationId}/messages`;
         let params = {
-            access_token: config.facebook.pageAccessToken,
+            access_token: getAccessToken(),
             fields: 'id,created_time,from,message',
             limit: Math.min(limit, 100)
         };
@@ -93,7 +94,7 @@ async function getParticipants(conversationId) {
             `${GRAPH_API_BASE}/${conversationId}`,
             {
                 params: {
-                    access_token: config.facebook.pageAccessToken,
+                    access_token: getAccessToken(),
                     fields: 'participants'
                 }
             }
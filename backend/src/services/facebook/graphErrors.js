@@ -0,0 +1,66 @@
+/**
+ * Graph API Error Classification
+ * Maps Send API errors to categories that decide whether a send is retried
+ *
+ * - rate_limit (4, 613): retried with backoff
+ * - transient (network errors, 5xx, is_transient): retried with backoff
+ * - user_unavailable (551): permanent, the customer is marked unreachable
+ * - token_expired (190): permanent, the page access token must be renewed
+ * - policy (10): permanent, the send is not allowed by Messenger policy
+ * - unknown: permanent
+ */
+
+const CATEGORIES = {
+    4: 'rate_limit',
+    613: 'rate_limit',
+    551: 'user_unavailable',
+    190: 'token_expired',
+    10: 'policy'
+};
+
+const RETRYABLE = ['rate_limit', 'transient'];
+
+/**
+ * Classify an axios error from the Graph API
+ * @returns {object} { category, retryable, code, subcode, message }
+ */
+function classifyGraphError(error) {
+    const graphError = error.response?.data?.error;
+    const status = error.response?.status;
+
+    let category = 'unknown';
+    if (graphError && CATEGORIES[graphError.code]) {
+        category = CATEGORIES[graphError.code];
+    } else if (!error.response || status >= 500 || graphError?.is_transient) {
+        category = 'transient';
+    }
+
+    return {
+        category,
+        retryable: RETRYABLE.includes(category),
+        code: graphError?.code ?? status ?? null,
+        subcode: graphError?.error_subcode ?? null,
+        message: graphError?.message || error.message
+    };
+}
+
+/**
+ * Build the error thrown for a failed send
+ * code is SEND_FAILED; category/graphCode tell callers why, retryable whether
+ * sending again later may succeed
+ */
+function createSendError(classified, attempts) {
+    const error = new Error(`Send failed (${classified.category}): ${classified.message}`);
+    error.code = 'SEND_FAILED';
+    error.category = classified.category;
+    error.retryable = classified.retryable;
+    error.graphCode = classified.code;
+    error.graphSubcode = classified.subcode;
+    error.attempts = attempts;
+    return error;
+}
+
+module.exports = {
+    classifyGraphError,
+    createSendError
+};
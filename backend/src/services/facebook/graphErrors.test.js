@@ -0,0 +1,60 @@
+/**
+ * Tests for Graph API error classification
+ */
+
+const { classifyGraphError, createSendError } = require('./graphErrors');
+
+/**
+ * An axios error with a Graph API error body
+ */
+function graphError(status, error) {
+    return { message: `Request failed with status code ${status}`, response: { status, data: { error } } };
+}
+
+describe('classifyGraphError', () => {
+    test.each([
+        ['code 4', graphError(400, { code: 4, message: 'Application request limit reached' }), 'rate_limit', true],
+        ['code 613', graphError(400, { code: 613, message: 'Calls exceeded the rate limit' }), 'rate_limit', true],
+        ['code 551', graphError(400, { code: 551, error_subcode: 1545041, message: 'This person isn\'t available right now.' }), 'user_unavailable', false],
+        ['code 190', graphError(400, { code: 190, message: 'Error validating access token' }), 'token_expired', false],
+        ['code 10', graphError(400, { code: 10, error_subcode: 2018278, message: 'Outside of allowed window' }), 'policy', false],
+        ['is_transient', graphError(400, { code: 2, is_transient: true, message: 'Temporary issue' }), 'transient', true],
+        ['a 5xx response', { message: 'Request failed with status code 502', response: { status: 502, data: 'Bad Gateway' } }, 'transient', true],
+        ['a network error', { message: 'socket hang up' }, 'transient', true],
+        ['an unlisted code', graphError(400, { code: 100, message: 'Invalid parameter' }), 'unknown', false]
+    ])('classifies %s', (name, error, category, retryable) => {
+        expect(classifyGraphError(error)).toMatchObject({ category, retryable });
+    });
+
+    test('a known code wins over a 5xx status', () => {
+        expect(classifyGraphError(graphError(500, { code: 190, message: 'Session expired' })).category).toBe('token_expired');
+    });
+
+    test('reports the Graph code, subcode and message', () => {
+        const classified = classifyGraphError(graphError(400, { code: 551, error_subcode: 1545041, message: 'Unavailable' }));
+
+        expect(classified).toEqual({
+            category: 'user_unavailable',
+            retryable: false,
+            code: 551,
+            subcode: 1545041,
+            message: 'Unavailable'
+        });
+    });
+
+    test('falls back to the HTTP status and the axios message', () => {
+        const classified = classifyGraphError({ message: 'Request failed with status code 503', response: { status: 503 } });
+
+        expect(classified).toMatchObject({ code: 503, subcode: null, message: 'Request failed with status code 503' });
+    });
+});
+
+describe('createSendError', () => {
+    test('carries the classification for callers', () => {
+        const error = createSendError(classifyGraphError(graphError(400, { code: 4, message: 'Too many calls' })), 3);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.message).toBe('Send failed (rate_limit): Too many calls');
+        expect(error).toMatchObject({ code: 'SEND_FAILED', category: 'rate_limit', retryable: true, graphCode: 4, attempts: 3 });
+    });
+});
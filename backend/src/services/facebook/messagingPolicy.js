@@ -0,0 +1,109 @@
+/**
+ * Messenger Messaging Policy
+ * Checks every outbound send against the 24-hour standard messaging window
+ *
+ * - Inside the window: sent as a RESPONSE
+ * - Outside the window: only with a permitted message tag (HUMAN_AGENT within 7 days
+ *   for staff replies) or a recurring-notification token the customer opted into
+ * - Anything else is blocked with an OUTSIDE_MESSAGING_WINDOW error
+ */
+
+const { getDatabase } = require('../../models/database');
+const { isTokenActive } = require('../../models/notificationOptin');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { increment } = require('../../utils/metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+const STANDARD_WINDOW_MS = 24 * HOUR_MS;
+const HUMAN_AGENT_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+// Tags that may be used outside the standard window (no promotional content allowed)
+const ALLOWED_TAGS = ['CONFIRMED_EVENT_UPDATE', 'POST_PURCHASE_UPDATE', 'ACCOUNT_UPDATE', 'HUMAN_AGENT'];
+
+/**
+ * Get when the customer last messaged the Page
+ * @returns {Date|null}
+ */
+function getLastInboundAt(recipientId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT last_inbound_at FROM customers WHERE fb_user_id = ?').get(recipientId);
+    return row?.last_inbound_at ? new Date(row.last_inbound_at) : null;
+}
+
+/**
+ * Check whether the customer is inside the 24-hour window
+ */
+function isWithinStandardWindow(recipientId, now = Date.now()) {
+    const lastInboundAt = getLastInboundAt(recipientId);
+    return !!lastInboundAt && now - lastInboundAt.getTime() < STANDARD_WINDOW_MS;
+}
+
+/**
+ * Apply the messaging policy to a send payload
+ * @param {string} recipientId - Facebook user ID
+ * @param {object} payload - Send API body without the recipient
+ * @param {object} options - { source, tag, notificationToken }
+ * @returns {object} Payload with messaging_type (and tag) set
+ * @throws {Error} code OUTSIDE_MESSAGING_WINDOW when the send is not permitted
+ */
+function applyMessagingPolicy(recipientId, payload, options = {}) {
+    const { source, notificationToken } = options;
+    const tag = options.tag || payload.tag;
+
+    // Recurring notification messages are permitted by the customer's opt-in
+    // (checked on every send so an opt-out applies to already queued messages)
+    if (notificationToken) {
+        if (!isTokenActive(notificationToken)) {
+            throw blockedError(recipientId, 'token_invalid', 'Notification token is stopped or expired');
+        }
+
+        const { messaging_type, tag: _tag, ...rest } = payload;
+        return rest;
+    }
+
+    const now = Date.now();
+    const lastInboundAt = getLastInboundAt(recipientId);
+    const sinceInbound = lastInboundAt ? now - lastInboundAt.getTime() : Infinity;
+
+    if (sinceInbound < STANDARD_WINDOW_MS) {
+        // Sender actions carry no messaging_type
+        if (!payload.message) return payload;
+
+        const { tag: _tag, ...rest } = payload;
+        return { ...rest, messaging_type: 'RESPONSE' };
+    }
+
+    if (payload.message) {
+        // Staff replies may use the human agent tag for up to 7 days
+        const effectiveTag = tag
+            || (source === 'staff' && config.facebook.humanAgentTagEnabled ? 'HUMAN_AGENT' : null);
+
+        if (effectiveTag && ALLOWED_TAGS.includes(effectiveTag)
+            && (effectiveTag !== 'HUMAN_AGENT' || sinceInbound < HUMAN_AGENT_WINDOW_MS)) {
+            return { ...payload, messaging_type: 'MESSAGE_TAG', tag: effectiveTag };
+        }
+    }
+
+    throw blockedError(recipientId, 'outside_window', 'Customer is outside the 24-hour messaging window');
+}
+
+/**
+ * Count a blocked send and build its error
+ */
+function blockedError(recipientId, reason, message) {
+    increment('outbound_blocked', { reason });
+    logger.warn(`Blocked send to ${recipientId}: ${message}`);
+
+    const error = new Error(message);
+    error.code = 'OUTSIDE_MESSAGING_WINDOW';
+    return error;
+}
+
+module.exports = {
+    ALLOWED_TAGS,
+    STANDARD_WINDOW_MS,
+    getLastInboundAt,
+    isWithinStandardWindow,
+    applyMessagingPolicy
+};
@@ -6,9 +6,206 @@
 const axios = require('axios');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
+const { increment } = require('../../utils/metrics');
 const { savePendingMessage } = require('../../models/pendingMessage');
+const { saveOutboundFailure } = require('../../models/outboundFailure');
+const { markUnreachable, getCustomerChannel } = require('../../models/customer');
+const { markNotificationSent } = require('../../models/notificationOptin');
+const { getPageForCustomer } = require('../../models/page');
+const { getCurrentPage, getAccessToken, getInstagramAccessToken } = require('../../utils/pageContext');
+const { applyMessagingPolicy, isWithinStandardWindow } = require('./messagingPolicy');
+const { classifyGraphError, createSendError } = require('./graphErrors');
+const { splitReply, getTypingDelay, isPacingEnabled } = require('./pacing');
+const { sendLinePayload, getLineProfile, classifyLineError } = require('../line/lineApi');
+const { sendWidgetPayload, classifyWidgetError } = require('../widget/widgetGateway');
+const { isMetaChannel } = require('../../utils/channels');
+const { once, inEventJournal } = require('../../utils/eventJournal');
 
-const GRAPH_API_URL = `${config.facebook.graphApiUrl}/${config.facebook.apiVersion}/me/messages`;
+const PAGE_API_URL = `${config.facebook.graphApiUrl}/${config.facebook.apiVersion}/me`;
+const GRAPH_API_URL = `${PAGE_API_URL}/messages`;
+const INSTAGRAM_API_URL = `${config.instagram.apiUrl}/${config.facebook.apiVersion}/me/messages`;
+
+// Channels with their own delivery; Messenger and Instagram use the Send API
+const CHANNEL_SENDERS = {
+    line: { send: sendLinePayload, classify: classifyLineError },
+    web: { send: sendWidgetPayload, classify: classifyWidgetError }
+};
+
+/**
+ * Send a message request through the single outbound pipeline
+ * Every send (text, quick replies, templates, attachments, sender actions) goes
+ * through here so test mode and the messaging policy are applied consistently:
+ * - messages outside the 24-hour window need a permitted tag or notification token
+ *   (see messagingPolicy.js), otherwise an OUTSIDE_MESSAGING_WINDOW error is thrown
+ * - in test mode messages are queued in pending_messages with their full payload
+ * - sender actions (typing, mark seen) are skipped in test mode or outside the window
+ * - Graph API errors are classified (see graphErrors.js): rate-limited and transient
+ *   errors are retried with backoff, failed messages go to the outbound_failures
+ *   dead-letter list and unavailable customers are marked unreachable.
+ *   The thrown error has code SEND_FAILED and the category
+ * - the message is sent with the access token of the customer's Page
+ * - Instagram customers get the message through the Instagram messaging endpoint
+ *   (same Send API body and messaging window)
+ * - LINE customers get the message through the LINE Messaging API instead
+ *   (converted by lineMessages.js), website widget visitors over the widget socket
+ *   (widgetGateway.js); these channels have no messaging window
+ * - while handling a queued inbound event, a message the event already sent on an
+ *   earlier attempt is not sent again (see utils/eventJournal.js). Retryable failures
+ *   are left to the event retry instead of the dead-letter list
+ * @param {string} recipientId - Facebook user ID
+ * @param {object} payload - Send API body without the recipient, e.g. { message: {...} } or { sender_action }
+ * @param {object} options - { source, metadata, force, tag, notificationToken, deadLetter }
+ *   force bypasses test mode (approved pending messages),
+ *   deadLetter: false skips the dead-letter list (retries of a dead letter)
+ */
+async function dispatch(recipientId, payload, options = {}) {
+    if (!payload.message) return deliver(recipientId, payload, options);
+    return once('send', () => deliver(recipientId, payload, options));
+}
+
+/**
+ * Send (or queue in test mode) a message request - see dispatch()
+ */
+async function deliver(recipientId, payload, options = {}) {
+    const { source = 'ai', metadata = {}, force = false, tag, deadLetter = true } = options;
+    const notificationToken = options.notificationToken || metadata.notificationToken;
+
+    const channel = getCustomerChannel(recipientId);
+    const isMeta = isMetaChannel(channel);
+
+    if (!payload.message && (config.testMode || (isMeta && !isWithinStandardWindow(recipientId)))) {
+        logger.debug(`Skipped ${payload.sender_action} for ${recipientId}`);
+        return { skipped: true };
+    }
+
+    const sendPayload = isMeta
+        ? applyMessagingPolicy(recipientId, payload, { source, tag, notificationToken })
+        : payload;
+    const summary = describePayload(sendPayload);
+    // Kept with queued and failed messages so they can be sent again the same way
+    const sendMetadata = notificationToken ? { ...metadata, notificationToken } : metadata;
+    const page = resolvePage(recipientId);
+    const pageId = page?.id || null;
+
+    if (config.testMode && !force) {
+        logger.info(`[TEST MODE] Message queued for ${recipientId}: ${summary.substring(0, 50)}...`);
+        const pending = savePendingMessage(recipientId, summary, source, sendMetadata, sendPayload, pageId);
+        return { testMode: true, pending };
+    }
+
+    const body = {
+        recipient: notificationToken
+            ? { notification_messages_token: notificationToken }
+            : { id: recipientId },
+        ...sendPayload
+    };
+
+    const channelSender = CHANNEL_SENDERS[channel];
+    const send = channelSender
+        ? () => channelSender.send(recipientId, sendPayload)
+        : async () => (await axios.post(
+            channel === 'instagram' ? INSTAGRAM_API_URL : GRAPH_API_URL,
+            body,
+            { params: { access_token: channel === 'instagram' ? getInstagramAccessToken(page) : getAccessToken(page) } }
+        )).data;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const result = await send();
+
+            // The opt-in allows one message per period - used up once it is delivered
+            if (notificationToken) {
+                markNotificationSent(notificationToken);
+            }
+
+            logger.debug(`Sent to ${recipientId}: ${summary.substring(0, 50)}...`);
+            return result;
+        } catch (error) {
+            const classified = channelSender ? channelSender.classify(error) : classifyGraphError(error);
+
+            if (classified.retryable && attempt <= config.send.maxRetries) {
+                const delay = config.send.retryBaseMs * Math.pow(2, attempt - 1);
+                logger.warn(`Send to ${recipientId} failed (${classified.category}), retry ${attempt} in ${delay}ms`);
+                await sleep(delay);
+                continue;
+            }
+
+            const sendError = createSendError(classified, attempt);
+            const keepFailure = deadLetter && !(classified.retryable && inEventJournal());
+            await handleSendFailure(recipientId, sendPayload, { source, metadata: sendMetadata, deadLetter: keepFailure, pageId, channel }, sendError);
+            throw sendError;
+        }
+    }
+}
+
+/**
+ * Record a send that failed for good
+ */
+async function handleSendFailure(recipientId, payload, options, sendError) {
+    logger.error(`Failed to send to ${recipientId}: ${sendError.message}`);
+    increment('outbound_failed', { category: sendError.category });
+
+    if (sendError.category === 'user_unavailable') {
+        await markUnreachable(recipientId, sendError.message);
+        logger.warn(`Customer ${recipientId} marked unreachable`);
+    } else if (sendError.category === 'token_expired' && options.channel === 'line') {
+        logger.error('LINE channel access token expired or invalid - renew LINE_CHANNEL_ACCESS_TOKEN');
+    } else if (sendError.category === 'token_expired' && options.channel === 'instagram' && !options.pageId && config.instagram.accessToken) {
+        logger.error('Instagram access token expired or invalid - renew INSTAGRAM_ACCESS_TOKEN');
+    } else if (sendError.category === 'token_expired') {
+        logger.error(options.pageId
+            ? `Access token of Page ${options.pageId} expired or invalid - renew it in the Pages settings`
+            : 'Page access token expired or invalid - renew FB_PAGE_ACCESS_TOKEN');
+    }
+
+    // Sender actions are not worth sending again
+    if (payload.message && options.deadLetter) {
+        sendError.failureId = saveOutboundFailure({
+            recipientId,
+            payload,
+            source: options.source,
+            metadata: options.metadata,
+            category: sendError.category,
+            code: sendError.graphCode,
+            message: sendError.message,
+            attempts: sendError.attempts,
+            pageId: options.pageId
+        });
+    }
+}
+
+/**
+ * Get the Page a message to a customer is sent from
+ * The Page being handled (webhook events) or else the customer's Page;
+ * null in single-Page mode
+ */
+function resolvePage(recipientId) {
+    return getCurrentPage() || getPageForCustomer(recipientId);
+}
+
+/**
+ * Describe a send payload as readable text (used for the pending queue and logs)
+ */
+function describePayload(payload) {
+    const message = payload.message;
+    if (!message) return `[${payload.sender_action}]`;
+    if (message.text) return message.text;
+
+    const attachment = message.attachment;
+    if (attachment?.type === 'template') {
+        if (attachment.payload.text) return attachment.payload.text;
+        if (attachment.payload.title) {
+            return `[${attachment.payload.template_type} template] ${attachment.payload.title}`;
+        }
+        const titles = (attachment.payload.elements || []).map(el => el.title).join(' | ');
+        return `[${attachment.payload.template_type} template] ${titles}`.trim();
+    }
+    if (attachment) {
+        return `[${attachment.type}] ${attachment.payload?.url || ''}`.trim();
+    }
+
+    return '[message]';
+}
 
 /**
  * Send a text message
@@ -16,34 +213,39 @@ const GRAPH_API_URL = `${config.facebook.graphApiUrl}/${config.facebook.apiVersi
  * @param {string} text - Message text
  * @param {string} source - Source of message (ai, staff, campaign, wakeup)
  * @param {object} metadata - Additional metadata
+ * @param {object} options - { tag, notificationToken } for sends outside the 24-hour window
  */
-async function sendMessage(recipientId, text, source = 'ai', metadata = {}) {
-    // Check test mode - queue message instead of sending
-    if (config.testMode) {
-        logger.info(`[TEST MODE] Message queued for ${recipientId}: ${text.substring(0, 50)}...`);
-        const pending = savePendingMessage(recipientId, text, source, metadata);
-        return { testMode: true, pending };
-    }
+async function sendMessage(recipientId, text, source = 'ai', metadata = {}, options = {}) {
+    return dispatch(recipientId, { message: { text } }, { ...options, source, metadata });
+}
 
-    // Production mode - actually send
-    try {
-        const response = await axios.post(
-            GRAPH_API_URL,
-            {
-                recipient: { id: recipientId },
-                message: { text }
-            },
-            {
-                params: { access_token: config.facebook.pageAccessToken }
-            }
-        );
+/**
+ * Send a reply the way a person would type it
+ * Marks the conversation seen, then sends the reply paragraph by paragraph with
+ * a typing indicator whose duration scales with each part's length.
+ * Without pacing (test mode or PACING_ENABLED=false) the parts are sent back to back
+ * @param {string} recipientId - Facebook user ID
+ * @param {string} text - Reply text (e.g. a Gemini answer)
+ * @param {string} source - Source of message (ai, staff, campaign, wakeup)
+ * @param {object} metadata - Additional metadata
+ * @returns {Array} Result of each part
+ */
+async function sendPacedReply(recipientId, text, source = 'ai', metadata = {}) {
+    const parts = splitReply(text);
+    const paced = isPacingEnabled();
+    const results = [];
 
-        logger.debug(`Message sent to ${recipientId}: ${text.substring(0, 50)}...`);
-        return response.data;
-    } catch (error) {
-        logger.error(`Failed to send message: ${error.message}`);
-        throw error;
+    if (paced) await markSeen(recipientId);
+
+    for (const part of parts) {
+        if (paced) {
+            await sendTypingIndicator(recipientId, true);
+            await sleep(getTypingDelay(part));
+        }
+        results.push(await sendMessage(recipientId, part, source, metadata));
     }
+
+    return results;
 }
 
 /**
@@ -51,24 +253,25 @@ async function sendMessage(recipientId, text, source = 'ai', metadata = {}) {
  * Used when approving messages from pending queue
  */
 async function forceSendMessage(recipientId, text) {
-    try {
-        const response = await axios.post(
-            GRAPH_API_URL,
-            {
-                recipient: { id: recipientId },
-                message: { text }
-            },
-            {
-                params: { access_token: config.facebook.pageAccessToken }
-            }
-        );
+    return dispatch(recipientId, { message: { text } }, { force: true });
+}
 
-        logger.debug(`Message force-sent to ${recipientId}: ${text.substring(0, 50)}...`);
-        return response.data;
-    } catch (error) {
-        logger.error(`Failed to force send message: ${error.message}`);
-        throw error;
-    }
+/**
+ * Replay a queued pending message exactly as it was created (bypasses test mode)
+ * @param {object} pendingMessage - Row from pending_messages
+ */
+async function sendPendingMessage(pendingMessage) {
+    // Rows queued before payloads were stored only have the text
+    const payload = pendingMessage.payload
+        ? JSON.parse(pendingMessage.payload)
+        : { message: { text: pendingMessage.message } };
+    const metadata = pendingMessage.metadata ? JSON.parse(pendingMessage.metadata) : {};
+
+    return dispatch(pendingMessage.recipient_id, payload, {
+        source: pendingMessage.source,
+        metadata,
+        force: true
+    });
 }
 
 /**
@@ -76,29 +279,15 @@ async function forceSendMessage(recipientId, text) {
  * @param {string} recipientId - Facebook user ID
  * @param {string} text - Message text
  * @param {Array} quickReplies - Array of quick reply objects
+ * @param {string} source - Source of message (ai, staff, campaign, wakeup)
  */
-async function sendQuickReplies(recipientId, text, quickReplies) {
-    try {
-        const response = await axios.post(
-            GRAPH_API_URL,
-            {
-                recipient: { id: recipientId },
-                message: {
-                    text,
-                    quick_replies: quickReplies.slice(0, 13) // FB limit is 13
-                }
-            },
-            {
-                params: { access_token: config.facebook.pageAccessToken }
-            }
-        );
-
-        logger.debug(`Quick replies sent to ${recipientId}`);
-        return response.data;
-    } catch (error) {
-        logger.error(`Failed to send quick replies: ${error.message}`);
-        throw error;
-    }
+async function sendQuickReplies(recipientId, text, quickReplies, source = 'ai') {
+    return dispatch(recipientId, {
+        message: {
+            text,
+            quick_replies: quickReplies.slice(0, 13) // FB limit is 13
+        }
+    }, { source });
 }
 
 /**
@@ -106,35 +295,117 @@ async function sendQuickReplies(recipientId, text, quickReplies) {
  * @param {string} recipientId - Facebook user ID
  * @param {string} text - Message text
  * @param {Array} buttons - Array of button objects
+ * @param {string} source - Source of message (ai, staff, campaign, wakeup)
  */
-async function sendButtonTemplate(recipientId, text, buttons) {
-    try {
-        const response = await axios.post(
-            GRAPH_API_URL,
-            {
-                recipient: { id: recipientId },
-                message: {
-                    attachment: {
-                        type: 'template',
-                        payload: {
-                            template_type: 'button',
-                            text,
-                            buttons: buttons.slice(0, 3) // FB limit is 3
-                        }
-                    }
+async function sendButtonTemplate(recipientId, text, buttons, source = 'ai') {
+    return dispatch(recipientId, {
+        message: {
+            attachment: {
+                type: 'template',
+                payload: {
+                    template_type: 'button',
+                    text,
+                    buttons: buttons.slice(0, 3) // FB limit is 3
                 }
-            },
-            {
-                params: { access_token: config.facebook.pageAccessToken }
             }
-        );
+        }
+    }, { source });
+}
 
-        logger.debug(`Button template sent to ${recipientId}`);
-        return response.data;
-    } catch (error) {
-        logger.error(`Failed to send button template: ${error.message}`);
-        throw error;
-    }
+/**
+ * Send a generic template (carousel of cards)
+ * @param {string} recipientId - Facebook user ID
+ * @param {Array} elements - Cards: { title, subtitle, image_url, default_action, buttons }
+ * @param {string} source - Source of message (ai, staff, campaign, wakeup)
+ * @param {object} metadata - Additional metadata
+ */
+async function sendGenericTemplate(recipientId, elements, source = 'ai', metadata = {}) {
+    return dispatch(recipientId, {
+        message: {
+            attachment: {
+                type: 'template',
+                payload: {
+                    template_type: 'generic',
+                    image_aspect_ratio: 'horizontal',
+                    elements: elements.slice(0, 10).map(el => ({
+                        ...el,
+                        title: truncate(el.title, 80), // FB limit is 80
+                        subtitle: el.subtitle ? truncate(el.subtitle, 80) : undefined,
+                        buttons: el.buttons?.slice(0, 3) // FB limit is 3
+                    }))
+                }
+            }
+        }
+    }, { source, metadata });
+}
+
+/**
+ * Send a recurring notification opt-in request
+ * The customer's answer arrives as a messaging_optins webhook event
+ * @param {string} recipientId - Facebook user ID
+ * @param {object} request - { title, topic, frequency: 'DAILY' | 'WEEKLY' | 'MONTHLY', imageUrl }
+ * @param {string} source - Source of message (ai, staff, campaign, wakeup)
+ */
+async function sendNotificationOptinRequest(recipientId, request, source = 'ai') {
+    const payload = {
+        template_type: 'notification_messages',
+        notification_messages_frequency: request.frequency,
+        notification_messages_reoptin: 'ENABLED',
+        title: truncate(request.title, 65), // FB limit is 65
+        payload: request.topic
+    };
+    if (request.imageUrl) payload.image_url = request.imageUrl;
+
+    return dispatch(recipientId, {
+        message: {
+            attachment: { type: 'template', payload }
+        }
+    }, { source, metadata: { topic: request.topic } });
+}
+
+/**
+ * Send an attachment by URL
+ * @param {string} recipientId - Facebook user ID
+ * @param {string} type - 'image', 'file', 'video' or 'audio'
+ * @param {string} url - Public URL of the attachment
+ * @param {string} source - Source of message (ai, staff, campaign, wakeup)
+ * @param {object} metadata - Additional metadata
+ */
+async function sendAttachment(recipientId, type, url, source = 'ai', metadata = {}) {
+    return dispatch(recipientId, {
+        message: {
+            attachment: {
+                type,
+                payload: { url, is_reusable: true }
+            }
+        }
+    }, { source, metadata });
+}
+
+/**
+ * Send an image by URL
+ */
+async function sendImage(recipientId, url, source = 'ai') {
+    return sendAttachment(recipientId, 'image', url, source);
+}
+
+/**
+ * Send a file (e.g. PDF form) by URL
+ */
+async function sendFile(recipientId, url, source = 'ai') {
+    return sendAttachment(recipientId, 'file', url, source);
+}
+
+/**
+ * Truncate text to a Send API length limit
+ */
+function truncate(text, max) {
+    const value = String(text || '');
+    return value.length > max ? value.substring(0, max - 1) + '…' : value;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
@@ -144,16 +415,7 @@ async function sendButtonTemplate(recipientId, text, buttons) {
  */
 async function sendTypingIndicator(recipientId, on = true) {
     try {
-        await axios.post(
-            GRAPH_API_URL,
-            {
-                recipient: { id: recipientId },
-                sender_action: on ? 'typing_on' : 'typing_off'
-            },
-            {
-                params: { access_token: config.facebook.pageAccessToken }
-            }
-        );
+        await dispatch(recipientId, { sender_action: on ? 'typing_on' : 'typing_off' });
     } catch (error) {
         logger.error(`Failed to send typing indicator: ${error.message}`);
     }
@@ -161,16 +423,33 @@ async function sendTypingIndicator(recipientId, on = true) {
 
 /**
  * Get user profile
+ * LINE and Instagram profiles are returned in the same shape ({ first_name, last_name, profile_pic })
  * @param {string} userId - Facebook user ID
  */
 async function getUserProfile(userId) {
+    const channel = getCustomerChannel(userId);
+
+    if (channel === 'line') {
+        const profile = await getLineProfile(userId);
+        return profile
+            ? { first_name: profile.displayName, last_name: '', profile_pic: profile.pictureUrl }
+            : null;
+    }
+
+    if (channel === 'instagram') {
+        return getInstagramProfile(userId);
+    }
+
+    // Website visitors are anonymous
+    if (channel === 'web') return null;
+
     try {
         const response = await axios.get(
             `${config.facebook.graphApiUrl}/${userId}`,
             {
                 params: {
                     fields: 'first_name,last_name,profile_pic',
-                    access_token: config.facebook.pageAccessToken
+                    access_token: getAccessToken(resolvePage(userId))
                 }
             }
         );
@@ -182,33 +461,142 @@ async function getUserProfile(userId) {
     }
 }
 
+/**
+ * Get the profile of an Instagram user (Instagram-scoped ID)
+ * The name is used when set, otherwise the username
+ */
+async function getInstagramProfile(userId) {
+    try {
+        const response = await axios.get(
+            `${config.instagram.apiUrl}/${config.facebook.apiVersion}/${userId}`,
+            {
+                params: {
+                    fields: 'name,username,profile_pic',
+                    access_token: getInstagramAccessToken(resolvePage(userId))
+                }
+            }
+        );
+
+        return {
+            first_name: response.data.name || response.data.username || '',
+            last_name: '',
+            profile_pic: response.data.profile_pic
+        };
+    } catch (error) {
+        logger.error(`Failed to get Instagram profile: ${error.message}`);
+        return null;
+    }
+}
+
 /**
  * Mark message as seen
  * @param {string} recipientId - Facebook user ID
  */
 async function markSeen(recipientId) {
     try {
-        await axios.post(
-            GRAPH_API_URL,
+        await dispatch(recipientId, { sender_action: 'mark_seen' });
+    } catch (error) {
+        logger.error(`Failed to mark seen: ${error.message}`);
+    }
+}
+
+/**
+ * Pass thread control to another app (Handover Protocol)
+ * @param {string} recipientId - Facebook user ID
+ * @param {string} targetAppId - App that should own the thread
+ * @param {string} metadata - Free text passed to the target app
+ */
+async function passThreadControl(recipientId, targetAppId, metadata = '') {
+    try {
+        const response = await axios.post(
+            `${PAGE_API_URL}/pass_thread_control`,
             {
                 recipient: { id: recipientId },
-                sender_action: 'mark_seen'
+                target_app_id: targetAppId,
+                metadata
             },
             {
-                params: { access_token: config.facebook.pageAccessToken }
+                params: { access_token: getAccessToken(resolvePage(recipientId)) }
             }
         );
+
+        logger.info(`Thread control of ${recipientId} passed to app ${targetAppId}`);
+        return response.data;
     } catch (error) {
-        logger.error(`Failed to mark seen: ${error.message}`);
+        logger.error(`Failed to pass thread control: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Take thread control back from a secondary receiver (primary receiver only)
+ * @param {string} recipientId - Facebook user ID
+ * @param {string} metadata - Free text passed to the previous owner
+ */
+async function takeThreadControl(recipientId, metadata = '') {
+    try {
+        const response = await axios.post(
+            `${PAGE_API_URL}/take_thread_control`,
+            {
+                recipient: { id: recipientId },
+                metadata
+            },
+            {
+                params: { access_token: getAccessToken(resolvePage(recipientId)) }
+            }
+        );
+
+        logger.info(`Thread control of ${recipientId} taken`);
+        return response.data;
+    } catch (error) {
+        logger.error(`Failed to take thread control: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Ask the primary receiver for thread control (secondary receiver only)
+ * @param {string} recipientId - Facebook user ID
+ * @param {string} metadata - Free text passed to the primary receiver
+ */
+async function requestThreadControl(recipientId, metadata = '') {
+    try {
+        const response = await axios.post(
+            `${PAGE_API_URL}/request_thread_control`,
+            {
+                recipient: { id: recipientId },
+                metadata
+            },
+            {
+                params: { access_token: getAccessToken(resolvePage(recipientId)) }
+            }
+        );
+
+        logger.info(`Requested thread control of ${recipientId}`);
+        return response.data;
+    } catch (error) {
+        logger.error(`Failed to request thread control: ${error.message}`);
+        throw error;
     }
 }
 
 module.exports = {
+    dispatch,
     sendMessage,
+    sendPacedReply,
     forceSendMessage,
+    sendPendingMessage,
     sendQuickReplies,
     sendButtonTemplate,
+    sendGenericTemplate,
+    sendNotificationOptinRequest,
+    sendAttachment,
+    sendImage,
+    sendFile,
     sendTypingIndicator,
     getUserProfile,
-    markSeen
+    markSeen,
+    passThreadControl,
+    takeThreadControl,
+    requestThreadControl
 };
@@ -0,0 +1,195 @@
+/**
+ * Messenger Profile Service
+ * Keeps the Page's Get Started button, greeting, persistent menu and ice breakers
+ * in line with the enabled menu_options (Messenger Profile API)
+ * With several Pages each one gets its own menu (shared options plus its own)
+ */
+
+const axios = require('axios');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { getMenuOptions } = require('../../models/menuOption');
+const { getPages, getPageById } = require('../../models/page');
+const { getAccessToken } = require('../../utils/pageContext');
+
+const PROFILE_API_URL = `${config.facebook.graphApiUrl}/${config.facebook.apiVersion}/me/messenger_profile`;
+
+const PROFILE_FIELDS = ['get_started', 'greeting', 'persistent_menu', 'ice_breakers'];
+
+// Postback payload of the Get Started button (handled as the welcome flow)
+const GET_STARTED_PAYLOAD = 'GET_STARTED';
+
+/**
+ * Build the Messenger Profile for the enabled menu options
+ * Fields with nothing to show are null (removed from the profile)
+ * @param {Array} menuOptions - Enabled menu options in display order
+ */
+function buildMessengerProfile(menuOptions) {
+    const menuItems = menuOptions.slice(0, 20).map(opt => ({
+        type: 'postback',
+        title: truncate(`${opt.emoji || ''} ${opt.text}`.trim(), 30), // FB limit is 30
+        payload: `MENU_${opt.id}`
+    }));
+
+    const iceBreakers = menuOptions.slice(0, 4).map(opt => ({
+        question: truncate(opt.text, 80), // FB limit is 80
+        payload: `MENU_${opt.id}`
+    }));
+
+    return {
+        get_started: { payload: GET_STARTED_PAYLOAD },
+        greeting: config.messengerProfile.greeting
+            ? [{ locale: 'default', text: truncate(config.messengerProfile.greeting, 160) }]
+            : null,
+        persistent_menu: menuItems.length > 0
+            ? [{ locale: 'default', composer_input_disabled: false, call_to_actions: menuItems }]
+            : null,
+        ice_breakers: iceBreakers.length > 0
+            ? [{ locale: 'default', call_to_actions: iceBreakers }]
+            : null
+    };
+}
+
+/**
+ * Get the Page's current Messenger Profile
+ * @param {object|null} page - Page row (null in single-Page mode)
+ */
+async function getMessengerProfile(page = null) {
+    const response = await axios.get(PROFILE_API_URL, {
+        params: {
+            fields: PROFILE_FIELDS.join(','),
+            access_token: getAccessToken(page)
+        }
+    });
+
+    const current = response.data.data?.[0] || {};
+    return Object.fromEntries(PROFILE_FIELDS.map(field => [field, current[field] ?? null]));
+}
+
+/**
+ * Compare the current profile with the desired one
+ * @returns {Array} [{ field, action: 'set' | 'delete' | 'unchanged', current, desired }]
+ */
+function diffMessengerProfile(current, desired) {
+    return PROFILE_FIELDS.map(field => {
+        const from = current[field] ?? null;
+        const to = desired[field] ?? null;
+
+        let action = 'unchanged';
+        if (to === null && from !== null) {
+            action = 'delete';
+        } else if (to !== null && !isSameValue(from, to)) {
+            action = 'set';
+        }
+
+        return { field, action, current: from, desired: to };
+    });
+}
+
+/**
+ * Push the menu options to the Messenger Profile
+ * @param {object} options - { dryRun, page } dryRun returns the diff without changing the Page,
+ *   page is the Page row to sync (null in single-Page mode)
+ * @returns {object} { dryRun, changes }
+ */
+async function syncMessengerProfile(options = {}) {
+    const { dryRun = false, page = null } = options;
+
+    const desired = buildMessengerProfile(await getMenuOptions(false, page?.id || null));
+    const current = await getMessengerProfile(page);
+    const changes = diffMessengerProfile(current, desired);
+
+    if (dryRun) {
+        return { dryRun: true, changes };
+    }
+
+    const toSet = changes.filter(c => c.action === 'set');
+    const toDelete = changes.filter(c => c.action === 'delete');
+    const params = { access_token: getAccessToken(page) };
+
+    if (toSet.length > 0) {
+        const body = Object.fromEntries(toSet.map(c => [c.field, c.desired]));
+        await axios.post(PROFILE_API_URL, body, { params });
+    }
+
+    if (toDelete.length > 0) {
+        await axios.delete(PROFILE_API_URL, {
+            params,
+            data: { fields: toDelete.map(c => c.field) }
+        });
+    }
+
+    if (toSet.length > 0 || toDelete.length > 0) {
+        logger.info(`Messenger Profile${page ? ` of ${page.name}` : ''} synced: ${[...toSet, ...toDelete].map(c => `${c.action} ${c.field}`).join(', ')}`);
+    }
+
+    return { dryRun: false, changes };
+}
+
+/**
+ * Sync after a menu change, if enabled
+ * Failures are logged and returned - the menu change itself has already been saved
+ * @param {string} pageId - Page whose menu changed; shared options change every Page's menu
+ * @returns {object} { success, changes } or, with several Pages, { success, pages: [{ pageId, ... }] }
+ */
+async function syncAfterMenuChange(pageId = null) {
+    if (!config.messengerProfile.autoSync) return null;
+
+    const pages = pageId ? [getPageById(pageId)].filter(Boolean) : getPages();
+    if (pages.length === 0) {
+        return syncPageAfterMenuChange(null);
+    }
+
+    const results = [];
+    for (const page of pages) {
+        results.push({ pageId: page.id, ...await syncPageAfterMenuChange(page) });
+    }
+
+    return { success: results.every(r => r.success), pages: results };
+}
+
+/**
+ * Sync one Page after a menu change, reporting instead of throwing
+ */
+async function syncPageAfterMenuChange(page) {
+    try {
+        const result = await syncMessengerProfile({ page });
+        return { success: true, changes: result.changes.filter(c => c.action !== 'unchanged').map(c => c.field) };
+    } catch (error) {
+        const message = error.response?.data?.error?.message || error.message;
+        logger.error(`Messenger Profile sync${page ? ` of ${page.name}` : ''} failed: ${message}`);
+        return { success: false, error: message };
+    }
+}
+
+/**
+ * Compare two profile values, ignoring key order
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+function normalize(value) {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+            result[key] = normalize(value[key]);
+            return result;
+        }, {});
+    }
+    return value;
+}
+
+function truncate(text, max) {
+    const value = String(text || '');
+    return value.length > max ? value.substring(0, max - 1) + '…' : value;
+}
+
+module.exports = {
+    GET_STARTED_PAYLOAD,
+    buildMessengerProfile,
+    getMessengerProfile,
+    diffMessengerProfile,
+    syncMessengerProfile,
+    syncAfterMenuChange
+};
@@ -0,0 +1,91 @@
+/**
+ * Reply Pacing
+ * Splits long replies into paragraph-sized messages and works out how long
+ * to show the typing indicator before each one
+ */
+
+const config = require('../../utils/config');
+
+// Messenger rejects text messages longer than this
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Split a reply into messages sent in sequence
+ * Paragraphs (blank-line separated) become separate messages, overlong paragraphs
+ * are cut at line or sentence boundaries, and the shortest neighbours are joined
+ * until at most maxParts remain
+ * @param {string} text - Reply text
+ * @returns {Array<string>} Message texts
+ */
+function splitReply(text, maxPartLength = config.pacing.maxPartLength, maxParts = config.pacing.maxParts) {
+    const paragraphs = String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    const parts = paragraphs.flatMap(p => splitParagraph(p, maxPartLength));
+
+    while (parts.length > Math.max(maxParts, 1)) {
+        let best = -1;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const length = parts[i].length + parts[i + 1].length;
+            if (length + 2 > MAX_MESSAGE_LENGTH) continue;
+            if (best === -1 || length < parts[best].length + parts[best + 1].length) best = i;
+        }
+        if (best === -1) break;
+
+        parts.splice(best, 2, `${parts[best]}\n\n${parts[best + 1]}`);
+    }
+
+    return parts;
+}
+
+/**
+ * Cut a paragraph longer than maxLength, preferring line breaks, then sentence
+ * ends, then spaces (Thai sentences are separated by spaces, not full stops)
+ */
+function splitParagraph(paragraph, maxLength) {
+    const chunks = [];
+    let rest = paragraph;
+
+    while (rest.length > maxLength) {
+        const window = rest.substring(0, maxLength + 1);
+        const cut = findBreak(window, /\n/g) || findBreak(window, /[.!?]\s/g) || findBreak(window, /\s/g) || maxLength;
+
+        chunks.push(rest.substring(0, cut).trim());
+        rest = rest.substring(cut).trim();
+    }
+    if (rest) chunks.push(rest);
+
+    return chunks;
+}
+
+/**
+ * Position after the last break in the second half of the text (0 if none)
+ */
+function findBreak(text, pattern) {
+    let position = 0;
+    for (const match of text.matchAll(pattern)) {
+        position = match.index + match[0].length;
+    }
+    return position > text.length / 2 ? position : 0;
+}
+
+/**
+ * How long to show the typing indicator before a message
+ * Scales with the message length, within the configured bounds
+ */
+function getTypingDelay(text) {
+    const { typingMsPerChar, minTypingMs, maxTypingMs } = config.pacing;
+    return Math.min(maxTypingMs, Math.max(minTypingMs, text.length * typingMsPerChar));
+}
+
+/**
+ * Check whether replies should be paced (never in test mode - nothing is sent)
+ */
+function isPacingEnabled() {
+    return config.pacing.enabled && !config.testMode;
+}
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    splitReply,
+    getTypingDelay,
+    isPacingEnabled
+};
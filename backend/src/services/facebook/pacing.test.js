@@ -0,0 +1,87 @@
+/**
+ * Tests for reply pacing
+ */
+
+const config = require('../../utils/config');
+const { MAX_MESSAGE_LENGTH, splitReply, getTypingDelay } = require('./pacing');
+
+describe('splitReply', () => {
+    test('sends each paragraph as its own message', () => {
+        const reply = 'สวัสดีครับ\n\nค่าธรรมเนียมโอนเงิน 0 บาทครับ\n  \nสนใจบริการอื่นไหมครับ';
+
+        expect(splitReply(reply, 600, 4)).toEqual([
+            'สวัสดีครับ',
+            'ค่าธรรมเนียมโอนเงิน 0 บาทครับ',
+            'สนใจบริการอื่นไหมครับ'
+        ]);
+    });
+
+    test('keeps single line breaks inside a paragraph', () => {
+        expect(splitReply('ขั้นตอน:\n1. เปิดแอป\n2. เลือกโอนเงิน', 600, 4)).toEqual(['ขั้นตอน:\n1. เปิดแอป\n2. เลือกโอนเงิน']);
+    });
+
+    test('returns no messages for an empty reply', () => {
+        expect(splitReply('', 600, 4)).toEqual([]);
+        expect(splitReply(null, 600, 4)).toEqual([]);
+        expect(splitReply(' \n\n ', 600, 4)).toEqual([]);
+    });
+
+    test('cuts a long paragraph at a line break in its second half', () => {
+        const first = 'ก'.repeat(30);
+        const second = 'ข'.repeat(30);
+
+        expect(splitReply(`${first}\n${second}`, 40, 4)).toEqual([first, second]);
+    });
+
+    test('cuts at a sentence end, then at a space, when there is no line break', () => {
+        expect(splitReply(`${'a'.repeat(25)}. ${'b'.repeat(25)}`, 40, 4)).toEqual([`${'a'.repeat(25)}.`, 'b'.repeat(25)]);
+        expect(splitReply(`${'ก'.repeat(25)} ${'ข'.repeat(25)}`, 40, 4)).toEqual(['ก'.repeat(25), 'ข'.repeat(25)]);
+    });
+
+    test('ignores breaks in the first half and cuts hard when there is no break', () => {
+        const parts = splitReply(`ab ${'x'.repeat(100)}`, 40, 10);
+
+        expect(parts[0]).toBe(`ab ${'x'.repeat(37)}`);
+        expect(parts.every(p => p.length <= 40)).toBe(true);
+        expect(parts.join('')).toBe(`ab ${'x'.repeat(100)}`);
+    });
+
+    test('joins the shortest neighbours until at most maxParts remain', () => {
+        const reply = ['ยาวมาก'.repeat(5), 'ก', 'ข', 'ยาวมาก'.repeat(5)].join('\n\n');
+
+        expect(splitReply(reply, 600, 3)).toEqual(['ยาวมาก'.repeat(5), 'ก\n\nข', 'ยาวมาก'.repeat(5)]);
+    });
+
+    test('never joins parts into a message longer than Messenger allows', () => {
+        const half = 'ก'.repeat(MAX_MESSAGE_LENGTH / 2 + 1);
+
+        expect(splitReply(`${half}\n\n${half}`, MAX_MESSAGE_LENGTH, 1)).toEqual([half, half]);
+    });
+
+    test('uses the configured part length and count by default', () => {
+        const paragraphs = Array.from({ length: config.pacing.maxParts + 2 }, (_, i) => `ย่อหน้า ${i}`);
+
+        expect(splitReply(paragraphs.join('\n\n'))).toHaveLength(config.pacing.maxParts);
+    });
+});
+
+describe('getTypingDelay', () => {
+    const saved = { ...config.pacing };
+
+    beforeEach(() => {
+        Object.assign(config.pacing, { typingMsPerChar: 25, minTypingMs: 800, maxTypingMs: 3500 });
+    });
+
+    afterAll(() => {
+        Object.assign(config.pacing, saved);
+    });
+
+    test('scales with the message length', () => {
+        expect(getTypingDelay('ก'.repeat(100))).toBe(2500);
+    });
+
+    test('stays within the configured bounds', () => {
+        expect(getTypingDelay('ok')).toBe(800);
+        expect(getTypingDelay('ก'.repeat(1000))).toBe(3500);
+    });
+});
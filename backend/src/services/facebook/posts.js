@@ -6,6 +6,7 @@
 const axios = require('axios');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
+const { getAccessToken } = require('../../utils/pageContext');
 
 const GRAPH_API_URL = config.facebook.graphApiUrl;
 const API_VERSION = config.facebook.apiVersion;
@@ -24,7 +25,7 @@ async function fetchPagePosts(days = 60) {
             `${GRAPH_API_URL}/${API_VERSION}/me/posts`,
             {
                 params: {
-                    access_token: config.facebook.pageAccessToken,
+                    access_token: getAccessToken(),
                     fields: 'id,message,created_time,full_picture,permalink_url,shares,reactions.summary(true),comments.summary(true)',
                     since: sinceTimestamp,
                     limit: 100
@@ -149,12 +150,26 @@ function extractPromotionDetails(promotion) {
     };
 }
 
+/**
+ * Normalize a promotion from the Graph API (camelCase) or the promotions table (snake_case)
+ */
+function normalizePromotion(promotion) {
+    return {
+        id: promotion.fb_post_id || promotion.id,
+        message: promotion.message || '',
+        shortMessage: promotion.short_message || promotion.shortMessage || '',
+        imageUrl: promotion.image_url || promotion.imageUrl || null,
+        link: promotion.link || null
+    };
+}
+
 /**
  * Generate wake-up message based on promotion
  * @param {object} promotion - Best promotion to use
  * @param {object} customer - Customer info
  */
 function generateWakeupMessage(promotion, customer) {
+    promotion = normalizePromotion(promotion);
     const details = extractPromotionDetails(promotion);
     const customerName = customer.name || 'คุณลูกค้า';
 
@@ -172,11 +187,43 @@ function generateWakeupMessage(promotion, customer) {
     return message;
 }
 
+/**
+ * Build a generic template card for a promotion
+ * Buttons: open the post, or ask about it (PROMO_ASK_<post id> postback)
+ * @param {object} promotion - Promotion from the Graph API or the promotions table
+ */
+function buildPromotionCard(promotion) {
+    promotion = normalizePromotion(promotion);
+
+    const firstLine = promotion.message.split('\n').find(line => line.trim()) || 'โปรโมชั่นพิเศษ';
+    const buttons = [];
+
+    if (promotion.link) {
+        buttons.push({ type: 'web_url', url: promotion.link, title: 'ดูรายละเอียด' });
+    }
+    buttons.push({ type: 'postback', title: 'สอบถามเพิ่มเติม', payload: `PROMO_ASK_${promotion.id}` });
+
+    const card = {
+        title: firstLine.trim(),
+        buttons
+    };
+
+    if (promotion.shortMessage && !promotion.shortMessage.startsWith(card.title)) {
+        card.subtitle = promotion.shortMessage;
+    }
+
+    if (promotion.imageUrl) card.image_url = promotion.imageUrl;
+    if (promotion.link) card.default_action = { type: 'web_url', url: promotion.link };
+
+    return card;
+}
+
 module.exports = {
     fetchPagePosts,
     findPromotionPosts,
     getBestPromotions,
     extractPromotionDetails,
     generateWakeupMessage,
+    buildPromotionCard,
     calculatePromotionScore
 };
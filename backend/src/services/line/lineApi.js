@@ -0,0 +1,182 @@
+/**
+ * LINE Messaging API Client
+ * Sends messages to LINE users and fetches their profiles and message content
+ *
+ * Replies use the event's reply token while it is still valid (free, no quota);
+ * otherwise messages are sent as push messages. Errors are classified with the
+ * same categories as Graph API errors (see graphErrors.js) so the outbound
+ * pipeline retries and dead-letters them the same way
+ */
+
+const axios = require('axios');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { toLineMessages } = require('./lineMessages');
+
+// Reply tokens must be used within a minute of the webhook - leave some margin
+const REPLY_TOKEN_TTL_MS = 50 * 1000;
+// Seconds the loading animation (LINE's typing indicator) is shown at most
+const LOADING_SECONDS = 5;
+
+// userId -> { token, expiresAt }, only the latest token of each user is kept
+const replyTokens = new Map();
+
+const RETRYABLE = ['rate_limit', 'transient'];
+
+/**
+ * Authorization header for the Messaging API
+ */
+function getAuthHeaders() {
+    return { Authorization: `Bearer ${config.line.channelAccessToken}` };
+}
+
+/**
+ * Remember the reply token of a webhook event for the first reply to that user
+ * @param {string} userId - LINE user ID
+ * @param {string} token - replyToken from the webhook event
+ * @param {number} timestamp - Event time in ms
+ */
+function rememberReplyToken(userId, token, timestamp = Date.now()) {
+    if (!token) return;
+
+    const now = Date.now();
+    for (const [id, entry] of replyTokens) {
+        if (entry.expiresAt <= now) replyTokens.delete(id);
+    }
+
+    replyTokens.set(userId, { token, expiresAt: timestamp + REPLY_TOKEN_TTL_MS });
+}
+
+/**
+ * Take the user's reply token if it is still valid (each token can be used once)
+ */
+function takeReplyToken(userId) {
+    const entry = replyTokens.get(userId);
+    replyTokens.delete(userId);
+
+    return entry && entry.expiresAt > Date.now() ? entry.token : null;
+}
+
+/**
+ * Send a Send API body to a LINE user
+ * Messages are converted with lineMessages.js; typing_on shows the loading
+ * animation and other sender actions are skipped
+ * @param {string} userId - LINE user ID
+ * @param {object} payload - Send API body without the recipient, e.g. { message: {...} } or { sender_action }
+ */
+async function sendLinePayload(userId, payload) {
+    if (!payload.message) {
+        if (payload.sender_action !== 'typing_on') return { skipped: true };
+
+        const response = await axios.post(`${config.line.apiUrl}/v2/bot/chat/loading/start`, {
+            chatId: userId,
+            loadingSeconds: LOADING_SECONDS
+        }, { headers: getAuthHeaders() });
+        return response.data;
+    }
+
+    return sendLineMessages(userId, toLineMessages(payload.message));
+}
+
+/**
+ * Send LINE messages to a user - as a reply while a reply token is available, else as a push
+ * @param {string} userId - LINE user ID
+ * @param {Array} messages - LINE message objects (up to 5)
+ */
+async function sendLineMessages(userId, messages) {
+    const replyToken = takeReplyToken(userId);
+
+    if (replyToken) {
+        try {
+            const response = await axios.post(`${config.line.apiUrl}/v2/bot/message/reply`, {
+                replyToken,
+                messages
+            }, { headers: getAuthHeaders() });
+            return response.data;
+        } catch (error) {
+            // An expired or already used reply token - send the messages as a push instead
+            if (error.response?.status !== 400) throw error;
+            logger.debug(`LINE reply to ${userId} rejected (${error.response.data?.message}), pushing instead`);
+        }
+    }
+
+    const response = await axios.post(`${config.line.apiUrl}/v2/bot/message/push`, {
+        to: userId,
+        messages
+    }, { headers: getAuthHeaders() });
+    return response.data;
+}
+
+/**
+ * Get a LINE user's profile
+ * @returns {object|null} { displayName, pictureUrl, statusMessage }
+ */
+async function getLineProfile(userId) {
+    try {
+        const response = await axios.get(`${config.line.apiUrl}/v2/bot/profile/${userId}`, {
+            headers: getAuthHeaders()
+        });
+        return response.data;
+    } catch (error) {
+        logger.error(`Failed to get LINE profile: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * URL of the content (image, video, audio, file) of a message a user sent
+ * Downloading it needs the headers from getContentHeaders
+ */
+function getContentUrl(messageId) {
+    return `${config.line.dataApiUrl}/v2/bot/message/${messageId}/content`;
+}
+
+/**
+ * Headers needed to download a URL - the channel token for LINE content, none otherwise
+ */
+function getContentHeaders(url) {
+    return String(url).startsWith(config.line.dataApiUrl) ? getAuthHeaders() : {};
+}
+
+/**
+ * Classify an axios error from the LINE Messaging API
+ * - 429 rate_limit (retried), except the monthly message limit (policy)
+ * - network errors and 5xx: transient (retried)
+ * - 401: token_expired (the channel access token must be renewed)
+ * - 403: policy (the channel is not allowed to use the endpoint)
+ * - anything else: unknown
+ * @returns {object} { category, retryable, code, subcode, message }
+ */
+function classifyLineError(error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message || error.message;
+
+    let category = 'unknown';
+    if (!error.response || status >= 500) {
+        category = 'transient';
+    } else if (status === 429) {
+        category = /monthly limit/i.test(message) ? 'policy' : 'rate_limit';
+    } else if (status === 401) {
+        category = 'token_expired';
+    } else if (status === 403) {
+        category = 'policy';
+    }
+
+    return {
+        category,
+        retryable: RETRYABLE.includes(category),
+        code: status ?? null,
+        subcode: null,
+        message
+    };
+}
+
+module.exports = {
+    rememberReplyToken,
+    sendLinePayload,
+    sendLineMessages,
+    getLineProfile,
+    getContentUrl,
+    getContentHeaders,
+    classifyLineError
+};
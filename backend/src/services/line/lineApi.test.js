@@ -0,0 +1,119 @@
+/**
+ * Tests for the LINE Messaging API client, against the local LINE API stub
+ */
+
+const config = require('../../utils/config');
+const { startLineApiStub } = require('./lineApiStub');
+const {
+    rememberReplyToken,
+    sendLinePayload,
+    getLineProfile,
+    classifyLineError
+} = require('./lineApi');
+
+const TEXT = { message: { text: 'สวัสดีครับ' } };
+
+let stub;
+
+beforeAll(async () => {
+    stub = await startLineApiStub({ profiles: { 'U-profile': { displayName: 'สมชาย', pictureUrl: 'https://example.com/p.jpg' } } });
+    config.line.apiUrl = stub.url;
+    config.line.channelAccessToken = 'test-token';
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => stub.reset());
+
+/**
+ * Paths of the requests the stub received
+ */
+function requestedPaths() {
+    return stub.requests.map(r => r.path);
+}
+
+describe('sendLinePayload', () => {
+    test('replies with the remembered reply token', async () => {
+        rememberReplyToken('U-reply', 'token-1');
+
+        await sendLinePayload('U-reply', TEXT);
+
+        expect(requestedPaths()).toEqual(['/v2/bot/message/reply']);
+        expect(stub.requests[0].body).toEqual({ replyToken: 'token-1', messages: [{ type: 'text', text: 'สวัสดีครับ' }] });
+        expect(stub.requests[0].headers.authorization).toBe('Bearer test-token');
+    });
+
+    test('uses a reply token once, then pushes', async () => {
+        rememberReplyToken('U-once', 'token-2');
+
+        await sendLinePayload('U-once', TEXT);
+        await sendLinePayload('U-once', TEXT);
+
+        expect(requestedPaths()).toEqual(['/v2/bot/message/reply', '/v2/bot/message/push']);
+        expect(stub.requests[1].body.to).toBe('U-once');
+    });
+
+    test('pushes without trying a reply token that has expired', async () => {
+        rememberReplyToken('U-old', 'token-3', Date.now() - 2 * 60 * 1000);
+
+        await sendLinePayload('U-old', TEXT);
+
+        expect(requestedPaths()).toEqual(['/v2/bot/message/push']);
+    });
+
+    test('falls back to a push when LINE rejects the reply token with 400', async () => {
+        rememberReplyToken('U-rejected', 'token-4');
+        stub.expireReplyToken('token-4');
+
+        await sendLinePayload('U-rejected', TEXT);
+
+        expect(requestedPaths()).toEqual(['/v2/bot/message/reply', '/v2/bot/message/push']);
+        expect(stub.requests[1].body).toEqual({ to: 'U-rejected', messages: [{ type: 'text', text: 'สวัสดีครับ' }] });
+    });
+
+    test('does not push when the reply fails for another reason', async () => {
+        rememberReplyToken('U-down', 'token-5');
+        stub.failNext('/v2/bot/message/reply', 500, { message: 'Internal error' });
+
+        const error = await sendLinePayload('U-down', TEXT).catch(e => e);
+
+        expect(requestedPaths()).toEqual(['/v2/bot/message/reply']);
+        expect(classifyLineError(error)).toMatchObject({ category: 'transient', retryable: true, code: 500 });
+    });
+
+    test('shows the loading animation for typing_on and skips other sender actions', async () => {
+        await sendLinePayload('U-typing', { sender_action: 'typing_on' });
+        const skipped = await sendLinePayload('U-typing', { sender_action: 'mark_seen' });
+
+        expect(requestedPaths()).toEqual(['/v2/bot/chat/loading/start']);
+        expect(stub.requests[0].body).toEqual({ chatId: 'U-typing', loadingSeconds: 5 });
+        expect(skipped).toEqual({ skipped: true });
+    });
+});
+
+describe('getLineProfile', () => {
+    test('returns the profile of a user', async () => {
+        const profile = await getLineProfile('U-profile');
+
+        expect(profile).toMatchObject({ displayName: 'สมชาย', pictureUrl: 'https://example.com/p.jpg' });
+    });
+
+    test('returns null when the profile cannot be fetched', async () => {
+        expect(await getLineProfile('U-unknown')).toBeNull();
+    });
+});
+
+describe('classifyLineError', () => {
+    const httpError = (status, message) => ({ message: `Request failed with status code ${status}`, response: { status, data: { message } } });
+
+    test.each([
+        ['429', httpError(429, 'Too many requests'), 'rate_limit', true],
+        ['429 monthly limit', httpError(429, 'You have reached your monthly limit.'), 'policy', false],
+        ['401', httpError(401, 'Authentication failed'), 'token_expired', false],
+        ['403', httpError(403, 'Not allowed'), 'policy', false],
+        ['400', httpError(400, 'Invalid reply token'), 'unknown', false],
+        ['a network error', { message: 'connect ECONNREFUSED' }, 'transient', true]
+    ])('classifies %s', (name, error, category, retryable) => {
+        expect(classifyLineError(error)).toMatchObject({ category, retryable });
+    });
+});
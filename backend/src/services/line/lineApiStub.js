@@ -0,0 +1,115 @@
+/**
+ * LINE Messaging API Stub
+ * A local stand-in for api.line.me for automated tests and offline development -
+ * point LINE_API_URL (config.line.apiUrl) at its url
+ *
+ * Handles reply, push, loading animation and profile requests and records every
+ * request. Like LINE, a reply token works once: a used or expired token is answered
+ * with 400 "Invalid reply token". Any endpoint can be made to fail with failNext()
+ */
+
+const express = require('express');
+
+/**
+ * Start the stub on a free local port
+ * @param {object} options - { profiles } LINE user ID -> profile returned by the profile endpoint
+ * @returns {Promise<object>} { url, requests, expireReplyToken, failNext, reset, close }
+ */
+function startLineApiStub({ profiles = {} } = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const requests = [];
+    const usedTokens = new Set();
+    // path -> [{ status, body }] answered instead of the normal response, in order
+    const failures = new Map();
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, body: req.body, headers: req.headers });
+
+        const queued = failures.get(req.path);
+        if (queued?.length) {
+            const { status, body } = queued.shift();
+            return res.status(status).json(body);
+        }
+
+        next();
+    });
+
+    app.post('/v2/bot/message/reply', (req, res) => {
+        const { replyToken } = req.body;
+        if (!replyToken || usedTokens.has(replyToken)) {
+            return res.status(400).json({ message: 'Invalid reply token' });
+        }
+
+        usedTokens.add(replyToken);
+        res.json({ sentMessages: sentMessages(req.body.messages) });
+    });
+
+    app.post('/v2/bot/message/push', (req, res) => {
+        res.json({ sentMessages: sentMessages(req.body.messages) });
+    });
+
+    app.post('/v2/bot/chat/loading/start', (req, res) => {
+        res.status(202).json({});
+    });
+
+    app.get('/v2/bot/profile/:userId', (req, res) => {
+        const profile = profiles[req.params.userId];
+        if (!profile) {
+            return res.status(404).json({ message: 'Not found' });
+        }
+        res.json({ userId: req.params.userId, ...profile });
+    });
+
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+
+                /**
+                 * Make a reply token invalid, as LINE does once it has expired
+                 */
+                expireReplyToken(token) {
+                    usedTokens.add(token);
+                },
+
+                /**
+                 * Answer the next request to a path with an error
+                 * @param {string} path - e.g. '/v2/bot/message/push'
+                 * @param {number} status - HTTP status
+                 * @param {object} body - Response body, e.g. { message: 'Internal error' }
+                 */
+                failNext(path, status, body = { message: 'Stubbed failure' }) {
+                    if (!failures.has(path)) failures.set(path, []);
+                    failures.get(path).push({ status, body });
+                },
+
+                /**
+                 * Forget recorded requests, used tokens and queued failures
+                 */
+                reset() {
+                    requests.length = 0;
+                    usedTokens.clear();
+                    failures.clear();
+                },
+
+                close() {
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Response entries for sent messages
+ */
+function sentMessages(messages = []) {
+    return messages.map((m, i) => ({ id: String(Date.now() + i), quoteToken: `quote_${i}` }));
+}
+
+module.exports = {
+    startLineApiStub
+};
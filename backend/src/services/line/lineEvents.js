@@ -0,0 +1,87 @@
+/**
+ * LINE Webhook Events
+ * Converts LINE webhook events into Messenger messaging events, so they go
+ * through the same queue and event handler (processMessage, menu, escalation)
+ *
+ * - text and media messages -> message events (media as attachments)
+ * - postbacks (quick reply and Flex buttons) -> postback events
+ * - follow (added as a friend) -> the Get Started postback, which shows the welcome menu
+ * Only one-to-one chats are handled; group and room events are ignored
+ */
+
+const { getContentUrl } = require('./lineApi');
+const { GET_STARTED_PAYLOAD } = require('../facebook/messengerProfile');
+
+/**
+ * Convert a LINE webhook event to a Messenger messaging event
+ * @param {object} event - Event from the LINE webhook body
+ * @param {string} destination - Bot user ID the webhook was sent to
+ * @returns {object|null} Messaging event, or null for events that are not handled
+ */
+function toMessagingEvent(event, destination) {
+    if (event.source?.type !== 'user' || !event.source.userId) return null;
+
+    const base = {
+        sender: { id: event.source.userId },
+        recipient: { id: destination },
+        timestamp: event.timestamp
+    };
+    const mid = `line_${event.webhookEventId || event.message?.id}`;
+
+    if (event.type === 'message') {
+        const message = toMessage(event.message);
+        return message ? { ...base, message: { mid, ...message } } : null;
+    }
+
+    if (event.type === 'postback') {
+        return { ...base, postback: { mid, payload: event.postback.data } };
+    }
+
+    if (event.type === 'follow') {
+        return { ...base, postback: { mid, payload: GET_STARTED_PAYLOAD, title: 'follow' } };
+    }
+
+    return null;
+}
+
+/**
+ * Convert a LINE message to a Messenger message ({ text } or { attachments })
+ */
+function toMessage(message) {
+    switch (message.type) {
+        case 'text':
+            return { text: message.text };
+        case 'image':
+        case 'video':
+        case 'audio':
+            return { attachments: [{ type: message.type, payload: { url: getContentUrl(message.id) } }] };
+        case 'file':
+            return {
+                attachments: [{
+                    type: 'file',
+                    payload: { url: getContentUrl(message.id), name: message.fileName }
+                }]
+            };
+        case 'sticker':
+            return {
+                attachments: [{
+                    type: 'image',
+                    payload: { sticker_id: `line_${message.packageId}_${message.stickerId}` }
+                }]
+            };
+        case 'location':
+            return {
+                attachments: [{
+                    type: 'location',
+                    title: message.address || message.title,
+                    payload: { coordinates: { lat: message.latitude, long: message.longitude } }
+                }]
+            };
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    toMessagingEvent
+};
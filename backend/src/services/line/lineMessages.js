@@ -0,0 +1,173 @@
+/**
+ * LINE Message Mapping
+ * Converts Messenger Send API messages into LINE messages, so every flow that
+ * sends through messenger.js works unchanged for LINE customers
+ *
+ * - text -> text message, quick replies -> LINE quick reply (postback actions)
+ * - button and generic templates (menu cards, promotion carousels) -> Flex bubble / carousel
+ * - image attachments -> image message
+ * - video, audio and file attachments -> text with the link (LINE needs a preview
+ *   image or duration for media and bots cannot send files)
+ */
+
+// LINE limits
+const MAX_TEXT_LENGTH = 5000;
+const MAX_QUICK_REPLIES = 13;
+const MAX_QUICK_REPLY_LABEL = 20;
+const MAX_BUTTON_LABEL = 40;
+const MAX_ALT_TEXT = 400;
+const MAX_CAROUSEL_BUBBLES = 12;
+
+/**
+ * Convert a Send API message to LINE messages
+ * @param {object} message - The message of a Send API body ({ text, quick_replies } or { attachment })
+ * @returns {Array} LINE message objects
+ */
+function toLineMessages(message) {
+    let lineMessage;
+
+    if (message.text) {
+        lineMessage = { type: 'text', text: truncate(message.text, MAX_TEXT_LENGTH) };
+    } else if (message.attachment?.type === 'template') {
+        lineMessage = templateToLine(message.attachment.payload);
+    } else if (message.attachment?.type === 'image') {
+        const url = message.attachment.payload.url;
+        lineMessage = { type: 'image', originalContentUrl: url, previewImageUrl: url };
+    } else if (message.attachment) {
+        lineMessage = { type: 'text', text: message.attachment.payload?.url || `[${message.attachment.type}]` };
+    } else {
+        lineMessage = { type: 'text', text: '[message]' };
+    }
+
+    if (message.quick_replies?.length) {
+        lineMessage.quickReply = {
+            items: message.quick_replies.slice(0, MAX_QUICK_REPLIES).map(toQuickReplyItem)
+        };
+    }
+
+    return [lineMessage];
+}
+
+/**
+ * Convert a Messenger quick reply to a LINE quick reply item
+ * Tapping it sends a postback, handled like a Messenger postback with the same payload
+ */
+function toQuickReplyItem(quickReply) {
+    const action = quickReply.payload
+        ? {
+            type: 'postback',
+            label: truncate(quickReply.title, MAX_QUICK_REPLY_LABEL),
+            data: quickReply.payload,
+            displayText: quickReply.title
+        }
+        : { type: 'message', label: truncate(quickReply.title, MAX_QUICK_REPLY_LABEL), text: quickReply.title };
+
+    const item = { type: 'action', action };
+    if (quickReply.image_url) item.imageUrl = quickReply.image_url;
+    return item;
+}
+
+/**
+ * Convert a Messenger template to a LINE message
+ */
+function templateToLine(payload) {
+    if (payload.template_type === 'button') {
+        return flexMessage(payload.text, toBubble({ title: payload.text, buttons: payload.buttons }));
+    }
+
+    if (payload.template_type === 'generic') {
+        const bubbles = (payload.elements || []).slice(0, MAX_CAROUSEL_BUBBLES).map(toBubble);
+        const altText = bubbles.length === 1
+            ? payload.elements[0].title
+            : payload.elements.map(el => el.title).join(' | ');
+
+        return flexMessage(altText, bubbles.length === 1
+            ? bubbles[0]
+            : { type: 'carousel', contents: bubbles });
+    }
+
+    // Messenger-only templates (e.g. notification opt-ins) are sent as their text
+    return { type: 'text', text: truncate(payload.text || payload.title || `[${payload.template_type} template]`, MAX_TEXT_LENGTH) };
+}
+
+/**
+ * Build a Flex message
+ */
+function flexMessage(altText, contents) {
+    return {
+        type: 'flex',
+        altText: truncate(altText || 'ข้อความ', MAX_ALT_TEXT),
+        contents
+    };
+}
+
+/**
+ * Convert a generic template element (card) to a Flex bubble
+ * @param {object} element - { title, subtitle, image_url, default_action, buttons }
+ */
+function toBubble(element) {
+    const bubble = { type: 'bubble' };
+
+    if (element.image_url) {
+        bubble.hero = {
+            type: 'image',
+            url: element.image_url,
+            size: 'full',
+            aspectRatio: '20:13',
+            aspectMode: 'cover'
+        };
+        if (element.default_action) bubble.hero.action = toAction(element.default_action);
+    }
+
+    const body = [];
+    if (element.title) {
+        body.push({ type: 'text', text: element.title, weight: 'bold', size: 'md', wrap: true });
+    }
+    if (element.subtitle) {
+        body.push({ type: 'text', text: element.subtitle, size: 'sm', color: '#666666', wrap: true });
+    }
+    bubble.body = { type: 'box', layout: 'vertical', spacing: 'sm', contents: body };
+
+    if (element.buttons?.length) {
+        bubble.footer = {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'sm',
+            contents: element.buttons.map(button => ({
+                type: 'button',
+                style: 'link',
+                height: 'sm',
+                action: toAction(button)
+            }))
+        };
+    }
+
+    return bubble;
+}
+
+/**
+ * Convert a Messenger button to a LINE action
+ */
+function toAction(button) {
+    const label = truncate(button.title || 'เปิด', MAX_BUTTON_LABEL);
+
+    if (button.type === 'web_url') {
+        return { type: 'uri', label, uri: button.url };
+    }
+    if (button.type === 'phone_number') {
+        return { type: 'uri', label, uri: `tel:${button.payload}` };
+    }
+    return { type: 'postback', label, data: button.payload, displayText: button.title };
+}
+
+/**
+ * Truncate text to a LINE length limit
+ */
+function truncate(text, max) {
+    const value = String(text || '');
+    return value.length > max ? value.substring(0, max - 1) + '…' : value;
+}
+
+module.exports = {
+    toLineMessages
+};
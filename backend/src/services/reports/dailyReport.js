@@ -5,11 +5,11 @@
 
 const { format, subDays } = require('date-fns');
 const { th } = require('date-fns/locale');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const config = require('../../utils/config');
 const logger = require('../../utils/logger');
 const db = require('../../models/database');
 const { analyzeTrends } = require('../ai/trendAnalyzer');
+const llm = require('../ai/providers');
+const { SCHEMAS } = require('../ai/schemas');
 
 /**
  * Generate daily report
@@ -241,9 +241,6 @@ function calculateSatisfactionScore(messageStats) {
  * Generate AI recommendations
  */
 async function generateRecommendations(data) {
-    const genAI = new GoogleGenerativeAI(config.gemini.getCurrentKey());
-    const model = genAI.getGenerativeModel({ model: config.gemini.model });
-
     const prompt = `วิเคราะห์ข้อมูลประจำวันและให้คำแนะนำ 3-5 ข้อ เป็นภาษาไทย
 
 ข้อมูลวันนี้:
@@ -263,12 +260,9 @@ async function generateRecommendations(data) {
 ]`;
 
     try {
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
-
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+        const { data } = await llm.generateJSON('report', { name: 'recommendations', prompt, schema: SCHEMAS.recommendations });
+        if (data) {
+            return data;
         }
     } catch (error) {
         logger.error(`Failed to generate recommendations: ${error.message}`);
@@ -0,0 +1,87 @@
+/**
+ * In-Memory Vector Index
+ * Stand-in for the Pinecone index when no Pinecone key is set or the mock LLM provider
+ * is used, so AI replies work offline (development and automated tests)
+ *
+ * Implements the part of the Pinecone index API the vector service uses. Vectors are
+ * kept per namespace in memory and are lost on restart
+ */
+
+/**
+ * Create an empty index
+ */
+function createMemoryIndex() {
+    const namespaces = new Map();
+
+    function getVectors(name) {
+        if (!namespaces.has(name)) namespaces.set(name, new Map());
+        return namespaces.get(name);
+    }
+
+    return {
+        namespace(name) {
+            const vectors = getVectors(name);
+
+            return {
+                async upsert(records) {
+                    for (const record of records) {
+                        vectors.set(record.id, record);
+                    }
+                },
+
+                async query({ vector, topK = 10, includeMetadata = false }) {
+                    const matches = [...vectors.values()]
+                        .map(record => ({
+                            id: record.id,
+                            score: cosineSimilarity(vector, record.values),
+                            ...(includeMetadata ? { metadata: record.metadata } : {})
+                        }))
+                        .sort((a, b) => b.score - a.score)
+                        .slice(0, topK);
+
+                    return { matches };
+                },
+
+                async deleteAll() {
+                    vectors.clear();
+                }
+            };
+        },
+
+        async describeIndexStats() {
+            let totalRecordCount = 0;
+            let dimension = 0;
+            for (const vectors of namespaces.values()) {
+                totalRecordCount += vectors.size;
+                for (const record of vectors.values()) {
+                    dimension = record.values.length;
+                    break;
+                }
+            }
+            return { totalRecordCount, dimension: dimension || undefined };
+        }
+    };
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is all zeros)
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    const length = Math.min(a.length, b.length);
+
+    for (let i = 0; i < length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+    createMemoryIndex,
+    cosineSimilarity
+};
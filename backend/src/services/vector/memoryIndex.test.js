@@ -0,0 +1,66 @@
+/**
+ * Tests for the in-memory vector index
+ */
+
+const { createMemoryIndex, cosineSimilarity } = require('./memoryIndex');
+
+describe('cosineSimilarity', () => {
+    test('is 1 for vectors pointing the same way', () => {
+        expect(cosineSimilarity([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    });
+
+    test('is 0 for orthogonal or all-zero vectors', () => {
+        expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+        expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+    });
+});
+
+describe('createMemoryIndex', () => {
+    test('returns the closest vectors first, with metadata', async () => {
+        const index = createMemoryIndex();
+        const ns = index.namespace('chat-history');
+
+        await ns.upsert([
+            { id: 'a', values: [1, 0, 0], metadata: { question: 'a' } },
+            { id: 'b', values: [0.9, 0.1, 0], metadata: { question: 'b' } },
+            { id: 'c', values: [0, 0, 1], metadata: { question: 'c' } }
+        ]);
+
+        const { matches } = await ns.query({ vector: [1, 0, 0], topK: 2, includeMetadata: true });
+
+        expect(matches.map(m => m.id)).toEqual(['a', 'b']);
+        expect(matches[0].metadata).toEqual({ question: 'a' });
+        expect(matches[0].score).toBeCloseTo(1);
+    });
+
+    test('keeps namespaces apart', async () => {
+        const index = createMemoryIndex();
+        await index.namespace('page-1').upsert([{ id: 'x', values: [1, 0], metadata: {} }]);
+
+        const { matches } = await index.namespace('page-2').query({ vector: [1, 0], topK: 5 });
+
+        expect(matches).toEqual([]);
+    });
+
+    test('upsert replaces a vector with the same id', async () => {
+        const index = createMemoryIndex();
+        const ns = index.namespace('chat-history');
+
+        await ns.upsert([{ id: 'x', values: [1, 0], metadata: {} }]);
+        await ns.upsert([{ id: 'x', values: [0, 1], metadata: {} }]);
+
+        expect((await index.describeIndexStats()).totalRecordCount).toBe(1);
+        const { matches } = await ns.query({ vector: [0, 1], topK: 1 });
+        expect(matches[0].score).toBeCloseTo(1);
+    });
+
+    test('deleteAll empties only its namespace', async () => {
+        const index = createMemoryIndex();
+        await index.namespace('a').upsert([{ id: '1', values: [1], metadata: {} }]);
+        await index.namespace('b').upsert([{ id: '2', values: [1], metadata: {} }]);
+
+        await index.namespace('a').deleteAll();
+
+        expect(await index.describeIndexStats()).toEqual({ totalRecordCount: 1, dimension: 1 });
+    });
+});
@@ -2,24 +2,49 @@
  * Pinecone Vector Database Service
  * Cloud-hosted vector database - data persists across restarts
  * Free tier: 100,000 vectors
+ *
+ * Without a Pinecone key, or with the mock LLM provider, an in-memory index is used
+ * instead so AI replies work offline
  */
 
 const { Pinecone } = require('@pinecone-database/pinecone');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../../utils/config');
 const logger = require('../../utils/logger');
+const { getCurrentPage } = require('../../utils/pageContext');
+const llm = require('../ai/providers');
+const { createMemoryIndex } = require('./memoryIndex');
 
 let pinecone = null;
 let index = null;
-let genAI = null;
 
 const INDEX_NAME = 'chatbot-copilot';
 const NAMESPACE = 'chat-history';
 
+/**
+ * Namespace of the current Page - each Page's chat history is kept apart
+ * (single-Page mode uses the default namespace)
+ */
+function getNamespace() {
+    return getCurrentPage()?.vector_namespace || NAMESPACE;
+}
+
+/**
+ * Whether to use the in-memory index instead of Pinecone
+ */
+function useMemoryIndex() {
+    return !config.pinecone.apiKey || config.llm.provider === 'mock';
+}
+
 /**
  * Initialize Pinecone client
  */
 async function initVectorDB() {
+    if (useMemoryIndex()) {
+        index = createMemoryIndex();
+        logger.warn('Pinecone not configured (or mock LLM provider) - using an in-memory vector index');
+        return index;
+    }
+
     try {
         // Initialize Pinecone
         pinecone = new Pinecone({
@@ -29,9 +54,6 @@ async function initVectorDB() {
         // Get index
         index = pinecone.index(config.pinecone.indexName || INDEX_NAME);
 
-        // Initialize Gemini for embeddings
-        genAI = new GoogleGenerativeAI(config.gemini.getCurrentKey());
-
         logger.info('Pinecone initialized successfully');
 
         // Get stats
@@ -46,13 +68,11 @@ async function initVectorDB() {
 }
 
 /**
- * Generate embedding using Gemini
+ * Generate embedding with the embed task's provider
  */
 async function generateEmbedding(text) {
     try {
-        const model = genAI.getGenerativeModel({ model: config.gemini.embeddingModel });
-        const result = await model.embedContent(text);
-        return result.embedding.values;
+        return await llm.embed(text);
     } catch (error) {
         logger.error(`Embedding generation failed: ${error.message}`);
         // Return zero vector as fallback (768 dimensions for Gemini)
@@ -95,7 +115,7 @@ async function addDocuments(documents) {
         const batchSize = 100;
         for (let i = 0; i < vectors.length; i += batchSize) {
             const batch = vectors.slice(i, i + batchSize);
-            await index.namespace(NAMESPACE).upsert(batch);
+            await index.namespace(getNamespace()).upsert(batch);
         }
 
         logger.info(`Added ${documents.length} documents to Pinecone`);
@@ -119,7 +139,7 @@ async function queryRelevant(query, topK = 5) {
         const queryEmbedding = await generateEmbedding(query);
 
         // Query Pinecone
-        const results = await index.namespace(NAMESPACE).query({
+        const results = await index.namespace(getNamespace()).query({
             vector: queryEmbedding,
             topK,
             includeMetadata: true
@@ -196,7 +216,7 @@ async function deleteAll() {
     if (!index) await initVectorDB();
 
     try {
-        await index.namespace(NAMESPACE).deleteAll();
+        await index.namespace(getNamespace()).deleteAll();
         logger.info('All documents deleted from Pinecone');
         return true;
     } catch (error) {
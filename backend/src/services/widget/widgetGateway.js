@@ -0,0 +1,123 @@
+/**
+ * Website Widget Gateway
+ * Delivers outbound messages to website widget visitors over the public /widget
+ * Socket.io namespace. Each visitor's sockets join a room named after their browser id
+ *
+ * Messages are emitted in the Send API shape ({ text, quick_replies } or { attachment })
+ * and rendered by the widget; sender actions become typing / seen events.
+ * Visitors who are offline see the reply in their history when they come back
+ *
+ * The postback payloads of the quick replies and buttons sent to each visitor are
+ * remembered, so the widget can only send back a choice it was actually offered
+ */
+
+const logger = require('../../utils/logger');
+
+const OFFER_TTL_MS = 24 * 60 * 60 * 1000;
+
+let namespace = null;
+
+// Postback payloads offered to each visitor (browser id -> Map of payload -> offered at)
+const offeredPayloads = new Map();
+
+/**
+ * Set the Socket.io namespace widget visitors connect to
+ */
+function setWidgetNamespace(nsp) {
+    namespace = nsp;
+}
+
+/**
+ * Send a Send API body to a widget visitor
+ * @param {string} browserId - Visitor's browser id (customers.fb_user_id)
+ * @param {object} payload - Send API body without the recipient, e.g. { message: {...} } or { sender_action }
+ * @returns {object} { delivered } - false when the visitor has no open widget
+ */
+async function sendWidgetPayload(browserId, payload) {
+    if (!namespace) {
+        throw new Error('Website widget is not running');
+    }
+
+    const room = namespace.to(browserId);
+    const timestamp = new Date().toISOString();
+
+    if (payload.message) {
+        recordOfferedPayloads(browserId, payload.message);
+        room.emit('message', { message: payload.message, timestamp });
+    } else if (payload.sender_action === 'mark_seen') {
+        room.emit('seen', { timestamp });
+    } else {
+        room.emit('typing', { on: payload.sender_action === 'typing_on' });
+    }
+
+    const sockets = await namespace.in(browserId).allSockets();
+    if (sockets.size === 0) {
+        logger.debug(`Widget visitor ${browserId} is offline, message kept for their history`);
+    }
+
+    return { delivered: sockets.size > 0 };
+}
+
+/**
+ * Remember the postback payloads of a message's quick replies and template buttons
+ */
+function recordOfferedPayloads(browserId, message, now = Date.now()) {
+    const template = message.attachment?.type === 'template' ? message.attachment.payload : null;
+    const buttons = [
+        ...(message.quick_replies || []),
+        ...(template?.buttons || []),
+        ...(template?.elements || []).flatMap(element => element.buttons || [])
+    ];
+
+    const payloads = buttons.filter(button => button.payload).map(button => String(button.payload));
+    if (payloads.length === 0) return;
+
+    const offered = offeredPayloads.get(browserId) || new Map();
+    payloads.forEach(payload => offered.set(payload, now));
+    offeredPayloads.set(browserId, offered);
+}
+
+/**
+ * Check that a postback payload was offered to the visitor in the last day
+ * @param {string} browserId - Visitor's browser id
+ * @param {string} payload - Payload the widget sent back
+ */
+function isPayloadOffered(browserId, payload, now = Date.now()) {
+    const offeredAt = offeredPayloads.get(browserId)?.get(payload);
+    return offeredAt !== undefined && now - offeredAt < OFFER_TTL_MS;
+}
+
+/**
+ * Forget offers older than a day
+ */
+function pruneOfferedPayloads(now = Date.now()) {
+    for (const [browserId, offered] of offeredPayloads) {
+        for (const [payload, offeredAt] of offered) {
+            if (now - offeredAt >= OFFER_TTL_MS) offered.delete(payload);
+        }
+        if (offered.size === 0) offeredPayloads.delete(browserId);
+    }
+}
+
+setInterval(pruneOfferedPayloads, 60 * 60 * 1000).unref();
+
+/**
+ * Classify a widget send error (only raised when the widget is not running)
+ * @returns {object} { category, retryable, code, subcode, message }
+ */
+function classifyWidgetError(error) {
+    return {
+        category: 'unknown',
+        retryable: false,
+        code: null,
+        subcode: null,
+        message: error.message
+    };
+}
+
+module.exports = {
+    setWidgetNamespace,
+    sendWidgetPayload,
+    isPayloadOffered,
+    classifyWidgetError
+};
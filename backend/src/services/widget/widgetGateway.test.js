@@ -0,0 +1,51 @@
+/**
+ * Tests for the website widget gateway: which postbacks a visitor was offered
+ */
+
+const { setWidgetNamespace, sendWidgetPayload, isPayloadOffered } = require('./widgetGateway');
+
+const emitted = [];
+
+beforeAll(() => {
+    setWidgetNamespace({
+        to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+        in: () => ({ allSockets: async () => new Set(['socket-1']) })
+    });
+});
+
+describe('offered postbacks', () => {
+    test('quick replies and template buttons sent to a visitor are accepted from them only', async () => {
+        await sendWidgetPayload('web_visitor-aaaaaaaaaaaa', {
+            message: {
+                text: 'เลือกเมนูได้เลยครับ',
+                quick_replies: [{ content_type: 'text', title: 'เปิดบัญชี', payload: 'MENU_1' }]
+            }
+        });
+        await sendWidgetPayload('web_visitor-aaaaaaaaaaaa', {
+            message: {
+                attachment: {
+                    type: 'template',
+                    payload: {
+                        template_type: 'generic',
+                        elements: [{ title: 'โปรโมชั่น', buttons: [{ type: 'postback', title: 'สอบถาม', payload: 'PROMO_ASK_7' }] }]
+                    }
+                }
+            }
+        });
+
+        expect(emitted).toHaveLength(2);
+        expect(isPayloadOffered('web_visitor-aaaaaaaaaaaa', 'MENU_1')).toBe(true);
+        expect(isPayloadOffered('web_visitor-aaaaaaaaaaaa', 'PROMO_ASK_7')).toBe(true);
+        expect(isPayloadOffered('web_visitor-bbbbbbbbbbbb', 'MENU_1')).toBe(false);
+    });
+
+    test('a payload that was never offered is not accepted', () => {
+        expect(isPayloadOffered('web_visitor-aaaaaaaaaaaa', 'NOTIFY_OPTIN_DAILY')).toBe(false);
+    });
+
+    test('an offer expires after a day', () => {
+        const dayLater = Date.now() + 24 * 60 * 60 * 1000;
+
+        expect(isPayloadOffered('web_visitor-aaaaaaaaaaaa', 'MENU_1', dayLater)).toBe(false);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Website Widget Socket
+ * Public Socket.io namespace (/widget) the embeddable chat widget connects to
+ *
+ * Visitors are anonymous customers identified by a persistent browser id that the
+ * widget keeps in localStorage. Their messages are queued as inbound events in the
+ * Messenger event shape, so they go through the same worker and handlers
+ * (business hours, processMessage, escalation, takeover) as Messenger messages
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { increment } = require('../../utils/metrics');
+const { enqueueEvents } = require('../../models/inboundEvent');
+const { getRecentMessages } = require('../../models/chat');
+const { notifyEventWorker } = require('../../jobs/eventWorker');
+const { setWidgetNamespace, isPayloadOffered } = require('./widgetGateway');
+
+// Browser ids are generated by the widget: "web_" followed by a random id
+const BROWSER_ID_PATTERN = /^web_[A-Za-z0-9-]{16,64}$/;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Send times of the last minute per visitor and per IP, shared by all sockets so a
+// reconnect does not reset the limit ("browser:<id>" / "ip:<address>" -> timestamps)
+const recentSends = new Map();
+
+/**
+ * Set up the /widget namespace
+ * @param {object} io - Socket.io server
+ */
+function initWidgetSocket(io) {
+    const nsp = io.of('/widget');
+
+    // Only known origins may embed the widget, and only with a valid browser id
+    nsp.use((socket, next) => {
+        const origin = socket.handshake.headers.origin;
+        const { allowedOrigins } = config.widget;
+
+        if (allowedOrigins.length > 0 && !allowedOrigins.includes(origin)) {
+            increment('widget_rejected', { reason: 'origin' });
+            return next(new Error('Origin not allowed'));
+        }
+
+        const browserId = socket.handshake.auth?.browserId;
+        if (!BROWSER_ID_PATTERN.test(browserId || '')) {
+            increment('widget_rejected', { reason: 'browser_id' });
+            return next(new Error('Invalid browser id'));
+        }
+
+        socket.data.browserId = browserId;
+        socket.data.ip = getClientIp(socket);
+        next();
+    });
+
+    nsp.on('connection', async (socket) => {
+        const { browserId } = socket.data;
+        socket.join(browserId);
+        logger.debug(`Widget visitor connected: ${browserId}`);
+
+        try {
+            const history = await getRecentMessages(browserId, config.widget.historySize);
+            socket.emit('history', history.map(msg => ({
+                from: msg.sender === 'customer' ? 'customer' : 'agent',
+                text: msg.text,
+                timestamp: msg.created_at
+            })));
+        } catch (error) {
+            logger.error(`Widget history error: ${error.message}`);
+        }
+
+        socket.on('message', (data, ack) => {
+            const text = String(data?.text || '').trim().substring(0, config.widget.maxMessageLength);
+            if (!text) return;
+
+            queueWidgetEvent(socket, { message: { mid: `web_${uuidv4()}`, text } }, ack);
+        });
+
+        // Quick reply and card button taps - only choices that were sent to this visitor,
+        // a crafted payload (e.g. NOTIFY_OPTIN_DAILY) is rejected
+        socket.on('postback', (data, ack) => {
+            const payload = String(data?.payload || '');
+            if (!payload) return;
+
+            if (!isPayloadOffered(browserId, payload)) {
+                increment('widget_rejected', { reason: 'postback' });
+                if (typeof ack === 'function') ack({ ok: false, error: 'unknown_postback' });
+                return;
+            }
+
+            queueWidgetEvent(socket, {
+                postback: { mid: `web_${uuidv4()}`, payload, title: String(data.title || '') }
+            }, ack);
+        });
+    });
+
+    setWidgetNamespace(nsp);
+    return nsp;
+}
+
+/**
+ * Queue a visitor's message or postback for the event worker
+ * @param {object} socket - Visitor socket
+ * @param {object} content - { message } or { postback } of the messaging event
+ * @param {Function} ack - Optional acknowledgement callback of the widget
+ */
+function queueWidgetEvent(socket, content, ack) {
+    const { browserId } = socket.data;
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    if (isRateLimited(socket)) {
+        increment('widget_rejected', { reason: 'rate_limit' });
+        return reply({ ok: false, error: 'rate_limited' });
+    }
+
+    const webhookEvent = {
+        sender: { id: browserId },
+        recipient: { id: 'widget' },
+        timestamp: Date.now(),
+        ...content
+    };
+
+    try {
+        enqueueEvents([{
+            eventId: (content.message || content.postback).mid,
+            customerId: browserId,
+            eventType: content.message ? 'message' : 'postback',
+            channel: 'web',
+            payload: webhookEvent
+        }]);
+    } catch (error) {
+        logger.error(`Failed to queue widget event: ${error.message}`);
+        return reply({ ok: false, error: 'queue_failed' });
+    }
+
+    reply({ ok: true });
+    notifyEventWorker();
+}
+
+/**
+ * Check the visitor's message rate
+ * At most maxMessagesPerMinute per browser id and maxMessagesPerMinutePerIp per IP
+ * address (a visitor can also clear localStorage to get a new browser id)
+ */
+function isRateLimited(socket, now = Date.now()) {
+    const limits = [
+        [`browser:${socket.data.browserId}`, config.widget.maxMessagesPerMinute],
+        [`ip:${socket.data.ip}`, config.widget.maxMessagesPerMinutePerIp]
+    ];
+
+    const sends = limits.map(([key]) => (recentSends.get(key) || []).filter(at => now - at < RATE_WINDOW_MS));
+    const limited = limits.some(([, limit], i) => sends[i].length >= limit);
+
+    limits.forEach(([key], i) => {
+        if (!limited) sends[i].push(now);
+        if (sends[i].length > 0) {
+            recentSends.set(key, sends[i]);
+        } else {
+            recentSends.delete(key);
+        }
+    });
+
+    return limited;
+}
+
+/**
+ * Forget visitors and addresses that sent nothing in the last minute
+ */
+function pruneRecentSends(now = Date.now()) {
+    for (const [key, sends] of recentSends) {
+        if (sends.every(at => now - at >= RATE_WINDOW_MS)) {
+            recentSends.delete(key);
+        }
+    }
+}
+
+setInterval(pruneRecentSends, RATE_WINDOW_MS).unref();
+
+/**
+ * Client IP address of a socket
+ * Behind a reverse proxy (Render) the last X-Forwarded-For entry is the address the
+ * proxy saw; earlier entries come from the client and cannot be trusted
+ */
+function getClientIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',').pop().trim();
+    }
+    return socket.handshake.address;
+}
+
+module.exports = {
+    initWidgetSocket
+};
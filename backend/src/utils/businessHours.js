@@ -1,32 +1,30 @@
 /**
  * Business Hours Utility
  * Checks if current time is within business hours (10:00-22:00 daily)
+ * Each Page can have its own hours and timezone (see utils/pageContext.js)
  */
 
-const config = require('./config');
+const { getBusinessHours } = require('./pageContext');
 
 /**
- * Get current time in Bangkok timezone
- * Using simple offset calculation to avoid date-fns-tz issues
+ * Get current time in a timezone
+ * The returned Date's local fields (getHours, ...) are the wall-clock time there
+ * @param {string} timezone - IANA timezone, e.g. 'Asia/Bangkok'
  */
-function getBangkokTime() {
-    const now = new Date();
-    // Bangkok is UTC+7
-    const bangkokOffset = 7 * 60; // minutes
-    const localOffset = now.getTimezoneOffset(); // minutes (negative for positive offsets)
-    const bangkokTime = new Date(now.getTime() + (bangkokOffset + localOffset) * 60 * 1000);
-    return bangkokTime;
+function getLocalTime(timezone) {
+    return new Date(new Date().toLocaleString('en-US', { timeZone: timezone }));
 }
 
 /**
  * Check if current time is within business hours
+ * @param {object} hours - { start, end, timezone }, defaults to the current Page's hours
  * @returns {boolean} true if within business hours
  */
-function isBusinessHours() {
-    const now = getBangkokTime();
+function isBusinessHours(hours = getBusinessHours()) {
+    const now = getLocalTime(hours.timezone);
 
-    const [startHour, startMin] = config.businessHours.start.split(':').map(Number);
-    const [endHour, endMin] = config.businessHours.end.split(':').map(Number);
+    const [startHour, startMin] = hours.start.split(':').map(Number);
+    const [endHour, endMin] = hours.end.split(':').map(Number);
 
     const currentHour = now.getHours();
     const currentMin = now.getMinutes();
@@ -40,11 +38,12 @@ function isBusinessHours() {
 
 /**
  * Get current status message
+ * @param {object} hours - { start, end, timezone }, defaults to the current Page's hours
  * @returns {object} Status info with isOpen and message
  */
-function getBusinessStatus() {
-    const isOpen = isBusinessHours();
-    const { start, end } = config.businessHours;
+function getBusinessStatus(hours = getBusinessHours()) {
+    const isOpen = isBusinessHours(hours);
+    const { start, end } = hours;
 
     if (isOpen) {
         return {
@@ -63,13 +62,14 @@ function getBusinessStatus() {
 
 /**
  * Get time until business hours open/close
+ * @param {object} hours - { start, end, timezone }, defaults to the current Page's hours
  * @returns {object} Minutes until next state change
  */
-function getTimeUntilChange() {
-    const now = getBangkokTime();
+function getTimeUntilChange(hours = getBusinessHours()) {
+    const now = getLocalTime(hours.timezone);
 
-    const [startHour, startMin] = config.businessHours.start.split(':').map(Number);
-    const [endHour, endMin] = config.businessHours.end.split(':').map(Number);
+    const [startHour, startMin] = hours.start.split(':').map(Number);
+    const [endHour, endMin] = hours.end.split(':').map(Number);
 
     const currentTime = now.getHours() * 60 + now.getMinutes();
     const startTime = startHour * 60 + startMin;
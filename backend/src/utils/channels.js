@@ -0,0 +1,21 @@
+/**
+ * Channels
+ * Customers reach us on Messenger, Instagram Direct, LINE or the website widget
+ * (stored as customers.channel)
+ */
+
+// Channels served through Meta's Send API - they share the 24-hour messaging
+// window, message tags and the Handover Protocol
+const META_CHANNELS = ['messenger', 'instagram'];
+
+/**
+ * Check whether a channel is served through Meta's Send API
+ */
+function isMetaChannel(channel) {
+    return META_CHANNELS.includes(channel || 'messenger');
+}
+
+module.exports = {
+    META_CHANNELS,
+    isMetaChannel
+};
@@ -3,6 +3,15 @@
  * Centralizes all environment variables and defaults
  */
 
+/**
+ * Parse an integer setting that may be 0 (parseInt(...) || default would replace it)
+ * Unset, empty or non-numeric values give the default
+ */
+function parseIntSetting(value, defaultValue) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
 const config = {
     // Server
     port: parseInt(process.env.PORT) || 3000,
@@ -20,10 +29,49 @@ const config = {
         pageAccessToken: process.env.FB_PAGE_ACCESS_TOKEN,
         verifyToken: process.env.FB_VERIFY_TOKEN || 'chatbot_verify_token',
         appSecret: process.env.FB_APP_SECRET,
+        // Previous app secret, still accepted while a secret rotation is in progress
+        previousAppSecret: process.env.FB_APP_SECRET_PREVIOUS,
+        // Our app id - used to tell the bot's own message echoes from staff replies
+        appId: process.env.FB_APP_ID,
+        // Handover Protocol - escalated threads are passed to the inbox app
+        // (263902037430900 is Facebook's Page Inbox)
+        handoverEnabled: process.env.FB_HANDOVER_ENABLED === 'true',
+        inboxAppId: process.env.FB_INBOX_APP_ID || '263902037430900',
+        // Staff replies 24h-7d after the customer's last message use the HUMAN_AGENT tag
+        // (requires the Human Agent permission for the app)
+        humanAgentTagEnabled: process.env.FB_HUMAN_AGENT_TAG === 'true',
         apiVersion: 'v18.0',
         graphApiUrl: 'https://graph.facebook.com'
     },
 
+    // Instagram Direct - DMs to the Instagram account linked to the Page, received by the same app
+    // Sent with the Page token unless an Instagram token is set; with Instagram Login
+    // set the API URL to https://graph.instagram.com and use the Instagram user token
+    instagram: {
+        accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
+        apiUrl: process.env.INSTAGRAM_API_URL || 'https://graph.facebook.com'
+    },
+
+    // LINE Messaging API - a second channel next to Messenger, handled by the same flows
+    // The API URLs can point at a local stub for testing
+    line: {
+        channelSecret: process.env.LINE_CHANNEL_SECRET,
+        channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
+        apiUrl: process.env.LINE_API_URL || 'https://api.line.me',
+        dataApiUrl: process.env.LINE_DATA_API_URL || 'https://api-data.line.me'
+    },
+
+    // Website chat widget - served at /widget/widget.js, talks to the /widget Socket.io namespace
+    widget: {
+        // Sites allowed to embed the widget (empty = any)
+        allowedOrigins: (process.env.WIDGET_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+        // Message rate limits per visitor (browser id) and per IP address - they hold across reconnects
+        maxMessagesPerMinute: parseInt(process.env.WIDGET_MAX_MESSAGES_PER_MINUTE) || 20,
+        maxMessagesPerMinutePerIp: parseInt(process.env.WIDGET_MAX_MESSAGES_PER_MINUTE_PER_IP) || 60,
+        maxMessageLength: parseInt(process.env.WIDGET_MAX_MESSAGE_LENGTH) || 2000,
+        historySize: parseInt(process.env.WIDGET_HISTORY_SIZE) || 30
+    },
+
     // Gemini AI - Multiple keys for rate limit handling (up to 8)
     gemini: {
         apiKeys: [
@@ -41,6 +89,28 @@ const config = {
         embeddingModel: 'text-embedding-004'
     },
 
+    // LLM providers - gemini, openai (any OpenAI-compatible server, e.g. llama.cpp or Ollama)
+    // or mock (deterministic answers without network access, for development and tests).
+    // Provider and model can be chosen per task; unset tasks use LLM_PROVIDER and its default model
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'gemini',
+        tasks: {
+            intent: { provider: process.env.LLM_INTENT_PROVIDER, model: process.env.LLM_INTENT_MODEL },
+            reply: { provider: process.env.LLM_REPLY_PROVIDER, model: process.env.LLM_REPLY_MODEL },
+            vision: { provider: process.env.LLM_VISION_PROVIDER, model: process.env.LLM_VISION_MODEL },
+            report: { provider: process.env.LLM_REPORT_PROVIDER, model: process.env.LLM_REPORT_MODEL },
+            // The embedding size must match the Pinecone index (768 for Gemini and mock)
+            embed: { provider: process.env.LLM_EMBED_PROVIDER, model: process.env.LLM_EMBED_MODEL }
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:11434/v1',
+            apiKey: process.env.OPENAI_COMPAT_API_KEY,
+            model: process.env.OPENAI_COMPAT_MODEL || 'llama3.1',
+            embeddingModel: process.env.OPENAI_COMPAT_EMBEDDING_MODEL || 'nomic-embed-text',
+            timeoutMs: parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 60000
+        }
+    },
+
     // Admin
     admin: {
         apiToken: process.env.ADMIN_API_TOKEN,
@@ -57,12 +127,78 @@ const config = {
     // AI Settings
     ai: {
         confidenceThreshold: parseFloat(process.env.AI_CONFIDENCE_THRESHOLD) || 0.7,
-        maxContextMessages: parseInt(process.env.AI_MAX_CONTEXT_MESSAGES) || 5
+        maxContextMessages: parseInt(process.env.AI_MAX_CONTEXT_MESSAGES) || 5,
+        // Conversation memory - recent turns sent with each reply; once they exceed the
+        // token budget the older ones are folded into a rolling summary
+        memory: {
+            maxTurns: parseInt(process.env.AI_MEMORY_MAX_TURNS) || 20,
+            tokenBudget: parseInt(process.env.AI_MEMORY_TOKEN_BUDGET) || 1500
+        }
+    },
+
+    // Conversation sessions - a conversation closes after this much inactivity
+    session: {
+        idleTimeoutMinutes: parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30
+    },
+
+    // Human takeover - the bot stays quiet for a customer while staff handle the chat
+    takeover: {
+        quietMinutes: parseInt(process.env.TAKEOVER_QUIET_MINUTES) || 60
+    },
+
+    // Outbound sends - rate-limited and transient Graph API errors are retried with backoff
+    send: {
+        maxRetries: parseIntSetting(process.env.SEND_MAX_RETRIES, 3),
+        retryBaseMs: parseInt(process.env.SEND_RETRY_BASE_MS) || 1000
+    },
+
+    // Reply pacing - mark seen, show typing for a length-based delay and send long
+    // AI replies paragraph by paragraph (always skipped in test mode)
+    pacing: {
+        enabled: process.env.PACING_ENABLED !== 'false',
+        typingMsPerChar: parseInt(process.env.PACING_TYPING_MS_PER_CHAR) || 25,
+        minTypingMs: parseInt(process.env.PACING_MIN_TYPING_MS) || 800,
+        maxTypingMs: parseInt(process.env.PACING_MAX_TYPING_MS) || 3500,
+        maxPartLength: parseInt(process.env.PACING_MAX_PART_LENGTH) || 600,
+        maxParts: parseInt(process.env.PACING_MAX_PARTS) || 4
+    },
+
+    // Inbound event queue
+    queue: {
+        pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+        retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_MS) || 5000,
+        // Customers handled at the same time (one event per customer at a time)
+        concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 4,
+        // Rapid-fire text messages are combined into one AI turn once the customer
+        // has been quiet for batchWindowMs (0 disables batching)
+        batchWindowMs: parseIntSetting(process.env.QUEUE_BATCH_WINDOW_MS, 3000),
+        batchMaxWaitMs: parseInt(process.env.QUEUE_BATCH_MAX_WAIT_MS) || 15000,
+        batchMaxSize: parseInt(process.env.QUEUE_BATCH_MAX_SIZE) || 10
     },
 
     // Wake-up Campaign
     wakeup: {
-        inactiveDays: parseInt(process.env.WAKEUP_INACTIVE_DAYS) || 30
+        inactiveDays: parseInt(process.env.WAKEUP_INACTIVE_DAYS) || 30,
+        // 'carousel' sends promotion cards (image + buttons), 'text' a plain message with a link
+        messageFormat: process.env.WAKEUP_MESSAGE_FORMAT || 'carousel',
+        carouselSize: parseInt(process.env.WAKEUP_CAROUSEL_SIZE) || 3
+    },
+
+    // Messenger Profile - Get Started, greeting, persistent menu and ice breakers are
+    // built from menu_options and synced whenever the menu changes
+    messengerProfile: {
+        autoSync: process.env.MESSENGER_PROFILE_AUTO_SYNC !== 'false',
+        greeting: process.env.MESSENGER_GREETING || 'สวัสดีครับ {{user_first_name}} ยินดีต้อนรับครับ กด "เริ่มต้นใช้งาน" เพื่อดูเมนูได้เลยครับ'
+    },
+
+    // Recurring notifications - opt-in for marketing messages outside the 24-hour window
+    notifications: {
+        topic: process.env.NOTIFY_TOPIC || 'promotions',
+        title: process.env.NOTIFY_OPTIN_TITLE || 'รับข่าวสารโปรโมชั่นล่าสุด',
+        // Offer the opt-in at the start of a conversation, at most once per interval
+        autoOffer: process.env.NOTIFY_OPTIN_AUTO_OFFER !== 'false',
+        offerIntervalDays: parseInt(process.env.NOTIFY_OPTIN_OFFER_INTERVAL_DAYS) || 30
     },
 
     // Pinecone Vector Database (Cloud - Free 100K vectors)
@@ -0,0 +1,68 @@
+/**
+ * Event Journal
+ * Makes a retried inbound event skip the work its earlier attempts already finished,
+ * so a retry after a partial send does not save or send anything twice
+ *
+ * Side effects (saving a message, sending, processing a message with the AI) run as
+ * numbered steps: the first send of the event is "send:1", the second "send:2", and so
+ * on. The result of every finished step is recorded with the event; on a retry a
+ * recorded step returns its result instead of running again. Outside an event
+ * (API routes, scheduled jobs) steps simply run
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run the handling of an event with its journal
+ * @param {object} steps - Steps recorded by earlier attempts (key -> { result, counters })
+ * @param {Function} onStep - Called with all steps after each finished step, to store them
+ * @param {Function} fn - Work to run, may be async
+ */
+function runWithJournal(steps, onStep, fn) {
+    return storage.run({ steps: { ...steps }, counters: {}, onStep }, fn);
+}
+
+/**
+ * Whether the current work belongs to a queued event (which is retried as a whole)
+ */
+function inEventJournal() {
+    return !!storage.getStore();
+}
+
+/**
+ * Run a step once per event
+ * @param {string} kind - Kind of step, e.g. 'send' or 'save'
+ * @param {Function} fn - The step, may be async; its result must be JSON-serializable
+ * @returns {*} Result of the step, or the recorded result when it already ran
+ */
+async function once(kind, fn) {
+    const journal = storage.getStore();
+    if (!journal) return fn();
+
+    journal.counters[kind] = (journal.counters[kind] || 0) + 1;
+    const key = `${kind}:${journal.counters[kind]}`;
+
+    const recorded = journal.steps[key];
+    if (recorded) {
+        // Steps run inside this one are skipped too - continue the numbering after them
+        journal.counters = { ...recorded.counters };
+        logger.debug(`Skipping ${key}, done by an earlier attempt`);
+        return recorded.result;
+    }
+
+    const result = await fn();
+
+    journal.steps[key] = { result: result === undefined ? null : result, counters: { ...journal.counters } };
+    journal.onStep(journal.steps);
+
+    return result;
+}
+
+module.exports = {
+    runWithJournal,
+    inEventJournal,
+    once
+};
@@ -0,0 +1,83 @@
+/**
+ * Tests for the event journal that makes event retries idempotent
+ */
+
+const { runWithJournal, inEventJournal, once } = require('./eventJournal');
+
+/**
+ * Handle an event the way a handler does: save, send two parts, save the reply
+ * @param {object} calls - Records which side effects really ran
+ * @param {Function} failOn - Throws for the side effect that should fail
+ */
+async function handleEvent(calls, failOn = () => {}) {
+    await once('save', async () => { calls.push('save customer'); return { id: 1 }; });
+    await once('process', async () => {
+        calls.push('llm');
+        await once('save', async () => { calls.push('save ai'); return { id: 2 }; });
+        return { aiResponse: 'ตอบ' };
+    });
+    for (const part of ['part 1', 'part 2']) {
+        await once('send', async () => {
+            failOn(part);
+            calls.push(part);
+            return { message_id: part };
+        });
+    }
+}
+
+describe('once', () => {
+    test('simply runs the step outside an event', async () => {
+        expect(inEventJournal()).toBe(false);
+        expect(await once('send', () => 'sent')).toBe('sent');
+    });
+
+    test('records each finished step with its result', async () => {
+        const saved = [];
+
+        await runWithJournal(null, steps => saved.push(steps), async () => {
+            expect(inEventJournal()).toBe(true);
+            await handleEvent([]);
+        });
+
+        const steps = saved[saved.length - 1];
+        expect(Object.keys(steps)).toEqual(['save:1', 'save:2', 'process:1', 'send:1', 'send:2']);
+        expect(steps['send:2'].result).toEqual({ message_id: 'part 2' });
+    });
+
+    test('a retry runs only the steps the failed attempt did not finish', async () => {
+        let stored = null;
+        const store = (steps) => { stored = JSON.parse(JSON.stringify(steps)); };
+
+        const firstCalls = [];
+        await expect(runWithJournal(stored, store, () => handleEvent(firstCalls, (part) => {
+            if (part === 'part 2') throw new Error('send failed');
+        }))).rejects.toThrow('send failed');
+        expect(firstCalls).toEqual(['save customer', 'llm', 'save ai', 'part 1']);
+
+        const retryCalls = [];
+        await runWithJournal(stored, store, () => handleEvent(retryCalls));
+
+        expect(retryCalls).toEqual(['part 2']);
+    });
+
+    test('returns the recorded result of a skipped step', async () => {
+        const steps = { 'process:1': { result: { aiResponse: 'คำตอบเดิม' }, counters: { process: 1, save: 1 } } };
+
+        const result = await runWithJournal(steps, () => {}, async () => {
+            const processed = await once('process', () => ({ aiResponse: 'คำตอบใหม่' }));
+            const saved = await once('save', () => 'ran');
+            return { processed, saved };
+        });
+
+        // The save inside the skipped step keeps its number, so the next save is save:2
+        expect(result).toEqual({ processed: { aiResponse: 'คำตอบเดิม' }, saved: 'ran' });
+    });
+
+    test('does not change the steps passed in', async () => {
+        const steps = {};
+
+        await runWithJournal(steps, () => {}, () => once('send', () => 'sent'));
+
+        expect(steps).toEqual({});
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * JSON Schema Utility
+ * Validates values against the subset of JSON Schema used for AI outputs:
+ * type (including type lists such as ['string', 'null']), enum, properties, required,
+ * items, minItems, maxItems, minimum, maximum, minLength, maxLength and pattern
+ */
+
+/**
+ * Validate a value
+ * @param {*} value - Parsed JSON value
+ * @param {object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in the error message
+ * @returns {string|null} First validation error, or null when the value is valid
+ */
+function validate(value, schema, path = '$') {
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return `${path} must be ${types.join(' or ')}`;
+    }
+
+    if (value === null) return null;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of: ${schema.enum.join(', ')}`;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) return `${path} must be >= ${schema.minimum}`;
+        if (schema.maximum !== undefined && value > schema.maximum) return `${path} must be <= ${schema.maximum}`;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return `${path} must have at least ${schema.minLength} characters`;
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return `${path} must have at most ${schema.maxLength} characters`;
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return `${path} must match ${schema.pattern}`;
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return `${path} must have at least ${schema.minItems} items`;
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return `${path} must have at most ${schema.maxItems} items`;
+        }
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = validate(value[i], schema.items, `${path}[${i}]`);
+                if (error) return error;
+            }
+        }
+    } else if (typeof value === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) return `${path}.${key} is required`;
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] === undefined) continue;
+            const error = validate(value[key], propertySchema, `${path}.${key}`);
+            if (error) return error;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check a value against a single JSON Schema type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,54 @@
+/**
+ * Tests for the JSON Schema validator
+ */
+
+const { validate } = require('./jsonSchema');
+const { SCHEMAS } = require('../services/ai/schemas');
+
+describe('validate', () => {
+    test('checks types, including type lists and integers', () => {
+        expect(validate('a', { type: 'string' })).toBeNull();
+        expect(validate(1, { type: 'string' })).toBe('$ must be string');
+        expect(validate(null, { type: ['string', 'null'] })).toBeNull();
+        expect(validate(1.5, { type: 'integer' })).toBe('$ must be integer');
+        expect(validate(NaN, { type: 'number' })).toBe('$ must be number');
+        expect(validate([], { type: 'object' })).toBe('$ must be object');
+        expect(validate({}, { type: 'array' })).toBe('$ must be array');
+    });
+
+    test('checks enum, number bounds and string constraints', () => {
+        expect(validate('LOAN', { enum: ['LOAN', 'CARD'] })).toBeNull();
+        expect(validate('OTHER', { enum: ['LOAN', 'CARD'] })).toBe('$ must be one of: LOAN, CARD');
+        expect(validate(1.2, { minimum: 0, maximum: 1 })).toBe('$ must be <= 1');
+        expect(validate(-1, { minimum: 0 })).toBe('$ must be >= 0');
+        expect(validate('', { minLength: 1 })).toBe('$ must have at least 1 characters');
+        expect(validate('abcd', { maxLength: 3 })).toBe('$ must have at most 3 characters');
+        expect(validate('12-34', { pattern: '^\\d+$' })).toBe('$ must match ^\\d+$');
+    });
+
+    test('checks required and nested properties with their path', () => {
+        const schema = {
+            type: 'object',
+            properties: { details: { type: 'object', properties: { amount: { type: 'string' } } } },
+            required: ['details']
+        };
+
+        expect(validate({}, schema)).toBe('$.details is required');
+        expect(validate({ details: { amount: 5 } }, schema)).toBe('$.details.amount must be string');
+        expect(validate({ details: {}, extra: 1 }, schema)).toBeNull();
+    });
+
+    test('checks array sizes and every item', () => {
+        const schema = { type: 'array', minItems: 1, maxItems: 2, items: { type: 'number' } };
+
+        expect(validate([], schema)).toBe('$ must have at least 1 items');
+        expect(validate([1, 2, 3], schema)).toBe('$ must have at most 2 items');
+        expect(validate([1, 'x'], schema)).toBe('$[1] must be number');
+    });
+
+    test('accepts and rejects AI answers by their schemas', () => {
+        expect(validate([{ text: 'ได้เลยครับ', confidence: 0.8 }], SCHEMAS.quickReplies)).toBeNull();
+        expect(validate([{ text: 'ได้เลยครับ', confidence: 80 }], SCHEMAS.quickReplies)).toBe('$[0].confidence must be <= 1');
+        expect(validate({ intent: 'LOAN', confidence: 0.9 }, SCHEMAS.intent)).toBe('$.summary is required');
+    });
+});
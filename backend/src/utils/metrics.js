@@ -0,0 +1,49 @@
+/**
+ * Metrics Utility
+ * In-memory counters for operational events (reset on restart)
+ */
+
+const counters = {};
+const startedAt = new Date().toISOString();
+
+/**
+ * Increment a counter
+ * @param {string} name - Counter name, e.g. 'webhook_signature_rejected'
+ * @param {object} labels - Optional labels, e.g. { reason: 'missing' }
+ * @param {number} value - Amount to add
+ */
+function increment(name, labels = {}, value = 1) {
+    const key = formatKey(name, labels);
+    counters[key] = (counters[key] || 0) + value;
+}
+
+/**
+ * Get the current value of a counter
+ */
+function getCounter(name, labels = {}) {
+    return counters[formatKey(name, labels)] || 0;
+}
+
+/**
+ * Get all counters
+ */
+function getMetrics() {
+    return {
+        since: startedAt,
+        counters: { ...counters }
+    };
+}
+
+/**
+ * Build the counter key, e.g. webhook_signature_rejected{reason="missing"}
+ */
+function formatKey(name, labels) {
+    const parts = Object.keys(labels).sort().map(k => `${k}="${labels[k]}"`);
+    return parts.length > 0 ? `${name}{${parts.join(',')}}` : name;
+}
+
+module.exports = {
+    increment,
+    getCounter,
+    getMetrics
+};
@@ -0,0 +1,62 @@
+/**
+ * Page Context
+ * Tracks which Facebook Page the current work belongs to, so tokens, business hours,
+ * prompts and vector namespaces resolve per Page without passing it through every call
+ * Without a Page (single-Page mode) the values from config are used
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a Page as the current Page
+ * @param {object|null} page - Row from the pages table (null for single-Page mode)
+ * @param {Function} fn - Work to run, may be async
+ */
+function runWithPage(page, fn) {
+    return storage.run(page || null, fn);
+}
+
+/**
+ * Get the current Page (null in single-Page mode or outside a Page context)
+ */
+function getCurrentPage() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Get the access token of a Page
+ */
+function getAccessToken(page = getCurrentPage()) {
+    return page?.access_token || config.facebook.pageAccessToken;
+}
+
+/**
+ * Get the access token for Instagram Direct messages of a Page
+ * The Page token also covers its linked Instagram account
+ */
+function getInstagramAccessToken(page = getCurrentPage()) {
+    return page?.access_token || config.instagram.accessToken || config.facebook.pageAccessToken;
+}
+
+/**
+ * Get the business hours of a Page
+ * @returns {object} { start, end, timezone }
+ */
+function getBusinessHours(page = getCurrentPage()) {
+    return {
+        start: page?.business_hours_start || config.businessHours.start,
+        end: page?.business_hours_end || config.businessHours.end,
+        timezone: page?.timezone || config.businessHours.timezone
+    };
+}
+
+module.exports = {
+    runWithPage,
+    getCurrentPage,
+    getAccessToken,
+    getInstagramAccessToken,
+    getBusinessHours
+};
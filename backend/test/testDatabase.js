@@ -0,0 +1,39 @@
+/**
+ * Test Database
+ * Gives a test file its own SQLite database in the temp directory, created before
+ * its tests and deleted after them
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Use a fresh database for the tests of the calling file
+ * Call it before requiring modules that load the config - the path is read from SQLITE_PATH
+ * @param {string} name - Name of the test file, e.g. 'inbound-event'
+ */
+function useTestDatabase(name) {
+    const dbPath = path.join(os.tmpdir(), `${name}-test-${process.pid}.db`);
+    process.env.SQLITE_PATH = dbPath;
+
+    const removeFiles = () => {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(dbPath + suffix, { force: true });
+        }
+    };
+
+    beforeAll(async () => {
+        removeFiles();
+        await require('../src/models/database').initDatabase();
+    });
+
+    afterAll(() => {
+        require('../src/models/database').closeDatabase();
+        removeFiles();
+    });
+}
+
+module.exports = {
+    useTestDatabase
+};